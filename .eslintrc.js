@@ -46,7 +46,7 @@ module.exports = {
 		'no-underscore-dangle': ['warn', {
 			allowAfterThis: true,
 			allowAfterSuper: true,
-			allow: ['_call', '__rootpath', '_where', '_isDirectory', '_getSourceTree', '_mergeSchemas', '_parseFile', '_getSchemaPathsList', '_readSchemaFiles', '_validateSchema', '_buildSchema']
+			allow: ['_call', '__rootpath', '_where', '_isDirectory', '_getSourceTree', '_mergeSchemas', '_parseFile', '_getSchemaPathsList', '_readSchemaFiles', '_validateSchema', '_buildSchema', '_getSchemaTypes', '_writeSchema', '_writeErrorLog', '_onChange', '_setDependencies', '_build', '_watch', '_locateErrors', '_convertSchemas', '_lintSchema', '_validateExamples']
 		}],
 
 		'no-tabs': 0,
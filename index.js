@@ -2,9 +2,8 @@
 
 'use strict';
 
-const ApiSchemaBuilder = require('./lib');
+const Cli = require('./lib/cli');
 
 (async () => {
-	const apiSchemaBuilder = new ApiSchemaBuilder();
-	await apiSchemaBuilder.build();
+	process.exitCode = await Cli.run(process.argv.slice(2));
 })();
@@ -0,0 +1,798 @@
+'use strict';
+
+const { isPlainObject, upperFirst } = require('lodash');
+
+const SpecUtils = require('./spec-utils');
+
+// Like "#/components/schemas/Movie"
+const SCHEMA_REF_REGEX = /^#\/components\/schemas\/([^/]+)$/;
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Like "200" or "2XX"
+const SUCCESS_CODE_REGEX = /^2(\d\d|XX)$/i;
+
+const PARAMETER_LOCATIONS = ['path', 'query', 'header', 'cookie'];
+
+/**
+ * The depth of the nested object types of the JSDoc, the deeper ones are just objects
+ */
+const MAX_DEPTH = 2;
+
+/**
+ * The methods of the generated class, that the operations can't use
+ */
+const RESERVED_METHODS = ['constructor', '_request', '_authorize'];
+
+/**
+ * The code of the generated client that doesn't depend on the schema.
+ * It uses the global fetch of the browsers and node 18 or later, or the fetch function of the options
+ */
+const RUNTIME = `
+class ApiError extends Error {
+
+	/**
+	 * @param {string} message
+	 * @param {number} status The status code of the response
+	 * @param {*} body The parsed body of the response
+	 * @param {Headers} headers The headers of the response
+	 */
+	constructor(message, status, body, headers) {
+		super(message);
+		this.name = 'ApiError';
+		this.status = status;
+		this.body = body;
+		this.headers = headers;
+	}
+}
+
+/**
+ * Returns the query string of the parameters: the arrays as repeated parameters and the objects as a parameter per property
+ * @param {object} parameters
+ * @returns {string}
+ */
+const toQuery = parameters => {
+
+	const searchParams = new URLSearchParams();
+
+	const append = (name, value) => {
+		if(value !== undefined && value !== null)
+			searchParams.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+	};
+
+	Object.entries(parameters).forEach(([name, value]) => {
+		if(Array.isArray(value))
+			value.forEach(item => append(name, item));
+		else if(value !== null && typeof value === 'object')
+			Object.entries(value).forEach(([key, propertyValue]) => append(key, propertyValue));
+		else
+			append(name, value);
+	});
+
+	return searchParams.toString();
+};
+
+/**
+ * Returns the query parameters of a value, following the style of its parameter
+ * @param {string} name
+ * @param {*} value
+ * @param {string} style The form, spaceDelimited, pipeDelimited or deepObject style
+ * @param {boolean} explode
+ * @returns {object} The exploded arrays and objects are serialized by toQuery
+ */
+const toQueryParameters = (name, value, style, explode) => {
+
+	if(value === null || typeof value !== 'object')
+		return { [name]: value };
+
+	if(style === 'deepObject' && !Array.isArray(value))
+		return Object.entries(value).reduce((parameters, [key, propertyValue]) => ({ ...parameters, [\`\${name}[\${key}]\`]: propertyValue }), {});
+
+	if(explode)
+		return { [name]: value };
+
+	// The objects are serialized as their keys and values, like "genre,drama,year,1979"
+	const values = Array.isArray(value) ? value : Object.entries(value).reduce((items, entry) => [...items, ...entry], []);
+
+	return { [name]: values.join({ spaceDelimited: ' ', pipeDelimited: '|' }[style] || ',') };
+};
+
+/**
+ * Returns the body of a response, parsed when it's JSON
+ * @param {Response} response
+ * @returns {Promise<*>} Undefined if the response has no body
+ */
+const parseBody = async response => {
+
+	const text = await response.text();
+
+	if(!text)
+		return undefined;
+
+	if(!/json/i.test(response.headers.get('content-type') || ''))
+		return text;
+
+	try {
+		return JSON.parse(text);
+	} catch(error) {
+		return text;
+	}
+};
+`;
+
+const REQUEST_METHODS = `
+	/**
+	 * Sends the request of an operation
+	 * @param {object} operation The method, the path, the name, location and style of the parameters, the body media type and the security
+	 * @param {object} params The values of the parameters and the body
+	 * @param {object} options The headers and the abort signal of the request
+	 * @returns {Promise<*>} The parsed body of the response
+	 * @throws {ApiError} When the response status isn't 2XX
+	 */
+	async _request({ method, path, parameters, contentType, security }, params, { headers = {}, signal } = {}) {
+
+		const query = {};
+		const requestHeaders = { ...this.headers };
+		const cookies = [];
+
+		let url = path;
+
+		Object.entries(parameters).forEach(([param, { name, in: location, style = 'form', explode = style === 'form' }]) => {
+
+			const value = params[param];
+
+			if(value === undefined || value === null)
+				return;
+
+			if(location === 'path')
+				url = url.replace(\`{\${name}}\`, encodeURIComponent(Array.isArray(value) ? value.join(',') : String(value)));
+			else if(location === 'query')
+				Object.assign(query, toQueryParameters(name, value, style, explode));
+			else if(location === 'header')
+				requestHeaders[name] = String(value);
+			else
+				cookies.push(\`\${name}=\${encodeURIComponent(String(value))}\`);
+		});
+
+		await this._authorize(security, query, requestHeaders, cookies);
+
+		if(cookies.length)
+			requestHeaders.cookie = cookies.join('; ');
+
+		let body;
+
+		if(params.body !== undefined) {
+
+			requestHeaders['content-type'] = contentType;
+
+			if(/json/i.test(contentType))
+				body = JSON.stringify(params.body);
+			else if(contentType === 'application/x-www-form-urlencoded')
+				body = toQuery(params.body);
+			else
+				body = params.body;
+		}
+
+		const queryString = toQuery(query);
+
+		const response = await this.fetch(\`\${this.baseUrl}\${url}\${queryString ? \`?\${queryString}\` : ''}\`, {
+			method,
+			headers: { ...requestHeaders, ...headers },
+			body,
+			signal
+		});
+
+		const responseBody = await parseBody(response);
+
+		if(!response.ok)
+			throw new ApiError(\`\${method} \${path} failed with status \${response.status}\`, response.status, responseBody, response.headers);
+
+		return responseBody;
+	}
+
+	/**
+	 * Adds the credentials of the first security requirement of the operation that has every one of them
+	 * @param {Array<Array<string>>} security The alternative security requirements, with the names of their schemes
+	 * @param {object} query
+	 * @param {object} headers
+	 * @param {Array<string>} cookies
+	 */
+	async _authorize(security, query, headers, cookies) {
+
+		const requirement = security.find(names => names.length && names.every(name => this.auth[name] !== undefined));
+
+		if(!requirement)
+			return;
+
+		const credentials = await Promise.all(requirement.map(name => (typeof this.auth[name] === 'function' ? this.auth[name]() : this.auth[name])));
+
+		requirement.forEach((name, index) => {
+
+			const scheme = SECURITY_SCHEMES[name];
+			const value = credentials[index];
+
+			if(scheme.type === 'apiKey') {
+				if(scheme.in === 'query')
+					query[scheme.name] = value;
+				else if(scheme.in === 'cookie')
+					cookies.push(\`\${scheme.name}=\${encodeURIComponent(String(value))}\`);
+				else
+					headers[scheme.name] = String(value);
+			} else if(scheme.type === 'http' && /^basic$/i.test(scheme.scheme))
+				headers.authorization = \`Basic \${btoa(\`\${value.username}:\${value.password}\`)}\`;
+			else
+				headers.authorization = \`Bearer \${value}\`;
+		});
+	}
+`;
+
+/**
+ * Returns a unique name, adding a number to the used ones
+ * @param {string} name
+ * @param {Set<string>} usedNames The used names, the returned one is added
+ * @returns {string}
+ */
+const getUniqueName = (name, usedNames) => {
+
+	let uniqueName = name;
+
+	for(let index = 2; usedNames.has(uniqueName); index++)
+		uniqueName = `${name}${index}`;
+
+	usedNames.add(uniqueName);
+
+	return uniqueName;
+};
+
+/**
+ * Returns the code of a JSON value, with single quoted strings and unquoted keys when they are identifiers
+ * @param {*} value
+ * @returns {string}
+ */
+const renderValue = value => {
+
+	if(Array.isArray(value))
+		return `[${value.map(renderValue).join(', ')}]`;
+
+	if(isPlainObject(value)) {
+		const properties = Object.entries(value)
+			.map(([key, propertyValue]) => `${IDENTIFIER_REGEX.test(key) ? key : renderValue(key)}: ${renderValue(propertyValue)}`);
+		return properties.length ? `{ ${properties.join(', ')} }` : '{}';
+	}
+
+	if(typeof value !== 'string')
+		return JSON.stringify(value === undefined ? null : value);
+
+	// The escaped double quotes of JSON are unescaped, and the single ones escaped
+	const escaped = JSON.stringify(value)
+		.slice(1, -1)
+		.replace(/\\"/g, '"')
+		.replace(/'/g, '\\\'');
+
+	return `'${escaped}'`;
+};
+
+/**
+ * @param {Array<string>} types
+ * @returns {string} The JSDoc union of the types, without repeated ones
+ */
+const renderUnion = types => {
+
+	const uniqueTypes = [...new Set(types)];
+
+	// Any type includes the other ones
+	if(uniqueTypes.includes('*'))
+		return '*';
+
+	return uniqueTypes.length > 1 ? `(${uniqueTypes.join('|')})` : (uniqueTypes[0] || 'never');
+};
+
+/**
+ * Returns the lines of a JSDoc comment
+ * @param {Array<string>} lines
+ * @param {number} indent
+ * @returns {string}
+ */
+const renderComment = (lines, indent) => {
+	const tabs = '\t'.repeat(indent);
+	const escapedLines = lines.map(line => `${tabs} * ${line.replace(/\*\//g, '*\\/')}`.trimEnd());
+	return `${tabs}/**\n${escapedLines.join('\n')}\n${tabs} */`;
+};
+
+/**
+ * @param {*} object
+ * @returns {string} The description of an object in a single line, or an empty string
+ */
+const getDescription = object => {
+
+	if(!isPlainObject(object) || typeof object.description !== 'string')
+		return '';
+
+	return object.description.trim().replace(/\s*\n\s*/g, ' ');
+};
+
+/**
+ * Generates a JavaScript client of a built schema, without dependencies: a class with a method per operation with an operationId,
+ * that sends the requests with fetch, and the JSDoc types of the component schemas
+ */
+class ApiClient {
+
+	/**
+	 * @param {object} spec The built schema
+	 */
+	constructor(spec) {
+		this.spec = spec;
+	}
+
+	/**
+	 * Renders the client module
+	 * @returns {string} The code of the CommonJS module, that exports the client class with its servers and its error class
+	 */
+	render() {
+
+		const info = isPlainObject(this.spec.info) ? this.spec.info : {};
+		const title = [info.title, info.version].filter(text => typeof text === 'string').join(' ') || 'the API';
+
+		// The names are assigned before rendering any type, for the references
+		this.schemaNames = this._getSchemaNames();
+
+		const usedMethods = new Set(RESERVED_METHODS);
+		const methods = this._getOperations().map(operation => {
+			const name = getUniqueName(SpecUtils.toIdentifier(operation.operation.operationId, true), usedMethods);
+			return this._renderOperation(name, operation);
+		});
+
+		const clientDoc = renderComment([
+			`The client of ${title}`,
+			'@param {object} [options]',
+			'@param {string} [options.baseUrl] The URL the paths are added to. DEFAULT = the URL of the first server of the schema',
+			'@param {object} [options.headers] The headers of every request',
+			`@param {object} [options.auth] The credentials of the security schemes by name${this._getSchemeNames()}:`,
+			'the API keys and the tokens, { username, password } for the basic schemes, or functions that resolve them',
+			'@param {function} [options.fetch] The function that sends the requests. DEFAULT = the global fetch'
+		], 1);
+
+		const fileDoc = renderComment([
+			`The client of ${title}, generated from its schema by @janiscommerce/api-schema-builder.`,
+			'Don\'t edit this file, it\'s written again in every build.'
+		], 0);
+
+		return `'use strict';
+
+${fileDoc}
+${this._renderTypedefs()}
+const SERVERS = ${renderValue(this._getServers())};
+
+const SECURITY_SCHEMES = ${renderValue(this._getSecuritySchemes())};
+${RUNTIME}
+class ApiClient {
+
+${clientDoc}
+	constructor({
+		baseUrl = SERVERS[0] || '',
+		headers = {},
+		auth = {},
+		fetch: fetchFunction
+	} = {}) {
+		this.baseUrl = baseUrl.replace(/\\/+$/, '');
+		this.headers = headers;
+		this.auth = auth;
+		this.fetch = fetchFunction || ((...args) => fetch(...args));
+	}
+${methods.join('')}${REQUEST_METHODS}}
+
+ApiClient.servers = SERVERS;
+ApiClient.ApiError = ApiError;
+
+module.exports = ApiClient;
+`;
+	}
+
+	/**
+	 * @returns {object} The component schemas
+	 */
+	_getSchemas() {
+		const { components } = this.spec;
+		return isPlainObject(components) && isPlainObject(components.schemas) ? components.schemas : {};
+	}
+
+	/**
+	 * Returns a unique type name for every component schema
+	 * @returns {object} The type names by schema name
+	 */
+	_getSchemaNames() {
+		const usedNames = new Set();
+		return Object.keys(this._getSchemas())
+			.reduce((schemaNames, name) => ({ ...schemaNames, [name]: getUniqueName(SpecUtils.toIdentifier(name), usedNames) }), {});
+	}
+
+	/**
+	 * @returns {string} The JSDoc typedef of every component schema, with the properties of the object schemas
+	 */
+	_renderTypedefs() {
+
+		const schemas = this._getSchemas();
+
+		const typedefs = Object.entries(this.schemaNames).map(([name, typeName]) => {
+
+			const schema = schemas[name];
+			const description = getDescription(schema);
+
+			const isObject = isPlainObject(schema)
+				&& isPlainObject(schema.properties)
+				&& (schema.type === undefined || schema.type === 'object')
+				&& ['$ref', 'const', 'enum', 'allOf', 'oneOf', 'anyOf'].every(keyword => schema[keyword] === undefined);
+
+			if(!isObject)
+				return renderComment([...(description ? [description] : []), `@typedef {${this._renderType(schema)}} ${typeName}`], 0);
+
+			const required = Array.isArray(schema.required) ? schema.required : [];
+
+			const properties = Object.entries(schema.properties).map(([propertyName, propertySchema]) => {
+				const propertyDescription = getDescription(propertySchema);
+				const optionalName = required.includes(propertyName) ? propertyName : `[${propertyName}]`;
+				return `@property {${this._renderType(propertySchema, 1)}} ${optionalName}${propertyDescription ? ` ${propertyDescription}` : ''}`;
+			});
+
+			return renderComment([
+				...(description ? [description] : []),
+				`@typedef {${schema.nullable === true ? '?object' : 'object'}} ${typeName}`,
+				...properties
+			], 0);
+		});
+
+		return typedefs.length ? `\n${typedefs.join('\n\n')}\n` : '';
+	}
+
+	/**
+	 * Returns the URLs of the servers, with the default values of their variables
+	 * @returns {Array<string>}
+	 */
+	_getServers() {
+
+		const servers = Array.isArray(this.spec.servers) ? this.spec.servers : [];
+
+		return servers
+			.filter(server => isPlainObject(server) && typeof server.url === 'string')
+			.map(({ url, variables }) => url.replace(/\{([^}]+)\}/g, (variable, name) => {
+				const serverVariable = isPlainObject(variables) && variables[name];
+				return isPlainObject(serverVariable) && serverVariable.default !== undefined ? String(serverVariable.default) : variable;
+			}));
+	}
+
+	/**
+	 * Returns the security schemes, with the keys the client uses
+	 * @returns {object}
+	 */
+	_getSecuritySchemes() {
+
+		const { components } = this.spec;
+		const securitySchemes = isPlainObject(components) && isPlainObject(components.securitySchemes) ? components.securitySchemes : {};
+
+		return Object.entries(securitySchemes)
+			.map(([name, scheme]) => [name, SpecUtils.resolve(this.spec, scheme)])
+			.filter(([, scheme]) => isPlainObject(scheme) && typeof scheme.type === 'string')
+			.reduce((schemes, [name, scheme]) => ({
+				...schemes,
+				[name]: scheme.type === 'apiKey'
+					? { type: scheme.type, in: scheme.in, name: scheme.name }
+					: { type: scheme.type, ...(scheme.scheme ? { scheme: scheme.scheme } : {}) }
+			}), {});
+	}
+
+	/**
+	 * @returns {string} The names of the security schemes, between parentheses, or an empty string if there are none
+	 */
+	_getSchemeNames() {
+		const names = Object.keys(this._getSecuritySchemes());
+		return names.length ? ` (${names.join(', ')})` : '';
+	}
+
+	/**
+	 * Returns the operations with an operationId
+	 * @returns {Array<object>} The method, path, path item and operation of every one
+	 */
+	_getOperations() {
+
+		const paths = isPlainObject(this.spec.paths) ? this.spec.paths : {};
+
+		return Object.entries(paths)
+			.filter(([, pathItem]) => isPlainObject(pathItem))
+			.reduce((operations, [path, pathItem]) => [
+				...operations,
+				...SpecUtils.operationMethods
+					.filter(method => isPlainObject(pathItem[method]) && typeof pathItem[method].operationId === 'string')
+					.map(method => ({
+						method,
+						path,
+						pathItem,
+						operation: pathItem[method]
+					}))
+			], []);
+	}
+
+	/**
+	 * Renders the method of an operation, with the JSDoc of its parameters, its body and its response
+	 * @param {string} name The method name
+	 * @param {object} operation The method, path, path item and operation
+	 * @returns {string}
+	 */
+	_renderOperation(name, {
+		method,
+		path,
+		pathItem,
+		operation
+	}) {
+
+		// The parameters of the operation override the ones of the path item
+		const parameters = Object.values([
+			...(Array.isArray(pathItem.parameters) ? pathItem.parameters : []),
+			...(Array.isArray(operation.parameters) ? operation.parameters : [])
+		]
+			.map(parameter => SpecUtils.resolve(this.spec, parameter))
+			.filter(parameter => isPlainObject(parameter) && typeof parameter.name === 'string' && PARAMETER_LOCATIONS.includes(parameter.in))
+			.reduce((parametersByKey, parameter) => ({ ...parametersByKey, [`${parameter.in}:${parameter.name}`]: parameter }), {}));
+
+		const requestBody = SpecUtils.resolve(this.spec, operation.requestBody);
+		const [contentType, mediaTypeObject] = this._getRequestMediaType(requestBody);
+
+		const isRequired = parameter => parameter.required === true || parameter.in === 'path';
+
+		const paramNames = this._getParamNames(parameters, !!contentType);
+
+		const paramLines = parameters.map((parameter, index) => {
+
+			const description = getDescription(parameter);
+			const paramName = IDENTIFIER_REGEX.test(paramNames[index]) ? `params.${paramNames[index]}` : `params[${JSON.stringify(paramNames[index])}]`;
+			const type = parameter.schema !== undefined ? this._renderType(parameter.schema) : this._renderContentType(parameter.content);
+
+			return `@param {${type}} ${isRequired(parameter) ? paramName : `[${paramName}]`}${description ? ` ${description}` : ''}`;
+		});
+
+		if(contentType) {
+			const description = getDescription(requestBody);
+			const type = isPlainObject(mediaTypeObject) ? this._renderType(mediaTypeObject.schema) : '*';
+			paramLines.push(`@param {${type}} ${requestBody.required === true ? 'params.body' : '[params.body]'}${description ? ` ${description}` : ''}`);
+		}
+
+		const hasRequiredParams = parameters.some(isRequired) || (!!contentType && requestBody.required === true);
+
+		const summary = typeof operation.summary === 'string' && operation.summary ? `${operation.summary.trim()}: ` : '';
+
+		const doc = renderComment([
+			`${summary}${method.toUpperCase()} ${path}`,
+			...(operation.deprecated === true ? ['@deprecated'] : []),
+			`@param {object} ${hasRequiredParams ? 'params' : '[params]'} The parameters${contentType ? ' and the body' : ''}`,
+			...paramLines,
+			'@param {object} [options] The headers and the abort signal of the request',
+			`@returns {Promise<${this._getResponseType(operation.responses)}>} The parsed body of the response`,
+			'@throws {ApiError} When the response status isn\'t 2XX'
+		], 1);
+
+		const request = {
+			method: method.toUpperCase(),
+			path,
+			parameters: parameters.reduce((locations, parameter, index) => ({
+				...locations,
+				[paramNames[index]]: {
+					name: parameter.name,
+					in: parameter.in,
+					...(typeof parameter.style === 'string' ? { style: parameter.style } : {}),
+					...(typeof parameter.explode === 'boolean' ? { explode: parameter.explode } : {})
+				}
+			}), {}),
+			...(contentType ? { contentType } : {}),
+			security: this._getSecurity(operation)
+		};
+
+		return `
+${doc}
+	${name}(params = {}, options = {}) {
+		return this._request(${renderValue(request)}, params, options);
+	}
+`;
+	}
+
+	/**
+	 * Returns the names of the parameters of a method. The parameters with the same name in other location, like a path and a query "id",
+	 * are named by their location, like "pathId" and "queryId"
+	 * @param {Array<object>} parameters
+	 * @param {boolean} hasBody If the method receives the body, so the parameters can't be named "body"
+	 * @returns {Array<string>} The name of every parameter
+	 */
+	_getParamNames(parameters, hasBody) {
+
+		const usedNames = new Set(hasBody ? ['body'] : []);
+
+		return parameters.map(({ name, in: location }) => {
+			const isRepeated = parameters.filter(parameter => parameter.name === name).length > 1;
+			return getUniqueName(isRepeated ? `${location}${upperFirst(name)}` : name, usedNames);
+		});
+	}
+
+	/**
+	 * Returns the media type of the request bodies, the first JSON one or the first one
+	 * @param {*} requestBody
+	 * @returns {Array} The media type and its object, empty if the operation has no body
+	 */
+	_getRequestMediaType(requestBody) {
+
+		if(!isPlainObject(requestBody) || !isPlainObject(requestBody.content))
+			return [];
+
+		const mediaTypes = Object.entries(requestBody.content);
+
+		return mediaTypes.find(([mediaType]) => /json/i.test(mediaType)) || mediaTypes[0] || [];
+	}
+
+	/**
+	 * Returns the security requirements of an operation, or the ones of the schema
+	 * @param {object} operation
+	 * @returns {Array<Array<string>>} The names of the schemes of every requirement, without the ones with unknown schemes
+	 */
+	_getSecurity(operation) {
+
+		const securitySchemes = this._getSecuritySchemes();
+		const security = Array.isArray(operation.security) ? operation.security : this.spec.security;
+
+		if(!Array.isArray(security))
+			return [];
+
+		return security
+			.filter(requirement => isPlainObject(requirement))
+			.map(requirement => Object.keys(requirement))
+			.filter(names => names.every(name => securitySchemes[name]));
+	}
+
+	/**
+	 * Returns the JSDoc type of the success responses of an operation, or the default one
+	 * @param {*} responses
+	 * @returns {string}
+	 */
+	_getResponseType(responses) {
+
+		if(!isPlainObject(responses))
+			return '*';
+
+		const codes = Object.keys(responses);
+		const successCodes = codes.filter(code => SUCCESS_CODE_REGEX.test(code));
+
+		const resolvedResponses = (successCodes.length ? successCodes : codes.filter(code => code === 'default'))
+			.map(code => SpecUtils.resolve(this.spec, responses[code]))
+			.filter(response => isPlainObject(response));
+
+		if(!resolvedResponses.length)
+			return '*';
+
+		return renderUnion(resolvedResponses.map(response => (isPlainObject(response.content) && Object.keys(response.content).length
+			? this._renderContentType(response.content)
+			: 'undefined')));
+	}
+
+	/**
+	 * @param {*} content
+	 * @returns {string} The JSDoc union of the schema types of every media type
+	 */
+	_renderContentType(content) {
+
+		if(!isPlainObject(content))
+			return '*';
+
+		const types = Object.values(content).map(mediaTypeObject => (isPlainObject(mediaTypeObject) ? this._renderType(mediaTypeObject.schema) : '*'));
+
+		return renderUnion(types);
+	}
+
+	/**
+	 * Renders the JSDoc type of a schema: the references as the component types, the enums as unions of literals,
+	 * oneOf and anyOf as unions, allOf as intersections and the objects as record types
+	 * @param {*} schema
+	 * @param {number} depth DEFAULT = 0
+	 * @returns {string}
+	 */
+	_renderType(schema, depth = 0) {
+
+		if(schema === false)
+			return 'never';
+
+		if(!isPlainObject(schema))
+			return '*';
+
+		if(typeof schema.$ref === 'string') {
+			const [, name] = schema.$ref.match(SCHEMA_REF_REGEX) || [];
+			return (name && this.schemaNames[decodeURIComponent(name)]) || '*';
+		}
+
+		const parts = [];
+		const renderLiteral = value => (value !== null && typeof value === 'object' ? '*' : JSON.stringify(value));
+
+		if(schema.const !== undefined)
+			parts.push(renderLiteral(schema.const));
+		else if(Array.isArray(schema.enum))
+			parts.push(renderUnion(schema.enum.map(renderLiteral)));
+		else {
+			const ownType = this._renderOwnType(schema, depth);
+
+			if(ownType)
+				parts.push(ownType);
+		}
+
+		['oneOf', 'anyOf']
+			.filter(keyword => Array.isArray(schema[keyword]))
+			.forEach(keyword => parts.push(renderUnion(schema[keyword].map(subschema => this._renderType(subschema, depth)))));
+
+		if(Array.isArray(schema.allOf))
+			parts.push(...schema.allOf.map(subschema => this._renderType(subschema, depth)));
+
+		const knownParts = [...new Set(parts)].filter(part => part !== '*');
+
+		const type = knownParts.length > 1 ? `(${knownParts.join(' & ')})` : (knownParts[0] || '*');
+
+		return schema.nullable === true && type !== '*' && type !== 'null' ? `?${type}` : type;
+	}
+
+	/**
+	 * Renders the JSDoc types of the type keyword, or the implicit object and array types
+	 * @param {object} schema
+	 * @param {number} depth
+	 * @returns {string|null} Null if the schema doesn't define a type
+	 */
+	_renderOwnType(schema, depth) {
+
+		let types = [].concat(schema.type || []);
+
+		if(!types.length) {
+
+			if(schema.properties !== undefined || schema.additionalProperties !== undefined)
+				types = ['object'];
+			else if(schema.items !== undefined)
+				types = ['array'];
+			else
+				return null;
+		}
+
+		return renderUnion(types.map(type => {
+
+			if(type === 'integer')
+				return 'number';
+
+			if(type === 'array')
+				return `Array<${schema.items !== undefined ? this._renderType(schema.items, depth) : '*'}>`;
+
+			if(type === 'object')
+				return this._renderObjectType(schema, depth);
+
+			return ['string', 'number', 'boolean', 'null'].includes(type) ? type : '*';
+		}));
+	}
+
+	/**
+	 * Renders the JSDoc type of an object, with its properties until the maximum depth
+	 * @param {object} schema
+	 * @param {number} depth
+	 * @returns {string}
+	 */
+	_renderObjectType(schema, depth) {
+
+		const { additionalProperties } = schema;
+
+		if(isPlainObject(schema.properties) && Object.keys(schema.properties).length && depth < MAX_DEPTH) {
+
+			const required = Array.isArray(schema.required) ? schema.required : [];
+
+			const properties = Object.entries(schema.properties).map(([name, propertySchema]) => {
+				const key = IDENTIFIER_REGEX.test(name) ? name : JSON.stringify(name);
+				return `${key}${required.includes(name) ? '' : '?'}: ${this._renderType(propertySchema, depth + 1)}`;
+			});
+
+			return `{ ${properties.join(', ')} }`;
+		}
+
+		if(isPlainObject(additionalProperties) && !schema.properties)
+			return `Object<string, ${this._renderType(additionalProperties, depth + 1)}>`;
+
+		return 'object';
+	}
+}
+
+module.exports = ApiClient;
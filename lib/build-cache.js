@@ -0,0 +1,201 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { cloneDeep, isEqual, isPlainObject } = require('lodash');
+
+const WriteError = require('./errors/write-error');
+const { version } = require('../package.json');
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+const mkdir = util.promisify(fs.mkdir);
+
+/**
+ * @param {string} content
+ * @returns {string} The SHA-1 hash of the content
+ */
+const hash = content => crypto
+	.createHash('sha1')
+	.update(content)
+	.digest('hex');
+
+/**
+ * Checks if a value is the same after a JSON round trip, unlike the dates of the YAML files. The undefined properties are removed
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isJsonValue = value => {
+
+	if(Array.isArray(value))
+		return value.every(isJsonValue);
+
+	if(isPlainObject(value))
+		return Object.values(value).every(property => property === undefined || isJsonValue(property));
+
+	return value === null || typeof value === 'string' || typeof value === 'boolean' || Number.isFinite(value);
+};
+
+/**
+ * The cache of the build of a schema type: its result and its parsed files, by content hash.
+ * It's only used by the same builder version with the same options
+ */
+class BuildCache {
+
+	/**
+	 * @param {string} file The cache file
+	 * @param {object} options The options that change the built schema
+	 */
+	constructor(file, options = {}) {
+
+		this.file = file;
+		this.key = hash(JSON.stringify({ version, options }));
+
+		this.sources = [];
+		this.files = {};
+		this.result = null;
+
+		this.parsedFiles = new Map();
+
+		// The parsed files of the current build, the only ones that are saved
+		this.usedParsedFiles = new Map();
+
+		// The hashes of the contents read by the current build, by file
+		this.readFiles = new Map();
+	}
+
+	/**
+	 * Hashes the content of a file
+	 * @async
+	 * @param {string} file
+	 * @returns {string|null} Null if the file can't be read, like the remote references
+	 */
+	static async hashFile(file) {
+		try {
+			return hash(await readFile(file));
+		} catch(error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Loads the cache file, the invalid ones and the ones of other versions or options are ignored
+	 * @async
+	 */
+	async load() {
+
+		let cache;
+
+		try {
+			cache = JSON.parse(await readFile(this.file, 'utf8'));
+		} catch(error) {
+			return;
+		}
+
+		if(!isPlainObject(cache) || cache.key !== this.key)
+			return;
+
+		this.sources = cache.sources;
+		this.files = cache.files;
+		this.result = cache.result;
+		this.parsedFiles = new Map(Object.entries(cache.parsedFiles));
+	}
+
+	/**
+	 * Returns the cached result of the build, if the source files are the same and they and their references didn't change
+	 * @async
+	 * @param {Array<string>} sources The source files of the schema type, in merge order
+	 * @returns {object|null}
+	 */
+	async getResult(sources) {
+
+		if(!this.result || !isEqual(sources, this.sources))
+			return null;
+
+		for(const [file, fileHash] of Object.entries(this.files)) {
+			if(await this.constructor.hashFile(file) !== fileHash)
+				return null;
+		}
+
+		return this.result;
+	}
+
+	/**
+	 * Records the content of a file read by the build, the result is saved with its hash and not the one of the file when the build ends
+	 * @param {string} file
+	 * @param {string} content
+	 */
+	addFile(file, content) {
+		this.readFiles.set(file, hash(content));
+	}
+
+	/**
+	 * Parses the content of a file, unless it was parsed by a previous build. The content is recorded as read by the build
+	 * @param {string} file The file, its extension is part of the hash
+	 * @param {string} content
+	 * @param {function} parse Receives nothing and returns the parsed content
+	 * @returns {*}
+	 */
+	parse(file, content, parse) {
+
+		this.addFile(file, content);
+
+		const contentHash = hash(`${path.extname(file).toLowerCase()}\n${content}`);
+
+		if(this.parsedFiles.has(contentHash)) {
+			this.usedParsedFiles.set(contentHash, this.parsedFiles.get(contentHash));
+			return cloneDeep(this.parsedFiles.get(contentHash));
+		}
+
+		const parsed = parse();
+
+		// Cloned because the parsed files are changed by the build
+		if(isJsonValue(parsed))
+			this.usedParsedFiles.set(contentHash, cloneDeep(parsed));
+
+		return parsed;
+	}
+
+	/**
+	 * Writes the cache file with the result of the build, the hashes of the contents it read and the parsed files.
+	 * The result isn't saved when some file wasn't read by the build or it can't be read, so the schemas with remote references are always built,
+	 * or when it has values that JSON can't keep
+	 * @async
+	 * @param {Array<string>} sources The source files of the schema type, in merge order
+	 * @param {object} result The result of the build, with every file it depends on
+	 * @throws {WriteError} If the cache file can't be written
+	 */
+	async save(sources, result) {
+
+		const files = {};
+		let cachedResult = isJsonValue(result) ? result : null;
+
+		for(const file of result.files) {
+
+			// A file changed during the build is built again by the next one
+			files[file] = await this.constructor.hashFile(file) ? this.readFiles.get(file) || null : null;
+
+			if(!files[file])
+				cachedResult = null;
+		}
+
+		const cache = {
+			key: this.key,
+			sources,
+			files: cachedResult ? files : {},
+			result: cachedResult,
+			parsedFiles: [...this.usedParsedFiles].reduce((parsedFiles, [contentHash, parsed]) => ({ ...parsedFiles, [contentHash]: parsed }), {})
+		};
+
+		try {
+			await mkdir(path.dirname(this.file), { recursive: true });
+			await writeFile(this.file, JSON.stringify(cache));
+		} catch(error) {
+			throw new WriteError(`Can't write the cache file '${path.relative(process.cwd(), this.file)}'. ${error.message}`, this.file);
+		}
+	}
+}
+
+module.exports = BuildCache;
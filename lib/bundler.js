@@ -0,0 +1,237 @@
+'use strict';
+
+const path = require('path');
+
+const {
+	camelCase,
+	cloneDeep,
+	get,
+	has,
+	isEmpty,
+	omit,
+	set,
+	upperFirst
+} = require('lodash');
+
+const SpecUtils = require('./spec-utils');
+
+/**
+ * The components sections of the objects that can be referenced, by the key of the object in its parent
+ */
+const SECTIONS_BY_KEY = new Map([
+	['schema', 'schemas'],
+	['items', 'schemas'],
+	['not', 'schemas'],
+	['additionalProperties', 'schemas'],
+	['requestBody', 'requestBodies']
+]);
+
+/**
+ * The components sections of the objects that can be referenced, by the key of the map or array that contains them
+ */
+const SECTIONS_BY_PARENT_KEY = new Map([
+	['properties', 'schemas'],
+	['allOf', 'schemas'],
+	['oneOf', 'schemas'],
+	['anyOf', 'schemas'],
+	['parameters', 'parameters'],
+	['responses', 'responses'],
+	['headers', 'headers'],
+	['examples', 'examples'],
+	['links', 'links'],
+	['callbacks', 'callbacks']
+]);
+
+/**
+ * The keys of the path items maps
+ */
+const PATH_ITEMS_KEYS = ['paths', 'webhooks'];
+
+/**
+ * Checks if a path is the path of a component, like components.schemas.Product
+ * @param {Array<string>} keys
+ * @returns {boolean}
+ */
+const isComponentPath = keys => keys.length === 3 && keys[0] === 'components';
+
+/**
+ * Returns the components section where a referenced object must be moved, by the place where it is used
+ * @param {Array<string>} keys The path where the object is used
+ * @param {string} version The OpenAPI version of the schema, like '3.1'
+ * @returns {string|undefined} Undefined when the object can't be a component, like a path item before OpenAPI 3.1
+ */
+const getSection = (keys, version) => {
+
+	// A component defined as a reference
+	if(isComponentPath(keys))
+		return keys[1];
+
+	if(keys.length === 2 && PATH_ITEMS_KEYS.includes(keys[0]))
+		return version === '3.1' ? 'pathItems' : undefined;
+
+	const key = keys[keys.length - 1];
+	const parentKey = keys[keys.length - 2];
+
+	// The schema properties and the maps items may have any name, the key of the parent is checked first
+	return SECTIONS_BY_PARENT_KEY.get(parentKey) || SECTIONS_BY_KEY.get(key);
+};
+
+/**
+ * Returns a component name for a referenced file: the last key of the reference fragment, like 'NotFound' for
+ * './responses.yml#/NotFound', or the file name in pascal case, like 'MovieList' for './movie-list.yml'
+ * @param {string} uri The fully qualified URI of the reference
+ * @returns {string}
+ */
+const getName = uri => {
+
+	const [file, fragment = ''] = uri.split('#');
+	const fragmentKeys = SpecUtils.getKeys(decodeURIComponent(fragment));
+
+	let name = fragmentKeys[fragmentKeys.length - 1];
+
+	if(!name) {
+		const { name: fileName, dir } = path.parse(file);
+		// An index file is named by its directory, like './movie/index.yml'
+		name = upperFirst(camelCase(fileName === 'index' ? path.basename(dir) : fileName));
+	}
+
+	return name.replace(/[^a-zA-Z0-9._-]/g, '_') || 'Component';
+};
+
+/**
+ * Returns the references sorted by depth, with their keys and the properties defined next to the $ref
+ * @param {object} refs The references resolved by json-refs, by pointer
+ * @param {string} version The OpenAPI version of the schema, the properties next to the $ref are ignored before OpenAPI 3.1
+ * @returns {Array<{ keys: Array<string>, uri: string, circular: boolean, siblings: object }>}
+ */
+const sortRefs = (refs, version) => Object.entries(refs)
+	.map(([pointer, ref]) => ({
+		// The json-refs pointers are URI fragments, like '#/paths/~1movies'
+		keys: SpecUtils.getKeys(decodeURIComponent(pointer.slice(1))),
+		uri: ref.fqURI,
+		circular: !!ref.circular,
+		siblings: version === '3.1' ? omit(ref.def, '$ref') : {}
+	}))
+	.sort((a, b) => a.keys.length - b.keys.length);
+
+/**
+ * Sets the properties defined next to a $ref in the inlined object, without modifying the other copies of the object
+ * @param {object} schema
+ * @param {Array<string>} keys The path of the reference
+ * @param {object} siblings The properties defined next to the $ref
+ */
+const applySiblings = (schema, keys, siblings) => {
+	if(!isEmpty(siblings))
+		set(schema, keys, { ...get(schema, keys), ...siblings });
+};
+
+/**
+ * Bundles the schemas: the objects of the referenced files are moved to the components and referenced
+ * with internal references, like '#/components/schemas/Movie', instead of inlining them everywhere they are used
+ */
+class Bundler {
+
+	/**
+	 * Returns a copy of the resolved schema with the referenced objects moved to the components.
+	 * The objects that can't be components, like the path items, are kept inlined.
+	 * Since OpenAPI 3.1 the properties defined next to a $ref, like a description, are kept next to the internal reference.
+	 * @param {object} resolvedSchema The schema with the references resolved by json-refs
+	 * @param {object} refs The references resolved by json-refs, by pointer
+	 * @param {string} version The OpenAPI version of the schema, like '3.1'
+	 * @returns {{ schema: object, components: Array<{ pointer: string, uri: string }> }} The components created for the referenced objects
+	 */
+	static bundle(resolvedSchema, refs, version) {
+
+		// The shared objects are kept shared, so every copy of a referenced object is replaced once
+		const schema = cloneDeep(resolvedSchema);
+
+		const components = new Map();
+		const names = new Set();
+
+		const sortedRefs = sortRefs(refs, version);
+
+		// The components defined as references are named first, so they keep their names
+		[...sortedRefs.filter(({ keys }) => isComponentPath(keys)), ...sortedRefs].forEach(({ keys, uri }) => {
+
+			const section = getSection(keys, version);
+			const id = `${section} ${uri}`;
+
+			if(!section || components.has(id))
+				return;
+
+			if(isComponentPath(keys)) {
+				components.set(id, { section, name: keys[2], uri, defined: true });
+				return;
+			}
+
+			const baseName = getName(uri);
+			let name = baseName;
+
+			for(let suffix = 2; names.has(`${section}/${name}`) || has(schema, ['components', section, name]); suffix++)
+				name = `${baseName}${suffix}`;
+
+			names.add(`${section}/${name}`);
+			components.set(id, { section, name, uri, defined: false });
+		});
+
+		// The deepest references go first, so the nested references are replaced before moving their parents
+		[...sortedRefs].reverse().forEach(({
+			keys,
+			uri,
+			circular,
+			siblings
+		}) => {
+
+			const component = components.get(`${getSection(keys, version)} ${uri}`);
+
+			if(!component) {
+				applySiblings(schema, keys, siblings);
+				return;
+			}
+
+			const componentKeys = ['components', component.section, component.name];
+
+			if(keys.join('/') === componentKeys.join('/')) {
+				applySiblings(schema, keys, siblings);
+				return;
+			}
+
+			if(!component.defined && !circular) {
+				set(schema, componentKeys, get(schema, keys));
+				component.defined = true;
+			}
+
+			set(schema, keys, { $ref: `#/components/${component.section}/${component.name}`, ...siblings });
+		});
+
+		return {
+			schema,
+			components: [...components.values()].map(({ section, name, uri }) => ({ pointer: `/components/${section}/${name}`, uri }))
+		};
+	}
+
+	/**
+	 * Returns the resolved schema with every reference inlined.
+	 * Since OpenAPI 3.1 the properties defined next to a $ref, like a description, override the ones of the inlined object.
+	 * @param {object} resolvedSchema The schema with the references resolved by json-refs
+	 * @param {object} refs The references resolved by json-refs, by pointer
+	 * @param {string} version The OpenAPI version of the schema, like '3.1'
+	 * @returns {object}
+	 */
+	static dereference(resolvedSchema, refs, version) {
+
+		if(version !== '3.1')
+			return resolvedSchema;
+
+		const schema = cloneDeep(resolvedSchema);
+
+		sortRefs(refs, version)
+			.reverse()
+			.forEach(({ keys, siblings }) => applySiblings(schema, keys, siblings));
+
+		return schema;
+	}
+
+}
+
+module.exports = Bundler;
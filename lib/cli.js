@@ -0,0 +1,501 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const ApiSchemaBuilder = require('./index');
+const ApiSchemaBuilderError = require('./errors/api-schema-builder-error');
+const WriteError = require('./errors/write-error');
+const Config = require('./config');
+const ContractTester = require('./contract-tester');
+const logger = require('./logger');
+const MockServer = require('./mock-server');
+const Watcher = require('./watcher');
+const { version } = require('../package.json');
+
+const mkdir = util.promisify(fs.mkdir);
+const writeFile = util.promisify(fs.writeFile);
+
+const CONTRACT_REPORT_FILE = 'contract-report.xml';
+
+const USAGE = `Usage: api-schema-builder [command] [options]
+
+Commands:
+  build                 Build the schemas (default)
+  mock                  Start a mock server that answers the operations of a built schema, the first selected type or public
+  test                  Send the example requests of a built schema to a running service and validate its responses
+
+Options:
+  -c, --config <file>   The config file (default: .api-schema-builder.{json,yml,js} or the "apiSchemaBuilder" key of package.json)
+  -s, --src <dir>       The schemas source directory (default: schemas/src)
+  -o, --out <dir>       The directory where the schemas are built (default: schemas)
+  -t, --type <name>     A schema type to build, can be repeated (default: every type in the source directory)
+  -f, --format <format> The output format: json, yaml or both (default: json)
+  -m, --minify          Write the JSON output minified
+  -r, --report <format> Write the validation report file: text, json or junit
+      --report-file <file> The validation report file (default: build-report.{txt,json,xml} in the output directory)
+      --canonical       Write the schemas keys in a canonical order, for reproducible builds and clean diffs
+      --docs            Write the HTML documentation of every schema in the docs directory of the output directory
+      --dts             Write the TypeScript type definitions of every schema next to it, like public.d.ts
+      --client          Write the JavaScript client of every schema next to it, like public.client.js
+      --collection <format> Write the collection of every schema next to it: postman, insomnia or both
+      --dereference     Inline the referenced files everywhere they are used, instead of moving them to the components
+  -l, --lint            Check the schemas against the lint rules, with the severities of the config file or the default ones
+      --diff <format>   Write the changelog between the previous and the new schemas: markdown or json
+      --baseline <path> The previous schema file, or a directory with the previous schemas (default: the output directory)
+      --fail-on-breaking Fail if there are breaking changes since the previous schemas, without writing them
+  -e, --env <name>      Apply the overlay of an environment, like schemas/overlays/qa.yml
+      --include <filter> Keep only the operations that match a filter, can be repeated
+      --exclude <filter> Remove the operations that match a filter, can be repeated
+                        The filters are tag:<name>, path:<glob>, method:<name> or an extension like x-internal
+  -w, --watch           Build again the changed schema types every time a source or referenced file changes
+      --no-cache        Build every schema type, without the cache of the unchanged ones in the .cache directory of the output directory
+  -q, --quiet           Only log errors
+  -h, --help            Show this help
+  -v, --version         Show the version
+
+Mock options:
+      --port <number>   The mock server port (default: 4010)
+      --host <host>     The mock server host (default: localhost)
+      --build           Build the schema from the sources, even if it was already built
+
+Test options:
+      --base-url <url>  The URL of the service, required
+      --header <header> A header of every request, like "Authorization: Bearer token", can be repeated
+      --junit <file>    The JUnit report file (default: contract-report.xml in the output directory)
+      --build           Build the schema from the sources, even if it was already built
+
+Exit codes:
+  0  Success
+  1  Unexpected error
+  2  Invalid arguments
+  3  Source directory or schema type not found
+  4  Parse error
+  5  Validation error or lint error
+  6  Write error
+  7  Invalid config file
+  8  Merge conflict, with the error merge strategy
+  9  Breaking changes, with the fail-on-breaking option
+  10 Contract test failures
+`;
+
+/**
+ * The options that need a value, by flag and alias
+ */
+const VALUE_OPTIONS = {
+	'--config': 'config',
+	'-c': 'config',
+	'--src': 'src',
+	'-s': 'src',
+	'--out': 'out',
+	'-o': 'out',
+	'--type': 'types',
+	'-t': 'types',
+	'--format': 'format',
+	'-f': 'format',
+	'--report': 'report',
+	'-r': 'report',
+	'--report-file': 'reportFile',
+	'--diff': 'diff',
+	'--collection': 'collection',
+	'--baseline': 'baseline',
+	'--env': 'env',
+	'-e': 'env',
+	'--include': 'include',
+	'--exclude': 'exclude',
+	'--port': 'port',
+	'--host': 'host',
+	'--base-url': 'baseUrl',
+	'--header': 'headers',
+	'--junit': 'junit'
+};
+
+const COMMANDS = ['build', 'mock', 'test'];
+
+/**
+ * The options of every command, they aren't options of the ApiSchemaBuilder
+ */
+const COMMAND_OPTIONS = {
+	mock: ['port', 'host', 'build'],
+	test: ['baseUrl', 'headers', 'junit', 'build']
+};
+
+/**
+ * The filter criterion of every prefix of the include and exclude arguments
+ */
+const FILTER_PREFIXES = {
+	tag: 'tags',
+	path: 'paths',
+	method: 'methods'
+};
+
+/**
+ * Adds an include or exclude argument to the filter criteria, like "tag:internal", "path:/admin/**" or "x-internal"
+ * @param {object} criteria The current criteria. DEFAULT = {}
+ * @param {string} flag The argument flag
+ * @param {string} value The argument value
+ * @returns {object} The criteria with the new value
+ * @throws {ApiSchemaBuilderError} If the value isn't a valid filter
+ */
+const addCriterion = (criteria = {}, flag, value) => {
+
+	const [, prefix, prefixValue] = value.match(/^([a-z]+):(.+)$/) || [];
+
+	const criterion = value.startsWith('x-') ? 'extensions' : FILTER_PREFIXES[prefix];
+
+	if(!criterion) {
+		throw new ApiSchemaBuilderError(`Invalid filter '${value}' for argument '${flag}', must be tag:<name>, path:<glob>, method:<name> or x-<extension>`,
+			ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+	}
+
+	const criterionValue = criterion === 'extensions' ? value : prefixValue;
+
+	return { ...criteria, [criterion]: [...(criteria[criterion] || []), criterionValue] };
+};
+
+/**
+ * The boolean options, by flag and alias
+ */
+const FLAG_OPTIONS = {
+	'--canonical': 'canonical',
+	'--docs': 'docs',
+	'--dts': 'dts',
+	'--client': 'client',
+	'--dereference': 'dereference',
+	'--lint': 'lint',
+	'--fail-on-breaking': 'failOnBreaking',
+	'--build': 'build',
+	'-l': 'lint',
+	'--minify': 'minify',
+	'-m': 'minify',
+	'--watch': 'watch',
+	'-w': 'watch',
+	'--quiet': 'quiet',
+	'-q': 'quiet',
+	'--help': 'help',
+	'-h': 'help',
+	'--version': 'version',
+	'-v': 'version'
+};
+
+/**
+ * The boolean options that are disabled, by flag
+ */
+const NEGATED_FLAG_OPTIONS = {
+	'--no-cache': 'cache'
+};
+
+/**
+ * Parses the port argument
+ * @param {string} value
+ * @returns {number}
+ * @throws {ApiSchemaBuilderError} If the value isn't a port number
+ */
+const parsePort = value => {
+
+	const port = Number(value);
+
+	if(!Number.isInteger(port) || port < 0 || port > 65535)
+		throw new ApiSchemaBuilderError(`Invalid port '${value}' for argument '--port'`, ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+
+	return port;
+};
+
+/**
+ * Parses the base URL argument
+ * @param {string} value
+ * @returns {string}
+ * @throws {ApiSchemaBuilderError} If the value isn't an HTTP URL
+ */
+const parseBaseUrl = value => {
+
+	let protocol;
+
+	try {
+		({ protocol } = new URL(value));
+	} catch(error) {
+		protocol = null;
+	}
+
+	if(protocol !== 'http:' && protocol !== 'https:')
+		throw new ApiSchemaBuilderError(`Invalid URL '${value}' for argument '--base-url'`, ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+
+	return value;
+};
+
+/**
+ * Adds a header argument to the headers, like "Authorization: Bearer token"
+ * @param {object} headers The current headers. DEFAULT = {}
+ * @param {string} value The argument value
+ * @returns {object} The headers with the new one, with a lower case name
+ * @throws {ApiSchemaBuilderError} If the value isn't a header
+ */
+const addHeader = (headers = {}, value) => {
+
+	const [, name, headerValue] = value.match(/^([^:\s]+):\s*(.*)$/) || [];
+
+	if(!name) {
+		throw new ApiSchemaBuilderError(`Invalid header '${value}' for argument '--header', must be <name>: <value>`,
+			ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+	}
+
+	return { ...headers, [name.toLowerCase()]: headerValue };
+};
+
+class Cli {
+
+	static get usage() {
+		return USAGE;
+	}
+
+	/**
+	 * Parses the command line arguments
+	 * @param {Array<string>} args The arguments, without the node executable and the script path
+	 * @returns {object} The options
+	 * @throws {ApiSchemaBuilderError} If an argument is unknown or a value is missing
+	 */
+	static parseArgs(args) {
+
+		const options = {};
+
+		// The command is the first argument, if it isn't an option
+		if(COMMANDS.includes(args[0]))
+			[options.command] = args;
+
+		for(let i = options.command ? 1 : 0; i < args.length; i++) {
+
+			// Supports both '--src dir' and '--src=dir'
+			const [flag, inlineValue] = args[i].split(/=(.*)/);
+
+			if(FLAG_OPTIONS[flag]) {
+				options[FLAG_OPTIONS[flag]] = true;
+				continue;
+			}
+
+			if(NEGATED_FLAG_OPTIONS[flag]) {
+				options[NEGATED_FLAG_OPTIONS[flag]] = false;
+				continue;
+			}
+
+			const option = VALUE_OPTIONS[flag];
+
+			if(!option)
+				throw new ApiSchemaBuilderError(`Unknown argument '${args[i]}'`, ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+
+			const value = inlineValue !== undefined ? inlineValue : args[++i];
+
+			if(value === undefined || value === '')
+				throw new ApiSchemaBuilderError(`Missing value for argument '${flag}'`, ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+
+			if(option === 'types')
+				options.types = (options.types || []).concat(value);
+			else if(option === 'port')
+				options.port = parsePort(value);
+			else if(option === 'baseUrl')
+				options.baseUrl = parseBaseUrl(value);
+			else if(option === 'headers')
+				options.headers = addHeader(options.headers, value);
+			else if(option === 'include' || option === 'exclude')
+				options.filter = { ...options.filter, [option]: addCriterion(options.filter && options.filter[option], flag, value) };
+			else
+				options[option] = value;
+		}
+
+		return options;
+	}
+
+	/**
+	 * Runs the command line interface
+	 * @async
+	 * @param {Array<string>} args The arguments, without the node executable and the script path
+	 * @returns {number} The exit code
+	 */
+	static async run(args) {
+
+		let options;
+		let builderOptions;
+
+		try {
+			options = this.parseArgs(args);
+
+			if(options.help) {
+				console.log(USAGE);
+				return 0;
+			}
+
+			if(options.version) {
+				console.log(version);
+				return 0;
+			}
+
+			const {
+				config: configFile,
+				watch,
+				command,
+				port,
+				host,
+				build,
+				baseUrl,
+				headers,
+				junit,
+				...cliOptions
+			} = options;
+
+			const commandOptions = COMMAND_OPTIONS[command] || [];
+
+			const invalidOption = [...new Set([].concat(...Object.values(COMMAND_OPTIONS)))]
+				.find(option => options[option] !== undefined && !commandOptions.includes(option));
+
+			if(invalidOption) {
+				const commands = Object.keys(COMMAND_OPTIONS).filter(commandName => COMMAND_OPTIONS[commandName].includes(invalidOption));
+				const commandsText = commands.length > 1 ? `${commands.join(' and ')} commands` : `${commands[0]} command`;
+				throw new ApiSchemaBuilderError(`The option '${invalidOption}' is only valid for the ${commandsText}`,
+					ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+			}
+
+			if(command === 'test' && !baseUrl)
+				throw new ApiSchemaBuilderError('The test command needs the \'--base-url\' option', ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+
+			// The command line paths are relative to the current directory, not to the config file
+			['src', 'out', 'reportFile', 'baseline'].forEach(option => {
+				if(cliOptions[option])
+					cliOptions[option] = path.resolve(cliOptions[option]);
+			});
+
+			// The command line options override the config file ones
+			const config = await Config.load(process.cwd(), configFile);
+
+			// The lint flag keeps the severities of the config file
+			if(cliOptions.lint && typeof config.lint === 'object')
+				delete cliOptions.lint;
+
+			builderOptions = { ...config, ...cliOptions };
+
+			// Validates the options before building
+			new ApiSchemaBuilder(builderOptions);
+		} catch(error) {
+			console.error(error.code === ApiSchemaBuilderError.codes.INVALID_ARGUMENTS ? `${error.message}\n\n${USAGE}` : error.message);
+			return error.code;
+		}
+
+		try {
+
+			if(options.command === 'mock')
+				return await this.mock(builderOptions, options);
+
+			if(options.command === 'test')
+				return await this.test(builderOptions, options);
+
+			if(options.watch)
+				return await this.watch(builderOptions);
+
+			await new ApiSchemaBuilder(builderOptions).build();
+
+		} catch(error) {
+			logger(error.message, 'ERROR', true);
+			return error instanceof ApiSchemaBuilderError ? error.code : 1;
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Starts a mock server of a built schema, until the process is interrupted
+	 * @async
+	 * @param {object} options The options of the ApiSchemaBuilder
+	 * @param {object} mockOptions
+	 * @param {number} mockOptions.port
+	 * @param {string} mockOptions.host
+	 * @param {boolean} mockOptions.build If the schema is built even if it was already built
+	 * @returns {number} The exit code
+	 */
+	static async mock(options, { port, host, build }) {
+
+		const spec = await new ApiSchemaBuilder(options).loadSpec(undefined, !!build);
+
+		const log = options.quiet ? null : message => logger(message, 'MOCK');
+
+		const server = new MockServer(spec, { port, host, log });
+
+		const url = await server.start();
+
+		if(log)
+			log(`Mock server listening on ${url}`);
+
+		return new Promise(resolve => {
+			process.once('SIGINT', async () => {
+				await server.stop();
+				resolve(0);
+			});
+		});
+	}
+
+	/**
+	 * Sends the example requests of a built schema to a running service, logs the result of every one and writes the JUnit report
+	 * @async
+	 * @param {object} options The options of the ApiSchemaBuilder
+	 * @param {object} testOptions
+	 * @param {string} testOptions.baseUrl The URL of the service
+	 * @param {object} testOptions.headers The headers of every request
+	 * @param {string} testOptions.junit The JUnit report file. DEFAULT = contract-report.xml in the output directory
+	 * @param {boolean} testOptions.build If the schema is built even if it was already built
+	 * @returns {number} The exit code, the contract test failure one if any response is invalid
+	 * @throws {WriteError} If the JUnit report can't be written
+	 */
+	static async test(options, {
+		baseUrl,
+		headers,
+		junit,
+		build
+	}) {
+
+		const builder = new ApiSchemaBuilder(options);
+		const spec = await builder.loadSpec(undefined, !!build);
+
+		const tester = new ContractTester(spec, { baseUrl, headers });
+		const results = await tester.run();
+
+		const failed = results.filter(({ errors }) => errors.length).length;
+
+		if(!options.quiet || failed)
+			console.log(tester.toText());
+
+		// The command line paths are relative to the current directory, not to the config file
+		const junitFile = junit ? path.resolve(junit) : path.join(builder.outDir, CONTRACT_REPORT_FILE);
+
+		try {
+			await mkdir(path.dirname(junitFile), { recursive: true });
+			await writeFile(junitFile, tester.toJUnit());
+		} catch(error) {
+			throw new WriteError(`Can't write the JUnit report file '${path.relative(process.cwd(), junitFile)}'. ${error.message}`, junitFile);
+		}
+
+		if(!options.quiet)
+			logger(`JUnit report written in '${path.relative(process.cwd(), junitFile)}'`, 'TEST');
+
+		return failed ? ApiSchemaBuilderError.codes.CONTRACT_TEST_FAILURE : 0;
+	}
+
+	/**
+	 * Builds the schemas every time the sources change, until the process is interrupted
+	 * @async
+	 * @param {object} options The options of the ApiSchemaBuilder
+	 * @returns {number} The exit code
+	 */
+	static async watch(options) {
+
+		const watcher = new Watcher(options);
+
+		await watcher.start();
+
+		return new Promise(resolve => {
+			process.once('SIGINT', () => {
+				watcher.close();
+				resolve(0);
+			});
+		});
+	}
+}
+
+module.exports = Cli;
@@ -0,0 +1,591 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const { isPlainObject } = require('lodash');
+
+const Sampler = require('./sampler');
+const SpecUtils = require('./spec-utils');
+
+const PARAMETER_LOCATIONS = ['path', 'query', 'header', 'cookie'];
+
+const FORMATS = ['postman', 'insomnia', 'both'];
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+const FORM_MEDIA_TYPE = 'application/x-www-form-urlencoded';
+const MULTIPART_MEDIA_TYPE = 'multipart/form-data';
+
+/**
+ * @param {*} object
+ * @returns {string} The trimmed description of an object, or an empty string
+ */
+const getDescription = object => (isPlainObject(object) && typeof object.description === 'string' ? object.description.trim() : '');
+
+/**
+ * Returns the text of a sample value, for the parameters
+ * @param {*} value
+ * @returns {string} The items of the arrays separated by commas, the objects as JSON and an empty string for the unknown values
+ */
+const toText = value => {
+
+	if(value === undefined || value === null)
+		return '';
+
+	if(Array.isArray(value))
+		return value.map(toText).join(',');
+
+	return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Returns the form fields of a sample body
+ * @param {*} value
+ * @returns {Array<Array<string>>} The name and the text of every field
+ */
+const toFields = value => (isPlainObject(value) ? Object.entries(value).map(([name, fieldValue]) => [name, toText(fieldValue)]) : []);
+
+/**
+ * Converts the collections of Postman and Insomnia from a built schema, with a request per operation in a folder per tag,
+ * the sample values of the parameters and bodies, the servers as variables and the security schemes as authentication
+ */
+class Collections {
+
+	/**
+	 * @param {object} spec The built schema
+	 */
+	constructor(spec) {
+		this.spec = spec;
+		this.sampler = new Sampler(spec, { requests: true });
+	}
+
+	static get formats() {
+		return FORMATS;
+	}
+
+	/**
+	 * Returns the collection formats of a format option
+	 * @param {string} format postman, insomnia or both
+	 * @returns {Array<string>}
+	 */
+	static getFormats(format) {
+		return format === 'both' ? ['postman', 'insomnia'] : [format];
+	}
+
+	/**
+	 * Renders the collection of a format
+	 * @param {string} format postman or insomnia
+	 * @returns {string} The JSON of the Postman Collection v2.1 or the Insomnia v4 export
+	 */
+	render(format) {
+		const collection = format === 'insomnia' ? this._toInsomnia() : this._toPostman();
+		return JSON.stringify(collection, null, 2);
+	}
+
+	/**
+	 * @returns {object} The Postman Collection v2.1
+	 */
+	_toPostman() {
+
+		const { title, description } = this._getInfo();
+		const auth = this._getAuth(this.spec.security);
+
+		const toPostmanAuth = scheme => {
+
+			if(!scheme)
+				return { type: 'noauth' };
+
+			const { type, credentials } = scheme;
+
+			// Postman only adds the API keys to the headers or the query, so the cookie ones are sent in the Cookie header
+			const postmanCredentials = credentials.in === 'cookie'
+				? { key: 'Cookie', value: `${credentials.key}=${credentials.value}`, in: 'header' }
+				: credentials;
+
+			const attributes = Object.entries(postmanCredentials).map(([key, value]) => ({ key, value, type: 'string' }));
+
+			return { type, [type]: attributes };
+		};
+
+		const toPostmanItem = operation => {
+
+			const query = operation.parameters.filter(parameter => parameter.in === 'query');
+			const headers = operation.parameters.filter(parameter => parameter.in === 'header');
+			const cookies = operation.parameters.filter(parameter => parameter.in === 'cookie');
+			const pathVariables = operation.parameters.filter(parameter => parameter.in === 'path');
+
+			const path = operation.path.replace(/\{([^}]+)\}/g, ':$1');
+			const queryString = query
+				.filter(parameter => parameter.required)
+				.map(({ name, value }) => `${name}=${value}`)
+				.join('&');
+
+			const header = [
+				...headers.map(parameter => ({
+					key: parameter.name,
+					value: parameter.value,
+					...(parameter.description ? { description: parameter.description } : {}),
+					...(parameter.required ? {} : { disabled: true })
+				})),
+				...(cookies.length ? [{ key: 'Cookie', value: cookies.map(({ name, value }) => `${name}=${value}`).join('; ') }] : []),
+				...(operation.body && !operation.body.fields ? [{ key: 'Content-Type', value: operation.body.contentType }] : [])
+			];
+
+			const request = {
+				method: operation.method.toUpperCase(),
+				header,
+				url: {
+					raw: `{{baseUrl}}${path}${queryString ? `?${queryString}` : ''}`,
+					host: ['{{baseUrl}}'],
+					path: path.split('/').filter(Boolean),
+					...(query.length ? {
+						query: query.map(parameter => ({
+							key: parameter.name,
+							value: parameter.value,
+							...(parameter.description ? { description: parameter.description } : {}),
+							...(parameter.required ? {} : { disabled: true })
+						}))
+					} : {}),
+					...(pathVariables.length ? {
+						variable: pathVariables.map(parameter => ({
+							key: parameter.name,
+							value: parameter.value,
+							...(parameter.description ? { description: parameter.description } : {})
+						}))
+					} : {})
+				},
+				...(operation.body ? { body: this._toPostmanBody(operation.body) } : {}),
+				...(operation.description ? { description: operation.description } : {}),
+				// The requests without their own security inherit the auth of the collection
+				...(operation.auth !== undefined ? { auth: toPostmanAuth(operation.auth) } : {})
+			};
+
+			return { name: operation.name, request, response: [] };
+		};
+
+		const { folders, operations } = this._getFolders();
+
+		return {
+			info: {
+				name: title,
+				...(description ? { description } : {}),
+				schema: POSTMAN_SCHEMA
+			},
+			item: [
+				...folders.map(folder => ({
+					name: folder.name,
+					...(folder.description ? { description: folder.description } : {}),
+					item: folder.operations.map(toPostmanItem)
+				})),
+				...operations.map(toPostmanItem)
+			],
+			...(auth ? { auth: toPostmanAuth(auth) } : {}),
+			variable: Object.entries(this._getVariables('{{$1}}')).map(([key, value]) => ({ key, value, type: 'string' }))
+		};
+	}
+
+	/**
+	 * @param {object} body The media type, the sample value and the form fields of a request body
+	 * @returns {object} The body of a Postman request
+	 */
+	_toPostmanBody({ contentType, value, fields }) {
+
+		if(contentType === FORM_MEDIA_TYPE)
+			return { mode: 'urlencoded', urlencoded: fields.map(([key, fieldValue]) => ({ key, value: fieldValue })) };
+
+		if(contentType === MULTIPART_MEDIA_TYPE)
+			return { mode: 'formdata', formdata: fields.map(([key, fieldValue]) => ({ key, value: fieldValue, type: 'text' })) };
+
+		return {
+			mode: 'raw',
+			raw: value,
+			...(/json/i.test(contentType) ? { options: { raw: { language: 'json' } } } : {})
+		};
+	}
+
+	/**
+	 * @returns {object} The Insomnia v4 export, with a workspace, its base environment, a request group per tag and the requests
+	 */
+	_toInsomnia() {
+
+		const { title, description } = this._getInfo();
+		const defaultAuth = this._getAuth(this.spec.security);
+
+		// The ids are stable between builds, so importing the collection again updates the same workspace
+		const idPrefix = crypto
+			.createHash('sha1')
+			.update(title)
+			.digest('hex')
+			.slice(0, 12);
+		const workspaceId = `wrk_${idPrefix}`;
+
+		const toInsomniaAuth = scheme => {
+
+			if(!scheme)
+				return {};
+
+			const { type, credentials } = scheme;
+			const toTemplate = value => value.replace(/\{\{([^}]+)\}\}/g, '{{ _.$1 }}');
+
+			if(type === 'apikey') {
+				const addTo = { header: 'header', query: 'queryParams', cookie: 'cookie' }[credentials.in];
+				return { type: 'apikey', key: credentials.key, value: toTemplate(credentials.value), addTo };
+			}
+
+			if(type === 'basic')
+				return { type: 'basic', username: toTemplate(credentials.username), password: toTemplate(credentials.password) };
+
+			return { type: 'bearer', token: toTemplate(credentials.token) };
+		};
+
+		let requestCount = 0;
+
+		const toInsomniaRequest = (operation, parentId) => {
+
+			const toPair = parameter => ({
+				name: parameter.name,
+				value: parameter.value,
+				...(parameter.description ? { description: parameter.description } : {}),
+				...(parameter.required ? {} : { disabled: true })
+			});
+
+			const cookies = operation.parameters.filter(parameter => parameter.in === 'cookie');
+
+			const headers = [
+				...operation.parameters.filter(parameter => parameter.in === 'header').map(toPair),
+				...(cookies.length ? [{ name: 'Cookie', value: cookies.map(({ name, value }) => `${name}=${value}`).join('; ') }] : []),
+				...(operation.body ? [{ name: 'Content-Type', value: operation.body.contentType }] : [])
+			];
+
+			requestCount++;
+
+			return {
+				_id: `req_${idPrefix}_${requestCount}`,
+				_type: 'request',
+				parentId,
+				name: operation.name,
+				description: operation.description,
+				method: operation.method.toUpperCase(),
+				url: `{{ _.baseUrl }}${operation.path.replace(/\{([^}]+)\}/g, ':$1')}`,
+				pathParameters: operation.parameters.filter(parameter => parameter.in === 'path').map(({ name, value }) => ({ name, value })),
+				parameters: operation.parameters.filter(parameter => parameter.in === 'query').map(toPair),
+				headers,
+				body: operation.body ? this._toInsomniaBody(operation.body) : {},
+				authentication: toInsomniaAuth(operation.auth !== undefined ? operation.auth : defaultAuth)
+			};
+		};
+
+		const { folders, operations } = this._getFolders();
+
+		const resources = [
+			{
+				_id: workspaceId,
+				_type: 'workspace',
+				parentId: null,
+				name: title,
+				description,
+				scope: 'collection'
+			},
+			{
+				_id: `env_${idPrefix}`,
+				_type: 'environment',
+				parentId: workspaceId,
+				name: 'Base Environment',
+				data: this._getVariables('{{ _.$1 }}')
+			}
+		];
+
+		folders.forEach((folder, index) => {
+
+			const folderId = `fld_${idPrefix}_${index + 1}`;
+
+			resources.push({
+				_id: folderId,
+				_type: 'request_group',
+				parentId: workspaceId,
+				name: folder.name,
+				description: folder.description
+			});
+
+			folder.operations.forEach(operation => resources.push(toInsomniaRequest(operation, folderId)));
+		});
+
+		operations.forEach(operation => resources.push(toInsomniaRequest(operation, workspaceId)));
+
+		return {
+			_type: 'export',
+			__export_format: 4,
+			__export_source: 'api-schema-builder',
+			resources
+		};
+	}
+
+	/**
+	 * @param {object} body The media type, the sample value and the form fields of a request body
+	 * @returns {object} The body of an Insomnia request
+	 */
+	_toInsomniaBody({ contentType, value, fields }) {
+
+		if(fields)
+			return { mimeType: contentType, params: fields.map(([name, fieldValue]) => ({ name, value: fieldValue })) };
+
+		return { mimeType: contentType, text: value };
+	}
+
+	/**
+	 * @returns {object} The title and the description of the API
+	 */
+	_getInfo() {
+		const info = isPlainObject(this.spec.info) ? this.spec.info : {};
+		return {
+			title: typeof info.title === 'string' && info.title ? info.title : 'API',
+			description: getDescription(info)
+		};
+	}
+
+	/**
+	 * Returns the variables of the collection: the base URL of the first server, its variables and the credentials of the security schemes
+	 * @param {string} template The replacement of the server variables in the base URL, like '{{$1}}'
+	 * @returns {object} The default value of every variable by name
+	 */
+	_getVariables(template) {
+
+		const [server] = (Array.isArray(this.spec.servers) ? this.spec.servers : [])
+			.filter(serverObject => isPlainObject(serverObject) && typeof serverObject.url === 'string');
+
+		const serverVariables = server && isPlainObject(server.variables) ? server.variables : {};
+
+		const variables = {
+			baseUrl: server ? server.url.replace(/\/+$/, '').replace(/\{([^}]+)\}/g, template) : ''
+		};
+
+		Object.entries(serverVariables).forEach(([name, variable]) => {
+			variables[name] = isPlainObject(variable) && variable.default !== undefined ? String(variable.default) : '';
+		});
+
+		Object.values(this._getSecuritySchemes())
+			.forEach(({ credentials }) => {
+				Object.values(credentials)
+					.map(value => value.match(/^\{\{([^}]+)\}\}$/))
+					.filter(Boolean)
+					.forEach(([, name]) => {
+						variables[name] = '';
+					});
+			});
+
+		return variables;
+	}
+
+	/**
+	 * Returns the authentication of the security schemes, with a variable for every credential
+	 * @returns {object} The type and the credentials of every scheme by name, the apikey, basic and bearer types of Postman
+	 */
+	_getSecuritySchemes() {
+
+		const { components } = this.spec;
+		const securitySchemes = isPlainObject(components) && isPlainObject(components.securitySchemes) ? components.securitySchemes : {};
+
+		return Object.entries(securitySchemes)
+			.map(([name, scheme]) => [name, SpecUtils.resolve(this.spec, scheme)])
+			.filter(([, scheme]) => isPlainObject(scheme) && typeof scheme.type === 'string')
+			.reduce((schemes, [name, scheme]) => {
+
+				if(scheme.type === 'apiKey') {
+					return {
+						...schemes,
+						[name]: { type: 'apikey', credentials: { key: String(scheme.name), value: `{{${name}}}`, in: scheme.in } }
+					};
+				}
+
+				if(scheme.type === 'http' && typeof scheme.scheme === 'string' && scheme.scheme.toLowerCase() === 'basic') {
+					return {
+						...schemes,
+						[name]: { type: 'basic', credentials: { username: `{{${name}Username}}`, password: `{{${name}Password}}` } }
+					};
+				}
+
+				// The HTTP bearer, OAuth 2 and OpenID Connect schemes send a token
+				return { ...schemes, [name]: { type: 'bearer', credentials: { token: `{{${name}}}` } } };
+			}, {});
+	}
+
+	/**
+	 * Returns the authentication of a security, the first scheme of its first requirement with known schemes
+	 * @param {*} security
+	 * @returns {object|null|undefined} The scheme, null if no authentication is required or undefined if there is no security
+	 */
+	_getAuth(security) {
+
+		if(!Array.isArray(security))
+			return undefined;
+
+		const securitySchemes = this._getSecuritySchemes();
+
+		const [requirement] = security
+			.filter(isPlainObject)
+			.map(Object.keys)
+			.filter(names => names.every(name => securitySchemes[name]));
+
+		return requirement && requirement.length ? securitySchemes[requirement[0]] : null;
+	}
+
+	/**
+	 * Groups the operations by their first tag, in the order of the tags of the schema and then in the order they are used
+	 * @returns {object} The folders with their name, description and operations, and the operations without tags
+	 */
+	_getFolders() {
+
+		const tags = (Array.isArray(this.spec.tags) ? this.spec.tags : [])
+			.filter(tag => isPlainObject(tag) && typeof tag.name === 'string');
+
+		const folders = new Map(tags.map(tag => [tag.name, { name: tag.name, description: getDescription(tag), operations: [] }]));
+		const operations = [];
+
+		this._getOperations().forEach(operation => {
+
+			if(!operation.tag) {
+				operations.push(operation);
+				return;
+			}
+
+			if(!folders.has(operation.tag))
+				folders.set(operation.tag, { name: operation.tag, description: '', operations: [] });
+
+			folders.get(operation.tag).operations.push(operation);
+		});
+
+		return {
+			folders: [...folders.values()].filter(folder => folder.operations.length),
+			operations
+		};
+	}
+
+	/**
+	 * Returns the requests of the operations
+	 * @returns {Array<object>} The name, description, method, path, first tag, parameters, body and authentication of every operation
+	 */
+	_getOperations() {
+
+		const paths = isPlainObject(this.spec.paths) ? this.spec.paths : {};
+
+		return Object.entries(paths)
+			.filter(([, pathItem]) => isPlainObject(pathItem))
+			.reduce((operations, [path, pathItem]) => [
+				...operations,
+				...SpecUtils.operationMethods
+					.filter(method => isPlainObject(pathItem[method]))
+					.map(method => {
+
+						const operation = pathItem[method];
+						const [tag] = Array.isArray(operation.tags) ? operation.tags.filter(name => typeof name === 'string') : [];
+
+						let name = `${method.toUpperCase()} ${path}`;
+
+						if(typeof operation.summary === 'string' && operation.summary.trim())
+							name = operation.summary.trim();
+						else if(typeof operation.operationId === 'string' && operation.operationId)
+							name = operation.operationId;
+
+						return {
+							name,
+							description: getDescription(operation),
+							method,
+							path,
+							tag,
+							parameters: this._getParameters(pathItem, operation),
+							body: this._getBody(operation.requestBody),
+							auth: this._getAuth(operation.security)
+						};
+					})
+			], []);
+	}
+
+	/**
+	 * Returns the parameters of an operation, that override the ones of its path item
+	 * @param {object} pathItem
+	 * @param {object} operation
+	 * @returns {Array<object>} The name, location, sample value, description and if every parameter is required
+	 */
+	_getParameters(pathItem, operation) {
+
+		const parameters = Object.values([
+			...(Array.isArray(pathItem.parameters) ? pathItem.parameters : []),
+			...(Array.isArray(operation.parameters) ? operation.parameters : [])
+		]
+			.map(parameter => SpecUtils.resolve(this.spec, parameter))
+			.filter(parameter => isPlainObject(parameter) && typeof parameter.name === 'string' && PARAMETER_LOCATIONS.includes(parameter.in))
+			.reduce((parametersByKey, parameter) => ({ ...parametersByKey, [`${parameter.in}:${parameter.name}`]: parameter }), {}));
+
+		return parameters.map(parameter => {
+
+			let value = this._getExample(parameter);
+
+			if(value === undefined && isPlainObject(parameter.content)) {
+				const [mediaTypeObject] = Object.values(parameter.content);
+				value = this._getExample(mediaTypeObject);
+			}
+
+			return {
+				name: parameter.name,
+				in: parameter.in,
+				value: toText(value),
+				description: getDescription(parameter),
+				required: parameter.required === true || parameter.in === 'path'
+			};
+		});
+	}
+
+	/**
+	 * Returns the body of a request, with the first JSON media type or the first one
+	 * @param {*} requestBody
+	 * @returns {object|null} The media type, the sample value as text and the fields of the forms, or null if there is no body
+	 */
+	_getBody(requestBody) {
+
+		const resolvedRequestBody = SpecUtils.resolve(this.spec, requestBody);
+
+		if(!isPlainObject(resolvedRequestBody) || !isPlainObject(resolvedRequestBody.content))
+			return null;
+
+		const mediaTypes = Object.entries(resolvedRequestBody.content);
+		const [contentType, mediaTypeObject] = mediaTypes.find(([mediaType]) => /json/i.test(mediaType)) || mediaTypes[0] || [];
+
+		if(!contentType)
+			return null;
+
+		const value = this._getExample(mediaTypeObject);
+
+		if(contentType === FORM_MEDIA_TYPE || contentType === MULTIPART_MEDIA_TYPE)
+			return { contentType, value: '', fields: toFields(value) };
+
+		if(/json/i.test(contentType))
+			return { contentType, value: value === undefined ? '' : JSON.stringify(value, null, 2) };
+
+		return { contentType, value: toText(value) };
+	}
+
+	/**
+	 * Returns the example of a parameter or a media type: its example, its first example or a sample of its schema
+	 * @param {*} object
+	 * @returns {*} Undefined if there is no example nor schema
+	 */
+	_getExample(object) {
+
+		if(!isPlainObject(object))
+			return undefined;
+
+		if(object.example !== undefined)
+			return object.example;
+
+		const [example] = Object.values(isPlainObject(object.examples) ? object.examples : {})
+			.map(exampleObject => SpecUtils.resolve(this.spec, exampleObject))
+			.filter(exampleObject => isPlainObject(exampleObject) && exampleObject.value !== undefined);
+
+		if(example)
+			return example.value;
+
+		return object.schema !== undefined ? this.sampler.sample(object.schema) : undefined;
+	}
+}
+
+module.exports = Collections;
@@ -0,0 +1,209 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const YAML = require('js-yaml');
+
+const ApiSchemaBuilderError = require('./errors/api-schema-builder-error');
+const Collections = require('./collections');
+const Differ = require('./differ');
+const Filter = require('./filter');
+const Linter = require('./linter');
+const Merger = require('./merger');
+const Report = require('./report');
+
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * The config file names, in lookup order. If none exists the "apiSchemaBuilder" key of package.json is used
+ */
+const CONFIG_FILES = [
+	'.api-schema-builder.json',
+	'.api-schema-builder.yml',
+	'.api-schema-builder.yaml',
+	'.api-schema-builder.js'
+];
+
+const PACKAGE_KEY = 'apiSchemaBuilder';
+
+const FORMATS = ['json', 'yaml', 'both'];
+
+const isString = value => typeof value === 'string' && value !== '';
+const isBoolean = value => typeof value === 'boolean';
+const isStringArray = value => Array.isArray(value) && value.every(isString);
+const isOneOf = values => value => values.includes(value);
+const isLintConfig = value => isBoolean(value) || Linter.isValidConfig(value);
+const isFilterConfig = value => Filter.isValidConfig(value);
+
+/**
+ * The validator and the expected value description of every option
+ */
+const OPTIONS = {
+	rootDir: [isString, 'a path'],
+	src: [isString, 'a path'],
+	out: [isString, 'a path'],
+	types: [isStringArray, 'a list of schema types'],
+	format: [isOneOf(FORMATS), `one of: ${FORMATS.join(', ')}`],
+	strict: [isBoolean, 'a boolean'],
+	mergeStrategy: [isOneOf(Merger.strategies), `one of: ${Merger.strategies.join(', ')}`],
+	ignore: [isStringArray, 'a list of globs'],
+	quiet: [isBoolean, 'a boolean'],
+	report: [isOneOf(Report.formats), `one of: ${Report.formats.join(', ')}`],
+	reportFile: [isString, 'a path'],
+	canonical: [isBoolean, 'a boolean'],
+	minify: [isBoolean, 'a boolean'],
+	dereference: [isBoolean, 'a boolean'],
+	lint: [isLintConfig, `a boolean or an object with the severity of the rules: ${Linter.severities.join(', ')}`],
+	diff: [isOneOf(Differ.formats), `one of: ${Differ.formats.join(', ')}`],
+	baseline: [isString, 'a path'],
+	failOnBreaking: [isBoolean, 'a boolean'],
+	env: [isString, 'an environment name'],
+	overlays: [isString, 'a path'],
+	filter: [isFilterConfig, `an object with the include and exclude lists of: ${Filter.criteria.join(', ')}`],
+	docs: [isBoolean, 'a boolean'],
+	dts: [isBoolean, 'a boolean'],
+	client: [isBoolean, 'a boolean'],
+	collection: [isOneOf(Collections.formats), `one of: ${Collections.formats.join(', ')}`],
+	cache: [isBoolean, 'a boolean']
+};
+
+class Config {
+
+	/**
+	 * The default value of every option, the paths are relative to the rootDir
+	 */
+	static get defaults() {
+		return {
+			src: path.join('schemas', 'src'),
+			out: 'schemas',
+			format: 'json',
+			strict: true,
+			mergeStrategy: 'warn',
+			ignore: [],
+			quiet: false,
+			canonical: false,
+			minify: false,
+			dereference: false,
+			lint: false,
+			failOnBreaking: false,
+			docs: false,
+			dts: false,
+			client: false,
+			cache: true,
+			overlays: path.join('schemas', 'overlays')
+		};
+	}
+
+	/**
+	 * Loads the options from a config file
+	 * @async
+	 * @param {string} directory The directory where the config files are searched. DEFAULT = process.cwd()
+	 * @param {string} configFile A config file path, to use it instead of searching one
+	 * @returns {object} The options, with the config file directory as rootDir. An empty object if there is no config
+	 * @throws {ApiSchemaBuilderError} If the config file can't be read or it has invalid options
+	 */
+	static async load(directory = process.cwd(), configFile) {
+
+		const files = configFile
+			? [path.resolve(directory, configFile)]
+			: CONFIG_FILES.map(file => path.join(directory, file));
+
+		for(const file of files) {
+
+			const options = await this._read(file, !!configFile);
+
+			if(options)
+				return this._prepare(options, file);
+		}
+
+		const packageJson = await this._read(path.join(directory, 'package.json'));
+
+		if(packageJson && packageJson[PACKAGE_KEY])
+			return this._prepare(packageJson[PACKAGE_KEY], path.join(directory, 'package.json'));
+
+		return {};
+	}
+
+	/**
+	 * Validates the options
+	 * @param {object} options
+	 * @param {number} code The error code to throw. DEFAULT = INVALID_ARGUMENTS
+	 * @throws {ApiSchemaBuilderError} If an option is unknown or has an invalid value
+	 */
+	static validate(options, code = ApiSchemaBuilderError.codes.INVALID_ARGUMENTS) {
+
+		if(typeof options !== 'object' || options === null || Array.isArray(options))
+			throw new ApiSchemaBuilderError('Invalid options, must be an object', code);
+
+		Object.entries(options).forEach(([name, value]) => {
+
+			if(!OPTIONS[name])
+				throw new ApiSchemaBuilderError(`Unknown option '${name}'`, code);
+
+			const [isValid, expected] = OPTIONS[name];
+
+			if(value !== undefined && !isValid(value))
+				throw new ApiSchemaBuilderError(`Invalid option '${name}', must be ${expected}`, code);
+		});
+	}
+
+	/**
+	 * Reads and parses a config file
+	 * @async
+	 * @param {string} file
+	 * @param {boolean} required If the file must exist
+	 * @returns {object|undefined} The file content, undefined if it doesn't exist and it isn't required
+	 */
+	static async _read(file, required = false) {
+
+		let content;
+
+		try {
+			content = await readFile(file, 'utf8');
+		} catch(error) {
+
+			if(!required && error.code === 'ENOENT')
+				return;
+
+			throw new ApiSchemaBuilderError(`Can't read the config file '${file}'. ${error.message}`, ApiSchemaBuilderError.codes.INVALID_CONFIG);
+		}
+
+		try {
+
+			if(file.match(/\.js$/))
+				return require(file); // eslint-disable-line global-require, import/no-dynamic-require
+
+			if(file.match(/\.ya?ml$/))
+				return YAML.safeLoad(content, { filename: file });
+
+			return JSON.parse(content);
+
+		} catch(error) {
+			throw new ApiSchemaBuilderError(`Invalid config file '${file}'. ${error.message}`, ApiSchemaBuilderError.codes.INVALID_CONFIG);
+		}
+	}
+
+	/**
+	 * Validates the options of a config file and sets the rootDir, so the paths are relative to the file
+	 * @param {object} options
+	 * @param {string} file The config file path
+	 * @returns {object}
+	 */
+	static _prepare(options, file) {
+
+		try {
+			this.validate(options, ApiSchemaBuilderError.codes.INVALID_CONFIG);
+		} catch(error) {
+			error.message = `Invalid config file '${file}'. ${error.message}`;
+			throw error;
+		}
+
+		return {
+			...options,
+			rootDir: path.resolve(path.dirname(file), options.rootDir || '.')
+		};
+	}
+}
+
+module.exports = Config;
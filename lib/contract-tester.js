@@ -0,0 +1,406 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const { isPlainObject } = require('lodash');
+
+const Report = require('./report');
+const Router = require('./router');
+const Sampler = require('./sampler');
+const Validator = require('./validator');
+const SpecUtils = require('./spec-utils');
+
+const PARAMETER_LOCATIONS = ['path', 'query', 'header', 'cookie'];
+
+const JSON_MEDIA_TYPE_REGEX = /^application\/(.+\+)?json$/;
+const FORM_MEDIA_TYPE = 'application/x-www-form-urlencoded';
+
+/**
+ * Returns the text of a parameter value: the items of the arrays separated by commas and the objects as JSON
+ * @param {*} value
+ * @returns {string}
+ */
+const toText = value => {
+
+	if(Array.isArray(value))
+		return value.map(toText).join(',');
+
+	return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * @param {*} object A parameter or a media type object
+ * @returns {boolean} If it has an example or named examples
+ */
+const hasExample = object => isPlainObject(object)
+	&& (object.example !== undefined || (isPlainObject(object.examples) && !!Object.keys(object.examples).length));
+
+/**
+ * Sends the example requests of the operations of a schema to a running service, and validates its responses against the schema
+ */
+class ContractTester {
+
+	/**
+	 * @param {object} spec The built schema
+	 * @param {object} options
+	 * @param {string} options.baseUrl The URL of the service, the paths of the operations are added to it
+	 * @param {object} options.headers The headers of every request, like the authorization one. DEFAULT = {}
+	 * @param {number} options.timeout The milliseconds to wait for every response. DEFAULT = 10000
+	 */
+	constructor(spec, { baseUrl, headers = {}, timeout = 10000 } = {}) {
+		this.spec = spec;
+		this.baseUrl = baseUrl.replace(/\/+$/, '');
+		this.headers = headers;
+		this.timeout = timeout;
+		this.router = new Router(spec);
+		this.validator = new Validator(spec);
+		this.sampler = new Sampler(spec, { requests: true });
+		this.results = [];
+	}
+
+	/**
+	 * Sends the example request of every operation with examples, one after the other
+	 * @async
+	 * @returns {Array<{ name: string, method: string, url: string, status: number|null, errors: Array<object> }>}
+	 * The result of every request, it passed if it has no errors
+	 */
+	async run() {
+
+		this.results = [];
+
+		for(const testCase of this.getTestCases())
+			this.results.push(await this._runTestCase(testCase));
+
+		return this.results;
+	}
+
+	/**
+	 * Returns the requests of the operations that have examples in their parameters, request body or responses.
+	 * An operation has a request per named example of its request body
+	 * @returns {Array<{ name: string, route: object, request: object }>} The test name, the route of the operation and the request
+	 */
+	getTestCases() {
+
+		return this.router.getOperations()
+			.filter(route => this._hasExamples(route))
+			.reduce((testCases, route) => {
+
+				const name = typeof route.operation.operationId === 'string' ? route.operation.operationId : `${route.method.toUpperCase()} ${route.path}`;
+				const parameters = this._getParameters(route);
+				const bodies = this._getBodies(route.operation);
+
+				return [
+					...testCases,
+					...bodies.map(({ exampleName, contentType, value }) => ({
+						name: exampleName ? `${name} (${exampleName})` : name,
+						route,
+						request: this._buildRequest(route, parameters, contentType, value)
+					}))
+				];
+			}, []);
+	}
+
+	/**
+	 * Returns one line per request with its result, and one line per error of the failed requests
+	 * @returns {string}
+	 */
+	toText() {
+
+		const lines = this.results.reduce((resultLines, {
+			name,
+			method,
+			url,
+			status,
+			errors
+		}) => [
+			...resultLines,
+			`${errors.length ? 'FAIL' : 'PASS'} ${name}: ${method} ${url} ${status || '-'}`,
+			...errors.map(({ path, message }) => `  ${path} ${message}`)
+		], []);
+
+		const failed = this.results.filter(({ errors }) => errors.length).length;
+
+		lines.push(`${this.results.length - failed} passed, ${failed} failed`);
+
+		return `${lines.join('\n')}\n`;
+	}
+
+	/**
+	 * Returns a JUnit XML with a test case per request, failed with its errors
+	 * @returns {string}
+	 */
+	toJUnit() {
+
+		const info = isPlainObject(this.spec.info) ? this.spec.info : {};
+		const suiteName = Report.escapeXml(typeof info.title === 'string' && info.title ? info.title : 'api');
+
+		const testCases = this.results.map(({
+			name,
+			method,
+			url,
+			errors
+		}) => {
+
+			const testCase = `    <testcase classname="${suiteName}" name="${Report.escapeXml(name)}"`;
+
+			if(!errors.length)
+				return `${testCase}/>`;
+
+			const message = Report.escapeXml(errors.map(error => `${error.path} ${error.message}`).join('\n'));
+
+			return `${testCase}>\n`
+				+ `      <failure type="contract" message="${Report.escapeXml(`${method} ${url}: ${errors[0].message}`)}">${message}</failure>\n`
+				+ '    </testcase>';
+		});
+
+		const failures = this.results.filter(({ errors }) => errors.length).length;
+		const suite = `  <testsuite name="${suiteName}" tests="${testCases.length}" failures="${failures}" errors="0">\n`
+			+ `${testCases.map(testCase => `${testCase}\n`).join('')}`
+			+ '  </testsuite>';
+
+		return '<?xml version="1.0" encoding="UTF-8"?>\n'
+			+ `<testsuites name="api-schema-builder" tests="${testCases.length}" failures="${failures}" errors="0">\n`
+			+ `${suite}\n`
+			+ '</testsuites>\n';
+	}
+
+	/**
+	 * Sends the request of a test case and validates its response
+	 * @async
+	 * @param {object} testCase
+	 * @returns {object} The result
+	 */
+	async _runTestCase({ name, route, request }) {
+
+		const result = {
+			name,
+			method: request.method,
+			url: request.url,
+			status: null,
+			errors: []
+		};
+
+		let response;
+
+		try {
+			response = await this._send(request);
+		} catch(error) {
+			return { ...result, errors: [{ in: 'request', path: '$', keyword: 'request', message: `The request failed. ${error.message}` }] };
+		}
+
+		const errors = this.validator.validateResponse(route, response);
+
+		// The declared server errors aren't a passed contract either
+		if(response.status >= 500 && !errors.some(({ keyword }) => keyword === 'status'))
+			errors.unshift({ in: 'status', path: '$.status', keyword: 'status', message: `The status ${response.status} is a server error` });
+
+		return { ...result, status: response.status, errors };
+	}
+
+	/**
+	 * Sends a request
+	 * @param {object} request The method, the URL, the headers and the body
+	 * @returns {Promise<{ status: number, headers: object, body: string }>} The response, with lower case header names
+	 */
+	_send({
+		method,
+		url,
+		headers,
+		body
+	}) {
+
+		const { request } = url.startsWith('https:') ? https : http;
+
+		return new Promise((resolve, reject) => {
+
+			const req = request(url, { method, headers, timeout: this.timeout }, res => {
+
+				let responseBody = '';
+
+				res.setEncoding('utf8');
+				res.on('data', chunk => { responseBody += chunk; });
+				res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: responseBody }));
+			});
+
+			req.on('timeout', () => req.destroy(new Error(`No response after ${this.timeout} ms`)));
+			req.on('error', reject);
+			req.end(body);
+		});
+	}
+
+	/**
+	 * Builds the request of an operation, with the values of its parameters and its body
+	 * @param {object} route
+	 * @param {Array<object>} parameters The name, location and value of every parameter
+	 * @param {string} contentType The media type of the body, undefined if there is no body
+	 * @param {*} value The body
+	 * @returns {object} The method, the URL, the headers and the body
+	 */
+	_buildRequest({ method, path }, parameters, contentType, value) {
+
+		const searchParams = new URLSearchParams();
+		const headers = { ...this.headers };
+		const cookies = [];
+
+		let requestPath = path;
+
+		parameters.forEach(parameter => {
+
+			if(parameter.in === 'path')
+				requestPath = requestPath.replace(`{${parameter.name}}`, encodeURIComponent(toText(parameter.value)));
+			else if(parameter.in === 'header')
+				headers[parameter.name] = toText(parameter.value);
+			else if(parameter.in === 'cookie')
+				cookies.push(`${parameter.name}=${encodeURIComponent(toText(parameter.value))}`);
+			else if(Array.isArray(parameter.value))
+				parameter.value.forEach(item => searchParams.append(parameter.name, toText(item)));
+			else if(isPlainObject(parameter.value) && !parameter.isContent)
+				Object.entries(parameter.value).forEach(([name, propertyValue]) => searchParams.append(name, toText(propertyValue)));
+			else
+				searchParams.append(parameter.name, toText(parameter.value));
+		});
+
+		if(cookies.length)
+			headers.cookie = cookies.join('; ');
+
+		let body;
+
+		if(contentType) {
+
+			headers['content-type'] = contentType;
+
+			if(JSON_MEDIA_TYPE_REGEX.test(contentType.toLowerCase()))
+				body = JSON.stringify(value);
+			else if(contentType.toLowerCase() === FORM_MEDIA_TYPE && isPlainObject(value))
+				body = new URLSearchParams(Object.entries(value).map(([name, fieldValue]) => [name, toText(fieldValue)])).toString();
+			else
+				body = toText(value);
+		}
+
+		const query = searchParams.toString();
+
+		return {
+			method: method.toUpperCase(),
+			url: `${this.baseUrl}${requestPath}${query ? `?${query}` : ''}`,
+			headers,
+			body
+		};
+	}
+
+	/**
+	 * @param {object} route
+	 * @returns {boolean} If the parameters, the request body or the responses of an operation have examples
+	 */
+	_hasExamples({ pathItem, operation }) {
+
+		const parameters = [
+			...(Array.isArray(pathItem.parameters) ? pathItem.parameters : []),
+			...(Array.isArray(operation.parameters) ? operation.parameters : [])
+		].map(parameter => SpecUtils.resolve(this.spec, parameter));
+
+		const requestBody = SpecUtils.resolve(this.spec, operation.requestBody);
+		const responses = Object.values(isPlainObject(operation.responses) ? operation.responses : {})
+			.map(response => SpecUtils.resolve(this.spec, response));
+
+		const hasContentExample = object => isPlainObject(object) && isPlainObject(object.content) && Object.values(object.content).some(hasExample);
+
+		return parameters.some(parameter => hasExample(parameter) || hasContentExample(parameter))
+			|| hasContentExample(requestBody)
+			|| responses.some(hasContentExample);
+	}
+
+	/**
+	 * Returns the values of the parameters of an operation, that override the ones of its path item.
+	 * The optional parameters without examples are omitted, and the required ones have a sample of their schema
+	 * @param {object} route
+	 * @returns {Array<object>} The name, location and value of every parameter, and if its value is serialized as a content
+	 */
+	_getParameters({ pathItem, operation }) {
+
+		const parameters = Object.values([
+			...(Array.isArray(pathItem.parameters) ? pathItem.parameters : []),
+			...(Array.isArray(operation.parameters) ? operation.parameters : [])
+		]
+			.map(parameter => SpecUtils.resolve(this.spec, parameter))
+			.filter(parameter => isPlainObject(parameter) && typeof parameter.name === 'string' && PARAMETER_LOCATIONS.includes(parameter.in))
+			.reduce((parametersByKey, parameter) => ({ ...parametersByKey, [`${parameter.in}:${parameter.name}`]: parameter }), {}));
+
+		return parameters
+			.map(parameter => {
+
+				const [mediaTypeObject] = Object.values(isPlainObject(parameter.content) ? parameter.content : {});
+				const isRequired = parameter.required === true || parameter.in === 'path';
+
+				let value = this._getExampleValue(hasExample(parameter) ? parameter : mediaTypeObject);
+
+				if(value === undefined && isRequired) {
+					const schema = parameter.schema !== undefined ? parameter.schema : isPlainObject(mediaTypeObject) && mediaTypeObject.schema;
+					value = this.sampler.sample(schema);
+				}
+
+				return {
+					name: parameter.name,
+					in: parameter.in,
+					value,
+					isContent: !!mediaTypeObject
+				};
+			})
+			.filter(({ value }) => value !== undefined && value !== null);
+	}
+
+	/**
+	 * Returns the bodies of an operation: one per named example of the first JSON media type or the first one,
+	 * its example, or a sample of its schema when it's required
+	 * @param {object} operation
+	 * @returns {Array<{ exampleName: string|undefined, contentType: string|undefined, value: * }>} A body without content type when the operation has no body
+	 */
+	_getBodies(operation) {
+
+		const requestBody = SpecUtils.resolve(this.spec, operation.requestBody);
+		const content = isPlainObject(requestBody) && isPlainObject(requestBody.content) ? requestBody.content : {};
+		const mediaTypes = Object.entries(content);
+
+		const [contentType, mediaTypeObject] = mediaTypes.find(([mediaType]) => /json/i.test(mediaType)) || mediaTypes[0] || [];
+
+		if(!isPlainObject(mediaTypeObject))
+			return [{}];
+
+		if(mediaTypeObject.example === undefined && isPlainObject(mediaTypeObject.examples)) {
+
+			const examples = Object.entries(mediaTypeObject.examples)
+				.map(([exampleName, example]) => [exampleName, SpecUtils.resolve(this.spec, example)])
+				.filter(([, example]) => isPlainObject(example) && example.value !== undefined)
+				.map(([exampleName, { value }]) => ({ exampleName, contentType, value }));
+
+			if(examples.length)
+				return examples;
+		}
+
+		if(mediaTypeObject.example !== undefined)
+			return [{ contentType, value: mediaTypeObject.example }];
+
+		return requestBody.required === true ? [{ contentType, value: this.sampler.sample(mediaTypeObject.schema) }] : [{}];
+	}
+
+	/**
+	 * Returns the example of a parameter or a media type: its example or its first named example
+	 * @param {*} object
+	 * @returns {*} Undefined if it has none
+	 */
+	_getExampleValue(object) {
+
+		if(!isPlainObject(object))
+			return undefined;
+
+		if(object.example !== undefined)
+			return object.example;
+
+		const [example] = Object.values(isPlainObject(object.examples) ? object.examples : {})
+			.map(exampleObject => SpecUtils.resolve(this.spec, exampleObject))
+			.filter(exampleObject => isPlainObject(exampleObject) && exampleObject.value !== undefined);
+
+		return example ? example.value : undefined;
+	}
+}
+
+module.exports = ContractTester;
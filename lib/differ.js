@@ -0,0 +1,527 @@
+'use strict';
+
+const { isEqual, isPlainObject } = require('lodash');
+
+const SourceMap = require('./source-map');
+const SpecUtils = require('./spec-utils');
+
+const FORMATS = ['markdown', 'json'];
+
+const FORMAT_EXTENSIONS = {
+	markdown: 'md',
+	json: 'json'
+};
+
+/**
+ * The keys of the schemas with a list of subschemas, compared by position
+ */
+const SCHEMA_LIST_KEYS = ['allOf', 'oneOf', 'anyOf'];
+
+/**
+ * Returns the values of a list that aren't in other list
+ * @param {Array} values
+ * @param {Array} otherValues
+ * @returns {Array}
+ */
+const difference = (values, otherValues) => values.filter(value => !otherValues.some(otherValue => isEqual(value, otherValue)));
+
+const formatValues = values => values.map(value => `'${typeof value === 'string' ? value : JSON.stringify(value)}'`).join(', ');
+
+const getObject = value => (isPlainObject(value) ? value : {});
+
+/**
+ * Returns the keys of an object that aren't in other object
+ * @param {object} previous
+ * @param {object} current
+ * @returns {Array<string>}
+ */
+const getRemovedKeys = (previous, current) => Object.keys(previous).filter(key => !current[key]);
+
+/**
+ * Compares two builds of a schema and classifies their changes as breaking or non-breaking for the API consumers
+ */
+class Differ {
+
+	static get formats() {
+		return FORMATS;
+	}
+
+	/**
+	 * Returns the changelog file extension of a format
+	 * @param {string} format
+	 * @returns {string}
+	 */
+	static getExtension(format) {
+		return FORMAT_EXTENSIONS[format];
+	}
+
+	/**
+	 * Formats a change like "GET /movies: The response '404' was removed (at /paths/~1movies/get/responses)"
+	 * @param {object} change
+	 * @returns {string}
+	 */
+	static formatChange({ operation, message, pointer }) {
+		return `${operation}: ${message} (at ${pointer})`;
+	}
+
+	/**
+	 * Formats the changes as a changelog
+	 * @param {Array<object>} changes
+	 * @param {string} format 'markdown' or 'json'
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @returns {string}
+	 */
+	static format(changes, format, schemaType) {
+
+		const breakingChanges = changes.filter(({ breaking }) => breaking);
+		const nonBreakingChanges = changes.filter(({ breaking }) => !breaking);
+
+		if(format === 'json') {
+
+			const toJSON = ({ operation, pointer, message }) => ({ operation, pointer, message });
+
+			return JSON.stringify({
+				type: schemaType,
+				breaking: breakingChanges.map(toJSON),
+				nonBreaking: nonBreakingChanges.map(toJSON)
+			}, null, 2);
+		}
+
+		const lines = [`# Changes of the schema "${schemaType}"`, ''];
+
+		if(!changes.length)
+			lines.push('No changes', '');
+
+		[['Breaking changes', breakingChanges], ['Non-breaking changes', nonBreakingChanges]]
+			.filter(([, sectionChanges]) => sectionChanges.length)
+			.forEach(([title, sectionChanges]) => {
+				const items = sectionChanges.map(({ operation, message, pointer }) => `- \`${operation}\`: ${message} (at \`${pointer}\`)`);
+				lines.push(`## ${title}`, '', ...items, '');
+			});
+
+		return lines.join('\n');
+	}
+
+	/**
+	 * Returns the changes between two builds of a schema
+	 * @param {object} previousSchema
+	 * @param {object} schema
+	 * @returns {Array<{ breaking: boolean, operation: string, pointer: string, message: string }>} The operation is the method and the path,
+	 * or only the path. The pointer is the one of the new schema, or the previous one for the removed parts
+	 */
+	diff(previousSchema, schema) {
+
+		this.previousSchema = getObject(previousSchema);
+		this.schema = getObject(schema);
+
+		// The changes by pointer and message, the same component can be compared from many operations
+		this.changes = new Map();
+
+		// The compared schemas, to stop at the recursive ones
+		this.comparedSchemas = new Set();
+
+		this._comparePaths();
+
+		return [...this.changes.values()];
+	}
+
+	/**
+	 * Adds a change, a breaking change replaces the same non-breaking one
+	 * @param {boolean} breaking
+	 * @param {string} operation
+	 * @param {string} pointer
+	 * @param {string} message
+	 */
+	_addChange(breaking, operation, pointer, message) {
+
+		const key = `${pointer} ${message}`;
+
+		if(!this.changes.has(key) || (breaking && !this.changes.get(key).breaking))
+			this.changes.set(key, { breaking, operation, pointer, message });
+	}
+
+	/**
+	 * Compares the paths and their operations
+	 */
+	_comparePaths() {
+
+		const previousPaths = getObject(this.previousSchema.paths);
+		const paths = getObject(this.schema.paths);
+
+		getRemovedKeys(previousPaths, paths).forEach(pathName => {
+			this._addChange(true, pathName, SpecUtils.toPointer('paths', pathName), 'The path was removed');
+		});
+
+		Object.keys(paths).forEach(pathName => {
+
+			const pointer = SpecUtils.toPointer('paths', pathName);
+
+			if(!previousPaths[pathName]) {
+				this._addChange(false, pathName, pointer, 'The path was added');
+				return;
+			}
+
+			const { value: previousPathItem } = SpecUtils.resolveRef(this.previousSchema, previousPaths[pathName], pointer);
+			const { value: pathItem, pointer: pathItemPointer } = SpecUtils.resolveRef(this.schema, paths[pathName], pointer);
+
+			SpecUtils.operationMethods.forEach(method => {
+
+				const operation = `${method.toUpperCase()} ${pathName}`;
+				const previousOperation = getObject(previousPathItem)[method];
+				const currentOperation = getObject(pathItem)[method];
+
+				if(previousOperation && !currentOperation)
+					this._addChange(true, operation, SpecUtils.toPointer('paths', pathName, method), 'The operation was removed');
+				else if(!previousOperation && currentOperation)
+					this._addChange(false, operation, `${pathItemPointer}/${method}`, 'The operation was added');
+				else if(previousOperation && currentOperation) {
+					this._compareOperation({
+						operation,
+						pointer: `${pathItemPointer}/${method}`,
+						previous: { pathItem: getObject(previousPathItem), operation: getObject(previousOperation) },
+						current: { pathItem: getObject(pathItem), operation: getObject(currentOperation) }
+					});
+				}
+			});
+		});
+	}
+
+	/**
+	 * Compares an operation of both schemas
+	 * @param {object} comparison
+	 * @param {string} comparison.operation The method and the path
+	 * @param {string} comparison.pointer The pointer of the operation
+	 * @param {{ pathItem: object, operation: object }} comparison.previous
+	 * @param {{ pathItem: object, operation: object }} comparison.current
+	 */
+	_compareOperation({
+		operation,
+		pointer,
+		previous,
+		current
+	}) {
+
+		if(!previous.operation.deprecated && current.operation.deprecated)
+			this._addChange(false, operation, pointer, 'The operation was deprecated');
+
+		const previousParameters = this._getParameters(this.previousSchema, previous, pointer);
+
+		this._compareParameters(operation, pointer, previousParameters, this._getParameters(this.schema, current, pointer));
+
+		this._compareRequestBody(operation, `${pointer}/requestBody`, previous.operation.requestBody, current.operation.requestBody);
+
+		this._compareResponses(operation, `${pointer}/responses`, getObject(previous.operation.responses), getObject(current.operation.responses));
+	}
+
+	/**
+	 * Returns the parameters of an operation and its path item, the operation ones override the path item ones
+	 * @param {object} schema The previous or the new schema
+	 * @param {{ pathItem: object, operation: object }} operation
+	 * @param {string} pointer The pointer of the operation
+	 * @returns {Map<string, { parameter: object, pointer: string }>} The parameters by location and name, like "query page"
+	 */
+	_getParameters(schema, { pathItem, operation }, pointer) {
+
+		const parameters = new Map();
+
+		const pathItemPointer = pointer.slice(0, pointer.lastIndexOf('/'));
+
+		[[pathItem.parameters, pathItemPointer], [operation.parameters, pointer]].forEach(([parameterList, parentPointer]) => {
+
+			(Array.isArray(parameterList) ? parameterList : []).forEach((parameterValue, index) => {
+
+				const { value: parameter, pointer: parameterPointer } = SpecUtils.resolveRef(schema, parameterValue, `${parentPointer}/parameters/${index}`);
+
+				if(isPlainObject(parameter))
+					parameters.set(`${parameter.in} ${parameter.name}`, { parameter, pointer: parameterPointer });
+			});
+		});
+
+		return parameters;
+	}
+
+	/**
+	 * Compares the parameters of an operation
+	 * @param {string} operation
+	 * @param {string} pointer The pointer of the operation
+	 * @param {Map<string, object>} previousParameters
+	 * @param {Map<string, object>} parameters
+	 */
+	_compareParameters(operation, pointer, previousParameters, parameters) {
+
+		previousParameters.forEach((previous, key) => {
+			if(!parameters.has(key))
+				this._addChange(false, operation, `${pointer}/parameters`, `The ${previous.parameter.in} parameter '${previous.parameter.name}' was removed`);
+		});
+
+		parameters.forEach(({ parameter, pointer: currentPointer }, key) => {
+
+			const description = `${parameter.in} parameter '${parameter.name}'`;
+
+			if(!previousParameters.has(key)) {
+
+				if(parameter.required)
+					this._addChange(true, operation, currentPointer, `The required ${description} was added`);
+				else
+					this._addChange(false, operation, currentPointer, `The optional ${description} was added`);
+
+				return;
+			}
+
+			const { parameter: previousParameter } = previousParameters.get(key);
+
+			if(!previousParameter.required && parameter.required)
+				this._addChange(true, operation, currentPointer, `The ${description} is required now`);
+			else if(previousParameter.required && !parameter.required)
+				this._addChange(false, operation, currentPointer, `The ${description} isn't required anymore`);
+
+			this._compareSchemas({
+				operation,
+				previous: previousParameter.schema,
+				current: parameter.schema,
+				pointer: `${currentPointer}/schema`,
+				isRequest: true
+			});
+		});
+	}
+
+	/**
+	 * Compares the request body of an operation
+	 * @param {string} operation
+	 * @param {string} pointer The pointer of the request body
+	 * @param {object} previousRequestBody
+	 * @param {object} requestBody
+	 */
+	_compareRequestBody(operation, pointer, previousRequestBody, requestBody) {
+
+		const { value: previous } = SpecUtils.resolveRef(this.previousSchema, previousRequestBody, pointer);
+		const { value: current, pointer: currentPointer } = SpecUtils.resolveRef(this.schema, requestBody, pointer);
+
+		if(!isPlainObject(previous) && isPlainObject(current)) {
+			this._addChange(!!current.required, operation, currentPointer, `The ${current.required ? 'required' : 'optional'} request body was added`);
+			return;
+		}
+
+		if(isPlainObject(previous) && !isPlainObject(current)) {
+			this._addChange(true, operation, pointer, 'The request body was removed');
+			return;
+		}
+
+		if(!isPlainObject(current))
+			return;
+
+		if(!previous.required && current.required)
+			this._addChange(true, operation, currentPointer, 'The request body is required now');
+
+		this._compareContent(operation, `${currentPointer}/content`, getObject(previous.content), getObject(current.content), true);
+	}
+
+	/**
+	 * Compares the responses of an operation
+	 * @param {string} operation
+	 * @param {string} pointer The pointer of the responses
+	 * @param {object} previousResponses
+	 * @param {object} responses
+	 */
+	_compareResponses(operation, pointer, previousResponses, responses) {
+
+		getRemovedKeys(previousResponses, responses).forEach(code => {
+			this._addChange(true, operation, pointer, `The response '${code}' was removed`);
+		});
+
+		Object.keys(responses).forEach(code => {
+
+			if(!previousResponses[code]) {
+				this._addChange(false, operation, `${pointer}/${SourceMap.escapeToken(code)}`, `The response '${code}' was added`);
+				return;
+			}
+
+			const responsePointer = `${pointer}/${SourceMap.escapeToken(code)}`;
+
+			const { value: previous } = SpecUtils.resolveRef(this.previousSchema, previousResponses[code]);
+			const { value: current, pointer: currentPointer } = SpecUtils.resolveRef(this.schema, responses[code], responsePointer);
+
+			this._compareContent(operation, `${currentPointer}/content`, getObject(getObject(previous).content), getObject(getObject(current).content), false);
+		});
+	}
+
+	/**
+	 * Compares the media types of a request body or a response
+	 * @param {string} operation
+	 * @param {string} pointer The pointer of the content
+	 * @param {object} previousContent
+	 * @param {object} content
+	 * @param {boolean} isRequest
+	 */
+	_compareContent(operation, pointer, previousContent, content, isRequest) {
+
+		const kind = isRequest ? 'request body' : 'response';
+
+		getRemovedKeys(previousContent, content).forEach(mediaType => {
+			this._addChange(true, operation, pointer, `The media type '${mediaType}' of the ${kind} was removed`);
+		});
+
+		Object.keys(content).forEach(mediaType => {
+
+			const mediaTypePointer = `${pointer}/${SourceMap.escapeToken(mediaType)}`;
+
+			if(!previousContent[mediaType]) {
+				this._addChange(false, operation, mediaTypePointer, `The media type '${mediaType}' of the ${kind} was added`);
+				return;
+			}
+
+			this._compareSchemas({
+				operation,
+				previous: getObject(previousContent[mediaType]).schema,
+				current: getObject(content[mediaType]).schema,
+				pointer: `${mediaTypePointer}/schema`,
+				isRequest
+			});
+		});
+	}
+
+	/**
+	 * Compares two schema objects: their type, enum, properties and subschemas
+	 * @param {object} comparison
+	 * @param {string} comparison.operation
+	 * @param {object} comparison.previous
+	 * @param {object} comparison.current
+	 * @param {string} comparison.pointer The pointer of the current schema
+	 * @param {boolean} comparison.isRequest If the schema is sent by the consumers, otherwise it's received
+	 */
+	_compareSchemas({
+		operation,
+		previous: previousValue,
+		current: currentValue,
+		pointer: valuePointer,
+		isRequest
+	}) {
+
+		const { value: previous, pointer: previousPointer } = SpecUtils.resolveRef(this.previousSchema, previousValue, valuePointer);
+		const { value: current, pointer } = SpecUtils.resolveRef(this.schema, currentValue, valuePointer);
+
+		if(!isPlainObject(previous) || !isPlainObject(current))
+			return;
+
+		const comparisonKey = `${previousPointer} ${pointer} ${isRequest}`;
+
+		if(this.comparedSchemas.has(comparisonKey))
+			return;
+
+		this.comparedSchemas.add(comparisonKey);
+
+		if(previous.type !== undefined && current.type !== undefined && !isEqual(previous.type, current.type)) {
+			const [previousType, type] = [previous.type, current.type].map(value => formatValues([].concat(value)));
+			this._addChange(true, operation, pointer, `The type changed from ${previousType} to ${type}`);
+		}
+
+		this._compareEnums(operation, pointer, previous.enum, current.enum);
+
+		this._compareProperties(operation, pointer, previous, current, isRequest);
+
+		['items', 'additionalProperties'].forEach(key => {
+			this._compareSchemas({
+				operation,
+				previous: previous[key],
+				current: current[key],
+				pointer: `${pointer}/${key}`,
+				isRequest
+			});
+		});
+
+		SCHEMA_LIST_KEYS.filter(key => Array.isArray(previous[key]) && Array.isArray(current[key])).forEach(key => {
+			current[key].slice(0, previous[key].length).forEach((subschema, index) => {
+				this._compareSchemas({
+					operation,
+					previous: previous[key][index],
+					current: subschema,
+					pointer: `${pointer}/${key}/${index}`,
+					isRequest
+				});
+			});
+		});
+	}
+
+	/**
+	 * Compares the allowed values of a schema, restricting them is a breaking change
+	 * @param {string} operation
+	 * @param {string} pointer The pointer of the schema
+	 * @param {Array} previousEnum
+	 * @param {Array} currentEnum
+	 */
+	_compareEnums(operation, pointer, previousEnum, currentEnum) {
+
+		if(!Array.isArray(currentEnum)) {
+
+			if(Array.isArray(previousEnum))
+				this._addChange(false, operation, pointer, 'The enum was removed, every value is allowed');
+
+			return;
+		}
+
+		if(!Array.isArray(previousEnum)) {
+			this._addChange(true, operation, `${pointer}/enum`, `The values were restricted to the enum ${formatValues(currentEnum)}`);
+			return;
+		}
+
+		const removedValues = difference(previousEnum, currentEnum);
+		const addedValues = difference(currentEnum, previousEnum);
+
+		if(removedValues.length)
+			this._addChange(true, operation, `${pointer}/enum`, `The enum values ${formatValues(removedValues)} were removed`);
+
+		if(addedValues.length)
+			this._addChange(false, operation, `${pointer}/enum`, `The enum values ${formatValues(addedValues)} were added`);
+	}
+
+	/**
+	 * Compares the properties of a schema. A new required property breaks the requests,
+	 * and a property that isn't required anymore breaks the responses
+	 * @param {string} operation
+	 * @param {string} pointer The pointer of the schema
+	 * @param {object} previous The previous schema
+	 * @param {object} current The new schema
+	 * @param {boolean} isRequest
+	 */
+	_compareProperties(operation, pointer, previous, current, isRequest) {
+
+		const previousProperties = getObject(previous.properties);
+		const properties = getObject(current.properties);
+
+		const previousRequired = Array.isArray(previous.required) ? previous.required : [];
+		const required = Array.isArray(current.required) ? current.required : [];
+
+		getRemovedKeys(previousProperties, properties).forEach(property => {
+			this._addChange(true, operation, `${pointer}/properties`, `The property '${property}' was removed`);
+		});
+
+		Object.keys(properties).forEach(property => {
+
+			const propertyPointer = `${pointer}/properties/${SourceMap.escapeToken(property)}`;
+			const isRequired = required.includes(property);
+
+			if(!previousProperties[property]) {
+				this._addChange(isRequest && isRequired, operation, propertyPointer,
+					`The ${isRequired ? 'required' : 'optional'} property '${property}' was added`);
+				return;
+			}
+
+			const wasRequired = previousRequired.includes(property);
+
+			if(!wasRequired && isRequired)
+				this._addChange(isRequest, operation, propertyPointer, `The property '${property}' is required now`);
+			else if(wasRequired && !isRequired)
+				this._addChange(!isRequest, operation, propertyPointer, `The property '${property}' isn't required anymore`);
+
+			this._compareSchemas({
+				operation,
+				previous: previousProperties[property],
+				current: properties[property],
+				pointer: propertyPointer,
+				isRequest
+			});
+		});
+	}
+}
+
+module.exports = Differ;
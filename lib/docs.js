@@ -0,0 +1,569 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+
+const SpecUtils = require('./spec-utils');
+
+// Like "#/components/schemas/Movie"
+const SCHEMA_REF_REGEX = /^#\/components\/schemas\/([^/]+)$/;
+
+/**
+ * The depth of the nested schemas that are shown inside an operation, the deeper ones are collapsed
+ */
+const MAX_DEPTH = 4;
+
+/**
+ * The keywords of the limits and the default value of a schema, that are shown with its type
+ */
+const LIMIT_KEYWORDS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength', 'pattern',
+	'minItems', 'maxItems', 'default'];
+
+/**
+ * The tag of the operations without tags
+ */
+const DEFAULT_TAG = 'default';
+
+const STYLES = `
+* { box-sizing: border-box; }
+body { margin: 0; font: 15px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; display: flex; }
+nav { position: sticky; top: 0; width: 280px; height: 100vh; overflow-y: auto; padding: 16px; flex-shrink: 0; }
+nav { border-right: 1px solid #d0d7de; background: #f6f8fa; }
+nav input { width: 100%; padding: 6px 8px; margin-bottom: 12px; border: 1px solid #d0d7de; border-radius: 6px; }
+nav h3 { margin: 12px 0 4px; font-size: 13px; text-transform: uppercase; color: #57606a; }
+nav ul { list-style: none; margin: 0; padding: 0; }
+nav li a { display: block; padding: 2px 0; color: #1f2328; text-decoration: none; font-size: 13px; word-break: break-all; }
+main { flex: 1; max-width: 1000px; padding: 24px 40px; }
+a { color: #0969da; }
+code, pre { font-family: SFMono-Regular, Consolas, monospace; font-size: 13px; }
+pre { background: #f6f8fa; padding: 12px; border-radius: 6px; overflow-x: auto; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+.description { white-space: pre-line; }
+.operation { border: 1px solid #d0d7de; border-radius: 6px; padding: 0 16px 8px; margin-bottom: 24px; }
+.operation h3 { display: flex; gap: 8px; align-items: center; }
+.method { display: inline-block; min-width: 64px; padding: 2px 6px; border-radius: 4px; color: #fff; font-size: 12px; text-align: center; }
+.method { text-transform: uppercase; }
+.method.get { background: #1f883d; } .method.post { background: #0969da; } .method.put { background: #9a6700; }
+.method.patch { background: #8250df; } .method.delete { background: #cf222e; } .method.options, .method.head, .method.trace { background: #57606a; }
+.deprecated { text-decoration: line-through; }
+.badge { font-size: 12px; color: #cf222e; }
+.schema ul { list-style: none; padding-left: 16px; border-left: 1px solid #d0d7de; margin: 4px 0; }
+.type { color: #57606a; }
+.hidden { display: none; }
+`;
+
+const SCRIPT = `
+document.getElementById('search').addEventListener('input', function(event) {
+	var query = event.target.value.trim().toLowerCase();
+	document.querySelectorAll('[data-search]').forEach(function(element) {
+		element.classList.toggle('hidden', query !== '' && element.getAttribute('data-search').indexOf(query) === -1);
+	});
+	document.querySelectorAll('[data-tag]').forEach(function(element) {
+		element.classList.toggle('hidden', !element.querySelector('[data-search]:not(.hidden)'));
+	});
+});
+`;
+
+/**
+ * Escapes the HTML special characters of a text
+ * @param {*} text
+ * @returns {string}
+ */
+const escapeHtml = text => String(text)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&#39;');
+
+/**
+ * Returns a link of a URL, or the URL as text if it isn't a http, https or relative URL, like a "javascript:" one
+ * @param {string} url
+ * @returns {string}
+ */
+const renderLink = url => {
+
+	let protocol;
+
+	// Parsed like the browsers do, that ignore the spaces and the tabs of the URLs like " java\tscript:". The relative URLs are http ones
+	try {
+		({ protocol } = new URL(url, 'http://localhost'));
+	} catch(error) {
+		return escapeHtml(url);
+	}
+
+	if(!['http:', 'https:'].includes(protocol))
+		return escapeHtml(url);
+
+	return `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`;
+};
+
+/**
+ * Returns an HTML id of a text, like "get-movies-id" for "get /movies/{id}"
+ * @param {string} text
+ * @returns {string}
+ */
+const toId = text => text
+	.toLowerCase()
+	.replace(/[^a-z0-9_-]+/g, '-')
+	.replace(/^-+|-+$/g, '');
+
+/**
+ * Returns a value formatted as JSON for a <pre> block
+ * @param {*} value
+ * @returns {string}
+ */
+const renderJson = value => `<pre>${escapeHtml(typeof value === 'string' ? value : JSON.stringify(value, null, 2))}</pre>`;
+
+/**
+ * Returns the description paragraph of an object, if it has one
+ * @param {*} object
+ * @returns {string}
+ */
+const renderDescription = object => {
+
+	if(!isPlainObject(object) || typeof object.description !== 'string' || !object.description)
+		return '';
+
+	return `<p class="description">${escapeHtml(object.description)}</p>`;
+};
+
+/**
+ * Returns the required badge, if the value is required
+ * @param {boolean} required
+ * @returns {string}
+ */
+const renderRequired = required => (required ? ' <span class="badge">required</span>' : '');
+
+/**
+ * Generates a self-contained HTML page, without external styles nor scripts, with the documentation of a built schema
+ */
+class Docs {
+
+	/**
+	 * @param {object} spec The built schema
+	 */
+	constructor(spec) {
+		this.spec = spec;
+	}
+
+	/**
+	 * Renders the documentation page: the tags with their operations, their parameters, request and response schemas and examples,
+	 * and the component schemas. Every operation has an anchor, and the navigation has a search box
+	 * @returns {string} The HTML page
+	 */
+	render() {
+
+		const info = isPlainObject(this.spec.info) ? this.spec.info : {};
+		const title = typeof info.title === 'string' ? info.title : 'API';
+		const operationsByTag = this._getOperationsByTag();
+
+		const tags = Object.entries(operationsByTag);
+
+		const nav = tags.map(([tag, operations]) => this._renderNavTag(tag, operations));
+		const sections = tags.map(([tag, operations]) => this._renderTag(tag, operations));
+
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<nav>
+<input id="search" type="search" placeholder="Search operations" aria-label="Search operations">
+${nav.join('\n')}
+</nav>
+<main>
+<h1>${escapeHtml(title)} <small class="type">${escapeHtml(info.version || '')}</small></h1>
+${renderDescription(info)}
+${this._renderServers()}
+${sections.join('\n')}
+${this._renderComponentSchemas()}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+	}
+
+	/**
+	 * @param {string} tag
+	 * @param {Array<object>} operations
+	 * @returns {string} The navigation links of the operations of a tag
+	 */
+	_renderNavTag(tag, operations) {
+
+		const links = operations.map(({
+			id,
+			method,
+			path,
+			operation
+		}) => `<li data-search="${escapeHtml(this._getSearchText(method, path, operation))}">
+<a href="#${id}"><span class="method ${method}">${method}</span> ${escapeHtml(path)}</a></li>`);
+
+		return `<div data-tag="${escapeHtml(tag)}">
+<h3>${escapeHtml(tag)}</h3>
+<ul>${links.join('\n')}</ul>
+</div>`;
+	}
+
+	/**
+	 * @param {string} tag
+	 * @param {Array<object>} operations
+	 * @returns {string} The section of a tag with its operations
+	 */
+	_renderTag(tag, operations) {
+
+		const renderedOperations = operations.map(operation => this._renderOperation(operation));
+
+		return `<section data-tag="${escapeHtml(tag)}">
+<h2 id="tag-${toId(tag)}">${escapeHtml(tag)}</h2>
+${renderDescription(this._getTag(tag))}
+${renderedOperations.join('\n')}
+</section>`;
+	}
+
+	/**
+	 * Returns the operations grouped by their first tag, in the order of the declared tags, the untagged ones in the default tag
+	 * @returns {object} The operations, with their unique anchor id, by tag
+	 */
+	_getOperationsByTag() {
+
+		const paths = isPlainObject(this.spec.paths) ? this.spec.paths : {};
+		const declaredTags = Array.isArray(this.spec.tags)
+			? this.spec.tags.filter(tag => isPlainObject(tag) && typeof tag.name === 'string')
+			: [];
+
+		const operationsByTag = declaredTags.reduce((tags, { name }) => ({ ...tags, [name]: [] }), {});
+		const ids = new Set();
+
+		Object.entries(paths)
+			.filter(([, pathItem]) => isPlainObject(pathItem))
+			.forEach(([path, pathItem]) => {
+				SpecUtils.operationMethods.filter(method => isPlainObject(pathItem[method])).forEach(method => {
+
+					const operation = pathItem[method];
+					const [tag = DEFAULT_TAG] = Array.isArray(operation.tags) ? operation.tags : [];
+
+					const baseId = toId(typeof operation.operationId === 'string' ? operation.operationId : `${method} ${path}`) || method;
+					let id = baseId;
+
+					// The repeated operation ids are made unique
+					for(let index = 2; ids.has(id); index++)
+						id = `${baseId}-${index}`;
+
+					ids.add(id);
+
+					operationsByTag[tag] = [...(operationsByTag[tag] || []), {
+						id,
+						method,
+						path,
+						pathItem,
+						operation
+					}];
+				});
+			});
+
+		// The declared tags without operations aren't shown
+		return Object.entries(operationsByTag)
+			.filter(([, operations]) => operations.length)
+			.reduce((tags, [tag, operations]) => ({ ...tags, [tag]: operations }), {});
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {object} The declared tag, or an empty object
+	 */
+	_getTag(name) {
+		return (Array.isArray(this.spec.tags) && this.spec.tags.find(tag => isPlainObject(tag) && tag.name === name)) || {};
+	}
+
+	/**
+	 * Returns the text that the search box matches for an operation
+	 * @param {string} method
+	 * @param {string} path
+	 * @param {object} operation
+	 * @returns {string} In lower case
+	 */
+	_getSearchText(method, path, operation) {
+		return [method, path, operation.operationId, operation.summary, ...(Array.isArray(operation.tags) ? operation.tags : [])]
+			.filter(text => typeof text === 'string')
+			.join(' ')
+			.toLowerCase();
+	}
+
+	/**
+	 * @returns {string} The list of the servers, or an empty string if there are none
+	 */
+	_renderServers() {
+
+		const servers = Array.isArray(this.spec.servers)
+			? this.spec.servers.filter(server => isPlainObject(server) && typeof server.url === 'string')
+			: [];
+
+		if(!servers.length)
+			return '';
+
+		const items = servers.map(({ url, description }) => `<li><code>${escapeHtml(url)}</code>${description ? ` ${escapeHtml(description)}` : ''}</li>`);
+
+		return `<h2>Servers</h2>\n<ul>${items.join('')}</ul>`;
+	}
+
+	/**
+	 * @param {object} operation The operation, with its id, method, path and path item
+	 * @returns {string}
+	 */
+	_renderOperation({
+		id,
+		method,
+		path,
+		pathItem,
+		operation
+	}) {
+
+		const summary = typeof operation.summary === 'string' ? operation.summary : '';
+
+		const parameters = [
+			...(Array.isArray(pathItem.parameters) ? pathItem.parameters : []),
+			...(Array.isArray(operation.parameters) ? operation.parameters : [])
+		];
+
+		return `<article id="${id}" class="operation" data-search="${escapeHtml(this._getSearchText(method, path, operation))}">
+<h3><a href="#${id}" class="method ${method}">${method}</a> <code class="${operation.deprecated ? 'deprecated' : ''}">${escapeHtml(path)}</code>
+${operation.deprecated ? '<span class="badge">Deprecated</span>' : ''}</h3>
+${summary ? `<p><strong>${escapeHtml(summary)}</strong></p>` : ''}
+${renderDescription(operation)}
+${this._renderParameters(parameters)}
+${this._renderRequestBody(operation.requestBody)}
+${this._renderResponses(operation.responses)}
+</article>`;
+	}
+
+	/**
+	 * @param {Array<object>} parameters The parameters of the path item and the operation
+	 * @returns {string} The parameters table, or an empty string if there are none
+	 */
+	_renderParameters(parameters) {
+
+		const resolvedParameters = parameters.map(parameter => SpecUtils.resolve(this.spec, parameter)).filter(parameter => isPlainObject(parameter));
+
+		if(!resolvedParameters.length)
+			return '';
+
+		const rows = resolvedParameters.map(parameter => `<tr>
+<td><code>${escapeHtml(parameter.name)}</code>${renderRequired(parameter.required)}</td>
+<td>${escapeHtml(parameter.in)}</td>
+<td class="schema">${this._renderSchema(parameter.schema, 0)}</td>
+<td>${renderDescription(parameter)}${parameter.example !== undefined ? renderJson(parameter.example) : ''}</td>
+</tr>`).join('\n');
+
+		return `<h4>Parameters</h4>
+<table><thead><tr><th>Name</th><th>In</th><th>Schema</th><th>Description</th></tr></thead>
+<tbody>${rows}</tbody></table>`;
+	}
+
+	/**
+	 * @param {object} requestBody
+	 * @returns {string}
+	 */
+	_renderRequestBody(requestBody) {
+
+		const resolvedRequestBody = SpecUtils.resolve(this.spec, requestBody);
+
+		if(!isPlainObject(resolvedRequestBody))
+			return '';
+
+		return `<h4>Request body${renderRequired(resolvedRequestBody.required)}</h4>
+${renderDescription(resolvedRequestBody)}
+${this._renderContent(resolvedRequestBody.content)}`;
+	}
+
+	/**
+	 * @param {object} responses
+	 * @returns {string}
+	 */
+	_renderResponses(responses) {
+
+		if(!isPlainObject(responses))
+			return '';
+
+		const renderedResponses = Object.entries(responses)
+			.filter(([code]) => !code.startsWith('x-'))
+			.map(([code, response]) => [code, SpecUtils.resolve(this.spec, response)])
+			.filter(([, response]) => isPlainObject(response))
+			.map(([code, response]) => `<h5>${escapeHtml(code)}</h5>
+${renderDescription(response)}
+${this._renderContent(response.content)}`);
+
+		return renderedResponses.length ? `<h4>Responses</h4>\n${renderedResponses.join('\n')}` : '';
+	}
+
+	/**
+	 * Renders the schema and the examples of every media type of a content
+	 * @param {object} content
+	 * @returns {string}
+	 */
+	_renderContent(content) {
+
+		if(!isPlainObject(content))
+			return '';
+
+		const mediaTypes = Object.entries(content)
+			.filter(([, mediaTypeObject]) => isPlainObject(mediaTypeObject))
+			.map(([mediaType, mediaTypeObject]) => {
+
+				const schema = mediaTypeObject.schema !== undefined ? `<div class="schema">${this._renderSchema(mediaTypeObject.schema, 0)}</div>` : '';
+
+				return `<p><code>${escapeHtml(mediaType)}</code></p>\n${schema}\n${this._renderExamples(mediaTypeObject)}`;
+			});
+
+		return mediaTypes.join('\n');
+	}
+
+	/**
+	 * @param {object} mediaTypeObject
+	 * @returns {string} The example and the named examples
+	 */
+	_renderExamples({ example, examples }) {
+
+		const renderedExamples = example !== undefined ? [`<p>Example</p>\n${renderJson(example)}`] : [];
+
+		if(isPlainObject(examples)) {
+			Object.entries(examples)
+				.map(([name, exampleObject]) => [name, SpecUtils.resolve(this.spec, exampleObject)])
+				.filter(([, exampleObject]) => isPlainObject(exampleObject))
+				.forEach(([name, exampleObject]) => {
+
+					const summary = exampleObject.summary ? ` ${escapeHtml(exampleObject.summary)}` : '';
+
+					const value = exampleObject.value !== undefined
+						? renderJson(exampleObject.value)
+						: `<p>${renderLink(String(exampleObject.externalValue || ''))}</p>`;
+
+					renderedExamples.push(`<p>Example <code>${escapeHtml(name)}</code>${summary}</p>\n${value}`);
+				});
+		}
+
+		return renderedExamples.join('\n');
+	}
+
+	/**
+	 * @returns {string} The section of the component schemas, every one with an anchor for the references
+	 */
+	_renderComponentSchemas() {
+
+		const { components } = this.spec;
+		const schemas = isPlainObject(components) && isPlainObject(components.schemas) ? components.schemas : {};
+
+		if(!Object.keys(schemas).length)
+			return '';
+
+		const renderedSchemas = Object.entries(schemas).map(([name, schema]) => `<div id="schema-${toId(name)}">
+<h3>${escapeHtml(name)}</h3>
+${renderDescription(schema)}
+<div class="schema">${this._renderSchema(schema, 0)}</div>
+${isPlainObject(schema) && schema.example !== undefined ? `<p>Example</p>\n${renderJson(schema.example)}` : ''}
+</div>`);
+
+		return `<section>\n<h2 id="schemas">Schemas</h2>\n${renderedSchemas.join('\n')}\n</section>`;
+	}
+
+	/**
+	 * Renders a schema: its type, its constraints and its properties, items or subschemas.
+	 * The references to the component schemas are links to their section
+	 * @param {*} schema
+	 * @param {number} depth
+	 * @returns {string}
+	 */
+	_renderSchema(schema, depth) {
+
+		if(!isPlainObject(schema))
+			return `<span class="type">${schema === false ? 'nothing' : 'any'}</span>`;
+
+		if(typeof schema.$ref === 'string') {
+
+			const [, name] = schema.$ref.match(SCHEMA_REF_REGEX) || [];
+
+			if(name)
+				return `<a href="#schema-${toId(decodeURIComponent(name))}">${escapeHtml(decodeURIComponent(name))}</a>`;
+
+			return `<code>${escapeHtml(schema.$ref)}</code>`;
+		}
+
+		const parts = [`<span class="type">${escapeHtml(this._getTypeLabel(schema))}</span>`];
+
+		if(Array.isArray(schema.enum))
+			parts.push(`one of: ${schema.enum.map(value => `<code>${escapeHtml(JSON.stringify(value))}</code>`).join(', ')}`);
+
+		if(depth >= MAX_DEPTH)
+			return parts.join(' ');
+
+		['allOf', 'oneOf', 'anyOf']
+			.filter(keyword => Array.isArray(schema[keyword]))
+			.forEach(keyword => {
+				const subschemas = schema[keyword].map(subschema => `<li>${this._renderSchema(subschema, depth + 1)}</li>`);
+				parts.push(`${keyword}<ul>${subschemas.join('')}</ul>`);
+			});
+
+		if(isPlainObject(schema.properties)) {
+
+			const required = Array.isArray(schema.required) ? schema.required : [];
+
+			const properties = Object.entries(schema.properties).map(([name, propertySchema]) => (
+				`<li><code>${escapeHtml(name)}</code>${renderRequired(required.includes(name))} ${this._renderSchema(propertySchema, depth + 1)}`
+				+ `${renderDescription(propertySchema)}</li>`
+			));
+
+			parts.push(`<ul>${properties.join('')}</ul>`);
+		}
+
+		if(schema.items !== undefined)
+			parts.push(`items<ul><li>${this._renderSchema(schema.items, depth + 1)}</li></ul>`);
+
+		if(isPlainObject(schema.additionalProperties))
+			parts.push(`additional properties<ul><li>${this._renderSchema(schema.additionalProperties, depth + 1)}</li></ul>`);
+
+		return parts.join(' ');
+	}
+
+	/**
+	 * Returns the type of a schema with its format and limits, like "string (date-time)" or "integer, minimum 1"
+	 * @param {object} schema
+	 * @returns {string}
+	 */
+	_getTypeLabel(schema) {
+
+		const types = [].concat(schema.type || []);
+
+		if(schema.nullable === true)
+			types.push('null');
+
+		let label = types.length ? types.join(' | ') : '';
+
+		if(!label)
+			label = schema.properties ? 'object' : 'any';
+
+		if(schema.format)
+			label += ` (${schema.format})`;
+
+		const limits = LIMIT_KEYWORDS
+			.filter(keyword => schema[keyword] !== undefined && typeof schema[keyword] !== 'boolean')
+			.map(keyword => `${keyword} ${typeof schema[keyword] === 'string' ? schema[keyword] : JSON.stringify(schema[keyword])}`);
+
+		if(schema.readOnly)
+			limits.push('read only');
+
+		if(schema.writeOnly)
+			limits.push('write only');
+
+		if(schema.deprecated)
+			limits.push('deprecated');
+
+		return [label, ...limits].join(', ');
+	}
+}
+
+module.exports = Docs;
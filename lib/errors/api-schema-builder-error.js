@@ -0,0 +1,39 @@
+'use strict';
+
+class ApiSchemaBuilderError extends Error {
+
+	/**
+	 * The error codes, they are also used as the process exit codes by the CLI
+	 */
+	static get codes() {
+
+		return {
+			INVALID_ARGUMENTS: 2,
+			SOURCE_NOT_FOUND: 3,
+			PARSE_ERROR: 4,
+			VALIDATION_ERROR: 5,
+			WRITE_ERROR: 6,
+			INVALID_CONFIG: 7,
+			MERGE_CONFLICT: 8,
+			BREAKING_CHANGE: 9,
+			CONTRACT_TEST_FAILURE: 10
+		};
+
+	}
+
+	/**
+	 * @param {Error|string} err The original error or a message
+	 * @param {number} code One of ApiSchemaBuilderError.codes
+	 */
+	constructor(err, code) {
+		super(err.message || err);
+		this.message = err.message || err;
+		this.code = code;
+		this.name = 'ApiSchemaBuilderError';
+
+		if(err instanceof Error)
+			this.previousError = err;
+	}
+}
+
+module.exports = ApiSchemaBuilderError;
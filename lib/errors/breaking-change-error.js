@@ -0,0 +1,22 @@
+'use strict';
+
+const ApiSchemaBuilderError = require('./api-schema-builder-error');
+
+class BreakingChangeError extends ApiSchemaBuilderError {
+
+	/**
+	 * @param {Error|string} err The original error or a message
+	 * @param {string} path The previous schema file
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Array<object>} changes The breaking changes, with their JSON pointer and message
+	 */
+	constructor(err, path, schemaType, changes = []) {
+		super(err, ApiSchemaBuilderError.codes.BREAKING_CHANGE);
+		this.name = 'BreakingChangeError';
+		this.path = path;
+		this.schemaType = schemaType;
+		this.changes = changes;
+	}
+}
+
+module.exports = BreakingChangeError;
@@ -0,0 +1,19 @@
+'use strict';
+
+const ApiSchemaBuilderError = require('./api-schema-builder-error');
+const SourceNotFoundError = require('./source-not-found-error');
+const ParseError = require('./parse-error');
+const ValidationError = require('./validation-error');
+const WriteError = require('./write-error');
+const MergeConflictError = require('./merge-conflict-error');
+const BreakingChangeError = require('./breaking-change-error');
+
+module.exports = {
+	ApiSchemaBuilderError,
+	SourceNotFoundError,
+	ParseError,
+	ValidationError,
+	WriteError,
+	MergeConflictError,
+	BreakingChangeError
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+const ApiSchemaBuilderError = require('./api-schema-builder-error');
+
+class MergeConflictError extends ApiSchemaBuilderError {
+
+	/**
+	 * @param {Error|string} err The original error or a message
+	 * @param {string} path The source directory of the schema type
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Array<object>} conflicts The conflicts, with the JSON pointer and both files
+	 */
+	constructor(err, path, schemaType, conflicts = []) {
+		super(err, ApiSchemaBuilderError.codes.MERGE_CONFLICT);
+		this.name = 'MergeConflictError';
+		this.path = path;
+		this.schemaType = schemaType;
+		this.conflicts = conflicts;
+	}
+}
+
+module.exports = MergeConflictError;
@@ -0,0 +1,18 @@
+'use strict';
+
+const ApiSchemaBuilderError = require('./api-schema-builder-error');
+
+class ParseError extends ApiSchemaBuilderError {
+
+	/**
+	 * @param {Error|string} err The original error or a message
+	 * @param {string} path The file that can't be parsed
+	 */
+	constructor(err, path) {
+		super(err, ApiSchemaBuilderError.codes.PARSE_ERROR);
+		this.name = 'ParseError';
+		this.path = path;
+	}
+}
+
+module.exports = ParseError;
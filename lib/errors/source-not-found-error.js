@@ -0,0 +1,18 @@
+'use strict';
+
+const ApiSchemaBuilderError = require('./api-schema-builder-error');
+
+class SourceNotFoundError extends ApiSchemaBuilderError {
+
+	/**
+	 * @param {Error|string} err The original error or a message
+	 * @param {string} path The source directory that doesn't exist or has nothing to build
+	 */
+	constructor(err, path) {
+		super(err, ApiSchemaBuilderError.codes.SOURCE_NOT_FOUND);
+		this.name = 'SourceNotFoundError';
+		this.path = path;
+	}
+}
+
+module.exports = SourceNotFoundError;
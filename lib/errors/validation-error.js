@@ -0,0 +1,22 @@
+'use strict';
+
+const ApiSchemaBuilderError = require('./api-schema-builder-error');
+
+class ValidationError extends ApiSchemaBuilderError {
+
+	/**
+	 * @param {Error|string} err The original error or a message
+	 * @param {string} path The source directory of the invalid schema type
+	 * @param {string} schemaType The type of the invalid schema like "public"
+	 * @param {Array<object>} errors The validation errors
+	 */
+	constructor(err, path, schemaType, errors = []) {
+		super(err, ApiSchemaBuilderError.codes.VALIDATION_ERROR);
+		this.name = 'ValidationError';
+		this.path = path;
+		this.schemaType = schemaType;
+		this.errors = errors;
+	}
+}
+
+module.exports = ValidationError;
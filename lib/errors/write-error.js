@@ -0,0 +1,18 @@
+'use strict';
+
+const ApiSchemaBuilderError = require('./api-schema-builder-error');
+
+class WriteError extends ApiSchemaBuilderError {
+
+	/**
+	 * @param {Error|string} err The original error or a message
+	 * @param {string} path The file or directory that can't be written
+	 */
+	constructor(err, path) {
+		super(err, ApiSchemaBuilderError.codes.WRITE_ERROR);
+		this.name = 'WriteError';
+		this.path = path;
+	}
+}
+
+module.exports = WriteError;
@@ -0,0 +1,305 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+
+const Validator = require('./validator');
+const SpecUtils = require('./spec-utils');
+
+/**
+ * The keywords whose values are a schema
+ */
+const SCHEMA_KEYWORDS = ['items', 'not', 'additionalProperties', 'contains', 'if', 'then', 'else', 'propertyNames',
+	'unevaluatedItems', 'unevaluatedProperties', 'additionalItems', 'contentSchema'];
+
+/**
+ * The keywords whose values are a list of schemas
+ */
+const SCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+
+/**
+ * The keywords whose values are objects of schemas
+ */
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', 'dependentSchemas', '$defs', 'definitions'];
+
+const JSON_MEDIA_TYPE_REGEX = /^application\/(.+\+)?json$/;
+const FORM_MEDIA_TYPE = 'application/x-www-form-urlencoded';
+
+const isExtension = key => key.startsWith('x-');
+
+/**
+ * Checks if a value is an object defined in its place, not a reference to a component that is validated on its own
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isDefinition = value => isPlainObject(value) && value.$ref === undefined;
+
+/**
+ * Returns the entries of an object, without its extensions
+ * @param {*} value
+ * @returns {Array<Array>}
+ */
+const getEntries = value => Object.entries(isPlainObject(value) ? value : {}).filter(([key]) => !isExtension(key));
+
+/**
+ * Validates the examples of the built schemas against their schemas: the examples of the schemas, the parameters,
+ * the headers and the media types, including the example objects they reference
+ */
+class ExampleValidator {
+
+	/**
+	 * @param {object} spec The built schema
+	 */
+	constructor(spec) {
+		this.spec = isPlainObject(spec) ? spec : {};
+		this.validator = new Validator(this.spec);
+	}
+
+	/**
+	 * Validates every example of the schema
+	 * @returns {Array<{ pointer: string, keyword: string, params: object, message: string }>} The errors, with the JSON pointer of the invalid value
+	 */
+	validate() {
+
+		this.errors = [];
+
+		['paths', 'webhooks'].forEach(section => {
+			getEntries(this.spec[section]).forEach(([name, pathItem]) => this._validatePathItem(pathItem, SpecUtils.toPointer(section, name)));
+		});
+
+		this._validateComponents();
+
+		return this.errors;
+	}
+
+	/**
+	 * Validates the examples of the components, the references to them aren't validated again
+	 */
+	_validateComponents() {
+
+		const { components } = this.spec;
+		const getComponents = type => Object.entries(isPlainObject(components) && isPlainObject(components[type]) ? components[type] : {});
+
+		// The examples of the component schemas are usually the ones of the responses, so their write only properties aren't required
+		getComponents('schemas').forEach(([name, schema]) => {
+			this._validateSchemaExamples(schema, SpecUtils.toPointer('components', 'schemas', name), true);
+		});
+		getComponents('parameters').forEach(([name, parameter]) => {
+			this._validateParameter(parameter, SpecUtils.toPointer('components', 'parameters', name));
+		});
+		getComponents('headers').forEach(([name, header]) => this._validateParameter(header, SpecUtils.toPointer('components', 'headers', name), true));
+		getComponents('requestBodies').forEach(([name, requestBody]) => {
+			this._validateRequestBody(requestBody, SpecUtils.toPointer('components', 'requestBodies', name));
+		});
+		getComponents('responses').forEach(([name, response]) => this._validateResponse(response, SpecUtils.toPointer('components', 'responses', name)));
+		getComponents('callbacks').forEach(([name, callback]) => this._validateCallback(callback, SpecUtils.toPointer('components', 'callbacks', name)));
+		getComponents('pathItems').forEach(([name, pathItem]) => this._validatePathItem(pathItem, SpecUtils.toPointer('components', 'pathItems', name)));
+	}
+
+	/**
+	 * @param {object} pathItem
+	 * @param {string} pointer
+	 */
+	_validatePathItem(pathItem, pointer) {
+
+		if(!isDefinition(pathItem))
+			return;
+
+		this._validateParameters(pathItem.parameters, `${pointer}/parameters`);
+
+		SpecUtils.operationMethods.filter(method => isPlainObject(pathItem[method])).forEach(method => {
+
+			const operation = pathItem[method];
+			const operationPointer = `${pointer}/${method}`;
+
+			this._validateParameters(operation.parameters, `${operationPointer}/parameters`);
+			this._validateRequestBody(operation.requestBody, `${operationPointer}/requestBody`);
+
+			getEntries(operation.responses).forEach(([code, response]) => this._validateResponse(response, `${operationPointer}/responses/${code}`));
+			getEntries(operation.callbacks).forEach(([name, callback]) => {
+				this._validateCallback(callback, `${operationPointer}/callbacks${SpecUtils.toPointer(name)}`);
+			});
+		});
+	}
+
+	/**
+	 * @param {object} callback The path items of a callback, by expression
+	 * @param {string} pointer
+	 */
+	_validateCallback(callback, pointer) {
+
+		if(!isDefinition(callback))
+			return;
+
+		getEntries(callback).forEach(([expression, pathItem]) => this._validatePathItem(pathItem, `${pointer}${SpecUtils.toPointer(expression)}`));
+	}
+
+	/**
+	 * @param {Array<object>} parameters
+	 * @param {string} pointer
+	 */
+	_validateParameters(parameters, pointer) {
+
+		if(Array.isArray(parameters))
+			parameters.forEach((parameter, index) => this._validateParameter(parameter, `${pointer}/${index}`));
+	}
+
+	/**
+	 * Validates the examples of a parameter or a header, and the ones of its schema or its content
+	 * @param {object} parameter
+	 * @param {string} pointer
+	 * @param {boolean} isResponse If the parameter is a header of a response. DEFAULT = false
+	 */
+	_validateParameter(parameter, pointer, isResponse = false) {
+
+		if(!isDefinition(parameter))
+			return;
+
+		if(parameter.schema !== undefined) {
+			this._validateSchemaExamples(parameter.schema, `${pointer}/schema`, isResponse);
+			this._validateExamples(parameter, pointer, isResponse);
+		}
+
+		this._validateContent(parameter.content, `${pointer}/content`, isResponse);
+	}
+
+	/**
+	 * @param {object} requestBody
+	 * @param {string} pointer
+	 */
+	_validateRequestBody(requestBody, pointer) {
+
+		if(isDefinition(requestBody))
+			this._validateContent(requestBody.content, `${pointer}/content`);
+	}
+
+	/**
+	 * @param {object} response
+	 * @param {string} pointer
+	 */
+	_validateResponse(response, pointer) {
+
+		if(!isDefinition(response))
+			return;
+
+		// The header names may start with "x-", they aren't extensions
+		Object.entries(isPlainObject(response.headers) ? response.headers : {}).forEach(([name, header]) => {
+			this._validateParameter(header, `${pointer}/headers${SpecUtils.toPointer(name)}`, true);
+		});
+
+		this._validateContent(response.content, `${pointer}/content`, true);
+	}
+
+	/**
+	 * Validates the schemas of a content and the examples of its JSON and form media types, the other ones may be serialized
+	 * @param {object} content The media types, by name
+	 * @param {string} pointer
+	 * @param {boolean} isResponse If the content is of a response. DEFAULT = false
+	 */
+	_validateContent(content, pointer, isResponse = false) {
+
+		getEntries(content)
+			.filter(([, mediaTypeObject]) => isPlainObject(mediaTypeObject) && mediaTypeObject.schema !== undefined)
+			.forEach(([mediaType, mediaTypeObject]) => {
+
+				const mediaTypePointer = `${pointer}${SpecUtils.toPointer(mediaType)}`;
+
+				this._validateSchemaExamples(mediaTypeObject.schema, `${mediaTypePointer}/schema`, isResponse);
+
+				if(JSON_MEDIA_TYPE_REGEX.test(mediaType.toLowerCase()) || mediaType.toLowerCase() === FORM_MEDIA_TYPE)
+					this._validateExamples(mediaTypeObject, mediaTypePointer, isResponse);
+			});
+	}
+
+	/**
+	 * Validates the example and the example objects of a parameter or a media type against its schema
+	 * @param {object} object The parameter or the media type
+	 * @param {string} pointer
+	 * @param {boolean} isResponse
+	 */
+	_validateExamples({ schema, example, examples }, pointer, isResponse) {
+
+		if(example !== undefined)
+			this._validateValue(schema, `${pointer}/schema`, example, `${pointer}/example`, isResponse);
+
+		getEntries(examples).forEach(([name, exampleObject]) => {
+
+			// The example objects are usually components, the errors are located where they are defined
+			const { value: resolvedExample, pointer: examplePointer } = SpecUtils.resolveRef(
+				this.spec,
+				exampleObject,
+				`${pointer}/examples${SpecUtils.toPointer(name)}`
+			);
+
+			if(isPlainObject(resolvedExample) && resolvedExample.value !== undefined)
+				this._validateValue(schema, `${pointer}/schema`, resolvedExample.value, `${examplePointer}/value`, isResponse);
+		});
+	}
+
+	/**
+	 * Validates the examples of a schema and its subschemas, the referenced schemas are validated on their own
+	 * @param {*} schema
+	 * @param {string} pointer
+	 * @param {boolean} isResponse
+	 */
+	_validateSchemaExamples(schema, pointer, isResponse) {
+
+		if(!isPlainObject(schema))
+			return;
+
+		if(schema.example !== undefined)
+			this._validateValue(schema, pointer, schema.example, `${pointer}/example`, isResponse);
+
+		// The examples keyword of JSON schema, since OpenAPI 3.1
+		if(Array.isArray(schema.examples))
+			schema.examples.forEach((example, index) => this._validateValue(schema, pointer, example, `${pointer}/examples/${index}`, isResponse));
+
+		if(schema.$ref !== undefined)
+			return;
+
+		SCHEMA_KEYWORDS.forEach(keyword => this._validateSchemaExamples(schema[keyword], `${pointer}/${keyword}`, isResponse));
+
+		SCHEMA_LIST_KEYWORDS.filter(keyword => Array.isArray(schema[keyword])).forEach(keyword => {
+			schema[keyword].forEach((subschema, index) => this._validateSchemaExamples(subschema, `${pointer}/${keyword}/${index}`, isResponse));
+		});
+
+		SCHEMA_MAP_KEYWORDS.forEach(keyword => {
+			Object.entries(isPlainObject(schema[keyword]) ? schema[keyword] : {}).forEach(([name, subschema]) => {
+				this._validateSchemaExamples(subschema, `${pointer}/${keyword}${SpecUtils.toPointer(name)}`, isResponse);
+			});
+		});
+	}
+
+	/**
+	 * Validates an example against a schema, adding its errors
+	 * @param {*} schema
+	 * @param {string} schemaPointer To compile every schema only once
+	 * @param {*} value The example
+	 * @param {string} pointer The pointer of the example
+	 * @param {boolean} isResponse
+	 */
+	_validateValue(schema, schemaPointer, value, pointer, isResponse) {
+
+		let errors;
+
+		try {
+			errors = this.validator.validateValue(schemaPointer, schema, value, isResponse);
+		} catch(error) {
+			// The schemas that can't be compiled are invalid, the validation of the schema reports them
+			return;
+		}
+
+		errors.forEach(({
+			instancePath,
+			keyword,
+			params,
+			message
+		}) => this.errors.push({
+			pointer: `${pointer}${instancePath}`,
+			keyword,
+			params,
+			message: `The example ${message}`
+		}));
+	}
+}
+
+module.exports = ExampleValidator;
@@ -0,0 +1,299 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+const minimatch = require('minimatch');
+
+const SpecUtils = require('./spec-utils');
+
+/**
+ * The criteria to match the operations, any of them must match
+ */
+const CRITERIA = ['tags', 'extensions', 'paths', 'methods'];
+
+const isString = value => typeof value === 'string' && value !== '';
+
+/**
+ * Checks the criteria of an include or exclude filter
+ * @param {*} criteria
+ * @returns {boolean}
+ */
+const isValidCriteria = criteria => isPlainObject(criteria)
+	&& Object.entries(criteria).every(([criterion, values]) => CRITERIA.includes(criterion) && Array.isArray(values) && values.every(isString));
+
+/**
+ * Filters the operations of the schemas and removes the components that are no longer used
+ */
+class Filter {
+
+	static get criteria() {
+		return CRITERIA;
+	}
+
+	/**
+	 * Checks the filter config: an object with the include and exclude criteria
+	 * @param {*} filter
+	 * @returns {boolean}
+	 */
+	static isValidConfig(filter) {
+		return isPlainObject(filter)
+			&& Object.entries(filter).every(([key, criteria]) => ['include', 'exclude'].includes(key) && isValidCriteria(criteria));
+	}
+
+	/**
+	 * @param {object} filter
+	 * @param {object} filter.include The criteria of the kept operations. DEFAULT = every operation
+	 * @param {object} filter.exclude The criteria of the removed operations. DEFAULT = no operation
+	 */
+	constructor({ include, exclude } = {}) {
+		this.include = include || null;
+		this.exclude = exclude || null;
+	}
+
+	/**
+	 * Removes the operations that aren't included or are excluded, the path items without operations,
+	 * and the components and tags only used by the removed operations
+	 * @param {object} schema The merged schema
+	 * @returns {{ schema: object, operations: Array<string>, components: Array<string> }} A copy of the schema,
+	 * and the pointers of the removed operations and components
+	 */
+	filter(schema) {
+
+		if(!isPlainObject(schema))
+			return { schema, operations: [], components: [] };
+
+		const usedComponents = this._getUsedComponents(schema);
+		const usedTags = this._getUsedTags(schema);
+
+		const operations = [];
+
+		const filteredSchema = ['paths', 'webhooks'].reduce((currentSchema, section) => {
+
+			if(!isPlainObject(schema[section]))
+				return currentSchema;
+
+			return { ...currentSchema, [section]: this._filterPathItems(schema[section], section, operations) };
+		}, { ...schema });
+
+		const components = this._pruneComponents(filteredSchema, usedComponents);
+
+		this._pruneTags(filteredSchema, usedTags);
+
+		return { schema: filteredSchema, operations, components };
+	}
+
+	/**
+	 * Filters the operations of the paths or the webhooks
+	 * @param {object} pathItems The path items, by path or webhook name
+	 * @param {string} section The section of the path items: paths or webhooks
+	 * @param {Array<string>} operations To add the removed operations
+	 * @returns {object} The kept path items, without the ones whose operations were all removed
+	 */
+	_filterPathItems(pathItems, section, operations) {
+
+		return Object.entries(pathItems).reduce((keptPathItems, [path, pathItem]) => {
+
+			const methods = isPlainObject(pathItem) ? SpecUtils.operationMethods.filter(method => isPlainObject(pathItem[method])) : [];
+
+			// The path items without operations, like the ones with a $ref, are kept as they are
+			if(!methods.length)
+				return { ...keptPathItems, [path]: pathItem };
+
+			const removedMethods = methods.filter(method => !this._isKept({ path, method, pathItem, operation: pathItem[method] }));
+
+			removedMethods.forEach(method => operations.push(SpecUtils.toPointer(section, path, method)));
+
+			if(removedMethods.length === methods.length)
+				return keptPathItems;
+
+			const keptPathItem = { ...pathItem };
+			removedMethods.forEach(method => delete keptPathItem[method]);
+
+			return { ...keptPathItems, [path]: keptPathItem };
+		}, {});
+	}
+
+	/**
+	 * Checks if an operation is kept: it must match the include criteria, if any, and it must not match the exclude ones
+	 * @param {object} operationData
+	 * @returns {boolean}
+	 */
+	_isKept(operationData) {
+		return (!this.include || this._matches(this.include, operationData)) && !(this.exclude && this._matches(this.exclude, operationData));
+	}
+
+	/**
+	 * Checks if an operation matches any of the criteria
+	 * @param {object} criteria
+	 * @param {object} operationData
+	 * @param {string} operationData.path The path or the webhook name
+	 * @param {string} operationData.method
+	 * @param {object} operationData.pathItem The path item, its extensions apply to every operation
+	 * @param {object} operationData.operation
+	 * @returns {boolean}
+	 */
+	_matches({ tags = [], extensions = [], paths = [], methods = [] }, {
+		path,
+		method,
+		pathItem,
+		operation
+	}) {
+
+		const operationTags = Array.isArray(operation.tags) ? operation.tags : [];
+
+		return tags.some(tag => operationTags.includes(tag))
+			|| extensions.some(extension => !!operation[extension] || !!pathItem[extension])
+			|| paths.some(glob => minimatch(path, glob))
+			|| methods.some(filterMethod => filterMethod.toLowerCase() === method);
+	}
+
+	/**
+	 * Removes the components that were used before filtering the operations and aren't used anymore.
+	 * The components that weren't used before are kept, they could be used by other schemas
+	 * @param {object} schema The filtered schema, it is changed
+	 * @param {Set<string>} previousUsedComponents
+	 * @returns {Array<string>} The pointers of the removed components
+	 */
+	_pruneComponents(schema, previousUsedComponents) {
+
+		if(!isPlainObject(schema.components))
+			return [];
+
+		const usedComponents = this._getUsedComponents(schema);
+
+		const removedComponents = [...previousUsedComponents].filter(pointer => {
+			const [, section, name] = SpecUtils.getKeys(pointer);
+			return !usedComponents.has(pointer) && isPlainObject(schema.components[section]) && schema.components[section][name] !== undefined;
+		});
+
+		if(!removedComponents.length)
+			return [];
+
+		schema.components = Object.entries(schema.components).reduce((components, [section, sectionComponents]) => ({
+			...components,
+			[section]: isPlainObject(sectionComponents) ? { ...sectionComponents } : sectionComponents
+		}), {});
+
+		removedComponents.forEach(pointer => {
+
+			const [, section, name] = SpecUtils.getKeys(pointer);
+
+			delete schema.components[section][name];
+
+			if(!Object.keys(schema.components[section]).length)
+				delete schema.components[section];
+		});
+
+		return removedComponents;
+	}
+
+	/**
+	 * Removes the tags that were used before filtering the operations and aren't used anymore
+	 * @param {object} schema The filtered schema, it is changed
+	 * @param {Set<string>} previousUsedTags
+	 */
+	_pruneTags(schema, previousUsedTags) {
+
+		if(!Array.isArray(schema.tags))
+			return;
+
+		const usedTags = this._getUsedTags(schema);
+
+		schema.tags = schema.tags.filter(tag => !isPlainObject(tag) || !previousUsedTags.has(tag.name) || usedTags.has(tag.name));
+	}
+
+	/**
+	 * Returns the tags used by the operations
+	 * @param {object} schema
+	 * @returns {Set<string>}
+	 */
+	_getUsedTags(schema) {
+
+		const tags = new Set();
+
+		const pathItems = ['paths', 'webhooks']
+			.filter(section => isPlainObject(schema[section]))
+			.reduce((allPathItems, section) => [...allPathItems, ...Object.values(schema[section]).filter(isPlainObject)], []);
+
+		pathItems.forEach(pathItem => {
+			SpecUtils.operationMethods
+				.filter(method => isPlainObject(pathItem[method]) && Array.isArray(pathItem[method].tags))
+				.forEach(method => pathItem[method].tags.forEach(tag => tags.add(tag)));
+		});
+
+		return tags;
+	}
+
+	/**
+	 * Returns the components used by the schema outside the components, directly or through other components
+	 * @param {object} schema
+	 * @returns {Set<string>} The pointers of the components, like "/components/schemas/Movie"
+	 */
+	_getUsedComponents(schema) {
+
+		const usedComponents = new Set();
+		const pending = [];
+
+		const addComponent = pointer => {
+			if(!usedComponents.has(pointer)) {
+				usedComponents.add(pointer);
+				pending.push(pointer);
+			}
+		};
+
+		Object.entries(schema)
+			.filter(([key]) => key !== 'components')
+			.forEach(([key, value]) => this._collectUses(value, addComponent, key));
+
+		while(pending.length) {
+
+			const [, section, name] = SpecUtils.getKeys(pending.pop());
+			const sectionComponents = isPlainObject(schema.components) && schema.components[section];
+
+			if(isPlainObject(sectionComponents))
+				this._collectUses(sectionComponents[name], addComponent);
+		}
+
+		return usedComponents;
+	}
+
+	/**
+	 * Collects the components used by the internal references, the discriminator mappings and the security requirements
+	 * @param {*} value A node of the schema
+	 * @param {function} addComponent Receives the pointer of every used component
+	 * @param {string} key The key of the node in its parent
+	 */
+	_collectUses(value, addComponent, key) {
+
+		if(Array.isArray(value)) {
+
+			// The security requirements are lists of objects with the security schemes as keys
+			if(key === 'security') {
+				value.filter(isPlainObject)
+					.forEach(requirement => Object.keys(requirement).forEach(name => addComponent(SpecUtils.toPointer('components', 'securitySchemes', name))));
+			}
+
+			value.forEach(item => this._collectUses(item, addComponent));
+			return;
+		}
+
+		if(!isPlainObject(value))
+			return;
+
+		const refs = [
+			value.$ref,
+			...(key === 'discriminator' && isPlainObject(value.mapping) ? Object.values(value.mapping) : [])
+		];
+
+		refs.filter(ref => typeof ref === 'string' && ref.startsWith('#/components/')).forEach(ref => {
+
+			const [, section, name] = SpecUtils.getKeys(decodeURI(ref.slice(1)));
+
+			if(name !== undefined)
+				addComponent(SpecUtils.toPointer('components', section, name));
+		});
+
+		Object.entries(value).forEach(([childKey, child]) => this._collectUses(child, addComponent, childKey));
+	}
+}
+
+module.exports = Filter;
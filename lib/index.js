@@ -3,106 +3,478 @@
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
-const { get, set, merge } = require('lodash');
+const { get, set } = require('lodash');
 const YAML = require('js-yaml');
 const jsonRefs = require('json-refs');
-// In order to use OpenApi Schema Validator 3.0.3+
-const OpenapiSchemaValidator = require('openapi-schema-validator').default;
+const minimatch = require('minimatch');
+
+const BuildCache = require('./build-cache');
+const Bundler = require('./bundler');
+const Config = require('./config');
+const Differ = require('./differ');
+const Docs = require('./docs');
+const ExampleValidator = require('./example-validator');
+const TypeDefinitions = require('./type-definitions');
+const ApiClient = require('./api-client');
+const Collections = require('./collections');
+const Linter = require('./linter');
+const logger = require('./logger');
+const Merger = require('./merger');
+const Overlay = require('./overlay');
+const Filter = require('./filter');
+const Report = require('./report');
+const SchemaValidator = require('./schema-validator');
+const SourceMap = require('./source-map');
+const Sorter = require('./sorter');
+const SwaggerConverter = require('./swagger-converter');
+const ValidationMiddleware = require('./validation-middleware');
+const errors = require('./errors');
+
+const {
+	SourceNotFoundError,
+	ParseError,
+	ValidationError,
+	WriteError,
+	MergeConflictError,
+	BreakingChangeError
+} = errors;
 
 // Promisify methods
 ['readdir', 'stat', 'readFile', 'writeFile', 'mkdir'].forEach(method => { fs[method] = util.promisify(fs[method]); });
 
 const SCHEMA_DIR = 'schemas';
 const SRC_DIR = 'src';
-const BUILD_FILE = 'public.json';
+const DEFAULT_SCHEMA_TYPE = 'public';
+const DOCS_DIR = 'docs';
+const CACHE_DIR = '.cache';
 const LOG_ERROR_FILE = 'build-error.log';
 
-/**
- * Simple Console Log
- * @param {string} message
- * @param {string} prefix DEFAULT = 'BUILDING'
- * @param {boolean} error if it's an error message
- */
-/* istanbul ignore next */
-const logger = (message, prefix = 'BUILDING', error = false) => {
-	const time = new Date().toLocaleTimeString();
-
-	/*
-		/x1b[**m -> text editor codes
-		/x1b[35m = Magenta
-		/x1b[32m = Green
-		/x1b[31m = Red
-		/x1b[1m = Bright
-		/x1b[0m = Reset, back to normal
-	 */
-
-	if(error) {
-		console.error(`[\x1b[35m \x1b[1mAPI-SCHEMA-BUILDER\x1b[0m | ${time} ] | \x1b[31m${prefix}\x1b[0m | ${message}`);
-		console.error(`[\x1b[35m \x1b[1mAPI-SCHEMA-BUILDER\x1b[0m | ${time} ] | \x1b[31mERROR\x1b[0m | Abort. Can't create SCHEMAS.\n`);
-	} else
-		console.log(`[\x1b[35m \x1b[1mAPI-SCHEMA-BUILDER\x1b[0m | ${time} ] | \x1b[32m${prefix}\x1b[0m | ${message}`);
+const FORMAT_EXTENSIONS = {
+	json: 'json',
+	yaml: 'yml'
 };
 
 class ApiSchemaBuilder {
 
+	/**
+	 * @param {object} options The same options of the config file
+	 * @param {string} options.rootDir The directory the other paths are relative to. DEFAULT = process.cwd()
+	 * @param {Array<string>} options.types The schema types to build, like ['public', 'internal']. DEFAULT = every type found in 'schemas/src/'
+	 * @param {string} options.src The schemas source directory. DEFAULT = 'schemas/src'
+	 * @param {string} options.out The directory where the schemas are built. DEFAULT = 'schemas'
+	 * @param {string} options.format The output format, 'json', 'yaml' or 'both'. DEFAULT = 'json'
+	 * @param {boolean} options.minify If the JSON output is minified. DEFAULT = false
+	 * @param {boolean} options.strict If the validation errors make the build fail, otherwise they are logged as warnings. DEFAULT = true
+	 * @param {string} options.mergeStrategy What to do when the merged files define the same key with different values,
+	 * 'error', 'warn', 'first-wins' or 'last-wins'. The last file wins with 'error' and 'warn'. DEFAULT = 'warn'
+	 * @param {Array<string>} options.ignore Globs of the source files and directories to ignore, relative to the source directory
+	 * @param {boolean} options.quiet Only log errors. DEFAULT = false
+	 * @param {string} options.report The format of the validation report file, 'text', 'json' or 'junit'. DEFAULT = no report file
+	 * @param {string} options.reportFile The validation report file. DEFAULT = 'build-report.{txt,json,xml}' in the output directory
+	 * @param {boolean} options.canonical If the schemas keys are sorted in a canonical order. DEFAULT = false
+	 * @param {boolean} options.dereference If the referenced files are inlined everywhere they are used,
+	 * otherwise they are moved to the components and referenced internally. DEFAULT = false
+	 * @param {boolean|object} options.lint If the schemas are linted after their validation, true for the default severity of every rule
+	 * or an object with the severity of the rules, 'off', 'warn' or 'error'. DEFAULT = false
+	 * @param {string} options.diff The format of the changelog between the previous and the new schemas, 'markdown' or 'json'. DEFAULT = no changelog
+	 * @param {string} options.baseline The previous schema file, or a directory with the previous schema of every type. DEFAULT = the output directory
+	 * @param {boolean} options.failOnBreaking If the breaking changes make the build fail, before writing any schema. DEFAULT = false
+	 * @param {string} options.env The environment whose overlay is applied to the merged schemas, like 'qa'. DEFAULT = no overlay
+	 * @param {string} options.overlays The directory with the overlay of every environment, like 'qa.yml'. DEFAULT = 'schemas/overlays'
+	 * @param {Object} options.filter The operations to include and exclude, by tags, extensions, paths globs or methods. DEFAULT = every operation
+	 * @param {boolean} options.docs If the HTML documentation of every schema is written in the docs directory of the output directory. DEFAULT = false
+	 * @param {boolean} options.dts If the TypeScript type definitions of every schema are written next to it. DEFAULT = false
+	 * @param {boolean} options.client If the JavaScript client of every schema is written next to it. DEFAULT = false
+	 * @param {string} options.collection The format of the collection of every schema written next to it, 'postman', 'insomnia' or 'both'.
+	 * DEFAULT = no collection
+	 * @param {boolean} options.cache If the build reuses the schema types and the parsed files that didn't change since the last build,
+	 * cached in the .cache directory of the output directory. DEFAULT = true
+	 */
+	constructor(options = {}) {
+
+		Config.validate(options);
+
+		const {
+			rootDir = process.cwd(),
+			types,
+			src,
+			out,
+			format,
+			strict,
+			mergeStrategy,
+			ignore,
+			quiet,
+			report,
+			reportFile,
+			canonical,
+			minify,
+			dereference,
+			lint,
+			diff,
+			baseline,
+			failOnBreaking,
+			env,
+			overlays,
+			filter,
+			docs,
+			dts,
+			client,
+			collection,
+			cache
+		} = { ...Config.defaults, ...this._definedOptions(options) };
+
+		this.types = types && types.length ? types : null;
+		this.srcDir = path.resolve(rootDir, src);
+		this.outDir = path.resolve(rootDir, out);
+		this.format = format;
+		this.formats = format === 'both' ? ['json', 'yaml'] : [format];
+		this.minify = minify;
+		this.strict = strict;
+		this.mergeStrategy = mergeStrategy;
+		this.ignore = ignore;
+		this.quiet = quiet;
+		this.report = report || null;
+		this.reportFile = report
+			? path.resolve(rootDir, reportFile || path.join(out, `build-report.${Report.getExtension(report)}`))
+			: null;
+		this.canonical = canonical;
+		this.dereference = dereference;
+		this.lint = lint;
+		this.diff = diff || null;
+		this.baseline = baseline ? path.resolve(rootDir, baseline) : null;
+		this.failOnBreaking = failOnBreaking;
+		this.env = env || null;
+		this.overlaysDir = path.resolve(rootDir, overlays);
+		this.filter = filter || null;
+		this.docs = docs;
+		this.dts = dts;
+		this.client = client;
+		this.collections = collection ? Collections.getFormats(collection) : [];
+		this.cache = cache;
+	}
+
+	/**
+	 * The default source directory in the current directory, it ignores the rootDir and src settings
+	 * @deprecated Use the srcDir of an instance
+	 * @returns {string}
+	 */
 	static get schemaSrcDir() {
 		return path.join(process.cwd(), SCHEMA_DIR, SRC_DIR);
 	}
 
+	/**
+	 * The default output directory in the current directory, it ignores the rootDir and out settings
+	 * @deprecated Use the outDir of an instance
+	 * @returns {string}
+	 */
 	static get schemaDir() {
 		return path.join(process.cwd(), SCHEMA_DIR);
 	}
 
+	/**
+	 * The default JSON output file of the public schema, it ignores the rootDir, out and format settings
+	 * @deprecated Use getBuildFile() of an instance
+	 * @returns {string}
+	 */
 	static get buildFile() {
-		return path.join(process.cwd(), SCHEMA_DIR, BUILD_FILE);
+		return path.join(this.schemaDir, `${DEFAULT_SCHEMA_TYPE}.json`);
 	}
 
+	/**
+	 * The default error log file, it ignores the rootDir and out settings
+	 * @deprecated Use the errorLog of an instance
+	 * @returns {string}
+	 */
 	static get errorLog() {
 		return path.join(process.cwd(), SCHEMA_DIR, LOG_ERROR_FILE);
 	}
 
 	/**
-	 * Builds the JSON schemas and outputs in the /build folder
+	 * The error log file in the output directory
+	 * @returns {string}
+	 */
+	get errorLog() {
+		return path.join(this.outDir, LOG_ERROR_FILE);
+	}
+
+	/**
+	 * Returns the output file path of a schema type
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {string} format 'json' or 'yaml'. DEFAULT = the first output format
+	 * @returns {string}
+	 */
+	getBuildFile(schemaType, format = this.formats[0]) {
+		return path.join(this.outDir, `${schemaType}.${FORMAT_EXTENSIONS[format]}`);
+	}
+
+	/**
+	 * Returns the output file paths of a schema type, one per output format
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @returns {Array<string>}
+	 */
+	getBuildFiles(schemaType) {
+		return this.formats.map(format => this.getBuildFile(schemaType, format));
+	}
+
+	/**
+	 * Returns the HTML documentation file of a schema type
+	 * @param {string} schemaType
+	 * @returns {string} The docs/index.html file of the public schema, and docs/{type}.html of the other ones
+	 */
+	getDocsFile(schemaType) {
+		return path.join(this.outDir, DOCS_DIR, schemaType === DEFAULT_SCHEMA_TYPE ? 'index.html' : `${schemaType}.html`);
+	}
+
+	/**
+	 * Returns the TypeScript type definitions file of a schema type
+	 * @param {string} schemaType
+	 * @returns {string}
+	 */
+	getTypesFile(schemaType) {
+		return path.join(this.outDir, `${schemaType}.d.ts`);
+	}
+
+	/**
+	 * Returns the JavaScript client file of a schema type
+	 * @param {string} schemaType
+	 * @returns {string}
+	 */
+	getClientFile(schemaType) {
+		return path.join(this.outDir, `${schemaType}.client.js`);
+	}
+
+	/**
+	 * Returns the collection file of a schema type
+	 * @param {string} schemaType
+	 * @param {string} format postman or insomnia
+	 * @returns {string} Like public.postman_collection.json or public.insomnia.json
+	 */
+	getCollectionFile(schemaType, format) {
+		return path.join(this.outDir, format === 'postman' ? `${schemaType}.postman_collection.json` : `${schemaType}.${format}.json`);
+	}
+
+	/**
+	 * Returns the build cache file of a schema type
+	 * @param {string} schemaType
+	 * @returns {string}
+	 */
+	getCacheFile(schemaType) {
+		return path.join(this.outDir, CACHE_DIR, `${schemaType}.json`);
+	}
+
+	/**
+	 * Builds the schemas and resolves them without writing any file
+	 * @param {object} options The same options of the constructor
+	 * @returns {Promise<Array<{ type: string, spec: object, warnings: Array<object>, files: Array<string> }>>}
+	 */
+	static buildSpec(options) {
+		return new ApiSchemaBuilder(options).buildSpec();
+	}
+
+	/**
+	 * Creates the validator of the requests and the responses of a built schema, with the adapters of the node http and Lambda handlers
+	 * @param {object} spec The built schema, like the one of buildSpec() or loadSpec()
+	 * @param {object} options The options of the ValidationMiddleware
+	 * @returns {ValidationMiddleware}
+	 */
+	static createValidator(spec, options) {
+		return new ValidationMiddleware(spec, options);
+	}
+
+	/**
+	 * Builds the schemas, one per schema type, without writing any file
 	 * @async
+	 * @param {Array<string>} types The schema types to build. DEFAULT = the types option
+	 * @param {object} options
+	 * @param {boolean} options.cache If the unchanged schema types are taken from the build cache, and the cache is written. DEFAULT = false
+	 * @returns {Array<{ type: string, spec: object, warnings: Array<object>, files: Array<string> }>}
+	 * @throws {SourceNotFoundError|ParseError|MergeConflictError|ValidationError} If a schema can't be built
 	 */
-	async build() {
-		logger('Building Schemas', 'START');
+	async buildSpec(types = this.types, { cache = false } = {}) {
 
-		// Check if base path is a correct directory
-		if(!await this._isDirectory(this.constructor.schemaDir)) {
-			logger('Directory \'schemas/\' don\'t exist. Need to build.', 'ERROR', true);
-			return process.exit(-1);
+		// Check if source path is a correct directory
+		if(!await this._isDirectory(this.srcDir))
+			throw new SourceNotFoundError(`Directory '${this._relative(this.srcDir)}/' don't exist. Need to build.`, this.srcDir);
+
+		const tree = await this._getSourceTree();
+		const schemaTypes = this._getSchemaTypes(tree, types);
+
+		if(!schemaTypes.length)
+			throw new SourceNotFoundError('No Files to Build', this.srcDir);
+
+		const results = [];
+		const cacheOptions = cache ? await this._getCacheOptions() : null;
+
+		for(const schemaType of schemaTypes) {
+			results.push(cache
+				? await this._buildCachedSchema(schemaType, tree[schemaType], cacheOptions)
+				: await this._buildSchema(schemaType, tree[schemaType]));
 		}
 
-		logger('Directory \'schemas/\' found.');
+		return results;
+	}
 
-		// Check if source path is a correct directory
-		if(!await this._isDirectory(this.constructor.schemaSrcDir)) {
-			logger('Directory \'schemas/src/\' don\'t exist. Need to build.', 'ERROR', true);
-			return process.exit(-1);
+	/**
+	 * Returns the built schema of a type from its output file, or builds it without writing any file when it wasn't built yet
+	 * @async
+	 * @param {string} schemaType The type of the schema like "public". DEFAULT = the first of the types option or "public"
+	 * @param {boolean} build If the schema is built even if its output file exists. DEFAULT = false
+	 * @returns {object} The schema
+	 * @throws {ParseError} If the output file is invalid, or the errors of buildSpec() when the schema is built
+	 */
+	async loadSpec(schemaType = this.types ? this.types[0] : DEFAULT_SCHEMA_TYPE, build = false) {
+
+		if(!build) {
+			for(const format of this.formats) {
+
+				const file = this.getBuildFile(schemaType, format);
+
+				let content;
+
+				try {
+					content = await fs.readFile(file, 'utf8');
+				} catch(error) {
+					continue;
+				}
+
+				try {
+					return this._parseFile(FORMAT_EXTENSIONS[format], content, file);
+				} catch(error) {
+					throw new ParseError(`Invalid built schema '${this._relative(file)}'. ${error.message}`, file);
+				}
+			}
 		}
 
-		logger('Directory \'schemas/src/\' found.');
+		const [{ spec }] = await this.buildSpec([schemaType]);
+
+		return spec;
+	}
+
+	/**
+	 * Builds the schemas and writes them, one file per schema type in the output directory
+	 * @async
+	 * @returns {Array<{ type: string, spec: object, warnings: Array<object>, files: Array<string>, changes: Array<object> }>}
+	 * The changes with the previous schemas, when the diff or the failOnBreaking options are set
+	 * @throws {SourceNotFoundError|ParseError|MergeConflictError|ValidationError|WriteError|BreakingChangeError} If a schema can't be built or written
+	 */
+	async build() {
+		this._log('Building Schemas', 'START');
+
+		const report = new Report();
+
+		let results;
 
 		try {
-			logger('Searching SRC structure');
-			const tree = await this._getSourceTree();
-			const schemaTypes = Object.keys(tree);
+			results = await this.buildSpec(this.types, { cache: this.cache });
+		} catch(error) {
+
+			if(error instanceof ValidationError) {
+				// The errors are always shown, even if the quiet option is set
+				error.errors.forEach(validationError => logger(Report.formatError(validationError), 'ERROR'));
+
+				report.add(error.schemaType, error.errors);
 
-			if(!schemaTypes.length) {
-				logger('No Files to Build', 'ERROR', true);
-				return process.exit(-1);
+				await this._writeErrorLog(error.schemaType, error.errors);
+				await this._writeReport(report);
 			}
 
-			logger('Validating files.');
-			for(const key of schemaTypes)
-				await this._buildSchema(key, tree[key]);
+			throw error;
+		}
 
-			logger('Schemas Build in \'schemas/public.json\'', 'SUCCESS');
-		} catch(error) {
-			logger(error.message, 'ERROR', true);
-			return process.exit(-1);
+		await this._makeDirectory(this.outDir);
+
+		// Every schema is compared before writing any of them
+		if(this.diff || this.failOnBreaking) {
+			for(const result of results)
+				result.changes = await this._diffSchema(result.type, result.spec);
+		}
+
+		for(const {
+			type,
+			spec,
+			warnings,
+			docs,
+			dts,
+			client,
+			collections
+		} of results) {
+
+			const validationErrors = [].concat(...warnings.map(warning => warning.errors || []));
+
+			warnings.forEach(({ message }) => this._log(message, 'WARNING'));
+			validationErrors.forEach(validationError => this._log(Report.formatError(validationError), 'WARNING'));
+
+			report.add(type, validationErrors, 'warning');
+
+			if(validationErrors.length)
+				await this._writeErrorLog(type, validationErrors);
+
+			await this._writeSchema(type, spec);
+			const buildFiles = this.getBuildFiles(type).map(file => `'${this._relative(file)}'`);
+			this._log(`Schema '${type}' built in ${buildFiles.join(', ')}`, 'SUCCESS');
+
+			if(docs)
+				await this._writeDocs(type, docs);
 
+			if(dts)
+				await this._writeTypes(type, dts);
+
+			if(client)
+				await this._writeClient(type, client);
+
+			if(collections)
+				await this._writeCollections(type, collections);
+		}
+
+		await this._writeReport(report);
+
+		return results;
+	}
+
+	/**
+	 * Removes the undefined options, so they don't override the defaults
+	 * @param {object} options
+	 * @returns {object}
+	 */
+	_definedOptions(options) {
+		return Object.entries(options).reduce((definedOptions, [name, value]) => {
+			return value === undefined ? definedOptions : { ...definedOptions, [name]: value };
+		}, {});
+	}
+
+	/**
+	 * Logs a message unless the quiet option is set
+	 * @param {string} message
+	 * @param {string} prefix
+	 */
+	_log(message, prefix) {
+		if(!this.quiet)
+			logger(message, prefix);
+	}
+
+	/**
+	 * Returns a path relative to the current working directory, for messages
+	 * @param {string} pathname
+	 * @returns {string}
+	 */
+	_relative(pathname) {
+		return path.relative(process.cwd(), pathname) || '.';
+	}
+
+	/**
+	 * Creates a directory if it doesn't exist
+	 * @async
+	 * @param {string} directory
+	 */
+	async _makeDirectory(directory) {
+
+		if(await this._isDirectory(directory))
+			return;
+
+		try {
+			await fs.mkdir(directory, { recursive: true });
+		} catch(error) {
+			throw new WriteError(`Can't make the directory '${this._relative(directory)}/'. ${error.message}.`, directory);
 		}
 	}
 
@@ -132,22 +504,26 @@ class ApiSchemaBuilder {
 	 * @return {object}
 	 */
 
-	async _getSourceTree(directory = this.constructor.schemaSrcDir, parentChain = [], tree = {}) {
+	async _getSourceTree(directory = this.srcDir, parentChain = [], tree = {}) {
 
 		// Check if path is a correct directory
 		if(!await this._isDirectory(directory))
 			throw new Error(`Path: ${directory}, don't exist or isn't a directory`);
 
-		// Take the file or directory
-		const content = await fs.readdir(directory);
+		// Take the file or directory, sorted so the files are always merged in the same order
+		const content = (await fs.readdir(directory)).sort();
 
 		for(const element of content) {
 
 			const elementChain = parentChain.concat(element);
-			const elementPath = `${this.constructor.schemaSrcDir}/${elementChain.join('/')}`;
+			const elementPath = `${this.srcDir}/${elementChain.join('/')}`;
 
 			const isDir = await this._isDirectory(elementPath);
 
+			// Directories are matched with a trailing slash, so 'drafts/**' ignores the whole 'drafts' directory
+			if(this._isIgnored(elementChain.join('/') + (isDir ? '/' : '')))
+				continue;
+
 			if(isDir) {
 				// If is an directory
 				const elementPropertyChain = elementChain.join('.nodes.');
@@ -173,7 +549,36 @@ class ApiSchemaBuilder {
 	}
 
 	/**
-	 * Retruns the list of paths from a schemaTree
+	 * Checks if a source path matches any of the ignore globs
+	 * @param {string} relativePath The path relative to the source directory
+	 * @returns {boolean}
+	 */
+	_isIgnored(relativePath) {
+		return this.ignore.some(glob => minimatch(relativePath, glob, { dot: true }));
+	}
+
+	/**
+	 * Returns the schema types to build from the source tree, filtered by the selected types if they were set
+	 * @param {object} tree The schemas source tree
+	 * @param {Array<string>} types The selected schema types. DEFAULT = the types option
+	 * @returns {Array<string>}
+	 */
+	_getSchemaTypes(tree, types = this.types) {
+		const schemaTypes = Object.keys(tree).sort();
+
+		if(!types)
+			return schemaTypes;
+
+		const missingTypes = types.filter(type => !schemaTypes.includes(type));
+
+		if(missingTypes.length)
+			throw new SourceNotFoundError(`Schema types not found in '${this._relative(this.srcDir)}/': ${missingTypes.join(', ')}`, this.srcDir);
+
+		return types;
+	}
+
+	/**
+	 * Retruns the list of paths from a schemaTree, in merge order: the files of a directory sorted by name, then the files of its sub directories
 	 * @param {Object} schemaTree The object with the schemas source tree file paths
 	 * @param {Array<string>} schemaPathsList The list of paths to return
 	 */
@@ -184,7 +589,8 @@ class ApiSchemaBuilder {
 		schemas.forEach(s => schemaPathsList.push(s));
 
 		if(Object.keys(nodes).length) {
-			for(const key of Object.keys(nodes))
+			// Sorted because the numeric keys, like '2', are always the first keys of an object
+			for(const key of Object.keys(nodes).sort())
 				// Recursively mutate the schemaPathList with all of the modules
 				this._getSchemaPathsList(nodes[key], schemaPathsList);
 		}
@@ -217,33 +623,208 @@ class ApiSchemaBuilder {
 	 * Retrieves the content of the schema file paths
 	 * @async
 	 * @param {Array<string>} schemaPaths The list of schemas file paths
+	 * @param {BuildCache} cache The build cache, to parse only the files that changed. DEFAULT = no cache
 	 * @return {Array{object}}
 	 */
-	_readSchemaFiles(schemaPaths) {
+	_readSchemaFiles(schemaPaths, cache = null) {
 		return Promise.all(schemaPaths.map(async pathname => {
 			const fileType = pathname.split('.').pop();
 			const file = await fs.readFile(pathname, 'utf8');
 
 			try {
-				const parsedFile = this._parseFile(fileType, file, pathname);
-				return parsedFile;
+				const parse = () => this._parseFile(fileType, file, pathname);
+				return cache ? cache.parse(pathname, file, parse) : parse();
 			} catch(error) {
-				error.message = `Invalid file ${pathname}, not a valid ${fileType.toUpperCase()}. ${error.message}`;
-				throw error;
+				throw new ParseError(`Invalid file ${pathname}, not a valid ${fileType.toUpperCase()}. ${error.message}`, pathname);
 			}
 		}));
 	}
 
 	/**
-	 * Merges the schemas into a single object
+	 * Converts the Swagger 2.0 schema parts to OpenAPI 3.0, the other parts don't change
+	 * @async
+	 * @param {Array<Object>} schemas The list of schemas parts
+	 * @param {Array<string>} files The file of every schema part
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @returns {{ schemas: Array<object>, warnings: Array<object> }} A warning per converted file with constructs that can't be converted,
+	 * located in the Swagger file
+	 */
+	async _convertSchemas(schemas, files, schemaType) {
+
+		// The version of the other 3.0 parts is kept. The converted parts keep their 3.0 version next to the other versions, so mixing them is rejected
+		const hasVersion = schemas.some(schema => SchemaValidator.getVersion(schema) === '3.0');
+
+		// The results are collected in file order, so the warnings are always reported in the same order
+		const conversions = await Promise.all(schemas.map(async (schema, index) => {
+
+			if(!SwaggerConverter.isSwagger(schema))
+				return { schema, warnings: [] };
+
+			const { schema: convertedSchema, issues } = new SwaggerConverter().convert(schema);
+
+			if(hasVersion)
+				delete convertedSchema.openapi;
+
+			if(!issues.length)
+				return { schema: convertedSchema, warnings: [] };
+
+			return {
+				schema: convertedSchema,
+				warnings: [{
+					message: `Some constructs of the Swagger 2.0 file '${this._relative(files[index])}' of schema of type "${schemaType}" can't be converted`,
+					errors: await this._locateErrors(issues, new SourceMap([files[index]], [schema]))
+				}]
+			};
+		}));
+
+		return {
+			schemas: conversions.map(({ schema }) => schema),
+			warnings: conversions.reduce((warnings, conversion) => [...warnings, ...conversion.warnings], [])
+		};
+	}
+
+	/**
+	 * Checks that the schema parts don't mix OpenAPI versions, like 3.0 and 3.1
+	 * @param {Array<Object>} schemas The list of schemas parts
+	 * @param {Array<string>} files The file of every schema part
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @throws {MergeConflictError} If there are parts of different versions
+	 */
+	_checkVersions(schemas, files, schemaType) {
+
+		// The first file of every version
+		const versionFiles = new Map();
+
+		schemas.forEach((schema, index) => {
+
+			const version = SchemaValidator.getVersion(schema);
+
+			if(version && !versionFiles.has(version))
+				versionFiles.set(version, files[index]);
+		});
+
+		if(versionFiles.size < 2)
+			return;
+
+		const [[version, file], [otherVersion, otherFile]] = versionFiles;
+
+		const versions = `${version} in '${this._relative(file)}' and ${otherVersion} in '${this._relative(otherFile)}'`;
+
+		throw new MergeConflictError(`Schema of type "${schemaType}" mixes OpenAPI versions: ${versions}`,
+			path.join(this.srcDir, schemaType), schemaType, [{ pointer: '/openapi', files: [file, otherFile] }]);
+	}
+
+	/**
+	 * Merges the schemas into a single object, following the merge strategy
 	 * @param {Array<Object>} schemas The list of schemas parts to merge
+	 * @param {Array<string>} files The file of every schema part
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @returns {{ schema: object, warnings: Array<object> }} The conflicts are warnings with the warn strategy
+	 * @throws {MergeConflictError} If there are conflicts with the error strategy
 	 */
-	_mergeSchemas(schemas) {
-		const mergedSchemas = {};
+	_mergeSchemas(schemas, files = [], schemaType) {
 
-		merge(mergedSchemas, ...schemas);
+		this._checkVersions(schemas, files, schemaType);
 
-		return mergedSchemas;
+		const { schema, conflicts } = new Merger(this.mergeStrategy).merge(schemas, files);
+
+		if(!conflicts.length || ['first-wins', 'last-wins'].includes(this.mergeStrategy))
+			return { schema, warnings: [] };
+
+		const messages = conflicts.map(({ pointer, files: [previousFile, file] }) => {
+			return `'${pointer}' is defined in '${this._relative(previousFile)}' and '${this._relative(file)}'`;
+		});
+
+		if(this.mergeStrategy === 'error') {
+			throw new MergeConflictError(`Found conflicts merging the schema of type "${schemaType}". ${messages.join('. ')}`,
+				path.join(this.srcDir, schemaType), schemaType, conflicts);
+		}
+
+		return {
+			schema,
+			warnings: messages.map((message, index) => ({ message: `Conflict on schema of type "${schemaType}", ${message}`, conflict: conflicts[index] }))
+		};
+	}
+
+	/**
+	 * Applies the overlay of the environment to a merged schema, if the env option is set
+	 * @async
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Object} schema The merged schema
+	 * @param {BuildCache} cache The build cache, to parse the overlay only if it changed. DEFAULT = no cache
+	 * @returns {{ schema: object, warnings: Array<object>, file: string|null }} A warning per action that doesn't match any node, and the overlay file
+	 * @throws {SourceNotFoundError|ParseError} If the overlay doesn't exist, it isn't valid or a target can't be evaluated
+	 */
+	async _applyOverlay(schemaType, schema, cache = null) {
+
+		if(!this.env)
+			return { schema, warnings: [], file: null };
+
+		const file = await this._getOverlayFile();
+
+		const content = await fs.readFile(file, 'utf8');
+
+		let result;
+
+		try {
+			const parse = () => this._parseFile(file.split('.').pop(), content, file);
+			const overlay = Overlay.interpolate(cache ? cache.parse(file, content, parse) : parse());
+			Overlay.validate(overlay);
+			result = Overlay.apply(schema, overlay);
+		} catch(error) {
+			throw new ParseError(`Invalid overlay file ${file}. ${error.message}`, file);
+		}
+
+		const { schema: overlaidSchema, unmatchedActions } = result;
+
+		return {
+			schema: overlaidSchema,
+			warnings: unmatchedActions.map(({ index, target }) => ({
+				message: `The target '${target}' of the action ${index} of the overlay '${this._relative(file)}' doesn't match schema of type "${schemaType}"`
+			})),
+			file
+		};
+	}
+
+	/**
+	 * Returns the overlay file of the environment, a YAML or JSON file
+	 * @async
+	 * @returns {string}
+	 * @throws {SourceNotFoundError} If there is no overlay for the environment
+	 */
+	async _getOverlayFile() {
+
+		const files = ['yml', 'yaml', 'json'].map(extension => path.join(this.overlaysDir, `${this.env}.${extension}`));
+
+		for(const file of files) {
+			try {
+				await fs.stat(file);
+				return file;
+			} catch(error) {
+				// Try the next extension
+			}
+		}
+
+		throw new SourceNotFoundError(`Overlay of the environment "${this.env}" not found in '${this._relative(this.overlaysDir)}/'`, this.overlaysDir);
+	}
+
+	/**
+	 * Removes the operations that don't pass the filter, and the components and tags that are no longer used
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Object} schema The merged schema
+	 * @returns {Object} The filtered schema
+	 */
+	_filterSchema(schemaType, schema) {
+
+		if(!this.filter)
+			return schema;
+
+		const { schema: filteredSchema, operations, components } = new Filter(this.filter).filter(schema);
+
+		if(operations.length)
+			this._log(`Removed ${operations.length} operations and ${components.length} components of schema '${schemaType}'`, 'FILTER');
+
+		return filteredSchema;
 	}
 
 	/**
@@ -251,59 +832,594 @@ class ApiSchemaBuilder {
 	 * @async
 	 * @param {string} schemaType The type of the schema like "public"
 	 * @param {Object} schema The final schema object
+	 * @param {SourceMap} sourceMap The source files of the schema, to locate the errors
+	 * @returns {Array<object>} The warnings, when the validation isn't strict
+	 * @throws {ValidationError} If the schema isn't valid and the validation is strict
 	 */
-	async _validateSchema(schemaType, schema) {
+	async _validateSchema(schemaType, schema, sourceMap = new SourceMap([], [])) {
 
-		const schemaValidator = new OpenapiSchemaValidator({ version: 3 });
-		const results = schemaValidator.validate(schema);
+		const errorsFound = SchemaValidator.validate(schema);
 
-		if(!results.errors.length)
-			return;
-		// If Schemas has an error
+		if(!errorsFound.length)
+			return [];
+
+		const validationErrors = await this._locateErrors(errorsFound, sourceMap);
+
+		const message = `Found errors on schema of type "${schemaType}". Check build-error.log file for more details`;
+
+		if(!this.strict)
+			return [{ message, errors: validationErrors }];
+
+		throw new ValidationError(message, path.join(this.srcDir, schemaType), schemaType, validationErrors);
+	}
+
+	/**
+	 * Validates if the examples of a schema match their schemas
+	 * @async
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Object} schema The final schema object
+	 * @param {SourceMap} sourceMap The source files of the schema, to locate the errors
+	 * @returns {Array<object>} The warnings, when the validation isn't strict
+	 * @throws {ValidationError} If an example isn't valid and the validation is strict
+	 */
+	async _validateExamples(schemaType, schema, sourceMap = new SourceMap([], [])) {
+
+		const errorsFound = new ExampleValidator(schema).validate();
+
+		if(!errorsFound.length)
+			return [];
+
+		const validationErrors = await this._locateErrors(errorsFound, sourceMap);
+
+		const message = `Found invalid examples on schema of type "${schemaType}". Check build-error.log file for more details`;
+
+		if(!this.strict)
+			return [{ message, errors: validationErrors }];
+
+		throw new ValidationError(message, path.join(this.srcDir, schemaType), schemaType, validationErrors);
+	}
+
+	/**
+	 * Checks the schema against the lint rules, if the lint is enabled
+	 * @async
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Object} schema The final schema object
+	 * @param {SourceMap} sourceMap The source files of the schema, to locate the problems
+	 * @returns {Array<object>} The warnings, with the problems of the rules with 'warn' severity.
+	 * The problems with 'error' severity are warnings too when the validation isn't strict
+	 * @throws {ValidationError} If there are problems with 'error' severity and the validation is strict
+	 */
+	async _lintSchema(schemaType, schema, sourceMap = new SourceMap([], [])) {
+
+		if(!this.lint)
+			return [];
+
+		const problems = await this._locateErrors(new Linter(this.lint).lint(schema), sourceMap);
+
+		// The rules disabled by the comments of every source file
+		const disabledRules = new Map();
+
+		for(const { file } of problems) {
+			if(file && !disabledRules.has(file))
+				disabledRules.set(file, Linter.getDisabledRules(await this._readSourceFile(file)));
+		}
+
+		const enabledProblems = problems.filter(({ rule, file, line }) => !file || !disabledRules.get(file)(rule, line));
+
+		const lintErrors = enabledProblems.filter(({ severity }) => severity === 'error');
+		const lintWarnings = enabledProblems.filter(({ severity }) => severity === 'warn');
+
+		if(lintErrors.length && this.strict) {
+			throw new ValidationError(`Found lint errors on schema of type "${schemaType}". Check build-error.log file for more details`,
+				path.join(this.srcDir, schemaType), schemaType, lintErrors);
+		}
+
+		if(!enabledProblems.length)
+			return [];
+
+		return [{ message: `Found lint problems on schema of type "${schemaType}"`, errors: this.strict ? lintWarnings : enabledProblems }];
+	}
+
+	/**
+	 * Reads a source file to search its comments
+	 * @async
+	 * @param {string} file
+	 * @returns {string} Empty if the file can't be read
+	 */
+	async _readSourceFile(file) {
 		try {
-			await fs.writeFile(this.constructor.errorLog, JSON.stringify({ [schemaType]: results }, null, 2));
+			return await fs.readFile(file, 'utf8');
 		} catch(error) {
-			// if can't make a file
-			throw new Error(`Found errors on schema of type "${schemaType}". Can't Write build-error.log file `);
+			return '';
 		}
+	}
+
+	/**
+	 * Adds the JSON pointer and the source file, line and column to the validation errors, removing the repeated ones
+	 * @async
+	 * @param {Array<object>} validationErrors The errors of the validator, with their JSON pointer
+	 * @param {SourceMap} sourceMap
+	 * @returns {Array<object>}
+	 */
+	async _locateErrors(validationErrors, sourceMap) {
+
+		const uniqueErrors = new Map();
+
+		validationErrors.forEach(validationError => {
+
+			const { params = {} } = validationError;
+			let { pointer, message } = validationError;
 
-		throw new Error(`Found errors on schema of type "${schemaType}". Check build-error.log file for more details`);
+			// The unexpected properties are located in their own key instead of their parent
+			const unexpectedProperty = params.additionalProperty !== undefined ? params.additionalProperty : params.unevaluatedProperty;
+
+			if(unexpectedProperty !== undefined) {
+				pointer += `/${SourceMap.escapeToken(unexpectedProperty)}`;
+				message += `: '${unexpectedProperty}'`;
+			}
+
+			if(!uniqueErrors.has(`${pointer} ${message}`))
+				uniqueErrors.set(`${pointer} ${message}`, { ...validationError, message, pointer });
+		});
+
+		return Promise.all([...uniqueErrors.values()].map(async validationError => ({
+			...validationError,
+			...await sourceMap.locate(validationError.pointer)
+		})));
 	}
 
 	/**
-	 * Builds the schema by type and writes the JSON file in the buildPath
+	 * Builds the schema by type
+	 * @async
 	 * @param {string} schemaType The type of the schema like "public"
 	 * @param {Object} schemaTree The schema tree with the schema file paths and modules
+	 * @param {BuildCache} cache The build cache, to parse only the source and referenced files that changed. DEFAULT = no cache
+	 * @returns {{ type: string, spec: object, warnings: Array<object>, files: Array<string> }} The files are the source files and the referenced ones
 	 */
-	async _buildSchema(schemaType, schemaTree) {
+	async _buildSchema(schemaType, schemaTree, cache = null) {
 		const schemaPaths = this._getSchemaPathsList(schemaTree);
-		const schemaObjects = await this._readSchemaFiles(schemaPaths);
-		const schema = this._mergeSchemas(schemaObjects);
-
-		const resolvedSchemaResult = await jsonRefs.resolveRefs(schema, {
-			filter: ['relative', 'remote'],
-			// Search files in base directory: 'root/schemas/src/${schemaType}/'
-			location: `${this.constructor.schemaSrcDir}/${schemaType}/${schemaType}.json`,
-			loaderOptions: {
-				processContent: (content, callback) => {
-					if(content.location.match(/\.ya?ml$/i))
-						return callback(undefined, YAML.safeLoad(content.text, { filename: content.location }));
-					return callback(undefined, JSON.parse(content.text));
+		const sourceObjects = await this._readSchemaFiles(schemaPaths, cache);
+		const { schemas: schemaObjects, warnings: conversionWarnings } = await this._convertSchemas(sourceObjects, schemaPaths, schemaType);
+		const { schema: mergedSchema, warnings: mergeWarnings } = this._mergeSchemas(schemaObjects, schemaPaths, schemaType);
+		const { schema: overlaidSchema, warnings: overlayWarnings, file: overlayFile } = await this._applyOverlay(schemaType, mergedSchema, cache);
+		const schema = this._filterSchema(schemaType, overlaidSchema);
+
+		// To know which file every part of the schema comes from
+		const sourceMap = new SourceMap(schemaPaths, schemaObjects, this.mergeStrategy);
+
+		const typeDir = path.join(this.srcDir, schemaType);
+
+		// The referenced files, to know which files the schema depends on and which one couldn't be parsed
+		const refFiles = [];
+		let invalidRefFile;
+
+		let resolvedSchemaResult;
+
+		// json-refs caches the referenced files, they could have changed since the last build
+		jsonRefs.clearCache();
+
+		try {
+			resolvedSchemaResult = await jsonRefs.resolveRefs(schema, {
+				filter: ['relative', 'remote'],
+				// Search files in base directory: 'root/schemas/src/${schemaType}/'
+				location: `${this.srcDir}/${schemaType}/${schemaType}.json`,
+				loaderOptions: {
+					processContent: (content, callback) => {
+
+						refFiles.push(content.location);
+
+						const parse = () => (content.location.match(/\.ya?ml$/i)
+							? YAML.safeLoad(content.text, { filename: content.location })
+							: JSON.parse(content.text));
+
+						try {
+							return callback(undefined, cache ? cache.parse(content.location, content.text, parse) : parse());
+						} catch(error) {
+							invalidRefFile = content.location;
+							return callback(error);
+						}
+					}
 				}
-			}
+			});
+		} catch(error) {
+			throw new ParseError(`Can't resolve the references of schema of type "${schemaType}". ${error.message}`, typeDir);
+		}
+
+		const unresolvedRefs = Object.entries(resolvedSchemaResult.refs)
+			.filter(([, ref]) => ref.error);
+
+		if(unresolvedRefs.length) {
+			const [[, firstUnresolvedRef]] = unresolvedRefs;
+			const details = unresolvedRefs.map(([pointer, ref]) => `${pointer}: ${ref.error}`).join('. ');
+
+			throw new ParseError(`Can't resolve the references of schema of type "${schemaType}". ${details}`,
+				invalidRefFile || this._getRefFile(firstUnresolvedRef));
+		}
+
+		Object.entries(resolvedSchemaResult.refs).forEach(([pointer, ref]) => {
+			// The pointers are URI fragments, like '#/paths/~1movies'
+			sourceMap.addReference(decodeURIComponent(pointer.slice(1)), this._getRefFile(ref), decodeURIComponent(ref.fqURI.split('#')[1] || ''));
 		});
 
-		const resolvedSchema = resolvedSchemaResult.resolved;
+		const builtSchema = this._bundleSchema(resolvedSchemaResult, sourceMap);
+
+		const validationWarnings = await this._validateSchema(schemaType, builtSchema, sourceMap);
+		const exampleWarnings = await this._validateExamples(schemaType, builtSchema, sourceMap);
+		const lintWarnings = await this._lintSchema(schemaType, builtSchema, sourceMap);
+
+		// The lint ignores are only for the build
+		const spec = Linter.removeIgnores(builtSchema);
+
+		const finalSpec = this.canonical ? Sorter.sort(spec) : spec;
+
+		return {
+			type: schemaType,
+			spec: finalSpec,
+			warnings: [...conversionWarnings, ...mergeWarnings, ...overlayWarnings, ...validationWarnings, ...exampleWarnings, ...lintWarnings],
+			files: [...new Set([...schemaPaths, ...(overlayFile ? [overlayFile] : []), ...refFiles])],
+			// The HTML documentation, the type definitions, the client and the collections, written next to the schema
+			...(this.docs ? { docs: new Docs(finalSpec).render() } : {}),
+			...(this.dts ? { dts: new TypeDefinitions(finalSpec).render() } : {}),
+			...(this.client ? { client: new ApiClient(finalSpec).render() } : {}),
+			...(this.collections.length ? { collections: this._renderCollections(finalSpec) } : {})
+		};
+	}
+
+	/**
+	 * Builds the schema by type, unless none of its source, overlay and referenced files changed since the last build
+	 * @async
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Object} schemaTree The schema tree with the schema file paths and modules
+	 * @param {object} cacheOptions The options that change the built schema, a different value invalidates the cache
+	 * @returns {{ type: string, spec: object, warnings: Array<object>, files: Array<string> }} Like _buildSchema()
+	 * @throws {WriteError} If the cache file can't be written, or the errors of _buildSchema()
+	 */
+	async _buildCachedSchema(schemaType, schemaTree, cacheOptions) {
+
+		const cache = new BuildCache(this.getCacheFile(schemaType), cacheOptions);
+		const schemaPaths = this._getSchemaPathsList(schemaTree);
+
+		await cache.load();
+
+		const cachedResult = await cache.getResult(schemaPaths);
+
+		if(cachedResult) {
+			this._log(`Schema '${schemaType}' unchanged since the last build, taken from the cache`, 'CACHE');
+			return cachedResult;
+		}
+
+		const result = await this._buildSchema(schemaType, schemaTree, cache);
+
+		await cache.save(schemaPaths, result);
+
+		return result;
+	}
+
+	/**
+	 * Returns the options that change the built schemas, with the environment variables used by the overlay
+	 * @async
+	 * @returns {object}
+	 */
+	async _getCacheOptions() {
+
+		const options = {
+			srcDir: this.srcDir,
+			mergeStrategy: this.mergeStrategy,
+			strict: this.strict,
+			canonical: this.canonical,
+			dereference: this.dereference,
+			lint: this.lint,
+			filter: this.filter,
+			docs: this.docs,
+			dts: this.dts,
+			client: this.client,
+			collections: this.collections,
+			env: this.env,
+			overlaysDir: this.overlaysDir
+		};
+
+		if(!this.env)
+			return options;
+
+		let variableNames = [];
+
+		try {
+			variableNames = Overlay.getVariableNames(await this._readSourceFile(await this._getOverlayFile()));
+		} catch(error) {
+			// The missing overlay fails the build of every schema type
+		}
+
+		return {
+			...options,
+			variables: variableNames.reduce((variables, name) => ({ ...variables, [name]: process.env[name] }), {})
+		};
+	}
+
+	/**
+	 * @param {object} spec
+	 * @returns {object} The collection of every format by format
+	 */
+	_renderCollections(spec) {
+		const collections = new Collections(spec);
+		return this.collections.reduce((rendered, format) => ({ ...rendered, [format]: collections.render(format) }), {});
+	}
+
+	/**
+	 * Moves the referenced objects to the components, unless the schema must be dereferenced
+	 * @param {object} resolvedSchemaResult The result of json-refs, with the resolved schema and the references
+	 * @param {SourceMap} sourceMap To add the files of the created components
+	 * @returns {object} The bundled schema
+	 */
+	_bundleSchema({ resolved, refs }, sourceMap) {
+
+		const version = SchemaValidator.getVersion(resolved);
+
+		if(this.dereference)
+			return Bundler.dereference(resolved, refs, version);
+
+		const { schema, components } = Bundler.bundle(resolved, refs, version);
+
+		components.forEach(({ pointer, uri }) => {
+			sourceMap.addReference(pointer, this._getRefFile({ fqURI: uri }), decodeURIComponent(uri.split('#')[1] || ''));
+		});
+
+		return schema;
+	}
+
+	/**
+	 * Returns the file path of a reference
+	 * @param {object} ref The reference details of json-refs
+	 * @returns {string}
+	 */
+	_getRefFile({ fqURI }) {
+		// The fully qualified URI is the absolute path with a leading '.', like './root/schemas/src/movie.yml#/Movie'
+		return path.resolve('/', fqURI.split('#')[0]);
+	}
+
+	/**
+	 * Compares a schema with its previous build and writes the changelog, if the diff option is set
+	 * @async
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Object} schema The final schema object
+	 * @returns {Array<object>|null} The changes, null if there is no previous schema
+	 * @throws {ParseError|WriteError|BreakingChangeError} If the previous schema can't be parsed, the changelog can't be written
+	 * or there are breaking changes and the failOnBreaking option is set
+	 */
+	async _diffSchema(schemaType, schema) {
+
+		const baselineFile = await this._getBaselineFile(schemaType);
+
+		let content;
+
+		try {
+			content = await fs.readFile(baselineFile, 'utf8');
+		} catch(error) {
+			this._log(`No previous schema of type "${schemaType}" to compare in '${this._relative(baselineFile)}'`, 'DIFF');
+			return null;
+		}
+
+		let previousSchema;
 
-		await this._validateSchema(schemaType, resolvedSchema);
+		try {
+			previousSchema = this._parseFile(baselineFile.match(/\.ya?ml$/i) ? 'yml' : 'json', content, baselineFile);
+		} catch(error) {
+			throw new ParseError(`Invalid previous schema ${baselineFile}. ${error.message}`, baselineFile);
+		}
+
+		const changes = new Differ().diff(previousSchema, schema);
+		const breakingChanges = changes.filter(({ breaking }) => breaking);
+
+		const nonBreakingCount = changes.length - breakingChanges.length;
+
+		this._log(`Schema '${schemaType}' has ${breakingChanges.length} breaking and ${nonBreakingCount} non-breaking changes`, 'DIFF');
+
+		if(this.diff) {
+
+			const changelogFile = path.join(this.outDir, `${schemaType}.changes.${Differ.getExtension(this.diff)}`);
+
+			try {
+				await fs.writeFile(changelogFile, Differ.format(changes, this.diff, schemaType));
+			} catch(error) {
+				throw new WriteError(`Can't write the changelog file '${this._relative(changelogFile)}'. ${error.message}`, changelogFile);
+			}
+
+			this._log(`Changelog of schema '${schemaType}' written in '${this._relative(changelogFile)}'`, 'DIFF');
+		}
+
+		if(!breakingChanges.length)
+			return changes;
+
+		if(!this.failOnBreaking) {
+			breakingChanges.forEach(change => this._log(Differ.formatChange(change), 'WARNING'));
+			return changes;
+		}
+
+		// The breaking changes are always shown, even if the quiet option is set
+		breakingChanges.forEach(change => logger(Differ.formatChange(change), 'ERROR'));
+
+		throw new BreakingChangeError(`Found breaking changes on schema of type "${schemaType}" since '${this._relative(baselineFile)}'`,
+			baselineFile, schemaType, breakingChanges);
+	}
+
+	/**
+	 * Returns the previous schema file of a schema type
+	 * @async
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @returns {string} The baseline file, the schema of the type in the baseline directory or the current build file
+	 */
+	async _getBaselineFile(schemaType) {
+
+		if(!this.baseline)
+			return this.getBuildFile(schemaType);
+
+		if(!await this._isDirectory(this.baseline))
+			return this.baseline;
+
+		const files = Object.values(FORMAT_EXTENSIONS).map(extension => path.join(this.baseline, `${schemaType}.${extension}`));
+
+		for(const file of files) {
+			try {
+				await fs.stat(file);
+				return file;
+			} catch(error) {
+				// Try the next format
+			}
+		}
+
+		return files[0];
+	}
+
+	/**
+	 * Writes the schema files in the output directory, one per output format
+	 * @async
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Object} schema The final schema object
+	 */
+	async _writeSchema(schemaType, schema) {
+
+		for(const format of this.formats) {
+
+			const buildFile = this.getBuildFile(schemaType, format);
+
+			try {
+				await fs.writeFile(buildFile, this._serializeSchema(schema, format));
+			} catch(error) {
+				throw new WriteError(`Can't make the file '${path.basename(buildFile)}'. ${error.message}.`, buildFile);
+			}
+		}
+	}
+
+	/**
+	 * Writes the HTML documentation of a schema
+	 * @async
+	 * @param {string} schemaType
+	 * @param {string} docs The HTML page
+	 */
+	async _writeDocs(schemaType, docs) {
+
+		const docsFile = this.getDocsFile(schemaType);
 
 		try {
-			await fs.writeFile(this.constructor.buildFile, JSON.stringify(resolvedSchema, null, 2));
+			await this._makeDirectory(path.dirname(docsFile));
+			await fs.writeFile(docsFile, docs);
 		} catch(error) {
-			throw new Error(`Can't make the file 'public.json'. ${error.message}.`);
+			throw new WriteError(`Can't write the docs file '${this._relative(docsFile)}'. ${error.message}`, docsFile);
 		}
+
+		this._log(`Docs of schema '${schemaType}' written in '${this._relative(docsFile)}'`, 'DOCS');
+	}
+
+	/**
+	 * Writes the TypeScript type definitions of a schema
+	 * @async
+	 * @param {string} schemaType
+	 * @param {string} dts The content of the .d.ts file
+	 */
+	async _writeTypes(schemaType, dts) {
+
+		const typesFile = this.getTypesFile(schemaType);
+
+		try {
+			await fs.writeFile(typesFile, dts);
+		} catch(error) {
+			throw new WriteError(`Can't write the types file '${this._relative(typesFile)}'. ${error.message}`, typesFile);
+		}
+
+		this._log(`Types of schema '${schemaType}' written in '${this._relative(typesFile)}'`, 'TYPES');
+	}
+
+	/**
+	 * Writes the JavaScript client of a schema
+	 * @async
+	 * @param {string} schemaType
+	 * @param {string} client The code of the client module
+	 */
+	async _writeClient(schemaType, client) {
+
+		const clientFile = this.getClientFile(schemaType);
+
+		try {
+			await fs.writeFile(clientFile, client);
+		} catch(error) {
+			throw new WriteError(`Can't write the client file '${this._relative(clientFile)}'. ${error.message}`, clientFile);
+		}
+
+		this._log(`Client of schema '${schemaType}' written in '${this._relative(clientFile)}'`, 'CLIENT');
+	}
+
+	/**
+	 * Writes the collections of a schema
+	 * @async
+	 * @param {string} schemaType
+	 * @param {object} collections The JSON of the collection of every format by format
+	 */
+	async _writeCollections(schemaType, collections) {
+
+		for(const [format, collection] of Object.entries(collections)) {
+
+			const collectionFile = this.getCollectionFile(schemaType, format);
+
+			try {
+				await fs.writeFile(collectionFile, collection);
+			} catch(error) {
+				throw new WriteError(`Can't write the collection file '${this._relative(collectionFile)}'. ${error.message}`, collectionFile);
+			}
+
+			this._log(`Collection of schema '${schemaType}' written in '${this._relative(collectionFile)}'`, 'COLLECTION');
+		}
+	}
+
+	/**
+	 * Writes the validation errors in the build-error.log file
+	 * @async
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Array<object>} validationErrors
+	 */
+	async _writeErrorLog(schemaType, validationErrors) {
+
+		try {
+			await this._makeDirectory(this.outDir);
+			await fs.writeFile(this.errorLog, JSON.stringify({ [schemaType]: { errors: validationErrors } }, null, 2));
+		} catch(error) {
+			throw new WriteError(`Found errors on schema of type "${schemaType}". Can't Write build-error.log file `, this.errorLog);
+		}
+	}
+
+	/**
+	 * Writes the validation report file, if the report option is set
+	 * @async
+	 * @param {Report} report
+	 */
+	async _writeReport(report) {
+
+		if(!this.report)
+			return;
+
+		try {
+			await this._makeDirectory(path.dirname(this.reportFile));
+			await fs.writeFile(this.reportFile, report.format(this.report));
+		} catch(error) {
+			throw new WriteError(`Can't write the report file '${this._relative(this.reportFile)}'. ${error.message}`, this.reportFile);
+		}
+
+		this._log(`Validation report written in '${this._relative(this.reportFile)}'`, 'REPORT');
+	}
+
+	/**
+	 * Serializes the schema in an output format
+	 * @param {Object} schema The final schema object
+	 * @param {string} format 'json' or 'yaml'. DEFAULT = the first output format
+	 * @returns {string}
+	 */
+	_serializeSchema(schema, format = this.formats[0]) {
+
+		if(format === 'yaml')
+			return YAML.safeDump(schema, { noRefs: true });
+
+		return this.minify ? JSON.stringify(schema) : JSON.stringify(schema, null, 2);
 	}
 
 }
 
-module.exports = ApiSchemaBuilder;
+// The errors are exported with the builder, to check the rejections of buildSpec()
+module.exports = Object.assign(ApiSchemaBuilder, errors);
@@ -0,0 +1,423 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+
+const SourceMap = require('./source-map');
+const SpecUtils = require('./spec-utils');
+
+const SEVERITIES = ['off', 'warn', 'error'];
+
+/**
+ * The rules and their severity when the lint is enabled without setting them
+ */
+const RULES = {
+	'operation-id': 'warn',
+	'operation-id-unique': 'error',
+	'operation-summary': 'warn',
+	'operation-tags': 'warn',
+	'tags-used': 'warn',
+	'path-params': 'error',
+	'no-unused-components': 'warn',
+	'error-responses': 'warn',
+	'property-camel-case': 'warn',
+	'path-kebab-case': 'warn'
+};
+
+const IGNORE_KEY = 'x-lint-ignore';
+
+/**
+ * The keys whose values are data instead of schemas, their properties aren't checked
+ */
+const DATA_KEYS = ['example', 'examples', 'default', 'enum', 'const'];
+
+// Like "# lint-disable-next-line operation-tags, operation-summary", without rules every rule is disabled
+const DISABLE_COMMENT_REGEX = /#\s*lint-disable(-line|-next-line)?(?:\s+([\w\s,-]*))?$/;
+
+const CAMEL_CASE_REGEX = /^[a-z][a-zA-Z0-9]*$/;
+const KEBAB_CASE_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const isExtension = key => key.startsWith('x-');
+
+/**
+ * Checks if the ignored rules of a x-lint-ignore extension include a rule
+ * @param {boolean|string|Array<string>} ignoredRules
+ * @param {string} rule
+ * @returns {boolean}
+ */
+const isIgnored = (ignoredRules, rule) => ignoredRules === true || [].concat(ignoredRules).includes(rule);
+
+/**
+ * Checks the built schemas against the lint rules, beyond their structural validation
+ */
+class Linter {
+
+	/**
+	 * @param {boolean|object} rules The severity of every rule, the missing rules have their default severity. DEFAULT = the default severities
+	 */
+	constructor(rules = true) {
+		this.severities = { ...RULES, ...(isPlainObject(rules) ? rules : {}) };
+	}
+
+	static get severities() {
+		return SEVERITIES;
+	}
+
+	/**
+	 * Checks if the severities of the rules are valid
+	 * @param {object} rules
+	 * @returns {boolean}
+	 */
+	static isValidConfig(rules) {
+		return isPlainObject(rules) && Object.entries(rules).every(([rule, severity]) => !!RULES[rule] && SEVERITIES.includes(severity));
+	}
+
+	/**
+	 * Returns the rules disabled by the comments of a YAML file:
+	 * "# lint-disable" for the whole file, "# lint-disable-line" for its own line and "# lint-disable-next-line" for the next one
+	 * @param {string} text The file content
+	 * @returns {function} Receives a rule and a line, starting at 1, and returns if the rule is disabled in that line
+	 */
+	static getDisabledRules(text) {
+
+		// The disabled rules by line, the line 0 is the whole file. True when every rule is disabled
+		const disabledRules = new Map();
+
+		text.split('\n').forEach((lineText, index) => {
+
+			const match = lineText.trimRight().match(DISABLE_COMMENT_REGEX);
+
+			if(!match)
+				return;
+
+			const [, scope, rules = ''] = match;
+
+			const line = { '-line': index + 1, '-next-line': index + 2 }[scope] || 0;
+			const ruleNames = rules.split(/[\s,]+/).filter(Boolean);
+
+			const previousRules = disabledRules.get(line) || [];
+
+			disabledRules.set(line, previousRules === true || !ruleNames.length ? true : previousRules.concat(ruleNames));
+		});
+
+		return (rule, line) => [0, line].some(disabledLine => disabledRules.has(disabledLine) && isIgnored(disabledRules.get(disabledLine), rule));
+	}
+
+	/**
+	 * Returns a copy of a schema without the x-lint-ignore extensions
+	 * @param {*} schema
+	 * @returns {*}
+	 */
+	static removeIgnores(schema) {
+
+		if(Array.isArray(schema))
+			return schema.map(item => this.removeIgnores(item));
+
+		if(!isPlainObject(schema))
+			return schema;
+
+		return Object.entries(schema).reduce((cleanSchema, [key, value]) => {
+			return key === IGNORE_KEY ? cleanSchema : { ...cleanSchema, [key]: this.removeIgnores(value) };
+		}, {});
+	}
+
+	/**
+	 * Checks a schema against the enabled rules
+	 * @param {object} schema The built schema
+	 * @returns {Array<{ rule: string, severity: string, pointer: string, message: string }>} The problems,
+	 * without the ones ignored by a x-lint-ignore extension
+	 */
+	lint(schema) {
+
+		this.schema = schema || {};
+		this.problems = [];
+
+		const operations = this._getOperations();
+
+		this._checkOperations(operations);
+		this._checkTags(operations);
+		this._checkPaths();
+		this._checkComponents();
+		this._checkProperties(this.schema, '');
+
+		return this.problems.filter(({ rule, pointer }) => !this._isIgnored(rule, pointer));
+	}
+
+	/**
+	 * Adds a problem, unless its rule is off
+	 * @param {string} rule
+	 * @param {string} pointer
+	 * @param {string} message
+	 */
+	_addProblem(rule, pointer, message) {
+
+		const severity = this.severities[rule];
+
+		if(severity !== 'off')
+			this.problems.push({ rule, severity, pointer, message: `${message} [${rule}]` });
+	}
+
+	/**
+	 * Checks if a rule is ignored by a x-lint-ignore extension of the value of a pointer or its parents
+	 * @param {string} rule
+	 * @param {string} pointer
+	 * @returns {boolean}
+	 */
+	_isIgnored(rule, pointer) {
+
+		let value = this.schema;
+
+		for(const key of [undefined, ...SpecUtils.getKeys(pointer)]) {
+
+			if(key !== undefined)
+				value = value[key];
+
+			if(!isPlainObject(value) && !Array.isArray(value))
+				return false;
+
+			if(value[IGNORE_KEY] !== undefined && isIgnored(value[IGNORE_KEY], rule))
+				return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Returns the operations of the paths and the webhooks
+	 * @returns {Array<{ pointer: string, operation: object }>}
+	 */
+	_getOperations() {
+
+		const operations = [];
+
+		['paths', 'webhooks'].forEach(section => {
+
+			Object.entries(isPlainObject(this.schema[section]) ? this.schema[section] : {}).forEach(([name, value]) => {
+
+				const pathItem = SpecUtils.resolve(this.schema, value);
+
+				if(!isPlainObject(pathItem))
+					return;
+
+				SpecUtils.operationMethods.filter(method => isPlainObject(pathItem[method])).forEach(method => {
+					operations.push({ pointer: SpecUtils.toPointer(section, name, method), operation: pathItem[method] });
+				});
+			});
+		});
+
+		return operations;
+	}
+
+	/**
+	 * Checks the operationId, the summary, the tags and the error responses of the operations
+	 * @param {Array<object>} operations
+	 */
+	_checkOperations(operations) {
+
+		// The pointer of every operationId, to find the repeated ones
+		const operationIds = new Map();
+
+		operations.forEach(({ pointer, operation }) => {
+
+			if(!operation.operationId)
+				this._addProblem('operation-id', pointer, 'The operation has no \'operationId\'');
+			else if(operationIds.has(operation.operationId)) {
+				this._addProblem('operation-id-unique', `${pointer}/operationId`,
+					`The operationId '${operation.operationId}' is already used at ${operationIds.get(operation.operationId)}`);
+			} else
+				operationIds.set(operation.operationId, pointer);
+
+			if(!operation.summary)
+				this._addProblem('operation-summary', pointer, 'The operation has no \'summary\'');
+
+			if(!Array.isArray(operation.tags) || !operation.tags.length)
+				this._addProblem('operation-tags', pointer, 'The operation has no \'tags\'');
+
+			const responseCodes = Object.keys(isPlainObject(operation.responses) ? operation.responses : {});
+
+			if(!responseCodes.some(code => code === 'default' || code.match(/^[45]/)))
+				this._addProblem('error-responses', pointer, 'The operation has no 4xx or 5xx responses');
+		});
+	}
+
+	/**
+	 * Checks that every declared tag is used by an operation
+	 * @param {Array<object>} operations
+	 */
+	_checkTags(operations) {
+
+		if(!Array.isArray(this.schema.tags))
+			return;
+
+		const usedTags = new Set([].concat(...operations.map(({ operation }) => (Array.isArray(operation.tags) ? operation.tags : []))));
+
+		this.schema.tags.forEach((tag, index) => {
+			if(isPlainObject(tag) && !usedTags.has(tag.name))
+				this._addProblem('tags-used', SpecUtils.toPointer('tags', index), `The tag '${tag.name}' isn't used by any operation`);
+		});
+	}
+
+	/**
+	 * Checks the path names and that their parameters are declared, and that every declared path parameter is in the path
+	 */
+	_checkPaths() {
+
+		Object.entries(isPlainObject(this.schema.paths) ? this.schema.paths : {}).forEach(([pathName, value]) => {
+
+			const pathPointer = SpecUtils.toPointer('paths', pathName);
+
+			if(!pathName.split('/').every(segment => segment === '' || segment.includes('{') || segment.match(KEBAB_CASE_REGEX)))
+				this._addProblem('path-kebab-case', pathPointer, `The path '${pathName}' isn't kebab-case`);
+
+			const pathItem = SpecUtils.resolve(this.schema, value);
+
+			if(!isPlainObject(pathItem))
+				return;
+
+			const templateParameters = (pathName.match(/{[^}]+}/g) || []).map(parameter => parameter.slice(1, -1));
+
+			const pathParameters = this._getPathParameters(pathItem.parameters, `${pathPointer}/parameters`);
+
+			this._checkUndeclaredParameters(pathParameters, templateParameters, pathName);
+
+			SpecUtils.operationMethods.filter(method => isPlainObject(pathItem[method])).forEach(method => {
+
+				const operationPointer = `${pathPointer}/${method}`;
+				const operationParameters = this._getPathParameters(pathItem[method].parameters, `${operationPointer}/parameters`);
+
+				this._checkUndeclaredParameters(operationParameters, templateParameters, pathName);
+
+				const declaredParameters = pathParameters.concat(operationParameters).map(({ name }) => name);
+
+				templateParameters.filter(parameter => !declaredParameters.includes(parameter)).forEach(parameter => {
+					this._addProblem('path-params', operationPointer, `The path parameter '${parameter}' of '${pathName}' isn't declared`);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Returns the path parameters of a list of parameters
+	 * @param {Array<object>} parameters
+	 * @param {string} pointer The pointer of the list
+	 * @returns {Array<{ name: string, pointer: string }>}
+	 */
+	_getPathParameters(parameters, pointer) {
+
+		if(!Array.isArray(parameters))
+			return [];
+
+		return parameters
+			.map((parameter, index) => ({ parameter: SpecUtils.resolve(this.schema, parameter), pointer: `${pointer}/${index}` }))
+			.filter(({ parameter }) => isPlainObject(parameter) && parameter.in === 'path')
+			.map(({ parameter, pointer: parameterPointer }) => ({ name: parameter.name, pointer: parameterPointer }));
+	}
+
+	/**
+	 * Checks that the declared path parameters are in the path
+	 * @param {Array<{ name: string, pointer: string }>} parameters
+	 * @param {Array<string>} templateParameters The parameters of the path
+	 * @param {string} pathName
+	 */
+	_checkUndeclaredParameters(parameters, templateParameters, pathName) {
+		parameters.filter(({ name }) => !templateParameters.includes(name)).forEach(({ name, pointer }) => {
+			this._addProblem('path-params', pointer, `The path parameter '${name}' isn't in the path '${pathName}'`);
+		});
+	}
+
+	/**
+	 * Checks that every component is referenced, the security schemes must be used by a security requirement
+	 */
+	_checkComponents() {
+
+		if(!isPlainObject(this.schema.components))
+			return;
+
+		const refs = new Set();
+		const securitySchemes = new Set();
+
+		this._collectUses(this.schema, refs, securitySchemes);
+
+		Object.entries(this.schema.components).forEach(([section, components]) => {
+
+			if(isExtension(section) || !isPlainObject(components))
+				return;
+
+			Object.keys(components).forEach(name => {
+
+				const pointer = SpecUtils.toPointer('components', section, name);
+
+				const isUsed = section === 'securitySchemes'
+					? securitySchemes.has(name)
+					: refs.has(`#${pointer}`) || refs.has(`#${encodeURI(pointer)}`);
+
+				if(!isUsed)
+					this._addProblem('no-unused-components', pointer, `The component '${name}' of '${section}' isn't used`);
+			});
+		});
+	}
+
+	/**
+	 * Collects the internal references and the security schemes used by the security requirements
+	 * @param {*} value A node of the schema
+	 * @param {Set<string>} refs
+	 * @param {Set<string>} securitySchemes
+	 * @param {string} key The key of the node in its parent
+	 */
+	_collectUses(value, refs, securitySchemes, key) {
+
+		if(Array.isArray(value)) {
+
+			// The security requirements are lists of objects with the security schemes as keys
+			if(key === 'security')
+				value.filter(isPlainObject).forEach(requirement => Object.keys(requirement).forEach(name => securitySchemes.add(name)));
+
+			value.forEach(item => this._collectUses(item, refs, securitySchemes));
+			return;
+		}
+
+		if(!isPlainObject(value))
+			return;
+
+		if(typeof value.$ref === 'string')
+			refs.add(value.$ref);
+
+		Object.entries(value).forEach(([childKey, child]) => this._collectUses(child, refs, securitySchemes, childKey));
+	}
+
+	/**
+	 * Checks that the schema properties are camelCase
+	 * @param {*} value A node of the schema
+	 * @param {string} pointer The pointer of the node
+	 */
+	_checkProperties(value, pointer) {
+
+		if(Array.isArray(value)) {
+			value.forEach((item, index) => this._checkProperties(item, `${pointer}/${index}`));
+			return;
+		}
+
+		if(!isPlainObject(value))
+			return;
+
+		Object.entries(value).forEach(([key, child]) => {
+
+			if(isExtension(key) || DATA_KEYS.includes(key))
+				return;
+
+			const childPointer = `${pointer}/${SourceMap.escapeToken(key)}`;
+
+			if(key === 'properties' && isPlainObject(child)) {
+				const invalidProperties = Object.keys(child).filter(property => !property.match(CAMEL_CASE_REGEX));
+
+				invalidProperties.forEach(property => {
+					this._addProblem('property-camel-case', `${childPointer}/${SourceMap.escapeToken(property)}`,
+						`The property '${property}' isn't camelCase`);
+				});
+			}
+
+			this._checkProperties(child, childPointer);
+		});
+	}
+}
+
+module.exports = Linter;
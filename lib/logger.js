@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * Simple Console Log
+ * @param {string} message
+ * @param {string} prefix DEFAULT = 'BUILDING'
+ * @param {boolean} error if it's an error message
+ */
+/* istanbul ignore next */
+const logger = (message, prefix = 'BUILDING', error = false) => {
+	const time = new Date().toLocaleTimeString();
+
+	/*
+		/x1b[**m -> text editor codes
+		/x1b[35m = Magenta
+		/x1b[32m = Green
+		/x1b[33m = Yellow
+		/x1b[31m = Red
+		/x1b[1m = Bright
+		/x1b[0m = Reset, back to normal
+	 */
+
+	if(error) {
+		console.error(`[\x1b[35m \x1b[1mAPI-SCHEMA-BUILDER\x1b[0m | ${time} ] | \x1b[31m${prefix}\x1b[0m | ${message}`);
+		console.error(`[\x1b[35m \x1b[1mAPI-SCHEMA-BUILDER\x1b[0m | ${time} ] | \x1b[31mERROR\x1b[0m | Abort. Can't create SCHEMAS.\n`);
+	} else {
+		// Errors in red, warnings in yellow, everything else in green
+		const color = { ERROR: '\x1b[31m', WARNING: '\x1b[33m' }[prefix] || '\x1b[32m';
+		console.log(`[\x1b[35m \x1b[1mAPI-SCHEMA-BUILDER\x1b[0m | ${time} ] | ${color}${prefix}\x1b[0m | ${message}`);
+	}
+};
+
+module.exports = logger;
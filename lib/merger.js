@@ -0,0 +1,197 @@
+'use strict';
+
+const {
+	cloneDeep,
+	has,
+	get,
+	isEqual,
+	isPlainObject
+} = require('lodash');
+
+const SourceMap = require('./source-map');
+const SpecUtils = require('./spec-utils');
+
+const STRATEGIES = ['error', 'warn', 'first-wins', 'last-wins'];
+
+/**
+ * The properties that identify the items of the arrays, by array name. The other items are identified by their whole value
+ */
+const ARRAY_ITEM_KEYS = {
+	tags: ['name'],
+	servers: ['url'],
+	parameters: ['name', 'in']
+};
+
+/**
+ * Checks if an object must be defined as a whole in a single file, so it isn't merged with other definitions:
+ * the operations, like paths./catalog.get, and the components, like components.schemas.Product
+ * @param {Array<string>} keys The path of the object
+ * @returns {boolean}
+ */
+const isDefinedAsWhole = keys => keys.length === 3
+	&& ((keys[0] === 'paths' && SpecUtils.operationMethods.includes(keys[2])) || keys[0] === 'components');
+
+/**
+ * Merges the schema fragments of many files, detecting the keys defined in more than one file with different values
+ */
+class Merger {
+
+	/**
+	 * @param {string} strategy What to do with the conflicts: 'error', 'warn', 'first-wins' or 'last-wins'. DEFAULT = 'warn'
+	 */
+	constructor(strategy = 'warn') {
+		this.strategy = strategy;
+	}
+
+	static get strategies() {
+		return STRATEGIES;
+	}
+
+	/**
+	 * Merges the schemas in order. The arrays are concatenated without repeated items.
+	 * On conflicts the first value wins with the 'first-wins' strategy, otherwise the last one wins.
+	 * @param {Array<object>} schemas The parsed schemas
+	 * @param {Array<string>} files The file of every schema, to report the conflicts
+	 * @returns {{ schema: object, conflicts: Array<{ pointer: string, files: Array<string> }> }} The conflicts have the JSON pointer and both files
+	 */
+	merge(schemas, files = []) {
+
+		this.schemas = schemas;
+		this.files = files;
+		this.conflicts = [];
+
+		const schema = schemas.reduce((mergedSchema, fragment, index) => {
+			return this._mergeValue(mergedSchema, fragment, [], index);
+		}, {});
+
+		return { schema, conflicts: this.conflicts };
+	}
+
+	/**
+	 * Merges the value of a file into the current value
+	 * @param {*} current The value merged from the previous files
+	 * @param {*} value
+	 * @param {Array<string>} keys The path of the value
+	 * @param {number} index The index of the file
+	 * @returns {*} The merged value
+	 */
+	_mergeValue(current, value, keys, index) {
+
+		// The empty keys, like 'components:' in YAML, don't conflict
+		if(value === undefined || value === null || isEqual(current, value))
+			return current;
+
+		if(current === undefined || current === null)
+			return cloneDeep(value);
+
+		if(Array.isArray(current) && Array.isArray(value))
+			return this._mergeArrays(current, value, keys, index);
+
+		if(isPlainObject(current) && isPlainObject(value) && !isDefinedAsWhole(keys)) {
+
+			Object.keys(value).forEach(key => {
+				current[key] = this._mergeValue(current[key], value[key], keys.concat(key), index);
+			});
+
+			return current;
+		}
+
+		this._addConflict(keys, index);
+
+		return this.strategy === 'first-wins' ? current : cloneDeep(value);
+	}
+
+	/**
+	 * Concatenates the arrays without the repeated items
+	 * @param {Array} current
+	 * @param {Array} value
+	 * @param {Array<string>} keys The path of the arrays
+	 * @param {number} index The index of the file
+	 * @returns {Array}
+	 */
+	_mergeArrays(current, value, keys, index) {
+
+		const merged = [...current];
+
+		value.forEach(item => {
+
+			const itemIndex = merged.findIndex(mergedItem => this._isSameItem(mergedItem, item, keys));
+
+			if(itemIndex === -1) {
+				merged.push(cloneDeep(item));
+				return;
+			}
+
+			// The same item, like a tag with the same name, defined with different values
+			if(!isEqual(merged[itemIndex], item)) {
+
+				this._addConflict(keys.concat(itemIndex), index, item);
+
+				if(this.strategy !== 'first-wins')
+					merged[itemIndex] = cloneDeep(item);
+			}
+		});
+
+		return merged;
+	}
+
+	/**
+	 * Checks if two array items are the same item, by their identifying properties or their whole value
+	 * @param {*} item
+	 * @param {*} otherItem
+	 * @param {Array<string>} keys The path of the array
+	 * @returns {boolean}
+	 */
+	_isSameItem(item, otherItem, keys) {
+
+		const itemKeys = ARRAY_ITEM_KEYS[keys[keys.length - 1]];
+
+		if(!itemKeys || !isPlainObject(item) || !isPlainObject(otherItem))
+			return isEqual(item, otherItem);
+
+		if(item.$ref || otherItem.$ref)
+			return item.$ref === otherItem.$ref;
+
+		return itemKeys.every(key => item[key] !== undefined && item[key] === otherItem[key]);
+	}
+
+	/**
+	 * Saves a conflict with the file that defined the current value and the file of the new value
+	 * @param {Array<string>} keys The path of the value
+	 * @param {number} index The index of the file of the new value
+	 * @param {*} item The array item, when the conflict is in an array
+	 */
+	_addConflict(keys, index, item) {
+
+		let previousIndex = index - 1;
+
+		while(previousIndex > 0 && !this._defines(this.schemas[previousIndex], keys, item))
+			previousIndex--;
+
+		this.conflicts.push({
+			pointer: keys.map(key => `/${SourceMap.escapeToken(key)}`).join(''),
+			files: [this.files[previousIndex], this.files[index]]
+		});
+	}
+
+	/**
+	 * Checks if a schema defines a value
+	 * @param {object} schema
+	 * @param {Array<string>} keys The path of the value
+	 * @param {*} item The array item, when the value is in an array
+	 * @returns {boolean}
+	 */
+	_defines(schema, keys, item) {
+
+		if(item === undefined)
+			return has(schema, keys);
+
+		// The array items are searched by their identity, their index in each file may be different
+		const arrayKeys = keys.slice(0, -1);
+		const array = get(schema, arrayKeys);
+
+		return Array.isArray(array) && array.some(arrayItem => this._isSameItem(arrayItem, item, arrayKeys));
+	}
+}
+
+module.exports = Merger;
@@ -0,0 +1,324 @@
+'use strict';
+
+const http = require('http');
+const { isPlainObject } = require('lodash');
+
+const Sampler = require('./sampler');
+const ValidationMiddleware = require('./validation-middleware');
+const SpecUtils = require('./spec-utils');
+
+const JSON_MEDIA_TYPE_REGEX = /^application\/(.+\+)?json$/;
+
+// The status codes, from 100 to 599
+const STATUS_CODE_REGEX = /^[1-5]\d\d$/;
+
+// Like "code=404, example=notFound" in the Prefer header
+const PREFERENCE_REGEX = /(code|example)=("[^"]*"|[^\s,;]+)/g;
+
+/**
+ * The headers that allow the requests of the browser apps of any origin
+ */
+const CORS_HEADERS = {
+	'access-control-allow-origin': '*',
+	'access-control-allow-headers': '*',
+	'access-control-expose-headers': '*'
+};
+
+/**
+ * Parses the preferences of the Prefer header
+ * @param {string} prefer Like "code=404" or "code=200, example=empty"
+ * @returns {{ code: string|undefined, example: string|undefined }}
+ */
+const parsePreferences = (prefer = '') => [...prefer.matchAll(PREFERENCE_REGEX)].reduce((preferences, [, name, value]) => ({
+	...preferences,
+	[name]: value.replace(/^"|"$/g, '')
+}), {});
+
+/**
+ * Returns a JSON response
+ * @param {number} status
+ * @param {object} body
+ * @param {object} headers DEFAULT = {}
+ * @returns {{ status: number, headers: object, body: string }}
+ */
+const jsonResponse = (status, body, headers = {}) => ({
+	status,
+	headers: { ...headers, 'content-type': 'application/json' },
+	body: JSON.stringify(body)
+});
+
+/**
+ * A local HTTP server that answers the operations of a schema with their examples, or with samples of their response schemas
+ */
+class MockServer {
+
+	/**
+	 * @param {object} spec The built schema
+	 * @param {object} options
+	 * @param {number} options.port DEFAULT = 4010
+	 * @param {string} options.host DEFAULT = 'localhost'
+	 * @param {function} options.log Receives a message for every request. DEFAULT = no logs
+	 */
+	constructor(spec, { port = 4010, host = 'localhost', log } = {}) {
+		this.spec = spec;
+		this.port = port;
+		this.host = host;
+		this.log = log || (() => {});
+		this.sampler = new Sampler(spec);
+		this.middleware = new ValidationMiddleware(spec, { responses: false });
+		this.server = null;
+	}
+
+	/**
+	 * Starts listening
+	 * @async
+	 * @returns {string} The server URL, like 'http://localhost:4010'
+	 */
+	async start() {
+
+		this.server = http.createServer((request, response) => this._handleHttpRequest(request, response));
+
+		await new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(this.port, this.host, resolve);
+		});
+
+		return `http://${this.host}:${this.server.address().port}`;
+	}
+
+	/**
+	 * Stops listening
+	 * @async
+	 */
+	async stop() {
+
+		if(!this.server)
+			return;
+
+		await new Promise(resolve => this.server.close(resolve));
+
+		this.server = null;
+	}
+
+	/**
+	 * Answers a request
+	 * @param {object} request
+	 * @param {string} request.method
+	 * @param {string} request.url The request path, with the query string
+	 * @param {object} request.headers The headers, with lower case names
+	 * @param {string} request.body The raw body
+	 * @returns {{ status: number, headers: object, body: string|undefined }}
+	 */
+	handle({ method, url, headers = {}, body }) {
+
+		// The preflight requests of the browsers
+		if(method === 'OPTIONS' && headers['access-control-request-method'])
+			return { status: 204, headers: { ...CORS_HEADERS, 'access-control-allow-methods': '*' }, body: undefined };
+
+		const { route, error } = this.middleware.validateRequest({ method, url, headers, body });
+
+		if(error)
+			return jsonResponse(error.status, error.body, { ...CORS_HEADERS, ...error.headers });
+
+		return this._getResponse(route, headers);
+	}
+
+	/**
+	 * Answers a request with the node http server
+	 * @param {http.IncomingMessage} request
+	 * @param {http.ServerResponse} response
+	 */
+	_handleHttpRequest(request, response) {
+
+		const chunks = [];
+
+		request.on('data', chunk => chunks.push(chunk));
+
+		request.on('end', () => {
+
+			const { method, url, headers } = request;
+
+			let result;
+
+			try {
+				result = this.handle({ method, url, headers, body: Buffer.concat(chunks).toString() });
+				response.writeHead(result.status, result.headers);
+				response.end(result.body);
+			} catch(error) {
+
+				result = jsonResponse(500, { message: `The mock server failed. ${error.message}` }, CORS_HEADERS);
+
+				if(response.headersSent)
+					response.destroy();
+				else {
+					response.writeHead(result.status, result.headers);
+					response.end(result.body);
+				}
+			}
+
+			this.log(`${method} ${url} ${result.status}`);
+		});
+	}
+
+	/**
+	 * Returns the response of an operation: the one of the Prefer header code, or the first success response
+	 * @param {object} route
+	 * @param {object} headers The request headers
+	 * @returns {{ status: number, headers: object, body: string|undefined }}
+	 */
+	_getResponse({ path, method, operation }, headers) {
+
+		const preferences = parsePreferences(headers.prefer);
+		const responses = isPlainObject(operation.responses) ? operation.responses : {};
+
+		if(preferences.code && !STATUS_CODE_REGEX.test(preferences.code))
+			return jsonResponse(400, { message: `The code '${preferences.code}' of the Prefer header is not a status code` }, CORS_HEADERS);
+
+		const code = preferences.code
+			? SpecUtils.findResponseCode(responses, preferences.code)
+			: this._getDefaultResponseCode(responses);
+
+		if(!code) {
+			const message = preferences.code
+				? `The operation '${method.toUpperCase()} ${path}' has no response '${preferences.code}'`
+				: `The operation '${method.toUpperCase()} ${path}' has no responses`;
+
+			return jsonResponse(500, { message }, CORS_HEADERS);
+		}
+
+		const response = SpecUtils.resolve(this.spec, responses[code]);
+		const status = this._getStatus(code, preferences.code);
+
+		if(!isPlainObject(response))
+			return { status, headers: CORS_HEADERS, body: undefined };
+
+		const responseHeaders = { ...CORS_HEADERS, ...this._getHeaders(response) };
+
+		const content = isPlainObject(response.content) ? response.content : {};
+		const mediaType = this._negotiateMediaType(Object.keys(content), headers.accept);
+
+		if(!mediaType)
+			return { status, headers: responseHeaders, body: undefined };
+
+		const value = this._getBody(content[mediaType], preferences.example);
+
+		return {
+			status,
+			headers: { ...responseHeaders, 'content-type': mediaType },
+			body: typeof value === 'string' && !JSON_MEDIA_TYPE_REGEX.test(mediaType) ? value : JSON.stringify(value)
+		};
+	}
+
+	/**
+	 * Returns the first success response code, or the default response, or the first declared one
+	 * @param {object} responses
+	 * @returns {string|undefined}
+	 */
+	_getDefaultResponseCode(responses) {
+
+		const codes = Object.keys(responses).filter(code => !code.startsWith('x-'));
+
+		const successCodes = codes.filter(code => /^2(\d\d|XX)$/i.test(code)).sort();
+
+		return successCodes[0] || (codes.includes('default') ? 'default' : codes[0]);
+	}
+
+	/**
+	 * Returns the status code of a response code
+	 * @param {string} code The declared response code, like "200", "4XX" or "default"
+	 * @param {string} preferredCode The code of the Prefer header
+	 * @returns {number}
+	 */
+	_getStatus(code, preferredCode) {
+
+		if(preferredCode)
+			return Number(preferredCode);
+
+		if(/^\d{3}$/.test(code))
+			return Number(code);
+
+		return code === 'default' ? 200 : Number(code.replace(/X/gi, '0'));
+	}
+
+	/**
+	 * Returns the headers of a response with their example or a sample of their schema
+	 * @param {object} response
+	 * @returns {object}
+	 */
+	_getHeaders({ headers }) {
+
+		if(!isPlainObject(headers))
+			return {};
+
+		return Object.entries(headers)
+			.filter(([name]) => name.toLowerCase() !== 'content-type')
+			.reduce((responseHeaders, [name, headerObject]) => {
+
+				const header = SpecUtils.resolve(this.spec, headerObject);
+
+				if(!isPlainObject(header))
+					return responseHeaders;
+
+				const value = header.example !== undefined ? header.example : this.sampler.sample(header.schema);
+
+				return value === undefined || value === null ? responseHeaders : { ...responseHeaders, [name.toLowerCase()]: String(value) };
+			}, {});
+	}
+
+	/**
+	 * Chooses the media type of the response from the Accept header, or the JSON one, or the first one
+	 * @param {Array<string>} mediaTypes The declared media types
+	 * @param {string} accept The Accept header
+	 * @returns {string|undefined}
+	 */
+	_negotiateMediaType(mediaTypes, accept = '') {
+
+		const acceptedMediaTypes = accept.split(',').map(acceptedMediaType => acceptedMediaType.split(';')[0].trim().toLowerCase());
+
+		return mediaTypes.find(mediaType => acceptedMediaTypes.includes(mediaType.toLowerCase()))
+			|| mediaTypes.find(mediaType => JSON_MEDIA_TYPE_REGEX.test(mediaType))
+			|| mediaTypes[0];
+	}
+
+	/**
+	 * Returns the body of a media type: the example of the Prefer header, the example, the first of the examples,
+	 * or a sample of the schema
+	 * @param {object} mediaTypeObject
+	 * @param {string} exampleName The example of the Prefer header
+	 * @returns {*}
+	 */
+	_getBody(mediaTypeObject, exampleName) {
+
+		if(!isPlainObject(mediaTypeObject))
+			return null;
+
+		const examples = isPlainObject(mediaTypeObject.examples) ? mediaTypeObject.examples : {};
+
+		if(exampleName && examples[exampleName] !== undefined)
+			return this._getExampleValue(examples[exampleName]);
+
+		if(mediaTypeObject.example !== undefined)
+			return mediaTypeObject.example;
+
+		const [firstExample] = Object.values(examples);
+
+		if(firstExample !== undefined)
+			return this._getExampleValue(firstExample);
+
+		return this.sampler.sample(mediaTypeObject.schema);
+	}
+
+	/**
+	 * Returns the value of an example object
+	 * @param {object} example
+	 * @returns {*} Null for the external values, they aren't fetched so the server works offline
+	 */
+	_getExampleValue(example) {
+
+		const exampleObject = SpecUtils.resolve(this.spec, example);
+
+		return isPlainObject(exampleObject) && exampleObject.value !== undefined ? exampleObject.value : null;
+	}
+}
+
+module.exports = MockServer;
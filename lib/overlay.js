@@ -0,0 +1,175 @@
+'use strict';
+
+const { cloneDeep, isPlainObject } = require('lodash');
+const { JSONPath } = require('jsonpath-plus');
+
+// Like "${API_URL}" or "${API_URL:-https://api.movies.com}" with a default value
+const VARIABLE_REGEX = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Merges an update into an object, following the OpenAPI Overlay specification:
+ * the objects are merged recursively, the arrays are concatenated and the other values are replaced
+ * @param {object} target
+ * @param {object} update
+ */
+const mergeUpdate = (target, update) => {
+
+	Object.entries(update).forEach(([key, value]) => {
+
+		if(isPlainObject(value) && isPlainObject(target[key]))
+			mergeUpdate(target[key], value);
+		else if(Array.isArray(value) && Array.isArray(target[key]))
+			target[key].push(...cloneDeep(value));
+		else
+			target[key] = cloneDeep(value);
+	});
+};
+
+/**
+ * Returns the nodes matched by a JSONPath expression, with their parent to change them
+ * @param {object} document The wrapped root, so it can be changed as any other node
+ * @param {string} target The JSONPath expression
+ * @param {number} index The index of the action
+ * @returns {Array<{ parent: object, key: string|number, value: * }>}
+ * @throws {Error} If the expression can't be evaluated
+ */
+const getNodes = (document, target, index) => {
+
+	let results;
+
+	try {
+		results = JSONPath({ path: target, json: document.root, resultType: 'all' });
+	} catch(error) {
+		throw new Error(`The target of the action ${index} can't be evaluated. ${error.message.replace(/^jsonPath: /, '')}`);
+	}
+
+	return results.map(({ parent, parentProperty, value }) => (
+		parent ? { parent, key: parentProperty, value } : { parent: document, key: 'root', value }
+	));
+};
+
+/**
+ * Applies the OpenAPI Overlay documents to the built schemas: https://spec.openapis.org/overlay/v1.0.0.html
+ */
+class Overlay {
+
+	/**
+	 * Replaces the environment variables of the string values, like "${API_URL}" or "${API_URL:-https://api.movies.com}"
+	 * @param {*} value
+	 * @param {object} variables The environment variables. DEFAULT = process.env
+	 * @returns {*} A copy of the value
+	 * @throws {Error} If a variable isn't defined and it has no default value
+	 */
+	static interpolate(value, variables = process.env) {
+
+		if(Array.isArray(value))
+			return value.map(item => this.interpolate(item, variables));
+
+		if(isPlainObject(value)) {
+			return Object.entries(value).reduce((interpolatedValue, [key, item]) => ({
+				...interpolatedValue,
+				[key]: this.interpolate(item, variables)
+			}), {});
+		}
+
+		if(typeof value !== 'string')
+			return value;
+
+		return value.replace(VARIABLE_REGEX, (match, name, defaultValue) => {
+
+			if(variables[name] !== undefined)
+				return variables[name];
+
+			if(defaultValue === undefined)
+				throw new Error(`The environment variable '${name}' isn't defined`);
+
+			return defaultValue;
+		});
+	}
+
+	/**
+	 * Returns the names of the environment variables used in a text, like the content of an overlay file
+	 * @param {string} text
+	 * @returns {Array<string>} The names without repetitions, sorted
+	 */
+	static getVariableNames(text) {
+		return [...new Set([...text.matchAll(VARIABLE_REGEX)].map(([, name]) => name))].sort();
+	}
+
+	/**
+	 * Checks the structure of an overlay document
+	 * @param {object} overlay
+	 * @throws {Error} If the overlay isn't valid
+	 */
+	static validate(overlay) {
+
+		if(!isPlainObject(overlay) || overlay.overlay === undefined)
+			throw new Error('Missing the \'overlay\' version');
+
+		if(!Array.isArray(overlay.actions) || !overlay.actions.length)
+			throw new Error('The \'actions\' must be a non empty list');
+
+		overlay.actions.forEach((action, index) => {
+
+			if(!isPlainObject(action) || typeof action.target !== 'string' || !action.target.startsWith('$'))
+				throw new Error(`The action ${index} must have a JSONPath 'target'`);
+
+			if(action.update === undefined && action.remove !== true)
+				throw new Error(`The action ${index} must have an 'update' or 'remove: true'`);
+
+			if(action.update !== undefined && !isPlainObject(action.update) && !Array.isArray(action.update))
+				throw new Error(`The 'update' of the action ${index} must be an object or a list`);
+		});
+	}
+
+	/**
+	 * Applies the actions of an overlay to a schema, in order
+	 * @param {object} schema
+	 * @param {object} overlay A valid overlay document
+	 * @returns {{ schema: object, unmatchedActions: Array<{ index: number, target: string }> }} A copy of the schema,
+	 * and the actions whose target doesn't match any node
+	 * @throws {Error} If the target of an action can't be evaluated
+	 */
+	static apply(schema, overlay) {
+
+		const document = { root: cloneDeep(schema) };
+
+		const unmatchedActions = [];
+
+		overlay.actions.forEach(({ target, update, remove }, index) => {
+
+			const nodes = getNodes(document, target, index);
+
+			if(!nodes.length) {
+				unmatchedActions.push({ index, target });
+				return;
+			}
+
+			if(remove === true) {
+				// Reversed, so removing an array item doesn't move the next ones
+				nodes.reverse().forEach(({ parent, key }) => {
+					if(Array.isArray(parent))
+						parent.splice(key, 1);
+					else
+						delete parent[key];
+				});
+				return;
+			}
+
+			nodes.forEach(({ parent, key, value }) => {
+
+				// The update is appended to the arrays, and it replaces the values that can't be merged
+				if(Array.isArray(value))
+					value.push(...cloneDeep([].concat(update)));
+				else if(isPlainObject(value) && isPlainObject(update))
+					mergeUpdate(value, update);
+				else
+					parent[key] = cloneDeep(update);
+			});
+		});
+
+		return { schema: document.root, unmatchedActions };
+	}
+}
+
+module.exports = Overlay;
@@ -0,0 +1,188 @@
+'use strict';
+
+const path = require('path');
+
+const FORMATS = ['text', 'json', 'junit'];
+
+const FORMAT_EXTENSIONS = {
+	text: 'txt',
+	json: 'json',
+	junit: 'xml'
+};
+
+/**
+ * Escapes a text to be used in a XML attribute or element
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeXml = text => String(text)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&apos;');
+
+/**
+ * The validation errors of the built schemas, with the source file of every error
+ */
+class Report {
+
+	constructor() {
+		// The errors and its severity, by schema type
+		this.schemas = new Map();
+	}
+
+	static get formats() {
+		return FORMATS;
+	}
+
+	/**
+	 * Returns the report file extension of a format
+	 * @param {string} format
+	 * @returns {string}
+	 */
+	static getExtension(format) {
+		return FORMAT_EXTENSIONS[format];
+	}
+
+	/**
+	 * Escapes a text to be used in a XML attribute or element
+	 * @param {string} text
+	 * @returns {string}
+	 */
+	static escapeXml(text) {
+		return escapeXml(text);
+	}
+
+	/**
+	 * Formats an error like "schemas/src/public/catalog.yml:12:7 — should have required property 'responses' (at /paths/~1catalog/get)"
+	 * @param {object} error A located validation error
+	 * @returns {string}
+	 */
+	static formatError({
+		file,
+		line,
+		column,
+		message,
+		pointer
+	}) {
+
+		let location = file ? path.relative(process.cwd(), file) : '<unknown>';
+
+		if(file && line)
+			location += `:${line}:${column}`;
+
+		return `${location} — ${message} (at ${pointer || '/'})`;
+	}
+
+	/**
+	 * Adds the errors of a schema type
+	 * @param {string} schemaType The type of the schema like "public"
+	 * @param {Array<object>} errors The located validation errors
+	 * @param {string} severity 'error' or 'warning'. DEFAULT = 'error'
+	 */
+	add(schemaType, errors = [], severity = 'error') {
+		this.schemas.set(schemaType, { errors, severity });
+	}
+
+	/**
+	 * Serializes the report
+	 * @param {string} format 'text', 'json' or 'junit'
+	 * @returns {string}
+	 */
+	format(format) {
+
+		if(format === 'json')
+			return this.toJSON();
+
+		if(format === 'junit')
+			return this.toJUnit();
+
+		return this.toText();
+	}
+
+	/**
+	 * Returns one line per error, with its schema type and severity
+	 * @returns {string}
+	 */
+	toText() {
+
+		const lines = [];
+
+		this.schemas.forEach(({ errors, severity }, schemaType) => {
+			errors.forEach(error => lines.push(`[${schemaType}] ${severity}: ${this.constructor.formatError(error)}`));
+		});
+
+		return lines.length ? `${lines.join('\n')}\n` : '';
+	}
+
+	/**
+	 * @returns {string}
+	 */
+	toJSON() {
+
+		const report = {};
+
+		this.schemas.forEach(({ errors, severity }, schemaType) => {
+			report[schemaType] = {
+				severity,
+				errors: errors.map(({
+					file,
+					line,
+					column,
+					pointer,
+					message
+				}) => ({
+					file: file && path.relative(process.cwd(), file),
+					line,
+					column,
+					pointer,
+					message
+				}))
+			};
+		});
+
+		return JSON.stringify(report, null, 2);
+	}
+
+	/**
+	 * Returns a JUnit XML with one test suite per schema type and one failed test case per error.
+	 * A schema type without errors has a single passed test case.
+	 * @returns {string}
+	 */
+	toJUnit() {
+
+		const suites = [];
+		let failures = 0;
+		let tests = 0;
+
+		this.schemas.forEach(({ errors, severity }, schemaType) => {
+
+			const name = escapeXml(schemaType);
+			const testCases = errors.length
+				? errors.map(error => {
+
+					const formattedError = escapeXml(this.constructor.formatError(error));
+
+					return `    <testcase classname="${name}" name="${formattedError}">\n`
+						+ `      <failure type="${severity}" message="${escapeXml(error.message)}">${formattedError}</failure>\n`
+						+ '    </testcase>';
+				})
+				: [`    <testcase classname="${name}" name="${name}"/>`];
+
+			failures += errors.length;
+			tests += testCases.length;
+
+			suites.push(`  <testsuite name="${name}" tests="${testCases.length}" failures="${errors.length}" errors="0">\n`
+				+ `${testCases.join('\n')}\n`
+				+ '  </testsuite>');
+		});
+
+		return '<?xml version="1.0" encoding="UTF-8"?>\n'
+			+ `<testsuites name="api-schema-builder" tests="${tests}" failures="${failures}" errors="0">\n`
+			+ `${suites.join('\n')}\n`
+			+ '</testsuites>\n';
+	}
+}
+
+module.exports = Report;
@@ -0,0 +1,202 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+
+const SpecUtils = require('./spec-utils');
+
+// Like "{id}" in "/movies/{id}"
+const PATH_PARAMETER_REGEX = /\{([^}]+)\}/g;
+
+/**
+ * Escapes the special characters of a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegExp = text => text.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+
+/**
+ * Returns the path of a server URL, with its variables replaced by their default values
+ * @param {object} server The server object, like { url: 'https://api.movies.com/{version}', variables: { version: { default: 'v1' } } }
+ * @returns {string} The path without the trailing slash, like '/v1'. An empty string if the URL has no path
+ */
+const getServerPath = ({ url, variables = {} }) => {
+
+	const serverUrl = url.replace(PATH_PARAMETER_REGEX, (match, name) => (
+		isPlainObject(variables[name]) && variables[name].default !== undefined ? variables[name].default : match
+	));
+
+	let pathname;
+
+	try {
+		({ pathname } = new URL(serverUrl, 'http://localhost'));
+	} catch(error) {
+		return '';
+	}
+
+	return decodeURI(pathname).replace(/\/+$/, '');
+};
+
+/**
+ * Finds the operation of a request in the paths of a schema
+ */
+class Router {
+
+	/**
+	 * @param {object} spec The built schema
+	 */
+	constructor(spec) {
+		this.spec = spec;
+		this.basePaths = this._getBasePaths();
+		this.routes = this._getRoutes();
+	}
+
+	/**
+	 * Finds the operation of a request
+	 * @param {string} method The HTTP method
+	 * @param {string} url The request URL or path, with or without the query string
+	 * @returns {object|null} The route, with the path, method, pathItem, operation, its JSON pointer and the path parameters.
+	 * If the path exists but the method doesn't, the route has the allowed methods instead of the operation. Null if no path matches
+	 */
+	match(method, url) {
+
+		const { pathname } = new URL(url, 'http://localhost');
+
+		const requestPaths = this.basePaths
+			.filter(basePath => pathname === basePath || pathname.startsWith(`${basePath}/`))
+			.map(basePath => pathname.slice(basePath.length) || '/');
+
+		let pathRoute;
+
+		for(const requestPath of requestPaths) {
+
+			pathRoute = this._matchPath(requestPath);
+
+			if(pathRoute)
+				break;
+		}
+
+		if(!pathRoute)
+			return null;
+
+		const { path, pathItem, pathParams } = pathRoute;
+		const lowerCaseMethod = method.toLowerCase();
+
+		if(!isPlainObject(pathItem[lowerCaseMethod])) {
+
+			const allowedMethods = SpecUtils.operationMethods.filter(allowedMethod => isPlainObject(pathItem[allowedMethod]));
+
+			return { path, pathItem, allowedMethods: allowedMethods.map(allowedMethod => allowedMethod.toUpperCase()) };
+		}
+
+		return {
+			path,
+			method: lowerCaseMethod,
+			pathItem,
+			operation: pathItem[lowerCaseMethod],
+			pointer: SpecUtils.toPointer('paths', path, lowerCaseMethod),
+			pathParams
+		};
+	}
+
+	/**
+	 * Returns the routes of every operation of the paths
+	 * @returns {Array<object>} The routes, like the ones of match(), without the path parameters
+	 */
+	getOperations() {
+		return this.routes.reduce((operations, { path, pathItem }) => [
+			...operations,
+			...SpecUtils.operationMethods
+				.filter(method => isPlainObject(pathItem[method]))
+				.map(method => ({
+					path,
+					method,
+					pathItem,
+					operation: pathItem[method],
+					pointer: SpecUtils.toPointer('paths', path, method)
+				}))
+		], []);
+	}
+
+	/**
+	 * Finds the path item of a request path
+	 * @param {string} requestPath The path without the base path of the servers
+	 * @returns {object|null} The path, the path item and the path parameters
+	 */
+	_matchPath(requestPath) {
+
+		for(const { path, pathItem, regex, names } of this.routes) {
+
+			const match = requestPath.match(regex);
+
+			if(match) {
+
+				const pathParams = names.reduce((params, name, index) => {
+
+					let value;
+
+					try {
+						value = decodeURIComponent(match[index + 1]);
+					} catch(error) {
+						value = match[index + 1];
+					}
+
+					return { ...params, [name]: value };
+				}, {});
+
+				return { path, pathItem, pathParams };
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Returns the base paths of the servers, the longest first. The empty path is always included
+	 * @returns {Array<string>}
+	 */
+	_getBasePaths() {
+
+		const servers = Array.isArray(this.spec.servers) ? this.spec.servers.filter(server => isPlainObject(server) && typeof server.url === 'string') : [];
+
+		const basePaths = new Set([...servers.map(getServerPath), '']);
+
+		return [...basePaths].sort((basePath, otherBasePath) => otherBasePath.length - basePath.length);
+	}
+
+	/**
+	 * Returns the routes of the paths, the ones with less path parameters first, so '/movies/latest' is matched before '/movies/{id}'
+	 * @returns {Array<{ path: string, pathItem: object, regex: RegExp, names: Array<string> }>}
+	 */
+	_getRoutes() {
+
+		const paths = isPlainObject(this.spec.paths) ? this.spec.paths : {};
+
+		return Object.entries(paths)
+			.filter(([, pathItem]) => isPlainObject(pathItem))
+			.map(([path, pathItem]) => {
+
+				const names = [];
+
+				// The odd parts are the parameter names
+				const parts = path.split(PATH_PARAMETER_REGEX).map((part, index) => {
+
+					if(index % 2) {
+						names.push(part);
+						return '([^/]+)';
+					}
+
+					return escapeRegExp(part);
+				});
+
+				return {
+					path,
+					pathItem,
+					regex: new RegExp(`^${parts.join('')}/?$`),
+					names
+				};
+			})
+			.sort((route, otherRoute) => route.names.length - otherRoute.names.length);
+	}
+}
+
+module.exports = Router;
@@ -0,0 +1,253 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+
+const SpecUtils = require('./spec-utils');
+
+/**
+ * The sample of every string format
+ */
+const STRING_FORMATS = {
+	'date-time': '2024-01-01T00:00:00Z',
+	date: '2024-01-01',
+	time: '00:00:00Z',
+	email: 'user@example.com',
+	'idn-email': 'user@example.com',
+	uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+	uri: 'https://example.com',
+	'uri-reference': '/example',
+	url: 'https://example.com',
+	hostname: 'example.com',
+	ipv4: '192.168.0.1',
+	ipv6: '::1',
+	byte: 'c3RyaW5n',
+	binary: 'string',
+	password: 'password'
+};
+
+/**
+ * The depth of the references of a recursive schema that are sampled, the deeper ones are omitted
+ */
+const MAX_DEPTH = 2;
+
+/**
+ * Returns a number between the limits of a schema
+ * @param {object} schema
+ * @returns {number}
+ */
+const sampleNumber = ({
+	type,
+	minimum,
+	maximum,
+	exclusiveMinimum,
+	exclusiveMaximum
+}) => {
+
+	const step = type === 'integer' ? 1 : 0.5;
+
+	// OpenAPI 3.0 has boolean exclusive limits, JSON schema has numeric ones
+	if(typeof exclusiveMinimum === 'number')
+		return exclusiveMinimum + step;
+
+	if(typeof minimum === 'number')
+		return exclusiveMinimum === true ? minimum + step : minimum;
+
+	if(typeof exclusiveMaximum === 'number')
+		return Math.min(0, exclusiveMaximum - step);
+
+	if(typeof maximum === 'number')
+		return Math.min(0, exclusiveMaximum === true ? maximum - step : maximum);
+
+	return 0;
+};
+
+/**
+ * Returns a string of a schema format and length
+ * @param {object} schema
+ * @returns {string}
+ */
+const sampleString = ({ format, minLength, maxLength }) => {
+
+	let value = STRING_FORMATS[format] || 'string';
+
+	if(typeof minLength === 'number' && value.length < minLength)
+		value = value.padEnd(minLength, value);
+
+	return typeof maxLength === 'number' ? value.slice(0, maxLength) : value;
+};
+
+/**
+ * Generates sample values from the schemas of a document, using their examples when they have them
+ */
+class Sampler {
+
+	/**
+	 * @param {object} spec The built schema, to resolve the references
+	 * @param {object} options
+	 * @param {boolean} options.requests If the samples are request bodies, so the read only properties are omitted instead of the write only ones.
+	 * DEFAULT = false
+	 */
+	constructor(spec, { requests = false } = {}) {
+		this.spec = spec;
+		this.omittedKeyword = requests ? 'readOnly' : 'writeOnly';
+	}
+
+	/**
+	 * Returns a sample value of a schema. The write only properties are omitted, since the samples are responses, or the read only ones for requests
+	 * @param {*} schema
+	 * @returns {*}
+	 */
+	sample(schema) {
+		return this._sample(schema, []);
+	}
+
+	/**
+	 * @param {*} schema
+	 * @param {Array<string>} refs The references followed to get to the schema, to stop sampling the recursive ones
+	 * @returns {*}
+	 */
+	_sample(schema, refs) {
+
+		if(!isPlainObject(schema))
+			return schema === false ? undefined : null;
+
+		if(typeof schema.$ref === 'string') {
+
+			if(refs.filter(ref => ref === schema.$ref).length >= MAX_DEPTH)
+				return undefined;
+
+			return this._sample(SpecUtils.getRefValue(this.spec, schema.$ref), [...refs, schema.$ref]);
+		}
+
+		const example = this._getExample(schema);
+
+		if(example !== undefined)
+			return example;
+
+		if(Array.isArray(schema.allOf))
+			return this._sampleAllOf(schema, refs);
+
+		const [alternative] = schema.oneOf || schema.anyOf || [];
+
+		if(alternative)
+			return this._sample(alternative, refs);
+
+		switch(this._getType(schema)) {
+			case 'object':
+				return this._sampleObject(schema, refs);
+			case 'array':
+				return this._sampleArray(schema, refs);
+			case 'string':
+				return sampleString(schema);
+			case 'number':
+			case 'integer':
+				return sampleNumber(schema);
+			case 'boolean':
+				return true;
+			default:
+				return null;
+		}
+	}
+
+	/**
+	 * Returns the value given by a schema: its example, default, constant or first enum value
+	 * @param {object} schema
+	 * @returns {*} Undefined if the schema has none
+	 */
+	_getExample(schema) {
+
+		if(schema.example !== undefined)
+			return schema.example;
+
+		// The JSON schema examples, since OpenAPI 3.1
+		if(Array.isArray(schema.examples) && schema.examples.length)
+			return schema.examples[0];
+
+		if(schema.default !== undefined)
+			return schema.default;
+
+		if(schema.const !== undefined)
+			return schema.const;
+
+		return Array.isArray(schema.enum) && schema.enum.length ? schema.enum[0] : undefined;
+	}
+
+	/**
+	 * Returns the type of a schema, the first one that isn't null when it has many, or the one that its keywords imply
+	 * @param {object} schema
+	 * @returns {string|undefined}
+	 */
+	_getType({ type, properties, additionalProperties, items }) {
+
+		if(Array.isArray(type))
+			return type.find(typeName => typeName !== 'null') || 'null';
+
+		if(type)
+			return type;
+
+		if(properties || additionalProperties)
+			return 'object';
+
+		return items ? 'array' : undefined;
+	}
+
+	/**
+	 * Merges the samples of the subschemas of an allOf, with the sample of the rest of the schema.
+	 * If they aren't all objects, the first sample that isn't null is used
+	 * @param {object} schema
+	 * @param {Array<string>} refs
+	 * @returns {*}
+	 */
+	_sampleAllOf({ allOf, ...schema }, refs) {
+
+		const samples = [...allOf, schema]
+			.filter(subschema => !isPlainObject(subschema) || Object.keys(subschema).length)
+			.map(subschema => this._sample(subschema, refs))
+			.filter(sample => sample !== undefined);
+
+		if(samples.length && samples.every(isPlainObject))
+			return Object.assign({}, ...samples);
+
+		const sample = samples.find(subschemaSample => subschemaSample !== null);
+
+		return sample === undefined ? null : sample;
+	}
+
+	/**
+	 * @param {object} schema
+	 * @param {Array<string>} refs
+	 * @returns {object} A sample of every property, but the write only ones, or the read only ones for requests
+	 */
+	_sampleObject({ properties }, refs) {
+
+		if(!isPlainObject(properties))
+			return {};
+
+		return Object.entries(properties).reduce((sample, [name, propertySchema]) => {
+
+			if(isPlainObject(propertySchema) && propertySchema[this.omittedKeyword] === true)
+				return sample;
+
+			const value = this._sample(propertySchema, refs);
+
+			return value === undefined ? sample : { ...sample, [name]: value };
+		}, {});
+	}
+
+	/**
+	 * @param {object} schema
+	 * @param {Array<string>} refs
+	 * @returns {Array} The minimum items, at least one, or an empty list if the items are unknown
+	 */
+	_sampleArray({ items, minItems }, refs) {
+
+		if(!isPlainObject(items))
+			return [];
+
+		const item = this._sample(items, refs);
+
+		return item === undefined ? [] : new Array(Math.max(minItems || 0, 1)).fill(item);
+	}
+}
+
+module.exports = Sampler;
@@ -0,0 +1,116 @@
+'use strict';
+
+const { cloneDeep, isPlainObject } = require('lodash');
+const Ajv2020 = require('ajv/dist/2020').default;
+const addFormats = require('ajv-formats');
+const { openapiV31 } = require('@apidevtools/openapi-schemas');
+// In order to use OpenApi Schema Validator 3.0.3+
+const OpenapiSchemaValidator = require('openapi-schema-validator').default;
+
+const SourceMap = require('./source-map');
+
+const VERSIONS = ['3.0', '3.1'];
+
+/**
+ * The keywords of the errors that only repeat the errors of their subschemas, like 'must match "else" schema'
+ */
+const IGNORED_KEYWORDS = ['if'];
+
+let validateOpenApi31;
+
+/**
+ * Replaces the dynamic references of the OpenAPI 3.1 meta-schema with the schema object definition,
+ * ajv doesn't resolve them as the meta-schema expects: https://github.com/ajv-validator/ajv/issues/1573
+ * @param {*} value A node of the meta-schema
+ * @param {object} schemaDefinition
+ * @returns {*}
+ */
+const replaceDynamicRefs = (value, schemaDefinition) => {
+
+	if(Array.isArray(value))
+		return value.map(item => replaceDynamicRefs(item, schemaDefinition));
+
+	if(!isPlainObject(value))
+		return value;
+
+	if(value.$dynamicRef === '#meta')
+		return schemaDefinition;
+
+	return Object.entries(value).reduce((node, [key, item]) => ({ ...node, [key]: replaceDynamicRefs(item, schemaDefinition) }), {});
+};
+
+/**
+ * Compiles the OpenAPI 3.1 meta-schema once, it's a slow operation
+ * @returns {function} The ajv validate function
+ */
+const getOpenApi31Validator = () => {
+
+	if(!validateOpenApi31) {
+
+		const metaSchema = cloneDeep(openapiV31);
+		const { $dynamicAnchor, ...schemaDefinition } = metaSchema.$defs.schema;
+
+		// The URLs and the references may be relative, like the later versions of the meta-schema define them
+		metaSchema.$defs.uri.format = 'uri-reference';
+
+		const ajv = new Ajv2020({
+			allErrors: true,
+			strict: false,
+			formats: { 'media-range': true }
+		});
+
+		addFormats(ajv);
+
+		validateOpenApi31 = ajv.compile(replaceDynamicRefs(metaSchema, schemaDefinition));
+	}
+
+	return validateOpenApi31;
+};
+
+/**
+ * Validates the schemas against the meta-schema of their OpenAPI version
+ */
+class SchemaValidator {
+
+	/**
+	 * Returns the OpenAPI version of a schema, without the patch version
+	 * @param {object} schema
+	 * @returns {string|undefined} '3.0' or '3.1', undefined when the openapi field is missing or unknown
+	 */
+	static getVersion(schema) {
+
+		if(!schema || typeof schema.openapi !== 'string')
+			return;
+
+		const [version] = schema.openapi.match(/^\d+\.\d+(?=\.\d+)/) || [];
+
+		return VERSIONS.includes(version) ? version : undefined;
+	}
+
+	/**
+	 * Validates a schema, the schemas without a known version are validated as OpenAPI 3.0
+	 * @param {object} schema
+	 * @returns {Array<object>} The ajv errors, with the JSON pointer of the invalid value
+	 */
+	static validate(schema) {
+
+		if(this.getVersion(schema) === '3.1') {
+
+			const validate = getOpenApi31Validator();
+
+			if(validate(schema))
+				return [];
+
+			return validate.errors
+				.filter(({ keyword }) => !IGNORED_KEYWORDS.includes(keyword))
+				.map(error => ({ ...error, pointer: error.instancePath }));
+		}
+
+		const schemaValidator = new OpenapiSchemaValidator({ version: 3 });
+
+		return schemaValidator.validate(schema).errors
+			.map(error => ({ ...error, pointer: SourceMap.toPointer(error.dataPath) }));
+	}
+}
+
+module.exports = SchemaValidator;
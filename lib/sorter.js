@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * The order of the root keys, the other keys are sorted by name after them
+ */
+const ROOT_KEYS = ['openapi', 'info', 'servers', 'tags', 'paths', 'components', 'security', 'externalDocs'];
+
+/**
+ * The order of the path item keys: the common ones first, then the operations
+ */
+const PATH_ITEM_KEYS = [
+	'$ref', 'summary', 'description', 'servers', 'parameters',
+	'get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'
+];
+
+/**
+ * Compares two different keys by code point, so the order doesn't depend on the locale
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const compare = (a, b) => (a < b ? -1 : 1);
+
+/**
+ * Compares two keys by their index in a list of known keys, the unknown keys go last sorted by name
+ * @param {Array<string>} knownKeys
+ * @returns {function}
+ */
+const compareByKnownKeys = knownKeys => (a, b) => {
+
+	const indexA = knownKeys.includes(a) ? knownKeys.indexOf(a) : knownKeys.length;
+	const indexB = knownKeys.includes(b) ? knownKeys.indexOf(b) : knownKeys.length;
+
+	return indexA - indexB || (indexA === knownKeys.length ? compare(a, b) : 0);
+};
+
+/**
+ * Returns a copy of an object with its keys sorted
+ * @param {object} object
+ * @param {function} compareKeys
+ * @param {function} mapValue To change the value of every key. DEFAULT = no change
+ * @returns {object}
+ */
+const sortKeys = (object, compareKeys = compare, mapValue = value => value) => {
+
+	if(!object || typeof object !== 'object' || Array.isArray(object))
+		return object;
+
+	return Object.keys(object)
+		.sort(compareKeys)
+		.reduce((sortedObject, key) => ({ ...sortedObject, [key]: mapValue(object[key]) }), {});
+};
+
+/**
+ * Sorts the keys of the schemas in a canonical order, for reproducible builds and clean diffs
+ */
+class Sorter {
+
+	/**
+	 * Returns a copy of the schema with the keys in canonical order: openapi, info, servers, tags, paths sorted by path and
+	 * method, components sorted by name, security, externalDocs and then the other keys by name.
+	 * The keys inside the operations and the components keep their order.
+	 * @param {object} schema
+	 * @returns {object}
+	 */
+	static sort(schema) {
+
+		const sortedSchema = sortKeys(schema, compareByKnownKeys(ROOT_KEYS));
+
+		if(sortedSchema && sortedSchema.paths)
+			sortedSchema.paths = sortKeys(sortedSchema.paths, compare, pathItem => sortKeys(pathItem, compareByKnownKeys(PATH_ITEM_KEYS)));
+
+		if(sortedSchema && sortedSchema.components)
+			sortedSchema.components = sortKeys(sortedSchema.components, compare, components => sortKeys(components));
+
+		return sortedSchema;
+	}
+}
+
+module.exports = Sorter;
@@ -0,0 +1,310 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const YAML = require('js-yaml');
+
+const readFile = util.promisify(fs.readFile);
+
+// The spaces and comments before a YAML node
+const SEPARATION_REGEX = /(?:\s|#.*)*/y;
+
+/**
+ * Escapes a key to be used as a JSON pointer token
+ * @param {string} key
+ * @returns {string}
+ */
+const escapeToken = key => String(key)
+	.replace(/~/g, '~0')
+	.replace(/\//g, '~1');
+
+/**
+ * Unescapes a JSON pointer token
+ * @param {string} token
+ * @returns {string}
+ */
+const unescapeToken = token => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+/**
+ * Checks if a pointer is the same or a descendant of another one
+ * @param {string} pointer
+ * @param {string} parentPointer
+ * @returns {boolean}
+ */
+const isInside = (pointer, parentPointer) => pointer === parentPointer || pointer.startsWith(`${parentPointer}/`);
+
+/**
+ * Keeps the track of the files where every part of a built schema was defined
+ */
+class SourceMap {
+
+	/**
+	 * @param {Array<string>} files The merged source files, in merge order
+	 * @param {Array<object>} contents The parsed content of every file
+	 * @param {string} mergeStrategy Which file wins when the files have the same key. DEFAULT = 'last-wins'
+	 */
+	constructor(files, contents, mergeStrategy = 'last-wins') {
+		this.files = files;
+		this.contents = contents;
+		this.mergeStrategy = mergeStrategy;
+
+		// The resolved references, by their pointer in the built schema
+		this.references = new Map();
+
+		// The line and column of every pointer, by file
+		this.positions = new Map();
+	}
+
+	/**
+	 * Escapes an object key to be used as a JSON pointer token
+	 * @param {string} key
+	 * @returns {string}
+	 */
+	static escapeToken(key) {
+		return escapeToken(key);
+	}
+
+	/**
+	 * Converts an ajv data path, like ".paths['/movies'].get", into a JSON pointer, like "/paths/~1movies/get"
+	 * @param {string} dataPath
+	 * @returns {string}
+	 */
+	static toPointer(dataPath) {
+
+		const tokens = [];
+		const tokenRegex = /\.([^.[]+)|\['((?:[^'\\]|\\.)*)'\]|\[(\d+)\]/g;
+
+		let match = tokenRegex.exec(dataPath);
+
+		while(match) {
+			const [, property, quotedProperty, index] = match;
+
+			if(quotedProperty !== undefined)
+				tokens.push(quotedProperty.replace(/\\(.)/g, '$1'));
+			else
+				tokens.push(property !== undefined ? property : index);
+
+			match = tokenRegex.exec(dataPath);
+		}
+
+		return tokens.map(token => `/${escapeToken(token)}`).join('');
+	}
+
+	/**
+	 * Returns the line and column of every JSON pointer of a YAML or JSON file content, both starting at 1.
+	 * The pointers of the object keys have the position of the key.
+	 * @param {string} text The file content
+	 * @returns {Map<string, { line: number, column: number }>} Empty if the content can't be parsed
+	 */
+	static getPositions(text) {
+
+		// The YAML nodes, with their start position and their children in order
+		const root = { children: [] };
+		const stack = [root];
+
+		try {
+			YAML.safeLoad(text, {
+				listener: (eventType, state) => {
+
+					if(eventType === 'open') {
+						const node = { position: state.position, children: [] };
+						stack[stack.length - 1].children.push(node);
+						stack.push(node);
+						return;
+					}
+
+					const node = stack.pop();
+					node.kind = state.kind;
+					node.result = state.result;
+				}
+			});
+		} catch(error) {
+			return new Map();
+		}
+
+		const lineStarts = [0];
+
+		for(let i = 0; i < text.length; i++) {
+			if(text[i] === '\n')
+				lineStarts.push(i + 1);
+		}
+
+		const toPosition = offset => {
+
+			// Skip the spaces and comments between the node separator and the node
+			SEPARATION_REGEX.lastIndex = offset;
+			const start = offset + SEPARATION_REGEX.exec(text)[0].length;
+
+			// Binary search of the last line that starts before the node
+			let low = 0;
+			let high = lineStarts.length - 1;
+
+			while(low < high) {
+				const middle = Math.ceil((low + high) / 2);
+
+				if(lineStarts[middle] > start)
+					high = middle - 1;
+				else
+					low = middle;
+			}
+
+			return { line: low + 1, column: start - lineStarts[low] + 1 };
+		};
+
+		const positions = new Map();
+
+		const addNode = (node, pointer, position = node.position) => {
+
+			positions.set(pointer, toPosition(position));
+
+			// A flow collection in a block context, like a JSON file, is wrapped by a node with the same result
+			while(node.children.length === 1 && node.children[0].result === node.result)
+				[node] = node.children;
+
+			if(node.kind === 'mapping') {
+				// The children of a mapping are its keys and values, alternated
+				for(let i = 0; i + 1 < node.children.length; i += 2) {
+					const [key, value] = node.children.slice(i, i + 2);
+					addNode(value, `${pointer}/${escapeToken(key.result)}`, key.position);
+				}
+			}
+
+			if(node.kind === 'sequence')
+				node.children.forEach((item, index) => addNode(item, `${pointer}/${index}`));
+		};
+
+		if(root.children.length)
+			addNode(root.children[0], '');
+
+		return positions;
+	}
+
+	/**
+	 * Adds the references resolved by json-refs, so the pointers inside them are searched in the referenced files
+	 * @param {string} pointer The pointer of the reference in the built schema
+	 * @param {string} file The referenced file
+	 * @param {string} filePointer The pointer of the referenced value in the file. DEFAULT = ''
+	 */
+	addReference(pointer, file, filePointer = '') {
+		this.references.set(pointer, { file, pointer: filePointer });
+	}
+
+	/**
+	 * Returns the file that defines a pointer of the built schema and the pointer inside that file
+	 * @param {string} pointer
+	 * @returns {{ file: string, pointer: string }|undefined} Undefined if no file defines the pointer
+	 */
+	find(pointer) {
+
+		// The innermost reference that contains the pointer
+		const [referencePointer] = [...this.references.keys()]
+			.filter(candidate => isInside(pointer, candidate))
+			.sort((a, b) => b.length - a.length);
+
+		if(referencePointer !== undefined) {
+			const reference = this.references.get(referencePointer);
+			return { file: reference.file, pointer: reference.pointer + pointer.slice(referencePointer.length) };
+		}
+
+		// The file that defines the longest part of the pointer, the winner of the merge if many files define it
+		const files = this.mergeStrategy === 'first-wins' ? [...this.files].reverse() : this.files;
+		const contents = this.mergeStrategy === 'first-wins' ? [...this.contents].reverse() : this.contents;
+
+		let found;
+		let foundDepth = -1;
+
+		contents.forEach((content, index) => {
+
+			const depth = this._getDefinedDepth(content, pointer);
+
+			if(depth >= foundDepth) {
+				found = { file: files[index], pointer };
+				foundDepth = depth;
+			}
+		});
+
+		return found;
+	}
+
+	/**
+	 * Returns the file, line and column where a pointer of the built schema was defined.
+	 * If the pointer isn't defined, like a missing required property, the position of its closest parent is returned.
+	 * @async
+	 * @param {string} pointer
+	 * @returns {{ file: string, line: number, column: number }|{}} Without line and column if the file can't be read
+	 */
+	async locate(pointer) {
+
+		const source = this.find(pointer);
+
+		if(!source)
+			return {};
+
+		const positions = await this._getFilePositions(source.file);
+
+		let filePointer = source.pointer;
+
+		while(!positions.has(filePointer) && filePointer !== '')
+			filePointer = filePointer.slice(0, filePointer.lastIndexOf('/'));
+
+		return { file: source.file, ...positions.get(filePointer) };
+	}
+
+	/**
+	 * Returns how many tokens of a pointer are defined in an object
+	 * @param {object} content
+	 * @param {string} pointer
+	 * @returns {number} -1 if the content is empty
+	 */
+	_getDefinedDepth(content, pointer) {
+
+		if(content === null || content === undefined)
+			return -1;
+
+		const tokens = pointer
+			.split('/')
+			.slice(1)
+			.map(unescapeToken);
+
+		let value = content;
+		let depth = 0;
+
+		for(const token of tokens) {
+
+			if(value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, token))
+				break;
+
+			value = value[token];
+			depth++;
+		}
+
+		return depth;
+	}
+
+	/**
+	 * Reads a file and returns its positions, caching them
+	 * @async
+	 * @param {string} file
+	 * @returns {Map<string, { line: number, column: number }>}
+	 */
+	async _getFilePositions(file) {
+
+		if(!this.positions.has(file)) {
+
+			let positions;
+
+			try {
+				positions = this.constructor.getPositions(await readFile(path.resolve(file), 'utf8'));
+			} catch(error) {
+				positions = new Map();
+			}
+
+			this.positions.set(file, positions);
+		}
+
+		return this.positions.get(file);
+	}
+}
+
+module.exports = SourceMap;
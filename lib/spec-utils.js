@@ -0,0 +1,169 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+
+const SourceMap = require('./source-map');
+
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Returns the keys of a JSON pointer
+ * @param {string} pointer
+ * @returns {Array<string>}
+ */
+const getKeys = pointer => pointer
+	.split('/')
+	.slice(1)
+	.map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+/**
+ * Returns the value of a JSON pointer of a document
+ * @param {*} document
+ * @param {string} pointer
+ * @returns {*} Undefined if the pointer doesn't exist
+ */
+const getValue = (document, pointer) => getKeys(pointer)
+	.reduce((node, key) => (isPlainObject(node) || Array.isArray(node) ? node[key] : undefined), document);
+
+/**
+ * Returns the JSON pointer of an internal reference, like '#/components/schemas/Movie'
+ * @param {*} ref
+ * @returns {string|null} Null if it isn't an internal reference or it isn't a valid URI fragment
+ */
+const getRefPointer = ref => {
+
+	if(typeof ref !== 'string' || !ref.startsWith('#/'))
+		return null;
+
+	// The references are URI fragments
+	try {
+		return decodeURIComponent(ref.slice(1));
+	} catch(error) {
+		return null;
+	}
+};
+
+/**
+ * The helpers to read the built schemas, shared by the modules that walk them
+ */
+class SpecUtils {
+
+	/**
+	 * The methods of the operations of a path item
+	 */
+	static get operationMethods() {
+		return [...OPERATION_METHODS];
+	}
+
+	/**
+	 * Builds a JSON pointer
+	 * @param {...string} keys
+	 * @returns {string}
+	 */
+	static toPointer(...keys) {
+		return keys.map(key => `/${SourceMap.escapeToken(key)}`).join('');
+	}
+
+	/**
+	 * Returns the keys of a JSON pointer
+	 * @param {string} pointer
+	 * @returns {Array<string>}
+	 */
+	static getKeys(pointer) {
+		return getKeys(pointer);
+	}
+
+	/**
+	 * Returns a JavaScript identifier for the generated code, like "MovieList" for "movie list", in camel case when lowerFirst is true
+	 * @param {string} text
+	 * @param {boolean} lowerFirst DEFAULT = false
+	 * @returns {string}
+	 */
+	static toIdentifier(text, lowerFirst = false) {
+
+		const identifier = text
+			.split(/[^A-Za-z0-9_$]+/)
+			.filter(Boolean)
+			.map((word, index) => {
+				const first = index || !lowerFirst ? word.charAt(0).toUpperCase() : word.charAt(0).toLowerCase();
+				return `${first}${word.slice(1)}`;
+			})
+			.join('');
+
+		if(!identifier)
+			return lowerFirst ? 'operation' : 'Schema';
+
+		return /^\d/.test(identifier) ? `_${identifier}` : identifier;
+	}
+
+	/**
+	 * Finds the declared response of a status code: the exact one, the range like "4XX", or the default one
+	 * @param {object} responses The responses object of an operation
+	 * @param {string} code The status code, like "404"
+	 * @returns {string|undefined}
+	 */
+	static findResponseCode(responses, code) {
+		return [code, `${code[0]}XX`, 'default'].find(responseCode => responses[responseCode] !== undefined);
+	}
+
+	/**
+	 * Returns the value of a JSON pointer of a document
+	 * @param {*} document
+	 * @param {string} pointer
+	 * @returns {*} Undefined if the pointer doesn't exist
+	 */
+	static getValue(document, pointer) {
+		return getValue(document, pointer);
+	}
+
+	/**
+	 * Returns the value of an internal reference, like '#/components/schemas/Movie'
+	 * @param {*} document
+	 * @param {string} ref
+	 * @returns {*} Undefined if it isn't an internal reference or it can't be resolved
+	 */
+	static getRefValue(document, ref) {
+		const pointer = getRefPointer(ref);
+		return pointer === null ? undefined : getValue(document, pointer);
+	}
+
+	/**
+	 * Follows the internal references of a document, the external ones aren't followed
+	 * @param {*} document
+	 * @param {*} value
+	 * @param {string} pointer The pointer of the value. DEFAULT = ''
+	 * @returns {{ value: *, pointer: string }} The referenced value and its pointer, the value is undefined if the reference can't be resolved
+	 */
+	static resolveRef(document, value, pointer = '') {
+
+		const visitedRefs = new Set();
+		let resolved = { value, pointer };
+
+		while(isPlainObject(resolved.value) && typeof resolved.value.$ref === 'string' && resolved.value.$ref.startsWith('#/')) {
+
+			const refPointer = getRefPointer(resolved.value.$ref);
+
+			// The circular references can't be resolved
+			if(refPointer === null || visitedRefs.has(refPointer))
+				return { value: undefined, pointer };
+
+			visitedRefs.add(refPointer);
+
+			resolved = { value: getValue(document, refPointer), pointer: refPointer };
+		}
+
+		return resolved;
+	}
+
+	/**
+	 * Follows the internal references of a document, the external ones aren't followed
+	 * @param {*} document
+	 * @param {*} value
+	 * @returns {*} The referenced value, undefined if the reference can't be resolved
+	 */
+	static resolve(document, value) {
+		return this.resolveRef(document, value).value;
+	}
+}
+
+module.exports = SpecUtils;
@@ -0,0 +1,600 @@
+'use strict';
+
+const { cloneDeep, isPlainObject } = require('lodash');
+
+const SpecUtils = require('./spec-utils');
+
+const OPERATION_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+const DEFAULT_MEDIA_TYPES = ['application/json'];
+
+const FORM_MEDIA_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+
+/**
+ * The keys of the Swagger parameters and headers that are moved to their schema
+ */
+const SCHEMA_KEYS = [
+	'type', 'format', 'items', 'default', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum', 'maxLength',
+	'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'enum', 'multipleOf'
+];
+
+/**
+ * The keys of the schemas that contain other schemas, by kind of value
+ */
+const SCHEMA_MAP_KEYS = ['properties'];
+const SCHEMA_LIST_KEYS = ['allOf'];
+const SCHEMA_VALUE_KEYS = ['items', 'additionalProperties'];
+
+/**
+ * The style and explode of the parameters by collection format, the missing ones can't be converted
+ */
+const COLLECTION_FORMATS = {
+	csv: { query: { style: 'form', explode: false }, path: {}, header: {} },
+	ssv: { query: { style: 'spaceDelimited', explode: false } },
+	pipes: { query: { style: 'pipeDelimited', explode: false } },
+	multi: { query: { style: 'form', explode: true } }
+};
+
+/**
+ * The OpenAPI 3 flows of the Swagger OAuth2 flows
+ */
+const OAUTH2_FLOWS = {
+	implicit: 'implicit',
+	password: 'password',
+	application: 'clientCredentials',
+	accessCode: 'authorizationCode'
+};
+
+/**
+ * The new location of the Swagger local references
+ */
+const REF_SECTIONS = {
+	definitions: 'schemas',
+	parameters: 'parameters',
+	responses: 'responses'
+};
+
+const isExtension = key => key.startsWith('x-');
+
+/**
+ * Converts the Swagger 2.0 schemas to OpenAPI 3.0, reporting the constructs that can't be converted
+ */
+class SwaggerConverter {
+
+	/**
+	 * Checks if a schema is a Swagger 2.0 schema
+	 * @param {object} schema
+	 * @returns {boolean}
+	 */
+	static isSwagger(schema) {
+		// An unquoted 2.0 is parsed as a number
+		return !!schema && ['2.0', 2].includes(schema.swagger);
+	}
+
+	/**
+	 * Converts a Swagger 2.0 schema to an OpenAPI 3.0 schema
+	 * @param {object} schema
+	 * @returns {{ schema: object, issues: Array<{ pointer: string, message: string }> }} The issues have the pointer
+	 * of the construct in the Swagger schema that can't be converted
+	 */
+	convert(schema) {
+
+		this.swagger = schema;
+		this.issues = [];
+
+		const converted = { openapi: '3.0.0' };
+
+		if(schema.info)
+			converted.info = cloneDeep(schema.info);
+
+		if(schema.host || schema.basePath)
+			converted.servers = this._convertServers(schema);
+
+		Object.entries(schema).forEach(([key, value]) => {
+
+			if(['swagger', 'info', 'host', 'basePath', 'schemes', 'consumes', 'produces'].includes(key))
+				return;
+
+			if(['tags', 'security', 'externalDocs'].includes(key) || isExtension(key))
+				converted[key] = cloneDeep(value);
+			else if(key === 'paths')
+				converted.paths = this._convertPaths(value);
+			else if(key === 'definitions')
+				this._addComponents(converted, 'schemas', value, (definition, name) => this._convertSchema(definition, ['definitions', name]));
+			else if(key === 'parameters')
+				this._convertGlobalParameters(converted, value);
+			else if(key === 'responses')
+				this._addComponents(converted, 'responses', value, (response, name) => this._convertResponse(response, schema.produces, ['responses', name]));
+			else if(key === 'securityDefinitions')
+				this._addComponents(converted, 'securitySchemes', value, (scheme, name) => this._convertSecurityScheme(scheme, ['securityDefinitions', name]));
+			else
+				this._addIssue([key], `The '${key}' key is unknown`);
+		});
+
+		return { schema: converted, issues: this.issues };
+	}
+
+	/**
+	 * Saves a construct that can't be converted
+	 * @param {Array<string>} keys The path of the construct in the Swagger schema
+	 * @param {string} message
+	 */
+	_addIssue(keys, message) {
+		this.issues.push({ pointer: SpecUtils.toPointer(...keys), message });
+	}
+
+	/**
+	 * Adds the converted objects of a map to a components section
+	 * @param {object} converted The OpenAPI schema
+	 * @param {string} section The components section, like 'schemas'
+	 * @param {object} objects The objects by name
+	 * @param {function} convert Converts every object, returns undefined when it can't be converted
+	 */
+	_addComponents(converted, section, objects, convert) {
+
+		Object.entries(objects || {}).forEach(([name, object]) => {
+
+			const component = convert(object, name);
+
+			if(component === undefined)
+				return;
+
+			converted.components = converted.components || {};
+			converted.components[section] = converted.components[section] || {};
+			converted.components[section][name] = component;
+		});
+	}
+
+	/**
+	 * Converts the host, base path and schemes into the servers
+	 * @param {object} schema The Swagger schema
+	 * @returns {Array<object>}
+	 */
+	_convertServers({ host, basePath = '', schemes = [] }) {
+
+		if(!host)
+			return [{ url: basePath || '/' }];
+
+		return (schemes.length ? schemes : ['https']).map(scheme => ({ url: `${scheme}://${host}${basePath}` }));
+	}
+
+	/**
+	 * Converts a local reference, like '#/definitions/Movie' to '#/components/schemas/Movie'. The other references don't change
+	 * @param {string} ref
+	 * @returns {string}
+	 */
+	_convertRef(ref) {
+
+		const [, section, name] = ref.match(/^#\/(definitions|parameters|responses)\/(.+)$/) || [];
+
+		if(!section)
+			return ref;
+
+		// The body parameters are request bodies in OpenAPI 3
+		if(section === 'parameters' && this._isBodyRef(ref, ['body']))
+			return `#/components/requestBodies/${name}`;
+
+		return `#/components/${REF_SECTIONS[section]}/${name}`;
+	}
+
+	/**
+	 * Converts a Swagger schema: the references, 'x-nullable', the file type and the discriminator
+	 * @param {*} schema
+	 * @param {Array<string>} keys The path of the schema
+	 * @returns {*}
+	 */
+	_convertSchema(schema, keys) {
+
+		if(!isPlainObject(schema))
+			return cloneDeep(schema);
+
+		if(typeof schema.$ref === 'string')
+			return { $ref: this._convertRef(schema.$ref) };
+
+		return Object.entries(schema).reduce((converted, [key, value]) => {
+
+			if(key === 'x-nullable')
+				return { ...converted, nullable: value };
+
+			if(key === 'type' && value === 'file')
+				return { ...converted, type: 'string', format: 'binary' };
+
+			if(key === 'discriminator' && typeof value === 'string')
+				return { ...converted, discriminator: { propertyName: value } };
+
+			if(SCHEMA_MAP_KEYS.includes(key) && isPlainObject(value)) {
+				return {
+					...converted,
+					[key]: Object.entries(value).reduce((properties, [name, property]) => ({
+						...properties,
+						[name]: this._convertSchema(property, keys.concat(key, name))
+					}), {})
+				};
+			}
+
+			if(SCHEMA_LIST_KEYS.includes(key) && Array.isArray(value))
+				return { ...converted, [key]: value.map((item, index) => this._convertSchema(item, keys.concat(key, index))) };
+
+			if(SCHEMA_VALUE_KEYS.includes(key))
+				return { ...converted, [key]: this._convertSchema(value, keys.concat(key)) };
+
+			if(key === 'collectionFormat') {
+				if(value !== 'csv')
+					this._addIssue(keys.concat(key), `The '${value}' collection format of the items can't be converted`);
+				return converted;
+			}
+
+			return { ...converted, [key]: cloneDeep(value) };
+		}, {});
+	}
+
+	/**
+	 * Moves the schema keys of a parameter or header, like the type and the format, to its schema
+	 * @param {object} object The Swagger parameter or header
+	 * @param {Array<string>} keys The path of the object
+	 * @returns {object} The schema
+	 */
+	_getSchema(object, keys) {
+
+		const schema = SCHEMA_KEYS
+			.filter(key => object[key] !== undefined)
+			.reduce((schemaKeys, key) => ({ ...schemaKeys, [key]: object[key] }), {});
+
+		return this._convertSchema(schema, keys);
+	}
+
+	/**
+	 * Converts the global parameters: the body parameters are request bodies in OpenAPI 3
+	 * @param {object} converted The OpenAPI schema
+	 * @param {object} parameters The Swagger parameters by name
+	 */
+	_convertGlobalParameters(converted, parameters) {
+
+		Object.entries(parameters || {}).forEach(([name, parameter]) => {
+
+			const keys = ['parameters', name];
+
+			if(parameter && parameter.in === 'body') {
+				this._addComponents(converted, 'requestBodies', { [name]: parameter }, () => {
+					return this._convertRequestBody([parameter], this.swagger.consumes, keys);
+				});
+				return;
+			}
+
+			if(parameter && parameter.in === 'formData') {
+				this._addIssue(keys, 'The formData parameters can\'t be components, they must be defined in the operations');
+				return;
+			}
+
+			this._addComponents(converted, 'parameters', { [name]: parameter }, () => this._convertParameter(parameter, keys));
+		});
+	}
+
+	/**
+	 * Converts a parameter that isn't in the body nor in the form data
+	 * @param {object} parameter
+	 * @param {Array<string>} keys The path of the parameter
+	 * @returns {object}
+	 */
+	_convertParameter(parameter, keys) {
+
+		if(typeof parameter.$ref === 'string')
+			return { $ref: this._convertRef(parameter.$ref) };
+
+		const converted = {};
+
+		Object.entries(parameter).forEach(([key, value]) => {
+			if(['name', 'in', 'description', 'required', 'allowEmptyValue'].includes(key) || isExtension(key))
+				converted[key] = cloneDeep(value);
+		});
+
+		if(parameter.collectionFormat) {
+
+			const styles = COLLECTION_FORMATS[parameter.collectionFormat] || {};
+
+			if(styles[parameter.in])
+				Object.assign(converted, styles[parameter.in]);
+			else
+				this._addIssue(keys.concat('collectionFormat'), `The '${parameter.collectionFormat}' collection format can't be converted in ${parameter.in}`);
+		}
+
+		converted.schema = this._getSchema(parameter, keys);
+
+		return converted;
+	}
+
+	/**
+	 * Converts the body parameter or the form data parameters into a request body
+	 * @param {Array<object>} parameters The body parameter or the form data parameters
+	 * @param {Array<string>} consumes The media types of the request
+	 * @param {Array<string>} keys The path of the parameter
+	 * @returns {object}
+	 */
+	_convertRequestBody(parameters, consumes = DEFAULT_MEDIA_TYPES, keys) {
+
+		const [parameter] = parameters;
+
+		if(parameter.in === 'body') {
+
+			const requestBody = {};
+
+			if(parameter.description)
+				requestBody.description = parameter.description;
+
+			const schema = this._convertSchema(parameter.schema, keys.concat('schema'));
+
+			requestBody.content = consumes.reduce((content, mediaType) => ({ ...content, [mediaType]: { schema } }), {});
+
+			if(parameter.required)
+				requestBody.required = true;
+
+			return requestBody;
+		}
+
+		const schema = { type: 'object', properties: {} };
+		const required = [];
+
+		parameters.forEach(formParameter => {
+
+			schema.properties[formParameter.name] = {
+				...this._getSchema(formParameter, keys),
+				...formParameter.description && { description: formParameter.description }
+			};
+
+			if(formParameter.required)
+				required.push(formParameter.name);
+		});
+
+		if(required.length)
+			schema.required = required;
+
+		const hasFiles = parameters.some(({ type }) => type === 'file');
+		const formMediaTypes = consumes.filter(mediaType => FORM_MEDIA_TYPES.includes(mediaType));
+
+		const mediaTypes = formMediaTypes.length ? formMediaTypes : [hasFiles ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+
+		return {
+			content: mediaTypes.reduce((content, mediaType) => ({ ...content, [mediaType]: { schema } }), {}),
+			...required.length && { required: true }
+		};
+	}
+
+	/**
+	 * Converts a response: its schema, headers and examples are moved to its content
+	 * @param {object} response
+	 * @param {Array<string>} produces The media types of the response
+	 * @param {Array<string>} keys The path of the response
+	 * @returns {object}
+	 */
+	_convertResponse(response, produces = DEFAULT_MEDIA_TYPES, keys) {
+
+		if(typeof response.$ref === 'string')
+			return { $ref: this._convertRef(response.$ref) };
+
+		const converted = {};
+
+		Object.entries(response).forEach(([key, value]) => {
+
+			if(key === 'description' || isExtension(key))
+				converted[key] = cloneDeep(value);
+			else if(key === 'headers') {
+				converted.headers = Object.entries(value || {}).reduce((headers, [name, header]) => ({
+					...headers,
+					[name]: {
+						...header.description && { description: header.description },
+						schema: this._getSchema(header, keys.concat(key, name))
+					}
+				}), {});
+			} else if(!['schema', 'examples'].includes(key))
+				this._addIssue(keys.concat(key), `The '${key}' key of the response is unknown`);
+		});
+
+		if(response.schema) {
+			const schema = this._convertSchema(response.schema, keys.concat('schema'));
+			converted.content = produces.reduce((content, mediaType) => ({ ...content, [mediaType]: { schema } }), {});
+		}
+
+		Object.entries(response.examples || {}).forEach(([mediaType, example]) => {
+			converted.content = converted.content || {};
+			converted.content[mediaType] = { ...converted.content[mediaType], example: cloneDeep(example) };
+		});
+
+		return converted;
+	}
+
+	/**
+	 * Converts a security definition into a security scheme
+	 * @param {object} scheme
+	 * @param {Array<string>} keys The path of the security definition
+	 * @returns {object|undefined} Undefined when it can't be converted
+	 */
+	_convertSecurityScheme(scheme, keys) {
+
+		if(scheme.type === 'basic')
+			return { type: 'http', scheme: 'basic', ...scheme.description && { description: scheme.description } };
+
+		if(scheme.type !== 'oauth2')
+			return cloneDeep(scheme);
+
+		const flow = OAUTH2_FLOWS[scheme.flow];
+
+		if(!flow) {
+			this._addIssue(keys.concat('flow'), `The '${scheme.flow}' OAuth2 flow is unknown`);
+			return;
+		}
+
+		const { authorizationUrl, tokenUrl, scopes = {} } = scheme;
+
+		return {
+			type: 'oauth2',
+			...scheme.description && { description: scheme.description },
+			flows: {
+				[flow]: {
+					...authorizationUrl && { authorizationUrl },
+					...tokenUrl && { tokenUrl },
+					scopes: cloneDeep(scopes)
+				}
+			}
+		};
+	}
+
+	/**
+	 * Converts the path items and their operations
+	 * @param {object} paths
+	 * @returns {object}
+	 */
+	_convertPaths(paths) {
+
+		return Object.entries(paths || {}).reduce((convertedPaths, [pathName, pathItem]) => {
+
+			const keys = ['paths', pathName];
+			const convertedPathItem = {};
+
+			// The request bodies are defined in the operations since OpenAPI 3
+			const { parameters = [] } = pathItem || {};
+			const bodyParameters = parameters.filter(parameter => this._isBodyParameter(parameter));
+
+			Object.entries(pathItem || {}).forEach(([key, value]) => {
+
+				if(OPERATION_METHODS.includes(key))
+					convertedPathItem[key] = this._convertOperation(value, bodyParameters, keys.concat(key));
+				else if(key === 'parameters') {
+					const pathParameters = this._convertParameters(value.filter(parameter => !this._isBodyParameter(parameter)), keys.concat(key));
+					if(pathParameters.length)
+						convertedPathItem.parameters = pathParameters;
+				} else if(key === '$ref' || isExtension(key))
+					convertedPathItem[key] = cloneDeep(value);
+				else
+					this._addIssue(keys.concat(key), `The '${key}' key of the path item is unknown`);
+			});
+
+			return { ...convertedPaths, [pathName]: convertedPathItem };
+		}, {});
+	}
+
+	/**
+	 * Checks if a parameter is a body or a form data parameter, also when it's a reference to a global parameter
+	 * @param {object} parameter
+	 * @returns {boolean}
+	 */
+	_isBodyParameter(parameter) {
+
+		if(parameter && typeof parameter.$ref === 'string')
+			return this._isBodyRef(parameter.$ref, ['body', 'formData']);
+
+		return !!parameter && ['body', 'formData'].includes(parameter.in);
+	}
+
+	/**
+	 * Checks if a reference points to a global parameter of some locations
+	 * @param {string} ref
+	 * @param {Array<string>} locations Like ['body', 'formData']
+	 * @returns {boolean}
+	 */
+	_isBodyRef(ref, locations) {
+
+		const [, name] = ref.match(/^#\/parameters\/(.+)$/) || [];
+		const parameter = name && this.swagger.parameters && this.swagger.parameters[name];
+
+		return !!parameter && locations.includes(parameter.in);
+	}
+
+	/**
+	 * Converts a list of parameters that aren't in the body nor in the form data
+	 * @param {Array<object>} parameters
+	 * @param {Array<string>} keys The path of the list
+	 * @returns {Array<object>}
+	 */
+	_convertParameters(parameters, keys) {
+		return parameters.map((parameter, index) => this._convertParameter(parameter, keys.concat(index)));
+	}
+
+	/**
+	 * Converts an operation: the body and form data parameters are moved to the request body and the responses
+	 * have a content by media type
+	 * @param {object} operation
+	 * @param {Array<object>} pathBodyParameters The body and form data parameters of the path item
+	 * @param {Array<string>} keys The path of the operation
+	 * @returns {object}
+	 */
+	_convertOperation(operation, pathBodyParameters, keys) {
+
+		const converted = {};
+
+		const consumes = operation.consumes || this.swagger.consumes;
+		const produces = operation.produces || this.swagger.produces;
+
+		Object.entries(operation).forEach(([key, value]) => {
+
+			if(['consumes', 'produces'].includes(key))
+				return;
+
+			if(key === 'parameters')
+				this._convertOperationParameters(converted, value, pathBodyParameters, consumes, keys.concat(key));
+			else if(key === 'responses') {
+				converted.responses = Object.entries(value || {}).reduce((responses, [code, response]) => ({
+					...responses,
+					[code]: this._convertResponse(response, produces, keys.concat(key, code))
+				}), {});
+			} else if(key === 'schemes')
+				this._addIssue(keys.concat(key), 'The schemes of the operations can\'t be converted, the servers are defined for the whole schema');
+			else
+				converted[key] = cloneDeep(value);
+		});
+
+		if(!operation.parameters && pathBodyParameters.length)
+			this._convertOperationParameters(converted, [], pathBodyParameters, consumes, keys.concat('parameters'));
+
+		return converted;
+	}
+
+	/**
+	 * Converts the parameters of an operation, the body and form data ones are converted into the request body
+	 * @param {object} converted The converted operation
+	 * @param {Array<object>} parameters The parameters of the operation
+	 * @param {Array<object>} pathBodyParameters The body and form data parameters of the path item
+	 * @param {Array<string>} consumes The media types of the request
+	 * @param {Array<string>} keys The path of the parameters
+	 */
+	_convertOperationParameters(converted, parameters, pathBodyParameters, consumes, keys) {
+
+		const otherParameters = [];
+		const bodyParameters = [];
+
+		parameters.forEach((parameter, index) => {
+			if(this._isBodyParameter(parameter))
+				bodyParameters.push(parameter);
+			else
+				otherParameters.push(this._convertParameter(parameter, keys.concat(index)));
+		});
+
+		if(otherParameters.length)
+			converted.parameters = otherParameters;
+
+		const requestParameters = bodyParameters.length ? bodyParameters : pathBodyParameters;
+
+		if(!requestParameters.length)
+			return;
+
+		const [firstParameter] = requestParameters;
+
+		if(requestParameters.some(({ $ref }) => typeof $ref === 'string')) {
+
+			if(requestParameters.length === 1 && this._isBodyRef(firstParameter.$ref, ['body']))
+				converted.requestBody = { $ref: this._convertRef(firstParameter.$ref) };
+			else
+				this._addIssue(keys, 'The references to form data parameters can\'t be converted');
+
+			return;
+		}
+
+		if(requestParameters.length > 1 && requestParameters.some(({ in: location }) => location === 'body')) {
+			this._addIssue(keys, 'The body parameter can\'t be mixed with other body or form data parameters');
+			return;
+		}
+
+		converted.requestBody = this._convertRequestBody(requestParameters, consumes, keys);
+	}
+}
+
+module.exports = SwaggerConverter;
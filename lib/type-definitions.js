@@ -0,0 +1,472 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+
+const SpecUtils = require('./spec-utils');
+
+// Like "#/components/schemas/Movie"
+const SCHEMA_REF_REGEX = /^#\/components\/schemas\/([^/]+)$/;
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Like "200" or "2XX"
+const SUCCESS_CODE_REGEX = /^2(\d\d|XX)$/i;
+
+/**
+ * The TypeScript types of the JSON Schema primitive types
+ */
+const PRIMITIVE_TYPES = {
+	string: 'string',
+	integer: 'number',
+	number: 'number',
+	boolean: 'boolean',
+	null: 'null'
+};
+
+/**
+ * The keys of the request types for every parameter location
+ */
+const PARAMETER_KEYS = {
+	path: 'path',
+	query: 'query',
+	header: 'headers',
+	cookie: 'cookies'
+};
+
+/**
+ * Returns a property name, quoted when it isn't a valid identifier
+ * @param {string} name
+ * @returns {string}
+ */
+const renderKey = name => (IDENTIFIER_REGEX.test(name) ? name : JSON.stringify(name));
+
+/**
+ * @param {*} value
+ * @returns {string} The literal type of a value
+ */
+const renderLiteral = value => (isPlainObject(value) || Array.isArray(value) ? 'unknown' : JSON.stringify(value));
+
+/**
+ * Returns the members of a union type, without splitting the nested types nor the string literals
+ * @param {string} type
+ * @returns {Array<string>}
+ */
+const splitUnion = type => {
+
+	const members = [];
+	let depth = 0;
+	let inString = false;
+	let start = 0;
+
+	for(let index = 0; index < type.length; index++) {
+
+		const char = type[index];
+
+		if(inString) {
+			if(char === '\\')
+				index++;
+			else if(char === '"')
+				inString = false;
+		} else if(char === '"')
+			inString = true;
+		else if('{<('.includes(char))
+			depth++;
+		else if('}>)'.includes(char))
+			depth--;
+		else if(depth === 0 && type.startsWith(' | ', index)) {
+			members.push(type.slice(start, index));
+			start = index + 3;
+		}
+	}
+
+	return [...members, type.slice(start)];
+};
+
+/**
+ * @param {Array<string>} types
+ * @returns {string} The union of the types, without repeated members
+ */
+const renderUnion = types => {
+	const uniqueTypes = [...new Set(types.reduce((members, type) => [...members, ...splitUnion(type)], []))];
+	return uniqueTypes.length ? uniqueTypes.join(' | ') : 'never';
+};
+
+/**
+ * @param {Array<string>} types
+ * @returns {string} The intersection of the types, with the unions between parentheses
+ */
+const renderIntersection = types => {
+
+	const knownTypes = [...new Set(types)].filter(type => type !== 'unknown');
+
+	if(!knownTypes.length)
+		return 'unknown';
+
+	return knownTypes.map(type => (knownTypes.length > 1 && type.includes(' | ') ? `(${type})` : type)).join(' & ');
+};
+
+/**
+ * Returns the doc comment of an object with its description and if it's deprecated
+ * @param {*} object
+ * @param {number} indent
+ * @returns {string} The comment and a new line, or an empty string
+ */
+const renderComment = (object, indent) => {
+
+	if(!isPlainObject(object))
+		return '';
+
+	const tabs = '\t'.repeat(indent);
+
+	const lines = [
+		...(typeof object.description === 'string' && object.description ? object.description.trim().split('\n') : []),
+		...(object.deprecated === true ? ['@deprecated'] : [])
+	].map(line => line.replace(/\*\//g, '*\\/'));
+
+	if(!lines.length)
+		return '';
+
+	if(lines.length === 1)
+		return `${tabs}/** ${lines[0]} */\n`;
+
+	return `${tabs}/**\n${lines.map(line => `${tabs} * ${line}`.trimEnd()).join('\n')}\n${tabs} */\n`;
+};
+
+/**
+ * Generates the TypeScript type definitions of a built schema: a type for every component schema,
+ * and the request and response types of every operation with an operationId
+ */
+class TypeDefinitions {
+
+	/**
+	 * @param {object} spec The built schema
+	 */
+	constructor(spec) {
+		this.spec = spec;
+	}
+
+	/**
+	 * Renders the type definitions file
+	 * @returns {string} The content of the .d.ts file
+	 */
+	render() {
+
+		const info = isPlainObject(this.spec.info) ? this.spec.info : {};
+		const title = [info.title, info.version].filter(text => typeof text === 'string').join(' ') || 'the API';
+
+		const usedNames = new Set();
+
+		// The identifiers are assigned before rendering any type, for the references
+		this.schemaNames = this._getSchemaNames(usedNames);
+
+		const declarations = [
+			...Object.entries(this.schemaNames).map(([name, identifier]) => this._renderComponentSchema(identifier, this._getSchemas()[name])),
+			...this._renderOperations(usedNames)
+		];
+
+		return [
+			'/**',
+			` * The types of ${title.replace(/\*\//g, '*\\/')}, generated from its schema by @janiscommerce/api-schema-builder.`,
+			' * Don\'t edit this file, it\'s written again in every build.',
+			' */',
+			'',
+			declarations.join('\n\n'),
+			''
+		].join('\n');
+	}
+
+	/**
+	 * @returns {object} The component schemas
+	 */
+	_getSchemas() {
+		const { components } = this.spec;
+		return isPlainObject(components) && isPlainObject(components.schemas) ? components.schemas : {};
+	}
+
+	/**
+	 * Returns a unique identifier for every component schema
+	 * @param {Set<string>} usedNames
+	 * @returns {object} The identifiers by schema name
+	 */
+	_getSchemaNames(usedNames) {
+
+		return Object.keys(this._getSchemas()).reduce((schemaNames, name) => {
+
+			const identifier = SpecUtils.toIdentifier(name);
+			let uniqueIdentifier = identifier;
+
+			for(let index = 2; usedNames.has(uniqueIdentifier); index++)
+				uniqueIdentifier = `${identifier}${index}`;
+
+			usedNames.add(uniqueIdentifier);
+
+			return { ...schemaNames, [name]: uniqueIdentifier };
+		}, {});
+	}
+
+	/**
+	 * Renders a component schema as an interface when it's a plain object, or as a type alias
+	 * @param {string} identifier
+	 * @param {*} schema
+	 * @returns {string}
+	 */
+	_renderComponentSchema(identifier, schema) {
+
+		const comment = renderComment(schema, 0);
+
+		const isInterface = isPlainObject(schema)
+			&& isPlainObject(schema.properties)
+			&& (schema.type === undefined || schema.type === 'object')
+			&& schema.nullable !== true
+			&& ['$ref', 'const', 'enum', 'allOf', 'oneOf', 'anyOf'].every(keyword => schema[keyword] === undefined);
+
+		if(isInterface)
+			return `${comment}export interface ${identifier} ${this._renderObject(schema, 0)}`;
+
+		return `${comment}export type ${identifier} = ${this._renderType(schema, 0)};`;
+	}
+
+	/**
+	 * Renders the request and response types of every operation with an operationId
+	 * @param {Set<string>} usedNames
+	 * @returns {Array<string>}
+	 */
+	_renderOperations(usedNames) {
+
+		const paths = isPlainObject(this.spec.paths) ? this.spec.paths : {};
+		const declarations = [];
+
+		Object.entries(paths)
+			.filter(([, pathItem]) => isPlainObject(pathItem))
+			.forEach(([path, pathItem]) => {
+				SpecUtils.operationMethods
+					.filter(method => isPlainObject(pathItem[method]) && typeof pathItem[method].operationId === 'string')
+					.forEach(method => {
+
+						const operation = pathItem[method];
+						const identifier = SpecUtils.toIdentifier(operation.operationId);
+
+						const getNames = name => [`${name}Request`, `${name}Responses`, `${name}Response`];
+
+						let name = identifier;
+
+						for(let index = 2; getNames(name).some(typeName => usedNames.has(typeName)); index++)
+							name = `${identifier}${index}`;
+
+						getNames(name).forEach(typeName => usedNames.add(typeName));
+
+						declarations.push(...this._renderOperation(name, method, path, pathItem, operation));
+					});
+			});
+
+		return declarations;
+	}
+
+	/**
+	 * @param {string} name The identifier of the operation
+	 * @param {string} method
+	 * @param {string} path
+	 * @param {object} pathItem
+	 * @param {object} operation
+	 * @returns {Array<string>} The request type, the response types by status code and the success response type
+	 */
+	_renderOperation(name, method, path, pathItem, operation) {
+
+		const title = typeof operation.summary === 'string' && operation.summary ? `${operation.summary}: ` : '';
+		const comment = renderComment({ description: `${title}${method.toUpperCase()} ${path}`, deprecated: operation.deprecated }, 0);
+
+		const responses = isPlainObject(operation.responses)
+			? Object.entries(operation.responses)
+				.filter(([code]) => !code.startsWith('x-'))
+				.map(([code, response]) => [code, SpecUtils.resolve(this.spec, response)])
+				.filter(([, response]) => isPlainObject(response))
+			: [];
+
+		const responseLines = responses.map(([code, response]) => (
+			`${renderComment(response, 1)}\t${/^\d+$/.test(code) ? code : renderKey(code)}: ${this._renderContentType(response.content, 'undefined', 1)};`
+		));
+
+		const successCodes = responses.map(([code]) => code).filter(code => SUCCESS_CODE_REGEX.test(code));
+
+		if(!successCodes.length && responses.some(([code]) => code === 'default'))
+			successCodes.push('default');
+
+		const successTypes = successCodes.map(code => `${name}Responses[${/^\d+$/.test(code) ? code : JSON.stringify(code)}]`);
+
+		return [
+			`${comment}export interface ${name}Request ${this._renderRequest(pathItem, operation)}`,
+			`export interface ${name}Responses ${responseLines.length ? `{\n${responseLines.join('\n')}\n}` : '{}'}`,
+			`export type ${name}Response = ${renderUnion(successTypes)};`
+		];
+	}
+
+	/**
+	 * Renders the request of an operation, with its parameters by location and its body
+	 * @param {object} pathItem
+	 * @param {object} operation
+	 * @returns {string}
+	 */
+	_renderRequest(pathItem, operation) {
+
+		// The parameters of the operation override the ones of the path item
+		const parameters = Object.values([
+			...(Array.isArray(pathItem.parameters) ? pathItem.parameters : []),
+			...(Array.isArray(operation.parameters) ? operation.parameters : [])
+		]
+			.map(parameter => SpecUtils.resolve(this.spec, parameter))
+			.filter(parameter => isPlainObject(parameter) && typeof parameter.name === 'string' && PARAMETER_KEYS[parameter.in])
+			.reduce((parametersByKey, parameter) => ({ ...parametersByKey, [`${parameter.in}:${parameter.name}`]: parameter }), {}));
+
+		const lines = Object.entries(PARAMETER_KEYS)
+			.map(([location, key]) => [key, parameters.filter(parameter => parameter.in === location)])
+			.filter(([, locationParameters]) => locationParameters.length)
+			.map(([key, locationParameters]) => {
+
+				const properties = locationParameters.map(parameter => {
+
+					const required = parameter.required === true || parameter.in === 'path';
+					const type = parameter.schema !== undefined ? this._renderType(parameter.schema, 2) : this._renderContentType(parameter.content, 'unknown', 2);
+
+					return `${renderComment(parameter, 2)}\t\t${renderKey(parameter.name)}${required ? '' : '?'}: ${type};`;
+				});
+
+				const optional = locationParameters.every(parameter => parameter.required !== true && parameter.in !== 'path');
+
+				return `\t${key}${optional ? '?' : ''}: {\n${properties.join('\n')}\n\t};`;
+			});
+
+		const requestBody = SpecUtils.resolve(this.spec, operation.requestBody);
+
+		if(isPlainObject(requestBody)) {
+			const optional = requestBody.required === true ? '' : '?';
+			lines.push(`${renderComment(requestBody, 1)}\tbody${optional}: ${this._renderContentType(requestBody.content, 'unknown', 1)};`);
+		}
+
+		return lines.length ? `{\n${lines.join('\n')}\n}` : '{}';
+	}
+
+	/**
+	 * Returns the union of the schema types of every media type of a content
+	 * @param {object} content
+	 * @param {string} emptyType The type when there is no content
+	 * @param {number} indent
+	 * @returns {string}
+	 */
+	_renderContentType(content, emptyType, indent) {
+
+		if(!isPlainObject(content) || !Object.keys(content).length)
+			return emptyType;
+
+		return renderUnion(Object.values(content)
+			.map(mediaTypeObject => (isPlainObject(mediaTypeObject) ? this._renderType(mediaTypeObject.schema, indent) : 'unknown')));
+	}
+
+	/**
+	 * Renders the type of a schema: the references as the component types, the enums as unions of literals,
+	 * oneOf and anyOf as unions, allOf as intersections and the nullable schemas as unions with null
+	 * @param {*} schema
+	 * @param {number} indent The indentation of the objects
+	 * @returns {string}
+	 */
+	_renderType(schema, indent) {
+
+		if(schema === false)
+			return 'never';
+
+		if(!isPlainObject(schema))
+			return 'unknown';
+
+		if(typeof schema.$ref === 'string') {
+			const [, name] = schema.$ref.match(SCHEMA_REF_REGEX) || [];
+			return (name && this.schemaNames[decodeURIComponent(name)]) || 'unknown';
+		}
+
+		const types = [];
+
+		if(schema.const !== undefined)
+			types.push(renderLiteral(schema.const));
+		else if(Array.isArray(schema.enum))
+			types.push(renderUnion(schema.enum.map(renderLiteral)));
+		else {
+			const ownType = this._renderOwnType(schema, indent);
+
+			if(ownType)
+				types.push(ownType);
+		}
+
+		['oneOf', 'anyOf']
+			.filter(keyword => Array.isArray(schema[keyword]))
+			.forEach(keyword => types.push(renderUnion(schema[keyword].map(subschema => this._renderType(subschema, indent)))));
+
+		if(Array.isArray(schema.allOf))
+			types.push(...schema.allOf.map(subschema => this._renderType(subschema, indent)));
+
+		const type = renderIntersection(types);
+
+		return schema.nullable === true && type !== 'unknown' ? renderUnion([type, 'null']) : type;
+	}
+
+	/**
+	 * Renders the types of the type keyword, or the implicit object and array types
+	 * @param {object} schema
+	 * @param {number} indent
+	 * @returns {string|null} Null if the schema doesn't define a type
+	 */
+	_renderOwnType(schema, indent) {
+
+		let types = [].concat(schema.type || []);
+
+		if(!types.length) {
+
+			if(schema.properties !== undefined || schema.additionalProperties !== undefined)
+				types = ['object'];
+			else if(schema.items !== undefined)
+				types = ['array'];
+			else
+				return null;
+		}
+
+		return renderUnion(types.map(type => {
+
+			if(type === 'object')
+				return this._renderObject(schema, indent);
+
+			if(type === 'array')
+				return `Array<${schema.items !== undefined ? this._renderType(schema.items, indent) : 'unknown'}>`;
+
+			return PRIMITIVE_TYPES[type] || 'unknown';
+		}));
+	}
+
+	/**
+	 * Renders an object type with its properties, optional unless they are required, and its additional properties
+	 * @param {object} schema
+	 * @param {number} indent
+	 * @returns {string}
+	 */
+	_renderObject(schema, indent) {
+
+		const tabs = '\t'.repeat(indent + 1);
+		const required = Array.isArray(schema.required) ? schema.required : [];
+		const properties = isPlainObject(schema.properties) ? Object.entries(schema.properties) : [];
+		const { additionalProperties } = schema;
+
+		const lines = properties.map(([name, propertySchema]) => {
+			const optional = required.includes(name) ? '' : '?';
+			return `${renderComment(propertySchema, indent + 1)}${tabs}${renderKey(name)}${optional}: ${this._renderType(propertySchema, indent + 1)};`;
+		});
+
+		if(additionalProperties === true || isPlainObject(additionalProperties)) {
+			// The index signature must allow the types of every property
+			const valueType = properties.length ? 'unknown' : this._renderType(additionalProperties, indent + 1);
+			lines.push(`${tabs}[key: string]: ${valueType};`);
+		}
+
+		if(!lines.length)
+			return additionalProperties === false ? 'Record<string, never>' : 'Record<string, unknown>';
+
+		return `{\n${lines.join('\n')}\n${'\t'.repeat(indent)}}`;
+	}
+}
+
+module.exports = TypeDefinitions;
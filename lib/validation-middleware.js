@@ -0,0 +1,311 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+
+const logger = require('./logger');
+const Router = require('./router');
+const Validator = require('./validator');
+
+/**
+ * Returns the headers with lower case names and string values, like the ones of the node http requests
+ * @param {object} headers
+ * @returns {object}
+ */
+const normalizeHeaders = (headers = {}) => Object.entries(isPlainObject(headers) ? headers : {})
+	.filter(([, value]) => value !== undefined && value !== null)
+	.reduce((normalizedHeaders, [name, value]) => ({
+		...normalizedHeaders,
+		[name.toLowerCase()]: Array.isArray(value) ? value.join(', ') : String(value)
+	}), {});
+
+/**
+ * Returns the query string of a Lambda event, of the HTTP APIs or the REST APIs of API Gateway
+ * @param {object} event
+ * @returns {string} Like "?page=2", an empty string if the event has no query
+ */
+const getEventQuery = ({ rawQueryString, multiValueQueryStringParameters, queryStringParameters }) => {
+
+	if(rawQueryString)
+		return `?${rawQueryString}`;
+
+	const searchParams = new URLSearchParams();
+
+	if(isPlainObject(multiValueQueryStringParameters)) {
+		Object.entries(multiValueQueryStringParameters)
+			.forEach(([name, values]) => values.forEach(value => searchParams.append(name, value)));
+	} else if(isPlainObject(queryStringParameters))
+		Object.entries(queryStringParameters).forEach(([name, value]) => searchParams.append(name, value));
+
+	const query = searchParams.toString();
+
+	return query ? `?${query}` : '';
+};
+
+/**
+ * Returns the request of a Lambda event, of the HTTP APIs (payload 2.0) or the REST APIs (payload 1.0) of API Gateway
+ * @param {object} event
+ * @returns {{ method: string, url: string, headers: object, body: string|undefined }}
+ */
+const getEventRequest = event => {
+
+	const { requestContext = {}, cookies } = event;
+
+	const headers = normalizeHeaders(event.headers);
+
+	// The HTTP APIs send the cookies apart from the headers
+	if(Array.isArray(cookies) && cookies.length)
+		headers.cookie = cookies.join('; ');
+
+	const body = event.isBase64Encoded && typeof event.body === 'string'
+		? Buffer.from(event.body, 'base64').toString()
+		: event.body;
+
+	return {
+		method: event.httpMethod || (requestContext.http && requestContext.http.method) || 'GET',
+		url: `${event.rawPath || event.path || '/'}${getEventQuery(event)}`,
+		headers,
+		body
+	};
+};
+
+/**
+ * Returns a JSON error response
+ * @param {number} status
+ * @param {object} body
+ * @param {object} headers DEFAULT = {}
+ * @returns {{ status: number, headers: object, body: object }}
+ */
+const errorResponse = (status, body, headers = {}) => ({ status, headers: { ...headers, 'content-type': 'application/json' }, body });
+
+/**
+ * Validates the requests and the responses of the handlers of an API against its built schema
+ */
+class ValidationMiddleware {
+
+	/**
+	 * @param {object} spec The built schema
+	 * @param {object} options
+	 * @param {boolean} options.responses If the responses are validated. DEFAULT = true
+	 * @param {function} options.onInvalidResponse Receives the errors and the route of every invalid response. DEFAULT = a warning log
+	 */
+	constructor(spec, { responses = true, onInvalidResponse } = {}) {
+
+		this.spec = spec;
+		this.validateResponses = responses;
+		this.onInvalidResponse = onInvalidResponse || this._logInvalidResponse;
+
+		this.router = new Router(spec);
+		this.validator = new Validator(spec);
+
+		// The schemas are compiled once, before the first request
+		this.router.getOperations().forEach(route => this.validator.compile(route));
+	}
+
+	/**
+	 * Validates a request against its operation
+	 * @param {object} request
+	 * @param {string} request.method
+	 * @param {string} request.url The request path, with the query string
+	 * @param {object} request.headers The headers, with lower case names
+	 * @param {string} request.body The raw body
+	 * @returns {{ route: object|null, error: object|null }} The route of the request, see Router.match(),
+	 * and the error response when the request is invalid: 404 if no path matches, 405 if the method isn't declared,
+	 * 415 if the media type isn't declared, or 400 with the errors of every invalid value
+	 */
+	validateRequest({ method, url, headers = {}, body }) {
+
+		const route = this.router.match(method, url);
+
+		if(!route)
+			return { route, error: errorResponse(404, { message: `No path matches '${new URL(url, 'http://localhost').pathname}'` }) };
+
+		if(!route.operation) {
+			return {
+				route,
+				error: errorResponse(405, { message: `The method ${method} isn't allowed for path '${route.path}'` }, { allow: route.allowedMethods.join(', ') })
+			};
+		}
+
+		const errors = this.validator.validateRequest(route, { url, headers, body });
+
+		if(!errors.length)
+			return { route, error: null };
+
+		const status = errors.some(({ keyword }) => keyword === 'mediaType') ? 415 : 400;
+
+		return { route, error: errorResponse(status, { message: 'Invalid request', errors }) };
+	}
+
+	/**
+	 * Validates a response against the declared responses of its operation
+	 * @param {object} route The route of the request
+	 * @param {object} response
+	 * @param {number} response.status
+	 * @param {object} response.headers
+	 * @param {string|object} response.body The raw body, or the parsed one
+	 * @returns {Array<object>} The errors, with the JSON path of the invalid value
+	 */
+	validateResponse(route, { status, headers, body }) {
+		return this.validator.validateResponse(route, { status, headers: normalizeHeaders(headers), body });
+	}
+
+	/**
+	 * Wraps a handler of the node http server. The invalid requests are answered with their error response without calling the handler
+	 * @param {function} handler Receives the request, with the read body and the path params, and the response
+	 * @returns {function} The request listener of the http server
+	 */
+	http(handler) {
+
+		return async (request, response) => {
+
+			const { method, url, headers } = request;
+
+			let body;
+
+			try {
+				body = await new Promise((resolve, reject) => {
+
+					const chunks = [];
+
+					request.on('data', chunk => chunks.push(chunk));
+					request.on('end', () => resolve(Buffer.concat(chunks).toString()));
+					request.on('error', reject);
+				});
+			} catch(readError) {
+				// Like the requests aborted by the client before sending the whole body
+				this._answerError(response, errorResponse(400, { message: `The request body can't be read. ${readError.message}` }));
+				return;
+			}
+
+			const { route, error } = this.validateRequest({ method, url, headers, body });
+
+			if(error) {
+				this._answerError(response, error);
+				return;
+			}
+
+			request.body = body;
+			request.params = route.pathParams;
+
+			if(this.validateResponses)
+				this._watchResponse(route, response);
+
+			try {
+				await handler(request, response);
+			} catch(handlerError) {
+				logger(`The handler of '${method} ${url}' failed. ${handlerError.message}`, 'ERROR');
+				this._answerError(response, errorResponse(500, { message: 'Internal server error' }));
+			}
+		};
+	}
+
+	/**
+	 * Answers a node http request with an error response, or closes the connection if the response was already started
+	 * @param {http.ServerResponse} response
+	 * @param {{ status: number, headers: object, body: object }} error
+	 */
+	_answerError(response, { status, headers, body }) {
+
+		if(response.headersSent) {
+			response.destroy();
+			return;
+		}
+
+		response.writeHead(status, headers);
+		response.end(JSON.stringify(body));
+	}
+
+	/**
+	 * Wraps a Lambda handler of API Gateway. The invalid requests are answered with their error response without calling the handler
+	 * @param {function} handler Receives the event and the context, and resolves the response
+	 * @returns {function} The Lambda handler
+	 */
+	lambda(handler) {
+
+		return async (event, context) => {
+
+			const request = getEventRequest(event);
+			const { route, error } = this.validateRequest(request);
+
+			if(error)
+				return { statusCode: error.status, headers: error.headers, body: JSON.stringify(error.body) };
+
+			const response = await handler(event, context);
+
+			if(this.validateResponses && isPlainObject(response)) {
+
+				// The HTTP APIs answer 200 with the JSON of the handlers that don't return a status code
+				const hasStatus = response.statusCode !== undefined;
+
+				const errors = this.validateResponse(route, {
+					status: hasStatus ? response.statusCode : 200,
+					headers: hasStatus ? response.headers : { 'content-type': 'application/json' },
+					body: hasStatus ? response.body : response
+				});
+
+				if(errors.length)
+					this.onInvalidResponse(errors, route);
+			}
+
+			return response;
+		};
+	}
+
+	/**
+	 * Collects the headers and the body of a node http response, to validate it when it's finished
+	 * @param {object} route
+	 * @param {http.ServerResponse} response
+	 */
+	_watchResponse(route, response) {
+
+		const chunks = [];
+		const { writeHead, write, end } = response;
+
+		// The headers of writeHead() aren't returned by getHeaders()
+		let writtenHeaders = {};
+
+		response.writeHead = (...args) => {
+			writtenHeaders = args.find(isPlainObject) || {};
+			return writeHead.apply(response, args);
+		};
+
+		const collect = chunk => {
+			if(chunk !== undefined && chunk !== null && typeof chunk !== 'function')
+				chunks.push(Buffer.from(chunk));
+		};
+
+		response.write = (chunk, ...args) => {
+			collect(chunk);
+			return write.call(response, chunk, ...args);
+		};
+
+		response.end = (chunk, ...args) => {
+			collect(chunk);
+			return end.call(response, chunk, ...args);
+		};
+
+		response.once('finish', () => {
+
+			const errors = this.validateResponse(route, {
+				status: response.statusCode,
+				headers: { ...normalizeHeaders({ ...response.getHeaders() }), ...normalizeHeaders(writtenHeaders) },
+				body: Buffer.concat(chunks).toString()
+			});
+
+			if(errors.length)
+				this.onInvalidResponse(errors, route);
+		});
+	}
+
+	/**
+	 * Logs the errors of an invalid response as a warning
+	 * @param {Array<object>} errors
+	 * @param {object} route
+	 */
+	_logInvalidResponse(errors, { method, path }) {
+		const details = errors.map(({ path: errorPath, message }) => `${errorPath} ${message}`).join(', ');
+		logger(`Invalid response of '${method.toUpperCase()} ${path}': ${details}`, 'WARNING');
+	}
+}
+
+module.exports = ValidationMiddleware;
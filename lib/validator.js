@@ -0,0 +1,641 @@
+'use strict';
+
+const { isPlainObject } = require('lodash');
+const Ajv2020 = require('ajv/dist/2020').default;
+const addFormats = require('ajv-formats');
+
+const SchemaValidator = require('./schema-validator');
+const SpecUtils = require('./spec-utils');
+
+/**
+ * The keywords whose values are a schema
+ */
+const SCHEMA_KEYWORDS = ['items', 'not', 'additionalProperties', 'contains', 'if', 'then', 'else', 'propertyNames',
+	'unevaluatedItems', 'unevaluatedProperties', 'additionalItems', 'contentSchema'];
+
+/**
+ * The keywords whose values are a list of schemas
+ */
+const SCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'prefixItems'];
+
+/**
+ * The keywords whose values are objects of schemas
+ */
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', 'dependentSchemas', '$defs', 'definitions'];
+
+/**
+ * The parameter locations, with the key of their values in the request data
+ */
+const PARAMETER_LOCATIONS = {
+	path: 'pathParams',
+	query: 'query',
+	header: 'headers',
+	cookie: 'cookies'
+};
+
+const JSON_MEDIA_TYPE_REGEX = /^application\/(.+\+)?json$/;
+const FORM_MEDIA_TYPE = 'application/x-www-form-urlencoded';
+
+// Like "title" or "_id", the names that don't need brackets in a JSON path
+const IDENTIFIER_REGEX = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Builds a JSON path, like "$.body.actors[0].name"
+ * @param {string} location The request part, like "body" or "query"
+ * @param {string} instancePath The JSON pointer of the value in the request part
+ * @returns {string}
+ */
+const toJsonPath = (location, instancePath = '') => SpecUtils.getKeys(instancePath).reduce((jsonPath, key) => {
+
+	if(/^\d+$/.test(key))
+		return `${jsonPath}[${key}]`;
+
+	return IDENTIFIER_REGEX.test(key) ? `${jsonPath}.${key}` : `${jsonPath}['${key.replace(/'/g, '\\\'')}']`;
+}, `$.${location}`);
+
+/**
+ * Returns the media type of a content type header, without its parameters
+ * @param {string} contentType Like "application/json; charset=utf-8"
+ * @returns {string} Like "application/json"
+ */
+const getMediaType = (contentType = '') => contentType.split(';')[0].trim().toLowerCase();
+
+/**
+ * Returns the declared media type of a content that matches a media type, exactly or with a wildcard like "application/*"
+ * @param {object} content The content of a request body or a response, by media type
+ * @param {string} mediaType
+ * @returns {string|undefined}
+ */
+const findMediaType = (content, mediaType) => {
+
+	const mediaTypes = Object.keys(content);
+	const [type] = mediaType.split('/');
+
+	return mediaTypes.find(declaredMediaType => declaredMediaType.toLowerCase() === mediaType)
+		|| mediaTypes.find(declaredMediaType => declaredMediaType.toLowerCase() === `${type}/*`)
+		|| mediaTypes.find(declaredMediaType => declaredMediaType === '*/*');
+};
+
+/**
+ * Parses the cookie header
+ * @param {string} cookieHeader Like "session=abc; theme=dark"
+ * @returns {object}
+ */
+const parseCookies = (cookieHeader = '') => cookieHeader
+	.split(';')
+	.map(cookie => cookie.trim())
+	.filter(Boolean)
+	.reduce((cookies, cookie) => {
+		const [name, ...value] = cookie.split('=');
+		return { ...cookies, [name]: value.join('=') };
+	}, {});
+
+/**
+ * Parses a query string, the repeated parameters are lists
+ * @param {URLSearchParams} searchParams
+ * @returns {object}
+ */
+const parseQuery = searchParams => [...new Set(searchParams.keys())].reduce((query, name) => {
+	const values = searchParams.getAll(name);
+	return { ...query, [name]: values.length > 1 ? values : values[0] };
+}, {});
+
+/**
+ * Validates the requests of the operations of a schema against their parameters and request body,
+ * and their responses against the declared status codes, headers and content
+ */
+class Validator {
+
+	/**
+	 * @param {object} spec The built schema
+	 */
+	constructor(spec) {
+
+		this.spec = spec;
+		this.isOpenApi30 = SchemaValidator.getVersion(spec) === '3.0';
+
+		// The parameters and the form bodies are strings, they are coerced to the types of their schemas
+		this.ajv = this._createAjv(false);
+		this.coercingAjv = this._createAjv(true);
+
+		// The responses have the read only properties instead of the write only ones
+		this.responseAjv = this._createAjv(false, true);
+
+		this.validators = new Map();
+	}
+
+	/**
+	 * Validates a request against the parameters and the request body of its operation
+	 * @param {object} route The route of the request, see Router.match()
+	 * @param {object} request The request
+	 * @param {string} request.url The request URL, with the query string
+	 * @param {object} request.headers The request headers, with lower case names
+	 * @param {string} request.body The raw request body
+	 * @returns {Array<{ in: string, path: string, keyword: string, message: string }>} The errors, with the JSON path of the invalid value
+	 */
+	validateRequest(route, { url, headers = {}, body }) {
+
+		const requestData = {
+			pathParams: route.pathParams || {},
+			query: parseQuery(new URL(url, 'http://localhost').searchParams),
+			headers,
+			cookies: parseCookies(headers.cookie)
+		};
+
+		const parameters = this._getParameters(route);
+
+		const parameterErrors = Object.entries(PARAMETER_LOCATIONS).reduce((errors, [location, dataKey]) => {
+
+			const locationParameters = parameters.filter(parameter => parameter.in === location);
+
+			if(!locationParameters.length)
+				return errors;
+
+			const validate = this._getParametersValidator(route.pointer, location, locationParameters);
+
+			return [...errors, ...this._validateValues(validate, location, requestData[dataKey])];
+		}, []);
+
+		return [...parameterErrors, ...this._validateBody(route, headers, body)];
+	}
+
+	/**
+	 * Validates a response against the declared responses of its operation
+	 * @param {object} route The route of the request, see Router.match()
+	 * @param {object} response The response
+	 * @param {number} response.status The status code
+	 * @param {object} response.headers The response headers, with lower case names
+	 * @param {string|object} response.body The raw response body, or the parsed one
+	 * @returns {Array<{ in: string, path: string, keyword: string, message: string }>} The errors, with the JSON path of the invalid value
+	 */
+	validateResponse({ operation, pointer }, { status, headers = {}, body }) {
+
+		const responses = isPlainObject(operation.responses) ? operation.responses : {};
+		const code = SpecUtils.findResponseCode(responses, String(status));
+
+		if(!code) {
+
+			const codes = Object.keys(responses).filter(responseCode => !responseCode.startsWith('x-'));
+
+			return [{
+				in: 'status',
+				path: '$.status',
+				keyword: 'status',
+				message: codes.length
+					? `The status ${status} isn't declared, must be one of: ${codes.join(', ')}`
+					: `The status ${status} isn't declared, the operation has no responses`
+			}];
+		}
+
+		const response = SpecUtils.resolve(this.spec, responses[code]);
+
+		if(!isPlainObject(response))
+			return [];
+
+		const responsePointer = `${pointer}/responses/${code}`;
+		const headerParameters = this._getResponseHeaders(response);
+
+		const headerErrors = headerParameters.length
+			? this._validateValues(this._getParametersValidator(responsePointer, 'header', headerParameters), 'header', headers)
+			: [];
+
+		return [...headerErrors, ...this._validateResponseBody(response, responsePointer, headers, body)];
+	}
+
+	/**
+	 * Compiles the validators of the parameters, the request bodies and the responses of an operation,
+	 * so the schemas errors are found before the first request
+	 * @param {object} route The route of the operation
+	 */
+	compile(route) {
+
+		const { operation, pointer } = route;
+		const parameters = this._getParameters(route);
+
+		Object.keys(PARAMETER_LOCATIONS)
+			.map(location => [location, parameters.filter(parameter => parameter.in === location)])
+			.filter(([, locationParameters]) => locationParameters.length)
+			.forEach(([location, locationParameters]) => this._getParametersValidator(pointer, location, locationParameters));
+
+		const requestBody = SpecUtils.resolve(this.spec, operation.requestBody);
+
+		if(isPlainObject(requestBody) && isPlainObject(requestBody.content)) {
+			Object.entries(requestBody.content)
+				.filter(([mediaType, mediaTypeObject]) => isPlainObject(mediaTypeObject) && mediaTypeObject.schema !== undefined
+					&& (JSON_MEDIA_TYPE_REGEX.test(mediaType.toLowerCase()) || mediaType.toLowerCase() === FORM_MEDIA_TYPE))
+				.forEach(([mediaType, { schema }]) => this._getBodyValidator(pointer, mediaType, mediaType.toLowerCase(), schema));
+		}
+
+		const responses = isPlainObject(operation.responses) ? operation.responses : {};
+
+		Object.entries(responses)
+			.map(([code, response]) => [code, SpecUtils.resolve(this.spec, response)])
+			.filter(([code, response]) => !code.startsWith('x-') && isPlainObject(response))
+			.forEach(([code, response]) => {
+
+				const responsePointer = `${pointer}/responses/${code}`;
+				const headerParameters = this._getResponseHeaders(response);
+
+				if(headerParameters.length)
+					this._getParametersValidator(responsePointer, 'header', headerParameters);
+
+				if(isPlainObject(response.content)) {
+					Object.entries(response.content)
+						.filter(([mediaType, mediaTypeObject]) => JSON_MEDIA_TYPE_REGEX.test(mediaType.toLowerCase())
+							&& isPlainObject(mediaTypeObject) && mediaTypeObject.schema !== undefined)
+						.forEach(([mediaType, { schema }]) => this._getResponseBodyValidator(responsePointer, mediaType, schema));
+				}
+			});
+	}
+
+	/**
+	 * Validates a value against a schema of the document, like its examples
+	 * @param {string} key The key of the cached validator, like the JSON pointer of the schema
+	 * @param {*} schema
+	 * @param {*} value
+	 * @param {boolean} isResponse If the schema is of a response, so the write only properties aren't required instead of the read only ones.
+	 * DEFAULT = false
+	 * @returns {Array<object>} The ajv errors
+	 * @throws {Error} If the schema can't be compiled
+	 */
+	validateValue(key, schema, value, isResponse = false) {
+
+		const validate = this._getValidator(`${key}${isResponse ? ':response' : ''}`, schema, { wrap: false, isResponse });
+
+		return validate(value) ? [] : validate.errors;
+	}
+
+	/**
+	 * Validates the request body against the schema of its media type
+	 * @param {object} route
+	 * @param {object} headers The request headers
+	 * @param {string} body The raw request body
+	 * @returns {Array<object>} The errors
+	 */
+	_validateBody({ operation, pointer }, headers, body) {
+
+		const requestBody = SpecUtils.resolve(this.spec, operation.requestBody);
+
+		if(!isPlainObject(requestBody))
+			return [];
+
+		if(body === undefined || body === null || body === '') {
+			return requestBody.required
+				? [{ in: 'body', path: '$.body', keyword: 'required', message: 'The request body is required' }]
+				: [];
+		}
+
+		const content = isPlainObject(requestBody.content) ? requestBody.content : {};
+		const mediaType = getMediaType(headers['content-type']);
+		const declaredMediaType = findMediaType(content, mediaType);
+
+		if(!declaredMediaType) {
+			return [{
+				in: 'header',
+				path: '$.headers[\'content-type\']',
+				keyword: 'mediaType',
+				message: `The media type '${mediaType}' isn't supported, must be one of: ${Object.keys(content).join(', ')}`
+			}];
+		}
+
+		const mediaTypeObject = content[declaredMediaType];
+
+		if(!isPlainObject(mediaTypeObject) || mediaTypeObject.schema === undefined)
+			return [];
+
+		let data;
+
+		if(JSON_MEDIA_TYPE_REGEX.test(mediaType)) {
+			try {
+				data = JSON.parse(body);
+			} catch(error) {
+				return [{ in: 'body', path: '$.body', keyword: 'parse', message: `Invalid JSON. ${error.message}` }];
+			}
+		} else if(mediaType === FORM_MEDIA_TYPE)
+			data = parseQuery(new URLSearchParams(body));
+		else
+			return [];
+
+		const validate = this._getBodyValidator(pointer, declaredMediaType, mediaType, mediaTypeObject.schema);
+
+		// The data is wrapped, so the coerced values can be replaced in their parent
+		return validate({ body: data }) ? [] : this._formatErrors('body', validate.errors, '/body');
+	}
+
+	/**
+	 * Validates the response body against the schema of its media type. Only the JSON bodies are validated
+	 * @param {object} response The response object of the operation
+	 * @param {string} responsePointer The JSON pointer of the response object
+	 * @param {object} headers The response headers
+	 * @param {string|object} body
+	 * @returns {Array<object>} The errors
+	 */
+	_validateResponseBody(response, responsePointer, headers, body) {
+
+		const content = isPlainObject(response.content) ? response.content : {};
+
+		if(!Object.keys(content).length || body === undefined || body === null || body === '')
+			return [];
+
+		const mediaType = getMediaType(headers['content-type']);
+		const declaredMediaType = findMediaType(content, mediaType);
+
+		if(!declaredMediaType) {
+			return [{
+				in: 'header',
+				path: '$.headers[\'content-type\']',
+				keyword: 'mediaType',
+				message: `The media type '${mediaType}' isn't declared, must be one of: ${Object.keys(content).join(', ')}`
+			}];
+		}
+
+		const mediaTypeObject = content[declaredMediaType];
+
+		if(!isPlainObject(mediaTypeObject) || mediaTypeObject.schema === undefined || !JSON_MEDIA_TYPE_REGEX.test(mediaType))
+			return [];
+
+		let data = body;
+
+		if(typeof body === 'string') {
+			try {
+				data = JSON.parse(body);
+			} catch(error) {
+				return [{ in: 'body', path: '$.body', keyword: 'parse', message: `Invalid JSON. ${error.message}` }];
+			}
+		}
+
+		const validate = this._getResponseBodyValidator(responsePointer, declaredMediaType, mediaTypeObject.schema);
+
+		return validate({ body: data }) ? [] : this._formatErrors('body', validate.errors, '/body');
+	}
+
+	/**
+	 * Validates the values of a location, like the query parameters, with their compiled validator
+	 * @param {function} validate
+	 * @param {string} location
+	 * @param {object} values
+	 * @returns {Array<object>} The errors
+	 */
+	_validateValues(validate, location, values) {
+
+		// Copied, since the coerced values replace the original ones
+		return validate({ ...values }) ? [] : this._formatErrors(location, validate.errors);
+	}
+
+	/**
+	 * Returns the compiled validator of a request body media type
+	 * @param {string} pointer The JSON pointer of the operation
+	 * @param {string} declaredMediaType The media type of the content, like "application/*"
+	 * @param {string} mediaType The media type of the request, the form bodies are coerced
+	 * @param {object} schema
+	 * @returns {function}
+	 */
+	_getBodyValidator(pointer, declaredMediaType, mediaType, schema) {
+
+		const coerce = mediaType === FORM_MEDIA_TYPE;
+
+		return this._getValidator(`${pointer}/requestBody/${declaredMediaType}${coerce ? ':form' : ''}`, schema, { coerce });
+	}
+
+	/**
+	 * Returns the compiled validator of a response body media type
+	 * @param {string} responsePointer The JSON pointer of the response object
+	 * @param {string} declaredMediaType
+	 * @param {object} schema
+	 * @returns {function}
+	 */
+	_getResponseBodyValidator(responsePointer, declaredMediaType, schema) {
+		return this._getValidator(`${responsePointer}/${declaredMediaType}`, schema, { isResponse: true });
+	}
+
+	/**
+	 * Returns the declared headers of a response as parameters, without the content type that is validated with the content
+	 * @param {object} response
+	 * @returns {Array<object>}
+	 */
+	_getResponseHeaders({ headers }) {
+
+		if(!isPlainObject(headers))
+			return [];
+
+		return Object.entries(headers)
+			.filter(([name]) => name.toLowerCase() !== 'content-type')
+			.map(([name, header]) => [name, SpecUtils.resolve(this.spec, header)])
+			.filter(([, header]) => isPlainObject(header))
+			.map(([name, header]) => ({ ...header, name, in: 'header' }));
+	}
+
+	/**
+	 * Returns the parameters of an operation, the ones of the operation override the ones of the path item with the same name and location
+	 * @param {object} route
+	 * @returns {Array<object>} The resolved parameters
+	 */
+	_getParameters({ pathItem, operation }) {
+
+		const parameters = [
+			...(Array.isArray(pathItem.parameters) ? pathItem.parameters : []),
+			...(Array.isArray(operation.parameters) ? operation.parameters : [])
+		].map(parameter => SpecUtils.resolve(this.spec, parameter)).filter(parameter => isPlainObject(parameter) && typeof parameter.name === 'string');
+
+		const parametersByKey = parameters.reduce((uniqueParameters, parameter) => ({
+			...uniqueParameters,
+			[`${parameter.in}:${parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name}`]: parameter
+		}), {});
+
+		return Object.values(parametersByKey);
+	}
+
+	/**
+	 * Returns the compiled validator of the parameters of a location, as an object with a property per parameter
+	 * @param {string} pointer The JSON pointer of the operation
+	 * @param {string} location The parameters location, like "query"
+	 * @param {Array<object>} parameters
+	 * @returns {function}
+	 */
+	_getParametersValidator(pointer, location, parameters) {
+
+		const getName = ({ name }) => (location === 'header' ? name.toLowerCase() : name);
+
+		const schema = {
+			type: 'object',
+			properties: parameters.reduce((properties, parameter) => ({
+				...properties,
+				[getName(parameter)]: this._getParameterSchema(parameter)
+			}), {}),
+			required: parameters.filter(({ required }) => required).map(getName)
+		};
+
+		return this._getValidator(`${pointer}/parameters/${location}`, schema, { coerce: true, wrap: false });
+	}
+
+	/**
+	 * Returns the schema of a parameter
+	 * @param {object} parameter
+	 * @returns {object} An empty schema for the parameters with content, their values are serialized like a JSON string
+	 */
+	_getParameterSchema(parameter) {
+		return parameter.schema !== undefined ? parameter.schema : {};
+	}
+
+	/**
+	 * Returns the compiled validator of a schema, compiling it only once
+	 * @param {string} key The key of the cached validator
+	 * @param {object} schema The schema of the OpenAPI document
+	 * @param {object} options
+	 * @param {boolean} options.coerce If the strings are coerced to the types of the schema. DEFAULT = false
+	 * @param {boolean} options.wrap If the value is wrapped in a "body" property. DEFAULT = true
+	 * @param {boolean} options.isResponse If the schema is of a response. DEFAULT = false
+	 * @returns {function}
+	 */
+	_getValidator(key, schema, { coerce = false, wrap = true, isResponse = false } = {}) {
+
+		if(!this.validators.has(key)) {
+
+			const jsonSchema = this._toJsonSchema(schema, isResponse);
+
+			let { ajv } = this;
+
+			if(isResponse)
+				ajv = this.responseAjv;
+			else if(coerce)
+				ajv = this.coercingAjv;
+
+			this.validators.set(key, ajv.compile(wrap ? { type: 'object', properties: { body: jsonSchema } } : jsonSchema));
+		}
+
+		return this.validators.get(key);
+	}
+
+	/**
+	 * Formats the ajv errors
+	 * @param {string} location The request part, like "body" or "query"
+	 * @param {Array<object>} errors The ajv errors
+	 * @param {string} wrapperPath The pointer of the wrapper of the value, to remove it from the error paths. DEFAULT = ''
+	 * @returns {Array<{ in: string, path: string, keyword: string, message: string }>}
+	 */
+	_formatErrors(location, errors, wrapperPath = '') {
+
+		return errors.map(({ instancePath, keyword, params, message }) => {
+
+			const errorPath = instancePath.slice(wrapperPath.length);
+
+			// The missing properties are located in their own path
+			const path = keyword === 'required' ? `${errorPath}/${params.missingProperty}` : errorPath;
+
+			return {
+				in: location,
+				path: toJsonPath(location === 'header' ? 'headers' : location, path),
+				keyword,
+				message
+			};
+		});
+	}
+
+	/**
+	 * Creates an ajv instance with the component schemas of the document, to resolve their references
+	 * @param {boolean} coerceTypes
+	 * @param {boolean} isResponse If the schemas are of the responses. DEFAULT = false
+	 * @returns {Ajv2020}
+	 */
+	_createAjv(coerceTypes, isResponse = false) {
+
+		const ajv = new Ajv2020({
+			allErrors: true,
+			strict: false,
+			logger: false,
+			coerceTypes: coerceTypes ? 'array' : false
+		});
+
+		addFormats(ajv);
+
+		const components = isPlainObject(this.spec.components) ? this.spec.components : {};
+
+		ajv.addSchema({
+			$id: 'openapi.json',
+			components: {
+				schemas: isPlainObject(components.schemas)
+					? Object.entries(components.schemas).reduce((schemas, [name, schema]) => ({ ...schemas, [name]: this._toJsonSchema(schema, isResponse) }), {})
+					: {}
+			}
+		}, undefined, undefined, false);
+
+		return ajv;
+	}
+
+	/**
+	 * Converts an OpenAPI schema object to a JSON schema that ajv can compile:
+	 * the internal references point to the added document, the OpenAPI 3.0 nullable and boolean exclusive limits are converted,
+	 * and the read only properties aren't required in the requests, like the write only ones in the responses
+	 * @param {*} schema
+	 * @param {boolean} isResponse DEFAULT = false
+	 * @returns {*}
+	 */
+	_toJsonSchema(schema, isResponse = false) {
+
+		if(!isPlainObject(schema))
+			return schema;
+
+		const jsonSchema = { ...schema };
+
+		if(typeof jsonSchema.$ref === 'string' && jsonSchema.$ref.startsWith('#/'))
+			jsonSchema.$ref = `openapi.json${jsonSchema.$ref}`;
+
+		SCHEMA_KEYWORDS.filter(keyword => isPlainObject(jsonSchema[keyword])).forEach(keyword => {
+			jsonSchema[keyword] = this._toJsonSchema(jsonSchema[keyword], isResponse);
+		});
+
+		SCHEMA_LIST_KEYWORDS.filter(keyword => Array.isArray(jsonSchema[keyword])).forEach(keyword => {
+			jsonSchema[keyword] = jsonSchema[keyword].map(subschema => this._toJsonSchema(subschema, isResponse));
+		});
+
+		SCHEMA_MAP_KEYWORDS.filter(keyword => isPlainObject(jsonSchema[keyword])).forEach(keyword => {
+			jsonSchema[keyword] = Object.entries(jsonSchema[keyword]).reduce((subschemas, [name, subschema]) => ({
+				...subschemas,
+				[name]: this._toJsonSchema(subschema, isResponse)
+			}), {});
+		});
+
+		const omittedKeyword = isResponse ? 'writeOnly' : 'readOnly';
+
+		if(isPlainObject(schema.properties) && Array.isArray(schema.required))
+			jsonSchema.required = schema.required.filter(name => !isPlainObject(schema.properties[name]) || schema.properties[name][omittedKeyword] !== true);
+
+		if(this.isOpenApi30)
+			this._convertOpenApi30Keywords(jsonSchema);
+
+		// Ajv knows the nullable keyword, but since OpenAPI 3.1 it's the null type that makes a schema nullable
+		delete jsonSchema.nullable;
+
+		return jsonSchema;
+	}
+
+	/**
+	 * Converts the OpenAPI 3.0 keywords that JSON schema defines in a different way
+	 * @param {object} jsonSchema It is changed
+	 */
+	_convertOpenApi30Keywords(jsonSchema) {
+
+		if(jsonSchema.nullable === true) {
+
+			if(typeof jsonSchema.type === 'string')
+				jsonSchema.type = [jsonSchema.type, 'null'];
+
+			if(Array.isArray(jsonSchema.enum))
+				jsonSchema.enum = [...jsonSchema.enum, null];
+		}
+
+		[['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']].forEach(([exclusiveKeyword, keyword]) => {
+
+			if(typeof jsonSchema[exclusiveKeyword] !== 'boolean')
+				return;
+
+			if(jsonSchema[exclusiveKeyword] && jsonSchema[keyword] !== undefined) {
+				jsonSchema[exclusiveKeyword] = jsonSchema[keyword];
+				delete jsonSchema[keyword];
+			} else
+				delete jsonSchema[exclusiveKeyword];
+		});
+	}
+}
+
+module.exports = Validator;
@@ -0,0 +1,264 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ApiSchemaBuilder = require('./index');
+const logger = require('./logger');
+
+const WATCHED_FILES = /\.(ya?ml|json)$/i;
+
+class Watcher {
+
+	/**
+	 * @param {object} options The options of the ApiSchemaBuilder
+	 * @param {number} debounce The milliseconds to wait for more changes before building. DEFAULT = 200
+	 */
+	constructor(options = {}, debounce = 200) {
+		this.options = options;
+		this.builder = new ApiSchemaBuilder(options);
+		this.debounce = debounce;
+
+		// The fs watchers by directory
+		this.watchers = new Map();
+
+		// The source files and referenced files of every schema type
+		this.dependencies = new Map();
+
+		this.pendingTypes = new Set();
+		this.timeout = null;
+		this.building = Promise.resolve();
+	}
+
+	/**
+	 * Builds every schema type and starts watching the source directory
+	 * @async
+	 * @throws {SourceNotFoundError} If the source directory doesn't exist
+	 */
+	async start() {
+
+		const { srcDir } = this.builder;
+
+		if(!await this._isDirectory(srcDir))
+			throw new ApiSchemaBuilder.SourceNotFoundError(`Directory '${path.relative(process.cwd(), srcDir)}/' don't exist.`, srcDir);
+
+		await this._watchTree(srcDir);
+
+		const content = await fs.readdir(srcDir);
+
+		for(const element of content) {
+			if(await this._isDirectory(path.join(srcDir, element)))
+				this._schedule(element);
+		}
+
+		this._log(`Watching '${path.relative(process.cwd(), srcDir)}/' for changes`);
+	}
+
+	/**
+	 * Stops watching and cancels the pending builds
+	 */
+	close() {
+		clearTimeout(this.timeout);
+		this.pendingTypes.clear();
+		this.watchers.forEach(watcher => watcher.close());
+		this.watchers.clear();
+	}
+
+	/**
+	 * Watches a directory and its sub directories
+	 * @async
+	 * @param {string} directory
+	 */
+	async _watchTree(directory) {
+
+		this._watch(directory);
+
+		const content = await fs.readdir(directory);
+
+		for(const element of content) {
+
+			const elementPath = path.join(directory, element);
+
+			if(await this._isDirectory(elementPath))
+				await this._watchTree(elementPath);
+		}
+	}
+
+	/**
+	 * Watches the changes of the files of a directory, non recursive. The directories that can't be watched, like the removed ones, are skipped
+	 * @param {string} directory
+	 */
+	_watch(directory) {
+
+		if(this.watchers.has(directory))
+			return;
+
+		let watcher;
+
+		try {
+			watcher = fs.watch(directory, (eventType, filename) => {
+				if(filename)
+					this._onChange(path.join(directory, filename));
+			});
+		} catch(error) {
+			return;
+		}
+
+		// When the directory is removed
+		watcher.on('error', () => {
+			watcher.close();
+			this.watchers.delete(directory);
+		});
+
+		this.watchers.set(directory, watcher);
+	}
+
+	/**
+	 * Schedules the build of the schema types affected by a changed file or directory, logging the errors instead of throwing them
+	 * @async
+	 * @param {string} changedPath
+	 */
+	async _onChange(changedPath) {
+
+		try {
+
+			const isDir = await this._isDirectory(changedPath);
+
+			if(isDir)
+				await this._watchTree(changedPath);
+			else if(!WATCHED_FILES.test(changedPath))
+				return;
+
+			this._getAffectedTypes(changedPath, isDir).forEach(schemaType => this._schedule(schemaType));
+
+		} catch(error) {
+			// Like a directory removed while it's being watched
+			logger(error.message, 'ERROR', true);
+		}
+	}
+
+	/**
+	 * Returns the schema types that have to be built again when a file or directory changes
+	 * @param {string} changedPath
+	 * @param {boolean} isDir
+	 * @returns {Array<string>}
+	 */
+	_getAffectedTypes(changedPath, isDir) {
+
+		const schemaTypes = new Set();
+
+		const [schemaType, ...rest] = path.relative(this.builder.srcDir, changedPath).split(path.sep);
+
+		// Inside the source directory, the first directory is the schema type. The files in the source root don't belong to any
+		if(schemaType !== '..' && !path.isAbsolute(schemaType) && (rest.length || isDir))
+			schemaTypes.add(schemaType);
+
+		// The referenced files, that can be outside the source directory
+		this.dependencies.forEach((files, dependentType) => {
+			if(files.has(changedPath))
+				schemaTypes.add(dependentType);
+		});
+
+		return [...schemaTypes].filter(type => !this.builder.types || this.builder.types.includes(type));
+	}
+
+	/**
+	 * Adds a schema type to the next build, waiting for more changes
+	 * @param {string} schemaType
+	 */
+	_schedule(schemaType) {
+
+		if(this.builder.types && !this.builder.types.includes(schemaType))
+			return;
+
+		this.pendingTypes.add(schemaType);
+
+		clearTimeout(this.timeout);
+		this.timeout = setTimeout(() => {
+			// Wait for the running build, so the same schema type is never built twice at the same time. A failed build doesn't stop the next ones
+			this.building = this.building
+				.then(() => this._buildPending())
+				.catch(error => logger(error.message, 'ERROR', true));
+		}, this.debounce);
+	}
+
+	/**
+	 * Builds the pending schema types
+	 * @async
+	 */
+	async _buildPending() {
+
+		const schemaTypes = [...this.pendingTypes];
+		this.pendingTypes.clear();
+
+		for(const schemaType of schemaTypes)
+			await this._build(schemaType);
+	}
+
+	/**
+	 * Builds a schema type, logging the errors instead of throwing them
+	 * @async
+	 * @param {string} schemaType
+	 */
+	async _build(schemaType) {
+
+		try {
+			const [{ files }] = await new ApiSchemaBuilder({ ...this.options, types: [schemaType] }).build();
+			await this._setDependencies(schemaType, files);
+		} catch(error) {
+
+			// A file that can't be parsed is also a dependency, so fixing it builds the schema again
+			if(error instanceof ApiSchemaBuilder.ParseError)
+				await this._setDependencies(schemaType, [...(this.dependencies.get(schemaType) || []), error.path]);
+
+			logger(error.message, 'ERROR', true);
+		}
+	}
+
+	/**
+	 * Saves the files a schema type depends on and watches the referenced files outside the source directory
+	 * @async
+	 * @param {string} schemaType
+	 * @param {Array<string>} files
+	 */
+	async _setDependencies(schemaType, files) {
+
+		this.dependencies.set(schemaType, new Set(files.map(file => path.resolve(file))));
+
+		const directories = [...new Set(files.map(file => path.dirname(path.resolve(file))))]
+			.filter(directory => path.relative(this.builder.srcDir, directory).startsWith('..'));
+
+		// The references to missing directories can't be watched
+		for(const directory of directories) {
+			if(await this._isDirectory(directory))
+				this._watch(directory);
+		}
+	}
+
+	/**
+	 * Checks if the path is a directory
+	 * @async
+	 * @param {string} pathname
+	 * @returns {boolean} If not exist return False.
+	 */
+	async _isDirectory(pathname) {
+
+		try {
+			const stats = await fs.stat(pathname);
+			return stats.isDirectory();
+		} catch(error) {
+			return false;
+		}
+	}
+
+	/**
+	 * Logs a message unless the quiet option is set
+	 * @param {string} message
+	 */
+	_log(message) {
+		if(!this.builder.quiet)
+			logger(message, 'WATCHING');
+	}
+}
+
+module.exports = Watcher;
@@ -0,0 +1,423 @@
+'use strict';
+
+const assert = require('assert');
+
+const sinon = require('sinon');
+
+const ApiClient = require('./../lib/api-client');
+
+describe('ApiClient', () => {
+
+	const movie = { id: 10, title: 'Alien' };
+
+	const spec = {
+		openapi: '3.0.0',
+		info: { title: 'Movie API', version: '1.0.0' },
+		servers: [
+			{ url: 'https://{region}.movies.com/{basePath}/', variables: { region: { default: 'us' } } },
+			{ url: '/api' },
+			'invalid'
+		],
+		security: [{ ApiKey: [] }],
+		paths: {
+			'/movies/{id}': {
+				parameters: [{ $ref: '#/components/parameters/Id' }],
+				get: {
+					operationId: 'get-movie',
+					summary: 'Get a movie',
+					parameters: [
+						{ name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string', enum: ['id', 'title'] } } },
+						{ name: 'filter', in: 'query', content: { 'application/json': { schema: { type: 'object' } } } },
+						{ name: 'X-Trace-Id', in: 'header', description: 'The trace', schema: { type: 'string' } },
+						{ name: 'session', in: 'cookie', schema: { type: 'string' } },
+						{ name: 'other', in: 'body' }
+					],
+					responses: {
+						200: { description: 'The movie', content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } } },
+						404: { description: 'Not found' }
+					}
+				},
+				put: {
+					operationId: 'updateMovie',
+					deprecated: true,
+					security: [{}, { Bearer: [] }, { Basic: [], Cookie: [] }, { Unknown: [] }],
+					requestBody: { $ref: '#/components/requestBodies/Movie' },
+					responses: { 204: { description: 'Updated' }, '2XX': { $ref: '#/components/responses/Missing' } }
+				},
+				patch: {
+					operationId: 'patchMovie',
+					security: [{ Query: [] }],
+					requestBody: {
+						description: 'The\nchanges',
+						content: { 'application/x-www-form-urlencoded': { schema: { type: 'object', properties: { title: { type: 'string' } } } } }
+					},
+					responses: { default: { description: 'The movie', content: { 'text/plain': {} } } }
+				},
+				delete: {
+					responses: { 204: { description: 'Deleted' } }
+				}
+			},
+			'/movies': {
+				get: { operationId: 'getMovie', responses: { 400: { description: 'Invalid' } } },
+				post: {
+					operationId: 'constructor',
+					requestBody: { required: true, content: { 'text/plain': null } },
+					responses: null
+				}
+			},
+			'/health': null
+		},
+		components: {
+			parameters: {
+				Id: { name: 'id', in: 'path', schema: { type: 'integer' } }
+			},
+			requestBodies: {
+				Movie: {
+					required: true,
+					content: { 'text/plain': { schema: { type: 'string' } }, 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } }
+				}
+			},
+			securitySchemes: {
+				ApiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+				Query: { type: 'apiKey', in: 'query', name: 'key' },
+				Cookie: { type: 'apiKey', in: 'cookie', name: 'token' },
+				Bearer: { $ref: '#/components/securitySchemes/OAuth' },
+				OAuth: { type: 'oauth2', flows: {} },
+				Basic: { type: 'http', scheme: 'Basic' },
+				Invalid: null
+			},
+			schemas: {
+				Movie: {
+					type: 'object',
+					description: 'A\nmovie',
+					required: ['id'],
+					properties: {
+						id: { type: 'integer', description: 'The */ id' },
+						title: { type: 'string' },
+						genre: { $ref: '#/components/schemas/Genre' },
+						cast: {
+							type: 'array',
+							items: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, 'birth-date': { format: 'date' } } }
+						},
+						ratings: { additionalProperties: { type: 'number' } },
+						sequel: { type: 'object', properties: { movie: { type: 'object', properties: { id: { type: 'integer' } } } } },
+						awards: { type: 'object' }
+					}
+				},
+				Genre: { type: 'string', enum: ['drama', 'comedy'], nullable: true },
+				Rating: { oneOf: [{ type: 'number' }, { type: 'null' }, { const: { stars: 5 } }], nullable: true },
+				Star: { allOf: [{ $ref: '#/components/schemas/Movie' }, { $ref: 'star.json' }, { properties: { fans: { type: 'integer' } } }] },
+				Nothing: false,
+				'movie list': { items: { $ref: '#/components/schemas/movie%20list' } },
+				Anything: { type: ['string', 'file'] },
+				NullableMovie: { type: 'object', nullable: true, properties: { id: { type: 'integer' } } }
+			}
+		}
+	};
+
+	/**
+	 * Renders the client of a spec and loads its module
+	 */
+	const load = clientSpec => {
+
+		const code = new ApiClient(clientSpec).render();
+		const module = { exports: {} };
+
+		// eslint-disable-next-line no-new-func
+		new Function('module', 'exports', code)(module, module.exports);
+
+		return module.exports;
+	};
+
+	/**
+	 * Returns a fake fetch that resolves a response
+	 */
+	const fakeFetch = ({ status = 200, contentType = 'application/json', body = '' } = {}) => sinon.fake.resolves({
+		ok: status >= 200 && status < 300,
+		status,
+		headers: new Map([['content-type', contentType]]),
+		text: async () => body
+	});
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('render', () => {
+
+		const code = new ApiClient(spec).render();
+
+		it('should render a CommonJS module with the JSDoc typedefs of the component schemas', () => {
+
+			assert(code.startsWith('\'use strict\';\n\n/**\n * The client of Movie API 1.0.0, generated from its schema'));
+
+			assert(code.includes([
+				'/**',
+				' * A movie',
+				' * @typedef {object} Movie',
+				' * @property {number} id The *\\/ id',
+				' * @property {string} [title]',
+				' * @property {Genre} [genre]',
+				' * @property {Array<{ name: string, "birth-date"?: * }>} [cast]',
+				' * @property {Object<string, number>} [ratings]',
+				' * @property {{ movie?: object }} [sequel]',
+				' * @property {object} [awards]',
+				' */'
+			].join('\n')));
+
+			assert(code.includes(' * @typedef {?("drama"|"comedy")} Genre\n'));
+			assert(code.includes(' * @typedef {*} Rating\n'));
+			assert(code.includes(' * @typedef {(Movie & { fans?: number })} Star\n'));
+			assert(code.includes(' * @typedef {never} Nothing\n'));
+			assert(code.includes(' * @typedef {Array<MovieList>} MovieList\n'));
+			assert(code.includes(' * @typedef {*} Anything\n'));
+			assert(code.includes(' * @typedef {?object} NullableMovie\n * @property {number} [id]\n'));
+		});
+
+		it('should render a method with the JSDoc of the parameters, the body and the response of every operation with an operationId', () => {
+
+			assert(code.includes([
+				'\t/**',
+				'\t * Get a movie: GET /movies/{id}',
+				'\t * @param {object} params The parameters',
+				'\t * @param {number} params.id',
+				'\t * @param {Array<("id"|"title")>} [params.fields]',
+				'\t * @param {object} [params.filter]',
+				'\t * @param {string} [params["X-Trace-Id"]] The trace',
+				'\t * @param {string} [params.session]',
+				'\t * @param {object} [options] The headers and the abort signal of the request',
+				'\t * @returns {Promise<Movie>} The parsed body of the response',
+				'\t * @throws {ApiError} When the response status isn\'t 2XX',
+				'\t */',
+				'\tgetMovie(params = {}, options = {}) {'
+			].join('\n')));
+
+			assert(code.includes(' * @deprecated\n\t * @param {object} params The parameters and the body\n'));
+			assert(code.includes(' * @param {Movie} params.body\n'));
+			assert(code.includes(' * @returns {Promise<undefined>}'));
+			assert(code.includes(' * @param {number} params.id\n\t * @param {{ title?: string }} [params.body] The changes\n'));
+			assert(code.includes(' * @param {object} params The parameters and the body\n\t * @param {*} params.body\n'));
+			assert(code.includes(' * @returns {Promise<*>}'));
+			assert(code.includes('\tgetMovie2(params = {}, options = {}) {'));
+			assert(code.includes('\tconstructor2(params = {}, options = {}) {'));
+			assert(!code.includes('DELETE'));
+		});
+	});
+
+	describe('client', () => {
+
+		const Client = load(spec);
+
+		it('should export the client class with the servers of the schema and the error class', () => {
+			assert.deepEqual(Client.servers, ['https://us.movies.com/{basePath}/', '/api']);
+			assert.equal(new Client().baseUrl, 'https://us.movies.com/{basePath}');
+			assert.equal(Client.ApiError.name, 'ApiError');
+		});
+
+		it('should send the requests with the path, query, header and cookie parameters and resolve the parsed body', async () => {
+
+			const fetch = fakeFetch({ body: JSON.stringify(movie), contentType: 'application/json; charset=utf-8' });
+			const client = new Client({ baseUrl: 'http://localhost:3000/api/', headers: { 'x-client': 'test' }, auth: { ApiKey: 'secret' }, fetch });
+
+			const signal = { aborted: false };
+
+			assert.deepEqual(await client.getMovie({
+				id: 10,
+				fields: ['id', 'title'],
+				filter: { genre: 'drama', year: null },
+				'X-Trace-Id': 123,
+				session: 'a b',
+				other: 'ignored',
+				unknown: 'ignored'
+			}, { headers: { 'x-client': 'other' }, signal }), movie);
+
+			sinon.assert.calledOnce(fetch);
+			assert.deepEqual(fetch.firstCall.args, ['http://localhost:3000/api/movies/10?fields=id&fields=title&genre=drama', {
+				method: 'GET',
+				headers: {
+					'x-client': 'other',
+					'X-Trace-Id': '123',
+					'x-api-key': 'secret',
+					cookie: 'session=a%20b'
+				},
+				body: undefined,
+				signal
+			}]);
+		});
+
+		it('should send the JSON and form bodies with the credentials of the first complete security requirement', async () => {
+
+			const fetch = fakeFetch({ status: 204 });
+
+			const auth = {
+				Bearer: sinon.fake.resolves('token'),
+				Basic: { username: 'user', password: 'pass' },
+				Cookie: 'abc',
+				Query: () => 'key'
+			};
+
+			const client = new Client({ auth, fetch });
+
+			assert.equal(await client.updateMovie({ id: [1, 2], body: movie }), undefined);
+			await new Client({ auth: { Basic: auth.Basic, Cookie: 'abc' }, fetch }).updateMovie({ id: 10, body: movie });
+			await client.patchMovie({ id: 10, body: { title: 'Alien', tags: ['a', 'b'] } });
+			await new Client({ fetch }).updateMovie({ id: 10 });
+
+			const [[updateUrl, update], [, basicUpdate], [patchUrl, patch], [, anonymousUpdate]] = fetch.args;
+
+			assert.equal(updateUrl, 'https://us.movies.com/{basePath}/movies/1%2C2');
+			assert.deepEqual(update.headers, { authorization: 'Bearer token', 'content-type': 'application/json' });
+			assert.equal(update.body, JSON.stringify(movie));
+
+			assert.deepEqual(basicUpdate.headers, {
+				authorization: `Basic ${Buffer.from('user:pass').toString('base64')}`,
+				cookie: 'token=abc',
+				'content-type': 'application/json'
+			});
+
+			assert.equal(patchUrl, 'https://us.movies.com/{basePath}/movies/10?key=key');
+			assert.deepEqual(patch.headers, { 'content-type': 'application/x-www-form-urlencoded' });
+			assert.equal(patch.body, 'title=Alien&tags=a&tags=b');
+
+			assert.deepEqual(anonymousUpdate.headers, {});
+			assert.equal(anonymousUpdate.body, undefined);
+		});
+
+		it('should send the other bodies as they are and resolve the text of the responses that are not JSON', async () => {
+
+			const fetch = fakeFetch({ contentType: null, body: 'Created' });
+			const ConstructorClient = load({ paths: spec.paths });
+
+			assert.equal(await new ConstructorClient({ fetch }).constructor2({ body: 'Alien' }), 'Created');
+
+			assert.equal(fetch.firstCall.args[0], '/movies');
+			assert.deepEqual(fetch.firstCall.args[1].headers, { 'content-type': 'text/plain' });
+			assert.equal(fetch.firstCall.args[1].body, 'Alien');
+		});
+
+		it('should reject with an API error with the status and the body of the failed responses', async () => {
+
+			const client = new Client({ fetch: fakeFetch({ status: 404, body: '{ invalid' }) });
+
+			await assert.rejects(client.getMovie({ id: 11 }), error => {
+				assert(error instanceof Client.ApiError);
+				assert.equal(error.message, 'GET /movies/{id} failed with status 404');
+				assert.equal(error.status, 404);
+				assert.equal(error.body, '{ invalid');
+				assert.equal(error.headers.get('content-type'), 'application/json');
+				return true;
+			});
+		});
+
+		it('should receive the parameters with the same name in other locations, or named body, by their location', async () => {
+
+			const fetch = fakeFetch({ status: 204 });
+
+			const duplicatedSpec = {
+				paths: {
+					'/movies/{id}': {
+						post: {
+							operationId: 'rateMovie',
+							parameters: [
+								{ name: 'id', in: 'path', schema: { type: 'integer' } },
+								{ name: 'id', in: 'query', schema: { type: 'string' } },
+								{ name: 'body', in: 'query', schema: { type: 'string' } }
+							],
+							requestBody: { content: { 'application/json': {} } },
+							responses: { 204: { description: 'Rated' } }
+						}
+					}
+				}
+			};
+
+			const DuplicatedClient = load(duplicatedSpec);
+
+			const code = new ApiClient(duplicatedSpec).render();
+
+			assert(code.includes([
+				'\t * @param {number} params.pathId',
+				'\t * @param {string} [params.queryId]',
+				'\t * @param {string} [params.body2]',
+				'\t * @param {*} [params.body]'
+			].join('\n')));
+
+			await new DuplicatedClient({ fetch }).rateMovie({
+				pathId: 10,
+				queryId: 'abc',
+				body2: 'full',
+				body: { stars: 5 }
+			});
+
+			assert.equal(fetch.firstCall.args[0], '/movies/10?id=abc&body=full');
+			assert.equal(fetch.firstCall.args[1].body, JSON.stringify({ stars: 5 }));
+		});
+
+		it('should send the query parameters with their style and explode', async () => {
+
+			const fetch = fakeFetch({ status: 204 });
+
+			const StyleClient = load({
+				paths: {
+					'/movies': {
+						get: {
+							operationId: 'getMovies',
+							parameters: [
+								{ name: 'fields', in: 'query', explode: false },
+								{ name: 'sort', in: 'query', style: 'form', explode: false },
+								{ name: 'genres', in: 'query', style: 'pipeDelimited' },
+								{ name: 'cast', in: 'query', style: 'spaceDelimited', explode: false },
+								{ name: 'filter', in: 'query', style: 'deepObject', explode: true },
+								{ name: 'tags', in: 'query', style: 'pipeDelimited', explode: true },
+								{ name: 'page', in: 'query', explode: false }
+							],
+							responses: { 204: { description: 'The movies' } }
+						}
+					}
+				}
+			});
+
+			await new StyleClient({ fetch }).getMovies({
+				fields: ['id', 'title'],
+				sort: { title: 'asc', year: 'desc' },
+				genres: ['drama', 'comedy'],
+				cast: ['Sigourney Weaver', 'Tom Skerritt'],
+				filter: { year: 1979, genre: 'drama' },
+				tags: ['a', 'b'],
+				page: 2
+			});
+
+			const { searchParams } = new URL(fetch.firstCall.args[0], 'http://localhost');
+
+			assert.deepEqual([...searchParams], [
+				['fields', 'id,title'],
+				['sort', 'title,asc,year,desc'],
+				['genres', 'drama|comedy'],
+				['cast', 'Sigourney Weaver Tom Skerritt'],
+				['filter[year]', '1979'],
+				['filter[genre]', 'drama'],
+				['tags', 'a'],
+				['tags', 'b'],
+				['page', '2']
+			]);
+		});
+
+		it('should use the global fetch by default', async () => {
+
+			const fetch = fakeFetch({ body: JSON.stringify(movie) });
+
+			sinon.replace(global, 'fetch', fetch);
+
+			assert.deepEqual(await new Client().getMovie({ id: 10 }), movie);
+
+			sinon.assert.calledOnce(fetch);
+		});
+
+		it('should render the client of the schemas without info, servers, paths nor components', () => {
+
+			const EmptyClient = load({ openapi: '3.1.0' });
+
+			assert.deepEqual(EmptyClient.servers, []);
+			assert.equal(new EmptyClient().baseUrl, '');
+		});
+	});
+});
@@ -1,12 +1,19 @@
 'use strict';
 
 const assert = require('assert');
-const sandbox = require('sinon').createSandbox();
+const sinon = require('sinon');
+const YAML = require('js-yaml');
 const path = require('path');
 const MockFs = require('mock-fs');
 const fs = require('fs');
 
+const sandbox = sinon.createSandbox();
+
 const ApiSchemaBuilder = require('./../lib');
+const Cli = require('./../lib/cli');
+const ApiSchemaBuilderError = require('./../lib/errors/api-schema-builder-error');
+const SourceMap = require('./../lib/source-map');
+const ValidationMiddleware = require('./../lib/validation-middleware');
 
 after(() => {
 	sandbox.restore();
@@ -147,24 +154,254 @@ describe('ApiSchemaBuilder', () => {
 
 		});
 
+		it('should ignore the files and directories matching the ignore globs', async () => {
+
+			const builder = new ApiSchemaBuilder({ ignore: ['public/catalog/**', '**/*.draft.yml'] });
+
+			MockFs.restore();
+			MockFs({
+				schemas: {
+					src: {
+						public: {
+							catalog: {
+								'list.yml': 'paths: {}'
+							},
+							'base.yml': 'paths: {}',
+							'new.draft.yml': 'paths: {}'
+						}
+					}
+				}
+			});
+
+			const tree = await builder._getSourceTree();
+
+			assert.deepEqual(tree, {
+				public: {
+					nodes: {},
+					schemas: [baseFile]
+				}
+			});
+		});
+
+		it('should sort the files and directories by name, whatever the order of the file system is', async () => {
+
+			MockFs.restore();
+			MockFs({
+				schemas: {
+					src: {
+						public: {
+							'movies.yml': 'paths: {}',
+							catalog: {},
+							'base.yml': 'paths: {}'
+						}
+					}
+				}
+			});
+
+			const { readdir } = fs;
+
+			sandbox.stub(fs, 'readdir').callsFake(async directory => (await readdir(directory)).reverse());
+
+			const tree = await apiSchemaBuilder._getSourceTree();
+
+			sandbox.restore();
+
+			assert.deepEqual(Object.keys(tree.public.nodes), ['catalog']);
+			assert.deepEqual(tree.public.schemas, [baseFile, path.join(ApiSchemaBuilder.schemaSrcDir, 'public', 'movies.yml')]);
+		});
+
 		it('should reject when directory parametre is not a directory ', async () => {
 
 			await assert.rejects(apiSchemaBuilder._getSourceTree(baseFile));
 		});
 	});
 
+	describe('convertSchemas', () => {
+
+		const files = [
+			path.join(ApiSchemaBuilder.schemaSrcDir, 'public', 'base.yml'),
+			path.join(ApiSchemaBuilder.schemaSrcDir, 'public', 'legacy.yml')
+		];
+
+		const legacy = 'swagger: \'2.0\'\ndefinitions:\n  Movie: { type: object }\nschemes: [https]\nhost: api.movies.com\ntopics: []\n';
+
+		afterEach(() => {
+			MockFs.restore();
+		});
+
+		it('should convert the Swagger 2.0 objects to OpenAPI 3.0 and keep the other objects', async () => {
+
+			const base = { info: { title: 'Movie Api' } };
+
+			const { schemas, warnings } = await new ApiSchemaBuilder()._convertSchemas([base, { swagger: '2.0', paths: {} }], files, 'public');
+
+			assert.equal(schemas[0], base);
+			assert.deepEqual(schemas[1], { openapi: '3.0.0', paths: {} });
+			assert.deepEqual(warnings, []);
+		});
+
+		it('should keep the OpenAPI version of the other objects', async () => {
+
+			const { schemas } = await new ApiSchemaBuilder()._convertSchemas([{ openapi: '3.0.3' }, { swagger: '2.0', paths: {} }], files, 'public');
+
+			assert.deepEqual(schemas[1], { paths: {} });
+		});
+
+		it('should keep the OpenAPI 3.0 version of the converted objects when the other objects are not OpenAPI 3.0, so they are not mixed', async () => {
+
+			const builder = new ApiSchemaBuilder();
+
+			const { schemas } = await builder._convertSchemas([{ openapi: '3.1.0' }, { swagger: '2.0', paths: {} }], files, 'public');
+
+			assert.deepEqual(schemas[1], { openapi: '3.0.0', paths: {} });
+
+			assert.throws(() => builder._mergeSchemas(schemas, files, 'public'), error => {
+				assert.equal(error.message, 'Schema of type "public" mixes OpenAPI versions: '
+					+ `3.1 in '${path.join('schemas', 'src', 'public', 'base.yml')}' and 3.0 in '${path.join('schemas', 'src', 'public', 'legacy.yml')}'`);
+				return true;
+			});
+		});
+
+		it('should return a warning with the constructs that can\'t be converted, located in the Swagger file', async () => {
+
+			MockFs({ [files[1]]: legacy });
+
+			const { schemas, warnings } = await new ApiSchemaBuilder()._convertSchemas([{}, YAML.safeLoad(legacy)], files, 'public');
+
+			assert.deepEqual(schemas[1], {
+				openapi: '3.0.0',
+				servers: [{ url: 'https://api.movies.com' }],
+				components: { schemas: { Movie: { type: 'object' } } }
+			});
+
+			assert.deepEqual(warnings, [{
+				message: `Some constructs of the Swagger 2.0 file '${path.join('schemas', 'src', 'public', 'legacy.yml')}'`
+					+ ' of schema of type "public" can\'t be converted',
+				errors: [{
+					pointer: '/topics',
+					message: 'The \'topics\' key is unknown',
+					file: files[1],
+					line: 6,
+					column: 1
+				}]
+			}]);
+		});
+
+		it('should return the warnings in file order, even when the errors of the first file are located later', async () => {
+
+			const locateErrors = sandbox.stub(ApiSchemaBuilder.prototype, '_locateErrors');
+
+			// The errors of the first file are located after the ones of the second file
+			locateErrors.onFirstCall().callsFake(errors => new Promise(resolve => setTimeout(() => resolve(errors), 10)));
+			locateErrors.onSecondCall().callsFake(async errors => errors);
+
+			const { warnings } = await new ApiSchemaBuilder()._convertSchemas([YAML.safeLoad(legacy), YAML.safeLoad(legacy)], files, 'public');
+
+			locateErrors.restore();
+
+			assert.deepEqual(warnings.map(({ message }) => message), files.map(file => (
+				`Some constructs of the Swagger 2.0 file '${path.relative(process.cwd(), file)}' of schema of type "public" can't be converted`
+			)));
+		});
+	});
+
 	describe('mergeSchemas', () => {
 		apiSchemaBuilder = new ApiSchemaBuilder();
 
+		const files = [
+			path.join(ApiSchemaBuilder.schemaSrcDir, 'public', 'base.yml'),
+			path.join(ApiSchemaBuilder.schemaSrcDir, 'public', 'catalog.yml')
+		];
+
 		it('should merge a list of objects into a single object', () => {
 
 			const pet1 = { best: 'Cats' };
 			const pet2 = { worst: 'Dogs' };
 			const pet3 = { forbidden: 'Lizards' };
 
-			const merge = apiSchemaBuilder._mergeSchemas([pet1, pet2, pet3]);
+			const { schema, warnings } = apiSchemaBuilder._mergeSchemas([pet1, pet2, pet3]);
+
+			assert.deepEqual(schema, { ...pet1, ...pet2, ...pet3 });
+			assert.deepEqual(warnings, []);
+		});
+
+		it('should keep the value of the first object when the merge strategy is first-wins', () => {
+
+			const builder = new ApiSchemaBuilder({ mergeStrategy: 'first-wins' });
+
+			const { schema, warnings } = builder._mergeSchemas([{ best: 'Cats', worst: 'Dogs' }, { best: 'Dogs' }], files, 'public');
+
+			assert.deepEqual(schema, { best: 'Cats', worst: 'Dogs' });
+			assert.deepEqual(warnings, []);
+		});
+
+		it('should keep the value of the last object when the merge strategy is last-wins', () => {
+
+			const builder = new ApiSchemaBuilder({ mergeStrategy: 'last-wins' });
+
+			const { schema, warnings } = builder._mergeSchemas([{ best: 'Cats', worst: 'Dogs' }, { best: 'Dogs' }], files, 'public');
+
+			assert.deepEqual(schema, { best: 'Dogs', worst: 'Dogs' });
+			assert.deepEqual(warnings, []);
+		});
+
+		it('should keep the value of the last object and return the conflicts as warnings when the merge strategy is warn', () => {
+
+			const { schema, warnings } = apiSchemaBuilder._mergeSchemas([{ best: 'Cats', worst: 'Dogs' }, { best: 'Dogs' }], files, 'public');
+
+			assert.deepEqual(schema, { best: 'Dogs', worst: 'Dogs' });
+			assert.deepEqual(warnings, [{
+				message: `Conflict on schema of type "public", '/best' is defined in '${path.join('schemas', 'src', 'public', 'base.yml')}'`
+					+ ` and '${path.join('schemas', 'src', 'public', 'catalog.yml')}'`,
+				conflict: { pointer: '/best', files }
+			}]);
+		});
+
+		it('should throw a merge conflict error with the conflicts when the merge strategy is error', () => {
+
+			const builder = new ApiSchemaBuilder({ mergeStrategy: 'error' });
+
+			assert.throws(() => builder._mergeSchemas([{ best: 'Cats' }, { best: 'Dogs' }], files, 'public'), error => {
+				assert.equal(error.name, 'MergeConflictError');
+				assert.equal(error.code, ApiSchemaBuilderError.codes.MERGE_CONFLICT);
+				assert.equal(error.schemaType, 'public');
+				assert.equal(error.path, path.join(ApiSchemaBuilder.schemaSrcDir, 'public'));
+				assert.deepEqual(error.conflicts, [{ pointer: '/best', files }]);
+				assert(error.message.includes('\'/best\' is defined in'));
+				return true;
+			});
+		});
+
+		it('should not throw when the merge strategy is error and there are no conflicts', () => {
+
+			const builder = new ApiSchemaBuilder({ mergeStrategy: 'error' });
+
+			const { schema } = builder._mergeSchemas([{ best: 'Cats' }, { best: 'Cats', worst: 'Dogs' }], files, 'public');
+
+			assert.deepEqual(schema, { best: 'Cats', worst: 'Dogs' });
+		});
+
+		it('should throw a merge conflict error when the objects mix OpenAPI versions, whatever the merge strategy is', () => {
+
+			const builder = new ApiSchemaBuilder({ mergeStrategy: 'last-wins' });
 
-			assert.deepEqual(merge, { ...pet1, ...pet2, ...pet3 });
+			assert.throws(() => builder._mergeSchemas([{ openapi: '3.0.3' }, { openapi: '3.1.0' }], files, 'public'), error => {
+				assert.equal(error.name, 'MergeConflictError');
+				assert.deepEqual(error.conflicts, [{ pointer: '/openapi', files }]);
+				assert.equal(error.message, 'Schema of type "public" mixes OpenAPI versions: '
+					+ `3.0 in '${path.join('schemas', 'src', 'public', 'base.yml')}' and 3.1 in '${path.join('schemas', 'src', 'public', 'catalog.yml')}'`);
+				return true;
+			});
+		});
+
+		it('should not throw when the objects have different patch versions of the same OpenAPI version', () => {
+
+			const builder = new ApiSchemaBuilder({ mergeStrategy: 'last-wins' });
+
+			assert.deepEqual(builder._mergeSchemas([{ openapi: '3.1.0' }, { paths: {} }, { openapi: '3.1.1' }], files, 'public').schema, {
+				openapi: '3.1.1',
+				paths: {}
+			});
 		});
 
 		it('should throw error if nothing to merge', () => {
@@ -211,6 +448,124 @@ describe('ApiSchemaBuilder', () => {
 		});
 	});
 
+	describe('constructor', () => {
+
+		it('should use the default directories when no options are passed', () => {
+
+			apiSchemaBuilder = new ApiSchemaBuilder();
+
+			assert.equal(apiSchemaBuilder.srcDir, ApiSchemaBuilder.schemaSrcDir);
+			assert.equal(apiSchemaBuilder.outDir, ApiSchemaBuilder.schemaDir);
+			assert.equal(apiSchemaBuilder.errorLog, ApiSchemaBuilder.errorLog);
+			assert.equal(apiSchemaBuilder.format, 'json');
+		});
+
+		it('should resolve the source and output directories from the current working directory', () => {
+
+			apiSchemaBuilder = new ApiSchemaBuilder({ src: 'api/src', out: 'api/build' });
+
+			assert.equal(apiSchemaBuilder.srcDir, path.join(process.cwd(), 'api', 'src'));
+			assert.equal(apiSchemaBuilder.outDir, path.join(process.cwd(), 'api', 'build'));
+			assert.equal(apiSchemaBuilder.errorLog, path.join(process.cwd(), 'api', 'build', 'build-error.log'));
+		});
+
+		it('should resolve the source and output directories from the rootDir', () => {
+
+			apiSchemaBuilder = new ApiSchemaBuilder({ rootDir: '/service', src: 'api', out: '/build' });
+
+			assert.equal(apiSchemaBuilder.srcDir, path.join('/service', 'api'));
+			assert.equal(apiSchemaBuilder.outDir, '/build');
+		});
+
+		it('should use the defaults for the undefined options', () => {
+
+			apiSchemaBuilder = new ApiSchemaBuilder({ format: undefined, strict: undefined });
+
+			assert.equal(apiSchemaBuilder.format, 'json');
+			assert.equal(apiSchemaBuilder.strict, true);
+			assert.equal(apiSchemaBuilder.mergeStrategy, 'warn');
+			assert.deepEqual(apiSchemaBuilder.ignore, []);
+		});
+
+		it('should throw an invalid arguments error when an option is unknown', () => {
+
+			assert.throws(() => new ApiSchemaBuilder({ source: 'api' }), {
+				name: 'ApiSchemaBuilderError',
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS
+			});
+		});
+
+		it('should throw an invalid arguments error when the format is unknown', () => {
+
+			assert.throws(() => new ApiSchemaBuilder({ format: 'xml' }), {
+				name: 'ApiSchemaBuilderError',
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS
+			});
+		});
+	});
+
+	describe('getBuildFile', () => {
+
+		it('should return the output file path of the schema type', () => {
+			assert.equal(new ApiSchemaBuilder().getBuildFile('internal'), path.join(ApiSchemaBuilder.schemaDir, 'internal.json'));
+		});
+
+		it('should return the output file path with the extension of the format', () => {
+			assert.equal(new ApiSchemaBuilder({ format: 'yaml', out: 'api' }).getBuildFile('internal'), path.join(process.cwd(), 'api', 'internal.yml'));
+		});
+
+		it('should return the file of every output format', () => {
+			assert.deepEqual(new ApiSchemaBuilder({ format: 'both' }).getBuildFiles('internal'), [
+				path.join(ApiSchemaBuilder.schemaDir, 'internal.json'),
+				path.join(ApiSchemaBuilder.schemaDir, 'internal.yml')
+			]);
+		});
+
+		it('should return the docs file of the public schema as the index of the docs directory', () => {
+			assert.equal(new ApiSchemaBuilder().getDocsFile('public'), path.join(ApiSchemaBuilder.schemaDir, 'docs', 'index.html'));
+			assert.equal(new ApiSchemaBuilder({ out: 'api' }).getDocsFile('ipc'), path.join(process.cwd(), 'api', 'docs', 'ipc.html'));
+		});
+
+		it('should return the type definitions and the client files of the schema type', () => {
+			assert.equal(new ApiSchemaBuilder({ out: 'api' }).getTypesFile('public'), path.join(process.cwd(), 'api', 'public.d.ts'));
+			assert.equal(new ApiSchemaBuilder({ out: 'api' }).getClientFile('public'), path.join(process.cwd(), 'api', 'public.client.js'));
+		});
+
+		it('should return the collection file of the schema type for every collection format', () => {
+
+			const builder = new ApiSchemaBuilder({ out: 'api' });
+
+			assert.equal(builder.getCollectionFile('public', 'postman'), path.join(process.cwd(), 'api', 'public.postman_collection.json'));
+			assert.equal(builder.getCollectionFile('ipc', 'insomnia'), path.join(process.cwd(), 'api', 'ipc.insomnia.json'));
+		});
+
+		it('should return the public output file as the default build file', () => {
+			assert.equal(ApiSchemaBuilder.buildFile, path.join(ApiSchemaBuilder.schemaDir, 'public.json'));
+		});
+	});
+
+	describe('getSchemaTypes', () => {
+
+		const tree = {
+			internal: { nodes: {}, schemas: ['internal.yml'] },
+			public: { nodes: {}, schemas: ['public.yml'] }
+		};
+
+		it('should return every schema type of the tree when no types were set', () => {
+			assert.deepEqual(new ApiSchemaBuilder()._getSchemaTypes(tree), ['internal', 'public']);
+		});
+
+		it('should return only the selected schema types', () => {
+			assert.deepEqual(new ApiSchemaBuilder({ types: ['public'] })._getSchemaTypes(tree), ['public']);
+		});
+
+		it('should throw if a selected schema type does not exist in the tree', () => {
+			assert.throws(() => new ApiSchemaBuilder({ types: ['public', 'private'] })._getSchemaTypes(tree), {
+				message: 'Schema types not found in \'schemas/src/\': private'
+			});
+		});
+	});
+
 	describe('getSchemaPathsList', () => {
 
 		it('should return a list of schema paths from tree', async () => {
@@ -232,6 +587,22 @@ describe('ApiSchemaBuilder', () => {
 			assert.deepEqual(schemaPaths, ['movie.yml', 'public.json', 'catalog.yml']);
 		});
 
+		it('should return the paths of the sub directories sorted by name', async () => {
+
+			apiSchemaBuilder = new ApiSchemaBuilder();
+
+			const schemaPaths = apiSchemaBuilder._getSchemaPathsList({
+				nodes: {
+					movies: { nodes: {}, schemas: ['movies.yml'] },
+					2: { nodes: {}, schemas: ['v2.yml'] },
+					catalog: { nodes: {}, schemas: ['catalog.yml'] }
+				},
+				schemas: []
+			});
+
+			assert.deepEqual(schemaPaths, ['v2.yml', 'catalog.yml', 'movies.yml']);
+		});
+
 
 	});
 
@@ -267,7 +638,7 @@ describe('ApiSchemaBuilder', () => {
 
 			const schemaPaths = ['base.yml', 'public.json'];
 
-			await assert.rejects(apiSchemaBuilder._readSchemaFiles(schemaPaths));
+			await assert.rejects(apiSchemaBuilder._readSchemaFiles(schemaPaths), { code: ApiSchemaBuilderError.codes.PARSE_ERROR });
 		});
 	});
 
@@ -288,43 +659,239 @@ describe('ApiSchemaBuilder', () => {
 				paths: {}
 			};
 
-			await assert.doesNotReject(apiSchemaBuilder._validateSchema('public', schema));
+			assert.deepEqual(await apiSchemaBuilder._validateSchema('public', schema), []);
 		});
 
-		it('should validate an invalid schema throwing an error and generating the log file', async () => {
+		it('should reject with a validation error with the errors when the schema is invalid', async () => {
 
-			const fsMock = sandbox.mock(fs);
+			await assert.rejects(apiSchemaBuilder._validateSchema('public', { openapi: 'test' }), error => {
+				assert.equal(error.name, 'ValidationError');
+				assert.equal(error.code, ApiSchemaBuilderError.codes.VALIDATION_ERROR);
+				assert.equal(error.schemaType, 'public');
+				assert.equal(error.path, path.join(ApiSchemaBuilder.schemaSrcDir, 'public'));
+				assert(error.errors.length);
+				return true;
+			});
+		});
 
-			// Avoids writing the file with the logs
-			fsMock.expects('writeFile')
-				.once()
-				.returns();
+		it('should return the errors as warnings instead of rejecting when the strict option is false', async () => {
 
-			const schema = {
-				openapi: 'test'
-			};
+			const warnings = await new ApiSchemaBuilder({ strict: false })._validateSchema('public', { openapi: 'test' });
 
-			await assert.rejects(apiSchemaBuilder._validateSchema('public', schema));
+			assert.equal(warnings.length, 1);
+			assert(warnings[0].message.startsWith('Found errors on schema of type "public"'));
+			assert(warnings[0].errors.length);
+		});
+
+		it('should add the pointer and the source file, line and column to every error', async () => {
+
+			const file = path.join(ApiSchemaBuilder.schemaSrcDir, 'public', 'base.yml');
+			const content = 'openapi: 3.0.0\ninfo:\n  title: Movie Api\n  version: 1.0.0\npaths:\n  /movies:\n    get:\n      summary: List\n';
+
+			MockFs({ [file]: content });
+
+			const sourceMap = new SourceMap([file], [YAML.safeLoad(content)]);
+
+			const warnings = await new ApiSchemaBuilder({ strict: false })._validateSchema('public', YAML.safeLoad(content), sourceMap);
+
+			MockFs.restore();
 
-			fsMock.restore();
+			assert.deepEqual(warnings[0].errors.map(({
+				message,
+				pointer,
+				file: errorFile,
+				line,
+				column
+			}) => ({
+				message,
+				pointer,
+				file: errorFile,
+				line,
+				column
+			})), [{
+				message: 'should have required property \'responses\'',
+				pointer: '/paths/~1movies/get',
+				file,
+				line: 7,
+				column: 5
+			}]);
 		});
 
-		it('should validate an invalid schema throwing an error and can not generating the log file', async () => {
+		it('should locate the unexpected properties in their own key and remove the repeated errors', async () => {
 
-			const fsMock = sandbox.mock(fs);
+			const validationErrors = await apiSchemaBuilder._locateErrors([
+				{ pointer: '/info', message: 'should NOT have additional properties', params: { additionalProperty: 'titl' } },
+				{ pointer: '/info', message: 'should NOT have additional properties', params: { additionalProperty: 'titl' } },
+				{ pointer: '/info', message: 'must NOT have unevaluated properties', params: { unevaluatedProperty: 'summary' } },
+				{ pointer: '/info', message: 'should have required property \'title\'', params: { missingProperty: 'title' } }
+			], new SourceMap([], []));
 
-			// Avoids writing the file with the logs
-			fsMock.expects('writeFile')
-				.once()
-				.rejects();
+			assert.deepEqual(validationErrors.map(({ message, pointer }) => ({ message, pointer })), [
+				{ message: 'should NOT have additional properties: \'titl\'', pointer: '/info/titl' },
+				{ message: 'must NOT have unevaluated properties: \'summary\'', pointer: '/info/summary' },
+				{ message: 'should have required property \'title\'', pointer: '/info' }
+			]);
+		});
+	});
 
-			const schema = {
-				openapi: 'test'
-			};
+	describe('validateExamples', () => {
+
+		const file = path.join(ApiSchemaBuilder.schemaSrcDir, 'public', 'base.yml');
+
+		const content = [
+			'openapi: 3.0.0',
+			'info: { title: Movie Api, version: 1.0.0 }',
+			'paths:',
+			'  /movies/{id}:',
+			'    get:',
+			'      parameters:',
+			'        - { name: id, in: path, required: true, schema: { type: integer }, example: ten }',
+			'      responses:',
+			'        200:',
+			'          description: The movie',
+			'          content:',
+			'            application/json:',
+			'              schema: { type: object, required: [title] }',
+			'              example: { id: 10 }'
+		].join('\n');
+
+		const validateExamples = async options => {
+
+			MockFs({ [file]: content });
+
+			const sourceMap = new SourceMap([file], [YAML.safeLoad(content)]);
+
+			try {
+				return await new ApiSchemaBuilder(options)._validateExamples('public', YAML.safeLoad(content), sourceMap);
+			} finally {
+				MockFs.restore();
+			}
+		};
+
+		it('should return no warnings when every example is valid', async () => {
+			assert.deepEqual(await new ApiSchemaBuilder()._validateExamples('public', { openapi: '3.0.0', paths: {} }), []);
+		});
+
+		it('should reject with a validation error with the located errors of the examples when the validation is strict', async () => {
+
+			await assert.rejects(validateExamples(), error => {
+				assert.equal(error.name, 'ValidationError');
+				assert.equal(error.schemaType, 'public');
+				assert(error.message.startsWith('Found invalid examples on schema of type "public"'));
+				assert.deepEqual(error.errors.map(({
+					message,
+					pointer,
+					file: errorFile,
+					line
+				}) => ({
+					message,
+					pointer,
+					file: errorFile,
+					line
+				})), [
+					{
+						message: 'The example must be integer',
+						pointer: '/paths/~1movies~1{id}/get/parameters/0/example',
+						file,
+						line: 7
+					},
+					{
+						message: 'The example must have required property \'title\'',
+						pointer: '/paths/~1movies~1{id}/get/responses/200/content/application~1json/example',
+						file,
+						line: 14
+					}
+				]);
+				return true;
+			});
+		});
+
+		it('should return the errors as warnings instead of rejecting when the strict option is false', async () => {
 
-			await assert.rejects(apiSchemaBuilder._validateSchema('public', schema));
+			const warnings = await validateExamples({ strict: false });
 
-			fsMock.restore();
+			assert.equal(warnings.length, 1);
+			assert(warnings[0].message.startsWith('Found invalid examples on schema of type "public"'));
+			assert.equal(warnings[0].errors.length, 2);
+		});
+	});
+
+	describe('lintSchema', () => {
+
+		const file = path.join(ApiSchemaBuilder.schemaSrcDir, 'public', 'base.yml');
+
+		const content = [
+			'openapi: 3.0.0',
+			'info: { title: Movie Api, version: 1.0.0 }',
+			'paths:',
+			'  /movies:',
+			'    get: # lint-disable-line operation-summary',
+			'      operationId: listMovies',
+			'      responses: { 200: { description: Ok } }',
+			'    post:',
+			'      operationId: listMovies',
+			'      summary: Create a movie',
+			'      tags: [movies]',
+			'      responses: { 400: { description: Bad request } }'
+		].join('\n');
+
+		const lintSchema = async (options, contentFile = file) => {
+
+			MockFs({ [contentFile]: content });
+
+			const sourceMap = new SourceMap([file], [YAML.safeLoad(content)]);
+
+			try {
+				return await new ApiSchemaBuilder(options)._lintSchema('public', YAML.safeLoad(content), sourceMap);
+			} finally {
+				MockFs.restore();
+			}
+		};
+
+		it('should return no warnings when the lint is disabled', async () => {
+			assert.deepEqual(await new ApiSchemaBuilder()._lintSchema('public', { paths: { '/movies': { get: {} } } }), []);
+		});
+
+		it('should return the located problems as warnings without the ones disabled by comments', async () => {
+
+			const warnings = await lintSchema({ lint: { 'operation-id-unique': 'warn' } });
+
+			assert.equal(warnings.length, 1);
+			assert.equal(warnings[0].message, 'Found lint problems on schema of type "public"');
+			assert.deepEqual(warnings[0].errors.map(({ rule, line, column }) => ({ rule, line, column })), [
+				{ rule: 'operation-tags', line: 5, column: 5 },
+				{ rule: 'error-responses', line: 5, column: 5 },
+				{ rule: 'operation-id-unique', line: 9, column: 7 }
+			]);
+		});
+
+		it('should reject with a validation error with the problems with error severity when the validation is strict', async () => {
+
+			await assert.rejects(lintSchema({ lint: true }), error => {
+				assert.equal(error.name, 'ValidationError');
+				assert.equal(error.schemaType, 'public');
+				assert(error.message.startsWith('Found lint errors on schema of type "public"'));
+				assert.deepEqual(error.errors.map(({ rule }) => rule), ['operation-id-unique']);
+				return true;
+			});
+		});
+
+		it('should return every problem as a warning when the validation is not strict', async () => {
+
+			const [{ errors }] = await lintSchema({ lint: true, strict: false });
+
+			assert.deepEqual(errors.map(({ rule, severity }) => ({ rule, severity })), [
+				{ rule: 'operation-tags', severity: 'warn' },
+				{ rule: 'error-responses', severity: 'warn' },
+				{ rule: 'operation-id-unique', severity: 'error' }
+			]);
+		});
+
+		it('should not disable any problem when the source file can not be read', async () => {
+
+			const [{ errors }] = await lintSchema({ lint: { 'operation-id-unique': 'off' } }, path.join(ApiSchemaBuilder.schemaSrcDir, 'other.yml'));
+
+			assert.deepEqual(errors.map(({ rule }) => rule), ['operation-summary', 'operation-tags', 'error-responses']);
 		});
 	});
 
@@ -443,9 +1010,10 @@ describe('ApiSchemaBuilder', () => {
 
 		afterEach(() => {
 			sandbox.restore();
+			apiSchemaBuilder.dereference = false;
 		});
 
-		it('should build a schema and write the JSON file in the build output', async () => {
+		it('should build a schema and resolve it without writing any file', async () => {
 
 			mock.expects('_getSchemaPathsList')
 				.once()
@@ -458,48 +1026,89 @@ describe('ApiSchemaBuilder', () => {
 			mock.expects('_mergeSchemas')
 				.once()
 				.withArgs(movieSchemaObjects)
-				.returns(movieSchemaMerge);
+				.returns({ schema: movieSchemaMerge, warnings: [] });
 			mock.expects('_validateSchema')
 				.once()
-				.withArgs('movie', movieSchemaResolved);
-			fsMock.expects('mkdir')
-				.never();
+				.withArgs('movie', movieSchemaResolved)
+				.returns([]);
 			fsMock.expects('writeFile')
-				.once()
-				.withArgs(`${ApiSchemaBuilder.buildFile}`, JSON.stringify(movieSchemaResolved, null, 2))
-				.returns();
+				.never();
 
-			await assert.doesNotReject(apiSchemaBuilder._buildSchema('movie', movieTreeMock));
+			const result = await apiSchemaBuilder._buildSchema('movie', movieTreeMock);
+
+			assert.deepEqual(result, {
+				type: 'movie',
+				spec: movieSchemaResolved,
+				warnings: [],
+				files: movieSchemaPaths
+			});
+			fsMock.verify();
 		});
 
-		it('should reject if can not make the file', async () => {
+		it('should reject with a parse error if a reference can not be resolved', async () => {
+
+			const refsSchema = {
+				components: {
+					schemas: {
+						Movie: { $ref: '../movie.yml' }
+					}
+				}
+			};
 
 			mock.expects('_getSchemaPathsList')
 				.once()
-				.withArgs(movieTreeMock)
 				.returns(movieSchemaPaths);
 			mock.expects('_readSchemaFiles')
 				.once()
-				.withArgs(movieSchemaPaths)
-				.returns(movieSchemaObjects);
+				.returns([refsSchema]);
 			mock.expects('_mergeSchemas')
 				.once()
-				.withArgs(movieSchemaObjects)
-				.returns(movieSchemaMerge);
-			mock.expects('_validateSchema')
+				.returns({ schema: refsSchema, warnings: [] });
+			fsMock.expects('readFile')
 				.once()
-				.withArgs('movie', movieSchemaResolved);
-			fsMock.expects('mkdir')
-				.never();
-			fsMock.expects('writeFile')
+				.callsFake((location, encoding, cb) => cb(undefined, { text: 'title: [' }));
+			mock.expects('_validateSchema').never();
+
+			await assert.rejects(apiSchemaBuilder._buildSchema('movie', movieTreeMock), {
+				name: 'ParseError',
+				code: ApiSchemaBuilderError.codes.PARSE_ERROR,
+				path: path.join(ApiSchemaBuilder.schemaSrcDir, 'movie.yml')
+			});
+		});
+
+		it('should reject with a parse error with the path of a referenced file that does not exist', async () => {
+
+			const refsSchema = {
+				components: {
+					schemas: {
+						Movie: { $ref: '../models/movie.yml#/Movie' }
+					}
+				}
+			};
+
+			mock.expects('_getSchemaPathsList')
+				.once()
+				.returns(movieSchemaPaths);
+			mock.expects('_readSchemaFiles')
 				.once()
-				.withArgs(`${ApiSchemaBuilder.buildFile}`, JSON.stringify(movieSchemaResolved, null, 2))
-				.rejects();
+				.returns([refsSchema]);
+			mock.expects('_mergeSchemas')
+				.once()
+				.returns({ schema: refsSchema, warnings: [] });
+			fsMock.expects('readFile')
+				.once()
+				.callsFake((location, encoding, cb) => cb(new Error('ENOENT')));
+			mock.expects('_validateSchema').never();
 
-			await assert.rejects(apiSchemaBuilder._buildSchema('movie', movieTreeMock));
+			await assert.rejects(apiSchemaBuilder._buildSchema('movie', movieTreeMock), {
+				name: 'ParseError',
+				path: path.join(ApiSchemaBuilder.schemaSrcDir, 'models', 'movie.yml')
+			});
 		});
 
-		it('should insert the ref if it\'s a json file', async () => {
+		it('should insert the ref if it\'s a json file and the schema is dereferenced', async () => {
+
+			apiSchemaBuilder.dereference = true;
 
 			movieSchemaObjects[1].paths['/movie/catalog'].get.responses[200] = {
 				content: {
@@ -541,7 +1150,7 @@ describe('ApiSchemaBuilder', () => {
 			mock.expects('_mergeSchemas')
 				.once()
 				.withArgs(movieSchemaObjects)
-				.returns(movieSchemaMerge);
+				.returns({ schema: movieSchemaMerge, warnings: [] });
 			// Search de Refs
 			fsMock.expects('readFile')
 				.once()
@@ -554,20 +1163,17 @@ describe('ApiSchemaBuilder', () => {
 
 			mock.expects('_validateSchema')
 				.once()
-				.withArgs('movie', movieSchemaResolved);
+				.withArgs('movie', movieSchemaResolved)
+				.returns([]);
 
-			fsMock.expects('mkdir')
-				.never();
-			fsMock.expects('writeFile')
-				.once()
-				.withArgs(`${ApiSchemaBuilder.buildFile}`, JSON.stringify(movieSchemaResolved, null, 2))
-				.returns();
+			const { spec, files } = await apiSchemaBuilder._buildSchema('movie', movieTreeMock);
 
-			await assert.doesNotReject(apiSchemaBuilder._buildSchema('movie', movieTreeMock));
+			assert.deepEqual(spec, movieSchemaResolved);
+			assert.deepEqual(files, [...movieSchemaPaths, `${ApiSchemaBuilder.schemaSrcDir}/content.json`]);
 
 		});
 
-		it('should insert the ref if it\'s a yml file', async () => {
+		it('should move the ref to the components if it\'s a yml file', async () => {
 			movieSchemaObjects[1].paths['/movie/catalog'].get.responses[200] = {
 				content: {
 					'application/json': {
@@ -591,11 +1197,18 @@ describe('ApiSchemaBuilder', () => {
 				content: {
 					'application/json': {
 						schema: {
-							type: 'string'
+							$ref: '#/components/schemas/Content'
 						}
 					}
 				}
 			};
+			movieSchemaResolved.components = {
+				schemas: {
+					Content: {
+						type: 'string'
+					}
+				}
+			};
 
 			mock.expects('_getSchemaPathsList')
 				.once()
@@ -608,7 +1221,7 @@ describe('ApiSchemaBuilder', () => {
 			mock.expects('_mergeSchemas')
 				.once()
 				.withArgs(movieSchemaObjects)
-				.returns(movieSchemaMerge);
+				.returns({ schema: movieSchemaMerge, warnings: [] });
 			// Search de Refs
 			fsMock.expects('readFile')
 				.once()
@@ -621,165 +1234,1333 @@ describe('ApiSchemaBuilder', () => {
 
 			mock.expects('_validateSchema')
 				.once()
-				.withArgs('movie', movieSchemaResolved);
+				.withArgs('movie', movieSchemaResolved)
+				.returns([]);
+
+			const { spec, files } = await apiSchemaBuilder._buildSchema('movie', movieTreeMock);
+
+			assert.deepEqual(spec, movieSchemaResolved);
+			assert.deepEqual(files, [...movieSchemaPaths, `${ApiSchemaBuilder.schemaSrcDir}/content.yml`]);
+
+		});
+	});
+
+	describe('writeSchema', () => {
+
+		const schema = { openapi: '3.0.0', paths: {} };
+
+		afterEach(() => {
+			sandbox.restore();
+		});
+
+		it('should write the JSON file in the output directory', async () => {
+
+			const fsMock = sandbox.mock(fs);
 
-			fsMock.expects('mkdir')
-				.never();
 			fsMock.expects('writeFile')
 				.once()
-				.withArgs(`${ApiSchemaBuilder.buildFile}`, JSON.stringify(movieSchemaResolved, null, 2))
+				.withArgs(path.join(ApiSchemaBuilder.schemaDir, 'movie.json'), JSON.stringify(schema, null, 2))
 				.returns();
 
-			await assert.doesNotReject(apiSchemaBuilder._buildSchema('movie', movieTreeMock));
+			await new ApiSchemaBuilder()._writeSchema('movie', schema);
 
+			fsMock.verify();
+		});
+
+		it('should write the YAML file when the format is yaml', async () => {
+
+			const fsMock = sandbox.mock(fs);
+
+			fsMock.expects('writeFile')
+				.once()
+				.withArgs(path.join(ApiSchemaBuilder.schemaDir, 'movie.yml'), sinon.match(content => {
+					assert.deepEqual(YAML.safeLoad(content), schema);
+					return true;
+				}))
+				.returns();
+
+			await new ApiSchemaBuilder({ format: 'yaml' })._writeSchema('movie', schema);
+
+			fsMock.verify();
+		});
+
+		it('should write the JSON and the YAML files when the format is both', async () => {
+
+			const fsMock = sandbox.mock(fs);
+
+			fsMock.expects('writeFile')
+				.once()
+				.withArgs(path.join(ApiSchemaBuilder.schemaDir, 'movie.json'), JSON.stringify(schema, null, 2))
+				.returns();
+
+			fsMock.expects('writeFile')
+				.once()
+				.withArgs(path.join(ApiSchemaBuilder.schemaDir, 'movie.yml'), YAML.safeDump(schema))
+				.returns();
+
+			await new ApiSchemaBuilder({ format: 'both' })._writeSchema('movie', schema);
+
+			fsMock.verify();
+		});
+
+		it('should write the JSON file minified when the minify option is set', async () => {
+
+			const fsMock = sandbox.mock(fs);
+
+			fsMock.expects('writeFile')
+				.once()
+				.withArgs(path.join(ApiSchemaBuilder.schemaDir, 'movie.json'), '{"openapi":"3.0.0","paths":{}}')
+				.returns();
+
+			await new ApiSchemaBuilder({ minify: true })._writeSchema('movie', schema);
+
+			fsMock.verify();
+		});
+
+		it('should reject with a write error if can not make the file', async () => {
+
+			sandbox.stub(fs, 'writeFile').rejects(new Error('EACCES'));
+
+			await assert.rejects(new ApiSchemaBuilder()._writeSchema('movie', schema), {
+				name: 'WriteError',
+				code: ApiSchemaBuilderError.codes.WRITE_ERROR,
+				path: path.join(ApiSchemaBuilder.schemaDir, 'movie.json')
+			});
 		});
 	});
 
-	describe('build', () => {
+	describe('buildSpec', () => {
 
-		apiSchemaBuilder = new ApiSchemaBuilder();
-		let exit;
+		const treeMock = {
+			ipc: {
+				nodes: {
+					catalog: {
+						nodes: {},
+						schemas: ['catalog.yml']
+					}
+				},
+				schemas: ['ipc.yml', 'base.json']
+			},
+			public: {
+				nodes: {},
+				schemas: ['public.yml', 'base.yml']
+			}
+		};
+
+		const ipcResult = { type: 'ipc', spec: { openapi: '3.0.0' }, warnings: [] };
+		const publicResult = { type: 'public', spec: { openapi: '3.0.0' }, warnings: [] };
 
 		beforeEach(() => {
-			// Avoid showing messages in console during tests
-			sandbox.stub(console, 'log').callsFake(() => true);
-			sandbox.stub(console, 'error').callsFake(() => true);
-			exit = sandbox.stub(process, 'exit');
+			apiSchemaBuilder = new ApiSchemaBuilder();
 		});
 
 		afterEach(() => {
 			sandbox.restore();
 		});
 
-		it('should build the schemas without errors', async () => {
-			const mock = sandbox.mock(apiSchemaBuilder);
+		it('should resolve the built schemas of every type without writing any file', async () => {
 
-			const treeMock = {
-				ipc: {
-					nodes: {
-						catalog: {
-							nodes: {},
-							schemas: ['catalog.yml']
-						}
-					},
-					schemas: ['ipc.yml', 'base.json']
-				},
-				public: {
-					nodes: {},
-					schemas: ['public.yml', 'base.yml']
-				}
-			};
+			const mock = sandbox.mock(apiSchemaBuilder);
+			const fsMock = sandbox.mock(fs);
 
-			mock.expects('_isDirectory').twice()
+			mock.expects('_isDirectory').once()
+				.withArgs(ApiSchemaBuilder.schemaSrcDir)
 				.returns(true);
 
 			mock.expects('_getSourceTree')
 				.once()
 				.returns(treeMock);
-			const expectation1 = mock.expects('_buildSchema')
+
+			mock.expects('_buildSchema')
+				.withArgs('ipc', treeMock.ipc)
+				.resolves(ipcResult);
+
+			mock.expects('_buildSchema')
+				.withArgs('public', treeMock.public)
+				.resolves(publicResult);
+
+			fsMock.expects('writeFile').never();
+			fsMock.expects('mkdir').never();
+
+			assert.deepEqual(await apiSchemaBuilder.buildSpec(), [ipcResult, publicResult]);
+
+			mock.verify();
+			fsMock.verify();
+		});
+
+		it('should build only the selected schema types', async () => {
+
+			const builder = new ApiSchemaBuilder({ types: ['public'] });
+			const mock = sandbox.mock(builder);
+
+			mock.expects('_isDirectory').once()
+				.returns(true);
+
+			mock.expects('_getSourceTree')
 				.once()
-				.withArgs('ipc', treeMock.ipc);
-			const expectation2 = mock.expects('_buildSchema')
+				.returns(treeMock);
+
+			mock.expects('_buildSchema')
 				.once()
-				.withArgs('public', treeMock.public);
+				.withArgs('public', treeMock.public)
+				.resolves(publicResult);
 
-			await apiSchemaBuilder.build();
+			assert.deepEqual(await builder.buildSpec(), [publicResult]);
 
 			mock.verify();
-			expectation1.verify();
-			expectation2.verify();
 		});
 
-		it('should do not build \'public.json\' but not rejects', async () => {
+		it('should be available as a static method that receives the options', async () => {
 
-			const mock = sandbox.mock(apiSchemaBuilder);
+			const buildSpec = sandbox.stub(ApiSchemaBuilder.prototype, 'buildSpec').callsFake(async function() {
+				assert.deepEqual(this.types, ['public']);
+				return [publicResult];
+			});
 
-			mock.expects('_isDirectory').twice()
-				.returns(true);
+			const { buildSpec: staticBuildSpec } = ApiSchemaBuilder;
 
-			sandbox.stub(apiSchemaBuilder, '_getSourceTree').throws('test');
-			const spyBuilder = sandbox.spy(apiSchemaBuilder, '_buildSchema');
+			assert.deepEqual(await staticBuildSpec({ types: ['public'] }), [publicResult]);
 
-			await apiSchemaBuilder.build();
+			sandbox.assert.calledOnce(buildSpec);
+		});
+
+		it('should sort the keys of the schemas when the canonical option is set', async () => {
+
+			MockFs({
+				schemas: {
+					src: {
+						public: {
+							'paths.yml': 'paths:\n  /movies:\n    post: { responses: {} }\n    get: { responses: {} }\n  /catalog: {}',
+							'base.yml': 'components:\n  schemas: { Movie: {}, Actor: {} }\ninfo: { title: Movie Api, version: 1.0.0 }\nopenapi: 3.0.0'
+						}
+					}
+				}
+			});
 
-			sandbox.assert.calledOnce(exit);
-			sandbox.assert.calledWith(exit, -1);
+			const [{ spec }] = await new ApiSchemaBuilder({ canonical: true, strict: false }).buildSpec();
 
-			assert(spyBuilder.notCalled);
+			MockFs.restore();
+
+			assert.deepEqual(Object.keys(spec), ['openapi', 'info', 'paths', 'components']);
+			assert.deepEqual(Object.keys(spec.paths), ['/catalog', '/movies']);
+			assert.deepEqual(Object.keys(spec.paths['/movies']), ['get', 'post']);
+			assert.deepEqual(Object.keys(spec.components.schemas), ['Actor', 'Movie']);
 		});
 
-		it('should do not build \'public.json\' but not rejects when no exists \'schemas/src\'', async () => {
+		it('should render the HTML documentation, the type definitions and the client of the schemas when their options are set', async () => {
 
-			const mock = sandbox.mock(apiSchemaBuilder);
+			MockFs({
+				schemas: {
+					src: {
+						public: {
+							'base.yml': 'openapi: 3.0.0\ninfo: { title: Movie Api, version: 1.0.0 }',
+							'paths.yml': 'paths:\n  /movies:\n    get: { operationId: listMovies, responses: {} }'
+						}
+					}
+				}
+			});
 
-			mock.expects('_isDirectory')
-				.once()
-				.withArgs(ApiSchemaBuilder.schemaDir)
-				.returns(true);
+			const [withDocs] = await new ApiSchemaBuilder({
+				docs: true,
+				dts: true,
+				client: true,
+				collection: 'both',
+				strict: false
+			}).buildSpec();
+			const [withPostman] = await new ApiSchemaBuilder({ collection: 'postman', strict: false }).buildSpec();
+			const [withoutDocs] = await new ApiSchemaBuilder({ strict: false }).buildSpec();
 
-			mock.expects('_isDirectory')
-				.once()
-				.withArgs(ApiSchemaBuilder.schemaSrcDir)
-				.returns(false);
+			MockFs.restore();
 
-			const spyBuilder = sandbox.spy(apiSchemaBuilder, '_buildSchema');
+			assert(withDocs.docs.startsWith('<!DOCTYPE html>'));
+			assert(withDocs.docs.includes('id="listmovies"'));
+			assert(withDocs.dts.includes('export interface ListMoviesRequest {}'));
+			assert(withDocs.client.includes('\tlistMovies(params = {}, options = {}) {'));
+			assert.equal(JSON.parse(withDocs.collections.postman).info.name, 'Movie Api');
+			assert(withDocs.collections.insomnia.includes('"_type": "export"'));
+			assert.deepEqual(Object.keys(withPostman.collections), ['postman']);
+			assert(!('docs' in withoutDocs));
+			assert(!('dts' in withoutDocs));
+			assert(!('client' in withoutDocs));
+			assert(!('collections' in withoutDocs));
+		});
 
-			await apiSchemaBuilder.build();
+		it('should move the referenced files to the components unless the dereference option is set', async () => {
+
+			MockFs({
+				schemas: {
+					src: {
+						public: {
+							'paths.yml': 'paths:\n  /movies:\n    get:\n      parameters:\n        - $ref: ../parameters.yml#/Page',
+							'base.yml': 'openapi: 3.0.0\ninfo: { title: Movie Api, version: 1.0.0 }'
+						},
+						'parameters.yml': 'Page: { name: page, in: query }'
+					}
+				}
+			});
+
+			const [{ spec: bundledSpec }] = await new ApiSchemaBuilder({ strict: false }).buildSpec();
+			const [{ spec: dereferencedSpec }] = await new ApiSchemaBuilder({ strict: false, dereference: true }).buildSpec();
 
-			sandbox.assert.calledOnce(exit);
-			sandbox.assert.calledWith(exit, -1);
+			MockFs.restore();
+
+			assert.deepEqual(bundledSpec.paths['/movies'].get.parameters, [{ $ref: '#/components/parameters/Page' }]);
+			assert.deepEqual(bundledSpec.components, { parameters: { Page: { name: 'page', in: 'query' } } });
 
-			assert(spyBuilder.notCalled);
+			assert.deepEqual(dereferencedSpec.paths['/movies'].get.parameters, [{ name: 'page', in: 'query' }]);
+			assert.equal(dereferencedSpec.components, undefined);
 		});
 
-		it('should do not build \'public.json\' but not rejects when no exists \'schemas/\'', async () => {
+		it('should validate and bundle the OpenAPI 3.1 schemas', async () => {
 
-			const spyBuilder = sandbox.spy(apiSchemaBuilder, '_buildSchema');
+			MockFs({
+				schemas: {
+					src: {
+						public: {
+							'webhooks.yml': 'webhooks:\n  newMovie:\n    $ref: ../new-movie.yml',
+							'base.yml': 'openapi: 3.1.0\ninfo: { title: Movie Api, version: 1.0.0 }'
+						},
+						'new-movie.yml': 'post:\n  responses:\n    \'200\': { description: Ok }\n  summary: [A new movie]'
+					}
+				}
+			});
 
-			await apiSchemaBuilder.build();
+			const [{ spec, warnings }] = await new ApiSchemaBuilder({ strict: false }).buildSpec();
 
-			sandbox.assert.calledOnce(exit);
-			sandbox.assert.calledWith(exit, -1);
+			MockFs.restore();
 
-			assert(spyBuilder.notCalled);
+			assert.deepEqual(spec.webhooks, { newMovie: { $ref: '#/components/pathItems/NewMovie' } });
+			assert.deepEqual(warnings[0].errors.map(({ pointer, file }) => ({ pointer, file })), [{
+				pointer: '/components/pathItems/NewMovie/post/summary',
+				file: path.join(ApiSchemaBuilder.schemaSrcDir, 'new-movie.yml')
+			}]);
 		});
 
-		it('should do not build \'public.json\' but not rejects when no files in \'schemas/src\'', async () => {
+		it('should lint the schema and remove the x-lint-ignore extensions from the spec', async () => {
 
-			const mock = sandbox.mock(apiSchemaBuilder);
+			MockFs({
+				schemas: {
+					src: {
+						public: {
+							'paths.yml': [
+								'paths:',
+								'  /movies:',
+								'    x-lint-ignore: [operation-tags]',
+								'    get:',
+								'      summary: List',
+								'      responses: { 200: { description: Ok } }'
+							].join('\n'),
+							'base.yml': 'openapi: 3.0.0\ninfo: { title: Movie Api, version: 1.0.0 }'
+						}
+					}
+				}
+			});
 
-			mock.expects('_isDirectory').twice()
-				.returns(true);
+			const [{ spec, warnings }] = await new ApiSchemaBuilder({ lint: { 'error-responses': 'off' } }).buildSpec();
 
-			mock.expects('_getSourceTree').once()
-				.returns({});
+			MockFs.restore();
 
-			mock.expects('_buildSchema').never();
+			assert.deepEqual(spec.paths, { '/movies': { get: { summary: 'List', responses: { 200: { description: 'Ok' } } } } });
+			assert.deepEqual(warnings[0].errors.map(({ rule, pointer, file }) => ({ rule, pointer, file })), [{
+				rule: 'operation-id',
+				pointer: '/paths/~1movies/get',
+				file: path.join(ApiSchemaBuilder.schemaSrcDir, 'public', 'paths.yml')
+			}]);
+		});
 
-			await apiSchemaBuilder.build();
+		it('should validate the examples against their schemas and locate the errors in their source files', async () => {
 
-			sandbox.assert.calledOnce(exit);
-			sandbox.assert.calledWith(exit, -1);
+			MockFs({
+				schemas: {
+					src: {
+						'examples.yml': 'Alien:\n  value:\n    title: Alien\n    year: "1979"\n',
+						public: {
+							'paths.yml': [
+								'paths:',
+								'  /movies:',
+								'    post:',
+								'      requestBody:',
+								'        content:',
+								'          application/json:',
+								'            schema: { $ref: "#/components/schemas/Movie" }',
+								'            examples:',
+								'              alien: { $ref: "../examples.yml#/Alien" }',
+								'      responses: { 201: { description: Created } }'
+							].join('\n'),
+							'base.yml': [
+								'openapi: 3.0.0',
+								'info: { title: Movie Api, version: 1.0.0 }',
+								'components:',
+								'  schemas:',
+								'    Movie:',
+								'      properties: { title: { type: string }, year: { type: integer } }'
+							].join('\n')
+						}
+					}
+				}
+			});
 
-			mock.verify();
+			const [{ warnings }] = await new ApiSchemaBuilder({ strict: false }).buildSpec();
+
+			MockFs.restore();
 
+			assert.deepEqual(warnings.map(({ message, errors }) => [message, errors.map(({ pointer, file, line }) => ({ pointer, file, line }))]), [[
+				'Found invalid examples on schema of type "public". Check build-error.log file for more details',
+				[{
+					pointer: '/components/examples/Alien/value/year',
+					file: path.join(ApiSchemaBuilder.schemaSrcDir, 'examples.yml'),
+					line: 4
+				}]
+			]]);
 		});
-	});
 
-});
+		it('should remove the filtered operations and the components that are no longer used', async () => {
 
-describe('index', () => {
+			MockFs({
+				schemas: {
+					src: {
+						public: {
+							'paths.yml': [
+								'paths:',
+								'  /movies: { get: { responses: { 200: { $ref: "#/components/responses/Movies" } } } }',
+								'  /admin: { x-internal: true, get: { responses: { 200: { $ref: "#/components/responses/Users" } } } }',
+								'components:',
+								'  responses:',
+								'    Movies: { description: Movies }',
+								'    Users: { description: Users }'
+							].join('\n'),
+							'base.yml': 'openapi: 3.0.0\ninfo: { title: Movie Api, version: 1.0.0 }'
+						}
+					}
+				}
+			});
 
-	before(() => {
-		sandbox.stub(ApiSchemaBuilder.prototype, 'build');
-	});
+			const stub = sandbox.stub(console, 'log');
 
-	after(() => {
-		sandbox.restore();
-	});
+			const [{ spec }] = await new ApiSchemaBuilder({ filter: { exclude: { extensions: ['x-internal'] } } }).buildSpec();
 
-	it('should run the index script without problems', () => {
-		const index = require('./../index'); // eslint-disable-line
+			stub.restore();
+			MockFs.restore();
+
+			assert.deepEqual(Object.keys(spec.paths), ['/movies']);
+			assert.deepEqual(spec.components, { responses: { Movies: { description: 'Movies' } } });
+			assert(stub.calledWithMatch(sinon.match('Removed 1 operations and 1 components of schema \'public\'')));
+		});
+
+		context('when an environment is set', () => {
+
+			const src = {
+				public: {
+					'paths.yml': [
+						'paths:',
+						'  /movies: { get: { responses: { 200: { description: Ok } } } }',
+						'  /beta: { get: { x-beta: true, responses: { 200: { description: Ok } } } }'
+					].join('\n'),
+					'base.yml': 'openapi: 3.0.0\ninfo: { title: Movie Api, version: 1.0.0 }\nservers: [{ url: "https://movies.com" }]'
+				}
+			};
+
+			const overlayFile = path.join(process.cwd(), 'schemas', 'overlays', 'qa.yml');
+
+			const buildSpec = async (overlays, options = {}) => {
+
+				MockFs({ schemas: { src, overlays } });
+
+				try {
+					return await new ApiSchemaBuilder({ env: 'qa', ...options }).buildSpec();
+				} finally {
+					MockFs.restore();
+				}
+			};
+
+			afterEach(() => {
+				delete process.env.API_SCHEMA_BUILDER_URL;
+			});
+
+			it('should apply the overlay of the environment to the merged schema', async () => {
+
+				process.env.API_SCHEMA_BUILDER_URL = 'https://qa.movies.com';
+
+				const [{ spec, warnings, files }] = await buildSpec({
+					'qa.yml': [
+						'overlay: 1.0.0',
+						'actions:',
+						'  - target: $.servers[0]',
+						'    update: { url: "${API_SCHEMA_BUILDER_URL}" }', // eslint-disable-line no-template-curly-in-string
+						'  - target: $.paths[?(@.get["x-beta"])]',
+						'    remove: true'
+					].join('\n')
+				});
+
+				assert.deepEqual(spec.servers, [{ url: 'https://qa.movies.com' }]);
+				assert.deepEqual(Object.keys(spec.paths), ['/movies']);
+				assert.deepEqual(warnings, []);
+				assert(files.includes(overlayFile));
+			});
+
+			it('should return a warning for every action whose target does not match the schema', async () => {
+
+				const [{ warnings }] = await buildSpec({
+					'qa.json': JSON.stringify({ overlay: '1.0.0', actions: [{ target: '$.components.securitySchemes', remove: true }] })
+				});
+
+				assert.deepEqual(warnings, [{
+					message: 'The target \'$.components.securitySchemes\' of the action 0 of the overlay \'schemas/overlays/qa.json\' '
+						+ 'doesn\'t match schema of type "public"'
+				}]);
+			});
+
+			it('should use the overlays directory option', async () => {
+
+				MockFs({ schemas: { src }, stages: { 'qa.yaml': 'overlay: 1.0.0\nactions: [{ target: $.info, update: { title: QA } }]' } });
+
+				const [{ spec }] = await new ApiSchemaBuilder({ env: 'qa', overlays: 'stages' }).buildSpec();
+
+				MockFs.restore();
+
+				assert.equal(spec.info.title, 'QA');
+			});
+
+			it('should reject with a source not found error when the environment has no overlay', async () => {
+				await assert.rejects(buildSpec({ 'prod.yml': 'overlay: 1.0.0' }), {
+					name: 'SourceNotFoundError',
+					message: 'Overlay of the environment "qa" not found in \'schemas/overlays/\''
+				});
+			});
+
+			it('should reject with a parse error when the overlay is not valid', async () => {
+
+				await assert.rejects(buildSpec({ 'qa.yml': 'overlay: 1.0.0\nactions: []' }), {
+					name: 'ParseError',
+					message: `Invalid overlay file ${overlayFile}. The 'actions' must be a non empty list`
+				});
+
+				// eslint-disable-next-line no-template-curly-in-string
+				const overlay = 'overlay: 1.0.0\nactions: [{ target: $.info, update: { title: "${API_SCHEMA_BUILDER_URL}" } }]';
+
+				await assert.rejects(buildSpec({ 'qa.yml': overlay }), {
+					name: 'ParseError',
+					message: `Invalid overlay file ${overlayFile}. The environment variable 'API_SCHEMA_BUILDER_URL' isn't defined`
+				});
+			});
+		});
+
+		it('should reject with a source not found error when the source directory does not exist', async () => {
+
+			await assert.rejects(apiSchemaBuilder.buildSpec(), {
+				name: 'SourceNotFoundError',
+				code: ApiSchemaBuilderError.codes.SOURCE_NOT_FOUND,
+				path: ApiSchemaBuilder.schemaSrcDir
+			});
+		});
+
+		it('should reject with a source not found error when there are no files in the source directory', async () => {
+
+			const mock = sandbox.mock(apiSchemaBuilder);
+
+			mock.expects('_isDirectory').once()
+				.returns(true);
+
+			mock.expects('_getSourceTree').once()
+				.returns({});
+
+			mock.expects('_buildSchema').never();
+
+			await assert.rejects(apiSchemaBuilder.buildSpec(), ApiSchemaBuilder.SourceNotFoundError);
+
+			mock.verify();
+		});
+
+		it('should reject with a source not found error when a selected schema type does not exist', async () => {
+
+			const builder = new ApiSchemaBuilder({ types: ['private'] });
+			const mock = sandbox.mock(builder);
+
+			mock.expects('_isDirectory').once()
+				.returns(true);
+
+			mock.expects('_getSourceTree')
+				.once()
+				.returns(treeMock);
+
+			mock.expects('_buildSchema').never();
+
+			await assert.rejects(builder.buildSpec(), ApiSchemaBuilder.SourceNotFoundError);
+
+			mock.verify();
+		});
+
+		it('should reject with the error of the failed schema', async () => {
+
+			const mock = sandbox.mock(apiSchemaBuilder);
+
+			mock.expects('_isDirectory').once()
+				.returns(true);
+
+			mock.expects('_getSourceTree')
+				.once()
+				.returns(treeMock);
+
+			mock.expects('_buildSchema')
+				.once()
+				.rejects(new ApiSchemaBuilder.ParseError('Invalid file', 'ipc.yml'));
+
+			await assert.rejects(apiSchemaBuilder.buildSpec(), ApiSchemaBuilder.ParseError);
+
+			mock.verify();
+		});
+
+		describe('cache', () => {
+
+			const movieFile = path.join(process.cwd(), 'schemas', 'src', 'movie.yml');
+			const cacheFile = path.join(process.cwd(), 'schemas', '.cache', 'public.json');
+
+			const schemas = {
+				src: {
+					public: {
+						'base.yml': 'openapi: 3.0.0\ninfo: { title: Movie Api, version: 1.0.0 }',
+						'paths.yml': [
+							'paths:',
+							'  /movies:',
+							'    get: { responses: { 200: { description: Ok, content: { application/json: { schema: { $ref: "../movie.yml#/Movie" } } } } } }'
+						].join('\n')
+					},
+					'movie.yml': 'Movie: { type: object, properties: { title: { type: string } } }'
+				}
+			};
+
+			const buildSpec = (options = {}) => new ApiSchemaBuilder({ quiet: true, ...options }).buildSpec(undefined, { cache: true });
+
+			const exists = file => fs.stat(file).then(() => true, () => false);
+
+			afterEach(() => {
+				MockFs.restore();
+				delete process.env.API_SCHEMA_BUILDER_URL;
+			});
+
+			it('should take the schema types from the cache when none of their files changed since the last build', async () => {
+
+				MockFs({ schemas });
+
+				const results = await buildSpec();
+
+				assert(await exists(cacheFile));
+
+				const buildSchema = sandbox.spy(ApiSchemaBuilder.prototype, '_buildSchema');
+
+				assert.deepEqual(await buildSpec(), results);
+
+				sandbox.assert.notCalled(buildSchema);
+			});
+
+			it('should build the schema types again when a referenced file changed, without parsing again the unchanged files', async () => {
+
+				MockFs({ schemas });
+
+				await buildSpec();
+
+				await fs.writeFile(movieFile, 'Movie: { type: object, properties: { title: { type: integer } } }');
+
+				const parseFile = sandbox.spy(ApiSchemaBuilder.prototype, '_parseFile');
+
+				const [{ spec }] = await buildSpec();
+
+				assert.deepEqual(spec.components.schemas.Movie.properties.title, { type: 'integer' });
+				sandbox.assert.notCalled(parseFile);
+			});
+
+			it('should build the schema types again when a source file is added or the options changed', async () => {
+
+				MockFs({ schemas });
+
+				await buildSpec();
+
+				const buildSchema = sandbox.spy(ApiSchemaBuilder.prototype, '_buildSchema');
+
+				const [{ spec }] = await buildSpec({ canonical: true });
+
+				await fs.writeFile(path.join(process.cwd(), 'schemas', 'src', 'public', 'tags.yml'), 'tags: [{ name: Movies }]');
+
+				const [{ spec: specWithTags }] = await buildSpec({ canonical: true });
+
+				sandbox.assert.calledTwice(buildSchema);
+				assert.deepEqual(Object.keys(spec), ['openapi', 'info', 'paths', 'components']);
+				assert.deepEqual(specWithTags.tags, [{ name: 'Movies' }]);
+			});
+
+			it('should build the schema types again when an environment variable of the overlay changed', async () => {
+
+				MockFs({
+					schemas: {
+						...schemas,
+						overlays: {
+							'qa.yml': [
+								'overlay: 1.0.0',
+								'actions: [{ target: $.info, update: { title: "${API_SCHEMA_BUILDER_URL:-Movie Api}" } }]' // eslint-disable-line no-template-curly-in-string
+							].join('\n')
+						}
+					}
+				});
+
+				await buildSpec({ env: 'qa' });
+
+				process.env.API_SCHEMA_BUILDER_URL = 'QA';
+
+				const [{ spec }] = await buildSpec({ env: 'qa' });
+
+				assert.equal(spec.info.title, 'QA');
+			});
+
+			it('should reject with the error of the overlay when the environment has no overlay', async () => {
+
+				MockFs({ schemas });
+
+				await assert.rejects(buildSpec({ env: 'qa' }), { name: 'SourceNotFoundError' });
+			});
+
+			it('should not write the cache file without the cache option', async () => {
+
+				MockFs({ schemas });
+
+				await new ApiSchemaBuilder().buildSpec();
+
+				assert(!await exists(cacheFile));
+			});
+
+			it('should reject with a write error when the cache file can not be written', async () => {
+
+				MockFs({ schemas: { ...schemas, '.cache': MockFs.file({ content: '' }) } });
+
+				await assert.rejects(buildSpec(), {
+					name: 'WriteError',
+					path: cacheFile
+				});
+			});
+		});
+	});
+
+	describe('createValidator', () => {
+
+		it('should return the validation middleware of a built schema', () => {
+
+			const spec = { openapi: '3.0.0', info: { title: 'Movie API', version: '1.0.0' }, paths: {} };
+			const onInvalidResponse = () => {};
+
+			const validator = ApiSchemaBuilder.createValidator(spec, { onInvalidResponse });
+
+			assert(validator instanceof ValidationMiddleware);
+			assert.equal(validator.spec, spec);
+			assert.equal(validator.onInvalidResponse, onInvalidResponse);
+		});
+	});
+
+	describe('loadSpec', () => {
+
+		const spec = { openapi: '3.0.0', info: { title: 'Movie API', version: '1.0.0' }, paths: {} };
+
+		afterEach(() => {
+			sandbox.restore();
+			MockFs.restore();
+		});
+
+		it('should resolve the built schema of the first format that exists', async () => {
+
+			MockFs({
+				schemas: {
+					'public.yml': YAML.dump(spec),
+					'ipc.json': '{}'
+				}
+			});
+
+			apiSchemaBuilder = new ApiSchemaBuilder({ format: 'both' });
+
+			sandbox.mock(apiSchemaBuilder).expects('buildSpec')
+				.never();
+
+			assert.deepEqual(await apiSchemaBuilder.loadSpec(), spec);
+			assert.deepEqual(await apiSchemaBuilder.loadSpec('ipc'), {});
+		});
+
+		it('should resolve the built schema of the first selected type', async () => {
+
+			MockFs({
+				schemas: {
+					'ipc.json': JSON.stringify(spec)
+				}
+			});
+
+			assert.deepEqual(await new ApiSchemaBuilder({ types: ['ipc', 'public'] }).loadSpec(), spec);
+		});
+
+		it('should reject when the built schema is not valid', async () => {
+
+			MockFs({
+				schemas: {
+					'public.json': '{"openapi":'
+				}
+			});
+
+			await assert.rejects(new ApiSchemaBuilder().loadSpec(), {
+				name: 'ParseError',
+				message: /^Invalid built schema 'schemas\/public\.json'\. /
+			});
+		});
+
+		it('should build the schema when it is not built', async () => {
+
+			MockFs({});
+
+			apiSchemaBuilder = new ApiSchemaBuilder();
+
+			sandbox.mock(apiSchemaBuilder).expects('buildSpec')
+				.once()
+				.withArgs(['ipc'])
+				.resolves([{ type: 'ipc', spec, warnings: [] }]);
+
+			assert.deepEqual(await apiSchemaBuilder.loadSpec('ipc'), spec);
+		});
+
+		it('should build the schema instead of reading the built one when build is set', async () => {
+
+			MockFs({
+				schemas: {
+					'public.json': '{}'
+				}
+			});
+
+			apiSchemaBuilder = new ApiSchemaBuilder();
+
+			sandbox.mock(apiSchemaBuilder).expects('buildSpec')
+				.once()
+				.withArgs(['public'])
+				.resolves([{ type: 'public', spec, warnings: [] }]);
+
+			assert.deepEqual(await apiSchemaBuilder.loadSpec(undefined, true), spec);
+		});
+	});
+
+	describe('build', () => {
+
+		const publicResult = { type: 'public', spec: { openapi: '3.0.0' }, warnings: [] };
+
+		beforeEach(() => {
+			apiSchemaBuilder = new ApiSchemaBuilder();
+
+			// Avoid showing messages in console during tests
+			sandbox.stub(console, 'log').callsFake(() => true);
+			sandbox.stub(console, 'error').callsFake(() => true);
+		});
+
+		afterEach(() => {
+			sandbox.restore();
+		});
+
+		it('should build the schemas and write one file per type', async () => {
+
+			const ipcResult = { type: 'ipc', spec: { openapi: '3.0.0' }, warnings: [] };
+
+			const mock = sandbox.mock(apiSchemaBuilder);
+
+			mock.expects('buildSpec').once()
+				.withArgs(null, { cache: true })
+				.resolves([ipcResult, publicResult]);
+
+			mock.expects('_makeDirectory').once()
+				.withArgs(ApiSchemaBuilder.schemaDir);
+
+			mock.expects('_writeSchema').once()
+				.withArgs('ipc', ipcResult.spec);
+
+			mock.expects('_writeSchema').once()
+				.withArgs('public', publicResult.spec);
+
+			mock.expects('_writeErrorLog').never();
+
+			assert.deepEqual(await apiSchemaBuilder.build(), [ipcResult, publicResult]);
+
+			mock.verify();
+		});
+
+		it('should make the output directory when it does not exist', async () => {
+
+			const mock = sandbox.mock(apiSchemaBuilder);
+			const fsMock = sandbox.mock(fs);
+
+			mock.expects('buildSpec').once()
+				.resolves([publicResult]);
+
+			mock.expects('_isDirectory')
+				.withArgs(ApiSchemaBuilder.schemaDir)
+				.returns(false);
+
+			fsMock.expects('mkdir')
+				.once()
+				.withArgs(ApiSchemaBuilder.schemaDir, { recursive: true })
+				.returns();
+
+			mock.expects('_writeSchema').once();
+
+			await apiSchemaBuilder.build();
+
+			mock.verify();
+			fsMock.verify();
+		});
+
+		it('should reject with a write error when the output directory can not be made', async () => {
+
+			const mock = sandbox.mock(apiSchemaBuilder);
+
+			mock.expects('buildSpec').once()
+				.resolves([publicResult]);
+
+			mock.expects('_isDirectory')
+				.withArgs(ApiSchemaBuilder.schemaDir)
+				.returns(false);
+
+			sandbox.stub(fs, 'mkdir').rejects(new Error('EACCES'));
+
+			mock.expects('_writeSchema').never();
+
+			await assert.rejects(apiSchemaBuilder.build(), {
+				name: 'WriteError',
+				path: ApiSchemaBuilder.schemaDir
+			});
+
+			mock.verify();
+		});
+
+		it('should log the warnings and write the validation errors in the error log', async () => {
+
+			const validationErrors = [{ message: 'should have required property \'info\'' }];
+
+			const mock = sandbox.mock(apiSchemaBuilder);
+
+			mock.expects('buildSpec').once()
+				.resolves([{ ...publicResult, warnings: [{ message: 'Found errors', errors: validationErrors }, { message: 'Other warning' }] }]);
+
+			mock.expects('_makeDirectory').once();
+
+			mock.expects('_writeErrorLog').once()
+				.withArgs('public', validationErrors);
+
+			mock.expects('_writeSchema').once();
+
+			await apiSchemaBuilder.build();
+
+			mock.verify();
+			sandbox.assert.calledWithMatch(console.log, 'WARNING');
+		});
+
+		it('should write the error log and reject when the schema is invalid', async () => {
+
+			const validationErrors = [{ message: 'should have required property \'info\'' }];
+
+			const mock = sandbox.mock(apiSchemaBuilder);
+			const fsMock = sandbox.mock(fs);
+
+			mock.expects('buildSpec').once()
+				.rejects(new ApiSchemaBuilder.ValidationError('Found errors', 'schemas/src/public', 'public', validationErrors));
+
+			mock.expects('_makeDirectory').once();
+
+			fsMock.expects('writeFile').once()
+				.withArgs(ApiSchemaBuilder.errorLog, JSON.stringify({ public: { errors: validationErrors } }, null, 2))
+				.returns();
+
+			mock.expects('_writeSchema').never();
+
+			await assert.rejects(apiSchemaBuilder.build(), ApiSchemaBuilder.ValidationError);
+
+			mock.verify();
+			fsMock.verify();
+		});
+
+		it('should log the located validation errors and write the report file when the report option is set', async () => {
+
+			const validationErrors = [{
+				message: 'should have required property \'info\'',
+				pointer: '',
+				file: path.join(ApiSchemaBuilder.schemaSrcDir, 'public', 'base.yml'),
+				line: 1,
+				column: 1
+			}];
+
+			const builder = new ApiSchemaBuilder({ report: 'junit', quiet: true });
+			const mock = sandbox.mock(builder);
+			const fsMock = sandbox.mock(fs);
+
+			mock.expects('buildSpec').once()
+				.rejects(new ApiSchemaBuilder.ValidationError('Found errors', 'schemas/src/public', 'public', validationErrors));
+
+			mock.expects('_makeDirectory').twice();
+
+			fsMock.expects('writeFile').once()
+				.withArgs(ApiSchemaBuilder.errorLog);
+
+			fsMock.expects('writeFile').once()
+				.withArgs(path.join(ApiSchemaBuilder.schemaDir, 'build-report.xml'), sinon.match('<failure type="error"'));
+
+			await assert.rejects(builder.build(), ApiSchemaBuilder.ValidationError);
+
+			mock.verify();
+			fsMock.verify();
+			sandbox.assert.calledWithMatch(console.log, path.join('schemas', 'src', 'public', 'base.yml:1:1 — should have required property \'info\' (at /)'));
+		});
+
+		describe('diff', () => {
+
+			const previousSpec = { openapi: '3.0.0', paths: { '/movies': { get: { responses: {} } }, '/actors': { get: { responses: {} } } } };
+			const spec = { openapi: '3.0.0', paths: { '/movies': { get: { responses: {} } }, '/directors': { get: { responses: {} } } } };
+
+			const buildFile = path.join(ApiSchemaBuilder.schemaDir, 'public.json');
+			const changelogFile = path.join(ApiSchemaBuilder.schemaDir, 'public.changes.md');
+
+			/**
+			 * Builds the new spec with a mocked file system, returning the results and the content of the output files
+			 */
+			const build = async (options, files) => {
+
+				const builder = new ApiSchemaBuilder({ quiet: true, ...options });
+
+				sandbox.stub(builder, 'buildSpec').resolves([{ type: 'public', spec, warnings: [] }]);
+
+				MockFs(files);
+
+				// The fs methods are promisified by the builder
+				const readOutput = file => fs.readFile(file, 'utf8').catch(() => undefined);
+
+				try {
+					const results = await builder.build();
+					return { results, buildContent: await readOutput(buildFile), changelog: await readOutput(changelogFile) };
+				} finally {
+					MockFs.restore();
+				}
+			};
+
+			it('should compare the schemas with the previous build and write the changelog', async () => {
+
+				const { results: [{ changes }], buildContent, changelog } = await build({ diff: 'markdown' }, { [buildFile]: JSON.stringify(previousSpec) });
+
+				assert.deepEqual(changes.map(({ breaking, operation }) => ({ breaking, operation })), [
+					{ breaking: true, operation: '/actors' },
+					{ breaking: false, operation: '/directors' }
+				]);
+				assert(changelog.includes('## Breaking changes\n\n- `/actors`: The path was removed'));
+				assert.deepEqual(JSON.parse(buildContent), spec);
+			});
+
+			it('should not compare the schemas when there is no previous build', async () => {
+
+				const { results: [{ changes }], changelog } = await build({ diff: 'json' }, {});
+
+				assert.equal(changes, null);
+				assert.equal(changelog, undefined);
+			});
+
+			it('should compare the schemas with the schema of the baseline directory', async () => {
+
+				const { results: [{ changes }], changelog } = await build({ baseline: 'previous', failOnBreaking: false, diff: 'json' }, {
+					previous: { 'public.yml': YAML.safeDump(previousSpec) }
+				});
+
+				assert.equal(changes.length, 2);
+				assert.equal(changelog, undefined);
+			});
+
+			it('should reject with a breaking change error without writing the schemas when the failOnBreaking option is set', async () => {
+
+				const baseline = path.join(process.cwd(), 'previous.json');
+
+				await assert.rejects(build({ baseline: 'previous.json', failOnBreaking: true }, {
+					[baseline]: JSON.stringify(previousSpec),
+					[buildFile]: '{}'
+				}), error => {
+					assert.equal(error.name, 'BreakingChangeError');
+					assert.equal(error.code, ApiSchemaBuilderError.codes.BREAKING_CHANGE);
+					assert.equal(error.path, baseline);
+					assert.deepEqual(error.changes.map(({ operation }) => operation), ['/actors']);
+					return true;
+				});
+
+				sandbox.assert.calledWithMatch(console.log, '/actors: The path was removed (at /paths/~1actors)');
+			});
+
+			it('should only compare the schemas without a baseline file with the failOnBreaking option', async () => {
+
+				const { results: [{ changes }] } = await build({ failOnBreaking: true, baseline: 'previous' }, { previous: {} });
+
+				assert.equal(changes, null);
+			});
+
+			it('should reject with a parse error when the previous schema is not valid', async () => {
+				await assert.rejects(build({ diff: 'markdown' }, { [buildFile]: '{ invalid' }), { name: 'ParseError', path: buildFile });
+			});
+
+			it('should reject with a write error when the changelog can not be written', async () => {
+
+				sandbox.stub(fs, 'writeFile').rejects(new Error('EACCES'));
+
+				await assert.rejects(build({ diff: 'markdown' }, { [buildFile]: JSON.stringify(previousSpec) }), { name: 'WriteError', path: changelogFile });
+			});
+		});
+
+		describe('docs', () => {
+
+			const docs = '<!DOCTYPE html><html></html>';
+			const dts = 'export type Movie = string;\n';
+			const client = 'module.exports = class ApiClient {};\n';
+
+			it('should write the HTML documentation, the type definitions and the client of every schema type', async () => {
+
+				const builder = new ApiSchemaBuilder({ quiet: true });
+
+				sandbox.stub(builder, 'buildSpec').resolves([{
+					...publicResult,
+					docs,
+					dts,
+					client
+				}, { ...publicResult, type: 'ipc', docs }]);
+
+				MockFs({});
+
+				try {
+					await builder.build();
+
+					assert.equal(await fs.readFile(path.join(ApiSchemaBuilder.schemaDir, 'docs', 'index.html'), 'utf8'), docs);
+					assert.equal(await fs.readFile(path.join(ApiSchemaBuilder.schemaDir, 'docs', 'ipc.html'), 'utf8'), docs);
+					assert.equal(await fs.readFile(path.join(ApiSchemaBuilder.schemaDir, 'public.d.ts'), 'utf8'), dts);
+					assert.equal(await fs.readFile(path.join(ApiSchemaBuilder.schemaDir, 'public.client.js'), 'utf8'), client);
+					await assert.rejects(fs.readFile(path.join(ApiSchemaBuilder.schemaDir, 'ipc.d.ts'), 'utf8'));
+				} finally {
+					MockFs.restore();
+				}
+			});
+
+			it('should reject with a write error when the docs file can not be written', async () => {
+
+				const builder = new ApiSchemaBuilder({ quiet: true });
+				const mock = sandbox.mock(builder);
+
+				mock.expects('buildSpec').once()
+					.resolves([{ ...publicResult, docs }]);
+
+				mock.expects('_makeDirectory').twice();
+				mock.expects('_writeSchema').once();
+
+				sandbox.stub(fs, 'writeFile').rejects(new Error('EACCES'));
+
+				await assert.rejects(builder.build(), {
+					name: 'WriteError',
+					path: path.join(ApiSchemaBuilder.schemaDir, 'docs', 'index.html')
+				});
+
+				mock.verify();
+			});
+
+			it('should reject with a write error when the type definitions file can not be written', async () => {
+
+				const builder = new ApiSchemaBuilder({ quiet: true });
+				const mock = sandbox.mock(builder);
+
+				mock.expects('buildSpec').once()
+					.resolves([{ ...publicResult, dts }]);
+
+				mock.expects('_makeDirectory').once();
+				mock.expects('_writeSchema').once();
+
+				sandbox.stub(fs, 'writeFile').rejects(new Error('EACCES'));
+
+				await assert.rejects(builder.build(), {
+					name: 'WriteError',
+					path: path.join(ApiSchemaBuilder.schemaDir, 'public.d.ts')
+				});
+
+				mock.verify();
+			});
+
+			it('should reject with a write error when the client file can not be written', async () => {
+
+				const builder = new ApiSchemaBuilder({ quiet: true });
+				const mock = sandbox.mock(builder);
+
+				mock.expects('buildSpec').once()
+					.resolves([{ ...publicResult, client }]);
+
+				mock.expects('_makeDirectory').once();
+				mock.expects('_writeSchema').once();
+
+				sandbox.stub(fs, 'writeFile').rejects(new Error('EACCES'));
+
+				await assert.rejects(builder.build(), {
+					name: 'WriteError',
+					path: path.join(ApiSchemaBuilder.schemaDir, 'public.client.js')
+				});
+
+				mock.verify();
+			});
+
+			it('should write the collection of every format next to the schema', async () => {
+
+				const builder = new ApiSchemaBuilder({ quiet: true });
+
+				sandbox.stub(builder, 'buildSpec').resolves([{ ...publicResult, collections: { postman: '{"item":[]}', insomnia: '{"resources":[]}' } }]);
+
+				MockFs({});
+
+				try {
+					await builder.build();
+
+					assert.equal(await fs.readFile(path.join(ApiSchemaBuilder.schemaDir, 'public.postman_collection.json'), 'utf8'), '{"item":[]}');
+					assert.equal(await fs.readFile(path.join(ApiSchemaBuilder.schemaDir, 'public.insomnia.json'), 'utf8'), '{"resources":[]}');
+				} finally {
+					MockFs.restore();
+				}
+			});
+
+			it('should reject with a write error when a collection file can not be written', async () => {
+
+				const builder = new ApiSchemaBuilder({ quiet: true });
+				const mock = sandbox.mock(builder);
+
+				mock.expects('buildSpec').once()
+					.resolves([{ ...publicResult, collections: { insomnia: '{}' } }]);
+
+				mock.expects('_makeDirectory').once();
+				mock.expects('_writeSchema').once();
+
+				sandbox.stub(fs, 'writeFile').rejects(new Error('EACCES'));
+
+				await assert.rejects(builder.build(), {
+					name: 'WriteError',
+					path: path.join(ApiSchemaBuilder.schemaDir, 'public.insomnia.json')
+				});
+
+				mock.verify();
+			});
+		});
+
+		it('should write the report file with the warnings of every schema type', async () => {
+
+			const validationErrors = [{ message: 'should have required property \'info\'', pointer: '' }];
+
+			const builder = new ApiSchemaBuilder({ report: 'json', reportFile: 'reports/schemas.json' });
+			const mock = sandbox.mock(builder);
+
+			mock.expects('buildSpec').once()
+				.resolves([{ ...publicResult, warnings: [{ message: 'Found errors', errors: validationErrors }] }, { ...publicResult, type: 'ipc' }]);
+
+			mock.expects('_makeDirectory').twice();
+			mock.expects('_writeErrorLog').once();
+			mock.expects('_writeSchema').twice();
+
+			const writeFile = sandbox.stub(fs, 'writeFile').resolves();
+
+			await builder.build();
+
+			mock.verify();
+			sandbox.assert.calledOnce(writeFile);
+			sandbox.assert.calledWith(writeFile, path.join(process.cwd(), 'reports', 'schemas.json'));
+
+			assert.deepEqual(JSON.parse(writeFile.lastCall.args[1]), {
+				public: { severity: 'warning', errors: validationErrors },
+				ipc: { severity: 'warning', errors: [] }
+			});
+		});
+
+		it('should reject with a write error when the report file can not be written', async () => {
+
+			const builder = new ApiSchemaBuilder({ report: 'text', quiet: true });
+			const mock = sandbox.mock(builder);
+
+			mock.expects('buildSpec').once()
+				.resolves([publicResult]);
+
+			mock.expects('_makeDirectory').twice();
+			mock.expects('_writeSchema').once();
+
+			sandbox.stub(fs, 'writeFile').rejects(new Error('EACCES'));
+
+			await assert.rejects(builder.build(), {
+				name: 'WriteError',
+				path: path.join(ApiSchemaBuilder.schemaDir, 'build-report.txt')
+			});
+
+			mock.verify();
+		});
+
+		it('should reject with a write error when the error log can not be written', async () => {
+
+			const mock = sandbox.mock(apiSchemaBuilder);
+
+			mock.expects('buildSpec').once()
+				.rejects(new ApiSchemaBuilder.ValidationError('Found errors', 'schemas/src/public', 'public'));
+
+			mock.expects('_makeDirectory').once();
+
+			sandbox.stub(fs, 'writeFile').rejects(new Error('EACCES'));
+
+			await assert.rejects(apiSchemaBuilder.build(), {
+				name: 'WriteError',
+				path: ApiSchemaBuilder.errorLog
+			});
+
+			mock.verify();
+		});
+
+		it('should reject with the build errors without writing any file', async () => {
+
+			const mock = sandbox.mock(apiSchemaBuilder);
+
+			mock.expects('buildSpec').once()
+				.rejects(new ApiSchemaBuilder.SourceNotFoundError('No Files to Build', ApiSchemaBuilder.schemaSrcDir));
+
+			mock.expects('_writeErrorLog').never();
+			mock.expects('_writeSchema').never();
+
+			await assert.rejects(apiSchemaBuilder.build(), ApiSchemaBuilder.SourceNotFoundError);
+
+			mock.verify();
+		});
+
+		it('should not log the progress when the quiet option is set', async () => {
+
+			const builder = new ApiSchemaBuilder({ quiet: true });
+			const mock = sandbox.mock(builder);
+
+			mock.expects('buildSpec').once()
+				.resolves([publicResult]);
+
+			mock.expects('_makeDirectory').once();
+			mock.expects('_writeSchema').once();
+
+			await builder.build();
+
+			mock.verify();
+			sandbox.assert.notCalled(console.log);
+		});
+	});
+
+});
+
+describe('index', () => {
+
+	let exitCode;
+
+	before(() => {
+		({ exitCode } = process);
+		sandbox.stub(Cli, 'run').resolves(0);
+	});
+
+	after(() => {
+		sandbox.restore();
+		process.exitCode = exitCode;
+	});
+
+	it('should run the CLI with the process arguments', async () => {
+		const index = require('./../index'); // eslint-disable-line
+
+		sandbox.assert.calledOnce(Cli.run);
+		sandbox.assert.calledWithExactly(Cli.run, process.argv.slice(2));
 	});
 
 });
@@ -0,0 +1,259 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const sinon = require('sinon');
+const MockFs = require('mock-fs');
+
+const BuildCache = require('./../lib/build-cache');
+
+describe('BuildCache', () => {
+
+	const cacheFile = path.join(process.cwd(), 'schemas', '.cache', 'public.json');
+	const baseFile = path.join(process.cwd(), 'schemas', 'src', 'public', 'base.yml');
+	const movieFile = path.join(process.cwd(), 'schemas', 'src', 'movie.yml');
+
+	const files = {
+		[baseFile]: 'openapi: 3.0.0\npaths: { $ref: "../movie.yml" }',
+		[movieFile]: '/movies: {}'
+	};
+
+	const result = {
+		type: 'public',
+		spec: { openapi: '3.0.0', paths: { '/movies': {} } },
+		warnings: [],
+		files: [baseFile, movieFile]
+	};
+
+	/**
+	 * Saves a cache and loads it again, like two consecutive builds
+	 */
+	const saveAndLoad = async (cache, sources = [baseFile], buildResult = result) => {
+
+		// The files read by the build
+		buildResult.files
+			.filter(file => files[file] !== undefined)
+			.forEach(file => cache.addFile(file, files[file]));
+
+		await cache.save(sources, buildResult);
+
+		const loadedCache = new BuildCache(cacheFile, { strict: true });
+
+		await loadedCache.load();
+
+		return loadedCache;
+	};
+
+	afterEach(() => {
+		MockFs.restore();
+	});
+
+	describe('load', () => {
+
+		it('should load the result of the previous build with the same builder version and options', async () => {
+
+			MockFs(files);
+
+			const cache = await saveAndLoad(new BuildCache(cacheFile, { strict: true }));
+
+			assert.deepEqual(cache.sources, [baseFile]);
+			assert.deepEqual(Object.keys(cache.files), [baseFile, movieFile]);
+			assert.deepEqual(cache.result, result);
+		});
+
+		it('should ignore the cache of other options and the invalid cache files', async () => {
+
+			MockFs(files);
+
+			const cache = await saveAndLoad(new BuildCache(cacheFile, { strict: false }));
+
+			assert.equal(cache.result, null);
+
+			MockFs.restore();
+			MockFs({ ...files, [cacheFile]: '{' });
+
+			const invalidCache = new BuildCache(cacheFile);
+
+			await invalidCache.load();
+
+			assert.equal(invalidCache.result, null);
+		});
+
+		it('should start empty when there is no cache file', async () => {
+
+			MockFs(files);
+
+			const cache = new BuildCache(cacheFile);
+
+			await cache.load();
+
+			assert.equal(await cache.getResult([baseFile]), null);
+		});
+	});
+
+	describe('getResult', () => {
+
+		it('should return the result when the sources are the same and none of the files changed', async () => {
+
+			MockFs(files);
+
+			const cache = await saveAndLoad(new BuildCache(cacheFile, { strict: true }));
+
+			assert.deepEqual(await cache.getResult([baseFile]), result);
+			assert.equal(await cache.getResult([baseFile, movieFile]), null);
+		});
+
+		it('should return null when a file changed or it was removed', async () => {
+
+			MockFs(files);
+
+			const cache = await saveAndLoad(new BuildCache(cacheFile, { strict: true }));
+
+			MockFs.restore();
+			MockFs({ ...files, [movieFile]: '/movies: { get: {} }' });
+
+			assert.equal(await cache.getResult([baseFile]), null);
+
+			MockFs.restore();
+			MockFs({ [baseFile]: files[baseFile] });
+
+			assert.equal(await cache.getResult([baseFile]), null);
+		});
+	});
+
+	describe('parse', () => {
+
+		it('should not parse again the contents parsed by the previous build, and return a copy of them', async () => {
+
+			MockFs(files);
+
+			const cache = new BuildCache(cacheFile, { strict: true });
+			const parse = sinon.spy(() => ({ '/movies': {} }));
+
+			assert.deepEqual(cache.parse(movieFile, files[movieFile], parse), { '/movies': {} });
+
+			const loadedCache = await saveAndLoad(cache);
+
+			const parsed = loadedCache.parse(path.join('shared', 'movie.yml'), files[movieFile], parse);
+
+			assert.deepEqual(parsed, { '/movies': {} });
+			assert.notEqual(parsed, loadedCache.parse(movieFile, files[movieFile], parse));
+			sinon.assert.calledOnce(parse);
+
+			// The extension is part of the hash, the same content could be parsed in other way
+			loadedCache.parse(path.join('shared', 'movie.json'), files[movieFile], parse);
+
+			sinon.assert.calledTwice(parse);
+		});
+
+		it('should only save the parsed contents used by the last build', async () => {
+
+			MockFs(files);
+
+			const cache = new BuildCache(cacheFile, { strict: true });
+
+			cache.parse(baseFile, files[baseFile], () => ({ openapi: '3.0.0' }));
+
+			const loadedCache = await saveAndLoad(cache);
+
+			loadedCache.parse(movieFile, files[movieFile], () => ({ '/movies': {} }));
+
+			const lastCache = await saveAndLoad(loadedCache);
+
+			assert.equal(lastCache.parsedFiles.size, 1);
+		});
+
+		it('should not cache the parsed values that JSON can not keep, like the dates of YAML', async () => {
+
+			MockFs(files);
+
+			const cache = new BuildCache(cacheFile, { strict: true });
+			const parse = sinon.spy(() => ({ released: new Date('1979-05-25'), rating: NaN }));
+
+			cache.parse(movieFile, files[movieFile], parse);
+
+			const loadedCache = await saveAndLoad(cache);
+
+			assert.deepEqual(loadedCache.parse(movieFile, files[movieFile], parse).released, new Date('1979-05-25'));
+			sinon.assert.calledTwice(parse);
+		});
+	});
+
+	describe('save', () => {
+
+		it('should not save the result when a file can not be read, like the remote references', async () => {
+
+			MockFs(files);
+
+			const cache = await saveAndLoad(new BuildCache(cacheFile, { strict: true }), [baseFile], {
+				...result,
+				files: [...result.files, 'https://movies.com/movie.yml']
+			});
+
+			assert.equal(cache.result, null);
+			assert.deepEqual(cache.files, {});
+		});
+
+		it('should save the hashes of the contents read by the build, so the files changed during the build are built again', async () => {
+
+			MockFs(files);
+
+			const cache = new BuildCache(cacheFile, { strict: true });
+
+			cache.parse(baseFile, files[baseFile], () => ({ openapi: '3.0.0' }));
+			cache.parse(movieFile, files[movieFile], () => ({ '/movies': {} }));
+
+			// Saved after the build read the files
+			MockFs.restore();
+			MockFs({ ...files, [movieFile]: '/movies: { get: {} }' });
+
+			await cache.save([baseFile], result);
+
+			const loadedCache = new BuildCache(cacheFile, { strict: true });
+
+			await loadedCache.load();
+
+			assert.equal(await loadedCache.getResult([baseFile]), null);
+		});
+
+		it('should not save the result when a file was not read by the build', async () => {
+
+			MockFs(files);
+
+			const cache = new BuildCache(cacheFile, { strict: true });
+
+			cache.addFile(baseFile, files[baseFile]);
+
+			await cache.save([baseFile], result);
+
+			const loadedCache = new BuildCache(cacheFile, { strict: true });
+
+			await loadedCache.load();
+
+			assert.equal(loadedCache.result, null);
+		});
+
+		it('should not save the result when it has values that JSON can not keep', async () => {
+
+			MockFs(files);
+
+			const cache = await saveAndLoad(new BuildCache(cacheFile, { strict: true }), [baseFile], {
+				...result,
+				spec: { ...result.spec, 'x-released': new Date('1979-05-25') }
+			});
+
+			assert.equal(cache.result, null);
+		});
+
+		it('should reject with a write error when the cache file can not be written', async () => {
+
+			MockFs({ ...files, [path.dirname(cacheFile)]: MockFs.file({ content: '' }) });
+
+			await assert.rejects(new BuildCache(cacheFile).save([baseFile], result), {
+				name: 'WriteError',
+				message: /^Can't write the cache file 'schemas\/.cache\/public.json'\./,
+				path: cacheFile
+			});
+		});
+	});
+});
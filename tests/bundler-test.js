@@ -0,0 +1,242 @@
+'use strict';
+
+const assert = require('assert');
+
+const Bundler = require('./../lib/bundler');
+
+describe('Bundler', () => {
+
+	const movie = { type: 'object', properties: { title: { type: 'string' } } };
+
+	describe('bundle', () => {
+
+		it('should move the referenced files to the components and reference them internally', () => {
+
+			const resolvedSchema = {
+				paths: {
+					'/movies': {
+						get: { responses: { 200: { description: 'Ok', content: { 'application/json': { schema: movie } } } } },
+						post: { requestBody: { content: { 'application/json': { schema: movie } } } }
+					}
+				}
+			};
+
+			const { schema, components } = Bundler.bundle(resolvedSchema, {
+				'#/paths/~1movies/get/responses/200/content/application~1json/schema': { fqURI: './schemas/shared/movie-list.yml' },
+				'#/paths/~1movies/post/requestBody/content/application~1json/schema': { fqURI: './schemas/shared/movie-list.yml' }
+			});
+
+			const ref = { $ref: '#/components/schemas/MovieList' };
+
+			assert.deepEqual(schema, {
+				paths: {
+					'/movies': {
+						get: { responses: { 200: { description: 'Ok', content: { 'application/json': { schema: ref } } } } },
+						post: { requestBody: { content: { 'application/json': { schema: ref } } } }
+					}
+				},
+				components: { schemas: { MovieList: movie } }
+			});
+
+			assert.deepEqual(components, [{ pointer: '/components/schemas/MovieList', uri: './schemas/shared/movie-list.yml' }]);
+		});
+
+		it('should not modify the resolved schema', () => {
+
+			const resolvedSchema = { paths: { '/movies': { get: { parameters: [{ name: 'page', in: 'query' }] } } } };
+
+			Bundler.bundle(resolvedSchema, { '#/paths/~1movies/get/parameters/0': { fqURI: './parameters.yml#/Page' } });
+
+			assert.deepEqual(resolvedSchema, { paths: { '/movies': { get: { parameters: [{ name: 'page', in: 'query' }] } } } });
+		});
+
+		it('should choose the components section by the place where the reference is used', () => {
+
+			const { schema } = Bundler.bundle({
+				paths: {
+					'/movies': {
+						get: {
+							parameters: [{ name: 'page', in: 'query' }],
+							responses: { 404: { description: 'Not Found', headers: { 'X-Request-Id': { schema: { type: 'string' } } } } }
+						},
+						post: {
+							requestBody: { description: 'The movie' },
+							responses: { 201: { description: 'Created', content: { 'application/json': { examples: { matrix: { value: {} } } } } } }
+						}
+					}
+				}
+			}, {
+				'#/paths/~1movies/get/parameters/0': { fqURI: './parameters.yml#/Page' },
+				'#/paths/~1movies/get/responses/404': { fqURI: './responses.yml#/NotFound' },
+				'#/paths/~1movies/get/responses/404/headers/X-Request-Id': { fqURI: './headers.yml#/RequestId' },
+				'#/paths/~1movies/post/requestBody': { fqURI: './movie/index.yml' },
+				'#/paths/~1movies/post/responses/201/content/application~1json/examples/matrix': { fqURI: './examples.yml#/Matrix' }
+			});
+
+			assert.deepEqual(schema.paths, {
+				'/movies': {
+					get: {
+						parameters: [{ $ref: '#/components/parameters/Page' }],
+						responses: { 404: { $ref: '#/components/responses/NotFound' } }
+					},
+					post: {
+						requestBody: { $ref: '#/components/requestBodies/Movie' },
+						responses: {
+							201: { description: 'Created', content: { 'application/json': { examples: { matrix: { $ref: '#/components/examples/Matrix' } } } } }
+						}
+					}
+				}
+			});
+
+			assert.deepEqual(schema.components, {
+				parameters: { Page: { name: 'page', in: 'query' } },
+				headers: { RequestId: { schema: { type: 'string' } } },
+				responses: { NotFound: { description: 'Not Found', headers: { 'X-Request-Id': { $ref: '#/components/headers/RequestId' } } } },
+				requestBodies: { Movie: { description: 'The movie' } },
+				examples: { Matrix: { value: {} } }
+			});
+		});
+
+		it('should choose the schemas section for the schema properties, whatever their name is', () => {
+
+			const { schema } = Bundler.bundle({
+				components: { schemas: { Movie: { type: 'object', properties: { parameters: { type: 'string' } }, allOf: [{ type: 'object' }] } } }
+			}, {
+				'#/components/schemas/Movie/properties/parameters': { fqURI: './title.yml' },
+				'#/components/schemas/Movie/allOf/0': { fqURI: './base.yml' }
+			});
+
+			assert.deepEqual(schema.components.schemas, {
+				Movie: { type: 'object', properties: { parameters: { $ref: '#/components/schemas/Title' } }, allOf: [{ $ref: '#/components/schemas/Base' }] },
+				Title: { type: 'string' },
+				Base: { type: 'object' }
+			});
+		});
+
+		it('should keep the names of the components defined as references', () => {
+
+			const { schema, components } = Bundler.bundle({
+				paths: { '/movies': { get: { responses: { 200: { content: { 'application/json': { schema: movie } } } } } } },
+				components: { schemas: { Film: movie } }
+			}, {
+				'#/paths/~1movies/get/responses/200/content/application~1json/schema': { fqURI: './movie.yml' },
+				'#/components/schemas/Film': { fqURI: './movie.yml' }
+			});
+
+			assert.deepEqual(schema, {
+				paths: { '/movies': { get: { responses: { 200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Film' } } } } } } } },
+				components: { schemas: { Film: movie } }
+			});
+
+			assert.deepEqual(components, [{ pointer: '/components/schemas/Film', uri: './movie.yml' }]);
+		});
+
+		it('should add a number to the names already used by other components', () => {
+
+			const { schema } = Bundler.bundle({
+				components: {
+					schemas: {
+						Movie: { type: 'object' },
+						Catalog: { type: 'object', properties: { movie, legacyMovie: movie } }
+					}
+				}
+			}, {
+				'#/components/schemas/Catalog/properties/movie': { fqURI: './movie.yml' },
+				'#/components/schemas/Catalog/properties/legacyMovie': { fqURI: './legacy/movie.yml' }
+			});
+
+			assert.deepEqual(schema.components.schemas.Catalog.properties, {
+				movie: { $ref: '#/components/schemas/Movie2' },
+				legacyMovie: { $ref: '#/components/schemas/Movie3' }
+			});
+		});
+
+		it('should reference the components of the circular references', () => {
+
+			const tree = { type: 'object', properties: { children: { type: 'array', items: { $ref: './tree.yml' } } } };
+
+			const { schema } = Bundler.bundle({
+				paths: { '/trees': { get: { responses: { 200: { content: { 'application/json': { schema: tree } } } } } } }
+			}, {
+				'#/paths/~1trees/get/responses/200/content/application~1json/schema': { fqURI: './tree.yml' },
+				'#/paths/~1trees/get/responses/200/content/application~1json/schema/properties/children/items': { fqURI: './tree.yml', circular: true }
+			});
+
+			assert.deepEqual(schema.components.schemas.Tree, {
+				type: 'object',
+				properties: { children: { type: 'array', items: { $ref: '#/components/schemas/Tree' } } }
+			});
+		});
+
+		it('should move the referenced path items to the components since OpenAPI 3.1', () => {
+
+			const pathItem = { post: { summary: 'A new movie' } };
+			const refs = { '#/webhooks/newMovie': { fqURI: './new-movie.yml' } };
+
+			const { schema } = Bundler.bundle({ openapi: '3.1.0', webhooks: { newMovie: pathItem } }, refs, '3.1');
+
+			assert.deepEqual(schema, {
+				openapi: '3.1.0',
+				webhooks: { newMovie: { $ref: '#/components/pathItems/NewMovie' } },
+				components: { pathItems: { NewMovie: pathItem } }
+			});
+		});
+
+		it('should keep the properties defined next to the references since OpenAPI 3.1', () => {
+
+			const refs = {
+				'#/paths/~1movies/get/responses/200': { fqURI: './responses.yml#/Ok', def: { $ref: './responses.yml#/Ok', description: 'The movies' } }
+			};
+			const resolvedSchema = { paths: { '/movies': { get: { responses: { 200: { description: 'Ok' } } } } } };
+
+			assert.deepEqual(Bundler.bundle(resolvedSchema, refs, '3.1').schema.paths['/movies'].get.responses, {
+				200: { $ref: '#/components/responses/Ok', description: 'The movies' }
+			});
+
+			assert.deepEqual(Bundler.bundle(resolvedSchema, refs, '3.0').schema.paths['/movies'].get.responses, {
+				200: { $ref: '#/components/responses/Ok' }
+			});
+		});
+
+		it('should keep inlined the references that can not be components', () => {
+
+			const pathItem = { get: { summary: 'List the movies' } };
+
+			const { schema, components } = Bundler.bundle({ paths: { '/movies': pathItem } }, {
+				'#/paths/~1movies': { fqURI: './movies.yml' }
+			});
+
+			assert.deepEqual(schema, { paths: { '/movies': pathItem } });
+			assert.deepEqual(components, []);
+		});
+	});
+
+	describe('dereference', () => {
+
+		const refs = {
+			'#/paths/~1movies/get/responses/200': { fqURI: './responses.yml#/Ok', def: { $ref: './responses.yml#/Ok', description: 'The movies' } },
+			'#/paths/~1movies/post/responses/200': { fqURI: './responses.yml#/Ok', def: { $ref: './responses.yml#/Ok' } }
+		};
+
+		const ok = { description: 'Ok' };
+		const resolvedSchema = { paths: { '/movies': { get: { responses: { 200: ok } }, post: { responses: { 200: ok } } } } };
+
+		it('should override the inlined objects with the properties defined next to the references since OpenAPI 3.1', () => {
+
+			assert.deepEqual(Bundler.dereference(resolvedSchema, refs, '3.1'), {
+				paths: {
+					'/movies': {
+						get: { responses: { 200: { description: 'The movies' } } },
+						post: { responses: { 200: { description: 'Ok' } } }
+					}
+				}
+			});
+
+			assert.deepEqual(ok, { description: 'Ok' });
+		});
+
+		it('should return the resolved schema before OpenAPI 3.1', () => {
+			assert.equal(Bundler.dereference(resolvedSchema, refs, '3.0'), resolvedSchema);
+		});
+	});
+});
@@ -0,0 +1,552 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sandbox = require('sinon').createSandbox();
+
+const ApiSchemaBuilder = require('./../lib');
+const ApiSchemaBuilderError = require('./../lib/errors/api-schema-builder-error');
+const Cli = require('./../lib/cli');
+const Config = require('./../lib/config');
+const ContractTester = require('./../lib/contract-tester');
+const MockServer = require('./../lib/mock-server');
+const Watcher = require('./../lib/watcher');
+const { version } = require('./../package.json');
+
+describe('Cli', () => {
+
+	afterEach(() => {
+		sandbox.restore();
+	});
+
+	describe('parseArgs', () => {
+
+		it('should return no options when there are no arguments', () => {
+			assert.deepEqual(Cli.parseArgs([]), {});
+		});
+
+		it('should parse the options with values and the flags', () => {
+
+			const options = Cli.parseArgs(['--src', 'api/src', '--out=api', '-f', 'yaml', '--quiet']);
+
+			assert.deepEqual(options, {
+				src: 'api/src',
+				out: 'api',
+				format: 'yaml',
+				quiet: true
+			});
+		});
+
+		it('should parse the report options', () => {
+			assert.deepEqual(Cli.parseArgs(['-r', 'junit', '--report-file', 'reports/schemas.xml']), { report: 'junit', reportFile: 'reports/schemas.xml' });
+		});
+
+		it('should parse the dereference flag', () => {
+			assert.deepEqual(Cli.parseArgs(['--dereference', '--canonical']), { dereference: true, canonical: true });
+		});
+
+		it('should parse the docs flags', () => {
+			assert.deepEqual(Cli.parseArgs(['--docs', '--dts', '--client', '--collection', 'postman']), {
+				docs: true,
+				dts: true,
+				client: true,
+				collection: 'postman'
+			});
+		});
+
+		it('should parse the no cache flag', () => {
+			assert.deepEqual(Cli.parseArgs(['--no-cache', '--quiet']), { cache: false, quiet: true });
+		});
+
+		it('should parse the diff options', () => {
+			assert.deepEqual(Cli.parseArgs(['--diff', 'json', '--baseline=previous', '--fail-on-breaking']), {
+				diff: 'json',
+				baseline: 'previous',
+				failOnBreaking: true
+			});
+		});
+
+		it('should parse the environment option', () => {
+			assert.deepEqual(Cli.parseArgs(['--env', 'qa']), { env: 'qa' });
+			assert.deepEqual(Cli.parseArgs(['-e', 'prod']), { env: 'prod' });
+		});
+
+		it('should parse the include and exclude filters', () => {
+			assert.deepEqual(Cli.parseArgs([
+				'--include', 'tag:movies',
+				'--exclude', 'x-internal',
+				'--exclude=path:/admin/**',
+				'--exclude', 'method:delete',
+				'--include', 'tag:actors'
+			]), {
+				filter: {
+					include: { tags: ['movies', 'actors'] },
+					exclude: { extensions: ['x-internal'], paths: ['/admin/**'], methods: ['delete'] }
+				}
+			});
+		});
+
+		it('should throw an invalid arguments error when a filter is not valid', () => {
+			assert.throws(() => Cli.parseArgs(['--exclude', 'internal']), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Invalid filter \'internal\' for argument \'--exclude\', must be tag:<name>, path:<glob>, method:<name> or x-<extension>'
+			});
+			assert.throws(() => Cli.parseArgs(['--include', 'operation:list']), { code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS });
+		});
+
+		it('should parse the command and the mock options', () => {
+			assert.deepEqual(Cli.parseArgs(['mock', '--port', '8080', '--host=0.0.0.0', '--build', '-t', 'ipc']), {
+				command: 'mock',
+				port: 8080,
+				host: '0.0.0.0',
+				build: true,
+				types: ['ipc']
+			});
+			assert.deepEqual(Cli.parseArgs(['build', '-q']), { command: 'build', quiet: true });
+		});
+
+		it('should throw an invalid arguments error when the port is not valid', () => {
+			assert.throws(() => Cli.parseArgs(['mock', '--port', 'http']), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Invalid port \'http\' for argument \'--port\''
+			});
+			assert.throws(() => Cli.parseArgs(['mock', '--port=70000']), { code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS });
+		});
+
+		it('should parse the test options', () => {
+			assert.deepEqual(Cli.parseArgs([
+				'test',
+				'--base-url',
+				'https://qa.movies.com/api',
+				'--header',
+				'Authorization: Bearer token',
+				'--header=X-Tenant:movies',
+				'--junit',
+				'reports/contract.xml'
+			]), {
+				command: 'test',
+				baseUrl: 'https://qa.movies.com/api',
+				headers: { authorization: 'Bearer token', 'x-tenant': 'movies' },
+				junit: 'reports/contract.xml'
+			});
+		});
+
+		it('should throw an invalid arguments error when the base URL or a header is not valid', () => {
+			assert.throws(() => Cli.parseArgs(['test', '--base-url', 'ftp://movies.com']), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Invalid URL \'ftp://movies.com\' for argument \'--base-url\''
+			});
+			assert.throws(() => Cli.parseArgs(['test', '--base-url', 'movies']), { code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS });
+			assert.throws(() => Cli.parseArgs(['test', '--header', 'Bearer token']), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Invalid header \'Bearer token\' for argument \'--header\', must be <name>: <value>'
+			});
+		});
+
+		it('should throw an invalid arguments error when the command is not the first argument', () => {
+			assert.throws(() => Cli.parseArgs(['-q', 'mock']), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Unknown argument \'mock\''
+			});
+		});
+
+		it('should parse the lint flag', () => {
+			assert.deepEqual(Cli.parseArgs(['-l']), { lint: true });
+		});
+
+		it('should collect every repeated type', () => {
+
+			const options = Cli.parseArgs(['--type', 'public', '-t', 'internal', '--type=private']);
+
+			assert.deepEqual(options, { types: ['public', 'internal', 'private'] });
+		});
+
+		it('should parse the help and version flags', () => {
+			assert.deepEqual(Cli.parseArgs(['-h', '--version']), { help: true, version: true });
+		});
+
+		it('should throw an invalid arguments error when an argument is unknown', () => {
+
+			assert.throws(() => Cli.parseArgs(['--source', 'api']), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Unknown argument \'--source\''
+			});
+		});
+
+		it('should throw an invalid arguments error when an option has no value', () => {
+
+			assert.throws(() => Cli.parseArgs(['--out']), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Missing value for argument \'--out\''
+			});
+
+			assert.throws(() => Cli.parseArgs(['--type=']), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS
+			});
+		});
+	});
+
+	describe('run', () => {
+
+		beforeEach(() => {
+			sandbox.stub(console, 'log');
+			sandbox.stub(console, 'error');
+		});
+
+		it('should print the usage and not build when the help flag is passed', async () => {
+
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build');
+
+			assert.equal(await Cli.run(['--help']), 0);
+
+			sandbox.assert.calledWithExactly(console.log, Cli.usage);
+			sandbox.assert.notCalled(build);
+		});
+
+		it('should print the version and not build when the version flag is passed', async () => {
+
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build');
+
+			assert.equal(await Cli.run(['-v']), 0);
+
+			sandbox.assert.calledWithExactly(console.log, version);
+			sandbox.assert.notCalled(build);
+		});
+
+		it('should return the invalid arguments exit code when the arguments are invalid', async () => {
+
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build');
+
+			assert.equal(await Cli.run(['--unknown']), ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+			assert.equal(await Cli.run(['--format', 'xml']), ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+
+			sandbox.assert.calledTwice(console.error);
+			sandbox.assert.notCalled(build);
+		});
+
+		it('should build the schemas with the options of the arguments', async () => {
+
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build').callsFake(function() {
+				assert.deepEqual(this.types, ['internal']);
+				assert.equal(this.format, 'yaml');
+				assert(this.quiet);
+			});
+
+			assert.equal(await Cli.run(['--type', 'internal', '--format', 'yaml', '-q']), 0);
+
+			sandbox.assert.calledOnce(build);
+		});
+
+		it('should log the error and return its code when the build fails', async () => {
+
+			sandbox.stub(ApiSchemaBuilder.prototype, 'build').rejects(new ApiSchemaBuilder.ParseError('Invalid file', 'public.yml'));
+
+			assert.equal(await Cli.run([]), ApiSchemaBuilderError.codes.PARSE_ERROR);
+
+			sandbox.assert.calledWithMatch(console.error, 'Invalid file');
+		});
+
+		it('should return the unexpected error exit code when the build fails with an unknown error', async () => {
+
+			sandbox.stub(ApiSchemaBuilder.prototype, 'build').rejects(new Error('Unexpected'));
+
+			assert.equal(await Cli.run([]), 1);
+
+			sandbox.assert.calledWithMatch(console.error, 'Unexpected');
+		});
+
+		it('should watch the sources until the process is interrupted when the watch flag is passed', async () => {
+
+			let interrupt;
+			const watching = new Promise(resolve => {
+				// Mocha aborts the tests with a real SIGINT
+				sandbox.stub(process, 'once')
+					.withArgs('SIGINT')
+					.callsFake((signal, listener) => {
+						interrupt = listener;
+						resolve();
+					});
+			});
+
+			const start = sandbox.stub(Watcher.prototype, 'start').resolves();
+			const close = sandbox.stub(Watcher.prototype, 'close');
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build');
+
+			const exitCode = Cli.run(['--watch', '--type', 'public']);
+
+			await watching;
+
+			sandbox.assert.calledOnce(start);
+			sandbox.assert.notCalled(close);
+
+			interrupt();
+
+			assert.equal(await exitCode, 0);
+
+			sandbox.assert.calledOnce(close);
+			sandbox.assert.notCalled(build);
+		});
+
+		it('should return the error code when the watcher can not start', async () => {
+
+			sandbox.stub(Watcher.prototype, 'start').rejects(new ApiSchemaBuilder.SourceNotFoundError('Directory not found', 'schemas/src'));
+
+			assert.equal(await Cli.run(['-w']), ApiSchemaBuilderError.codes.SOURCE_NOT_FOUND);
+		});
+
+		it('should return the invalid arguments exit code when a mock option is passed without the mock command', async () => {
+
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build');
+
+			assert.equal(await Cli.run(['build', '--port', '8080']), ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+
+			sandbox.assert.calledWithMatch(console.error, 'The option \'port\' is only valid for the mock command');
+			sandbox.assert.notCalled(build);
+		});
+
+		it('should serve the built schema until the process is interrupted when the mock command is passed', async () => {
+
+			const spec = { openapi: '3.0.0', paths: {} };
+
+			let interrupt;
+			const serving = new Promise(resolve => {
+				// Mocha aborts the tests with a real SIGINT
+				sandbox.stub(process, 'once')
+					.withArgs('SIGINT')
+					.callsFake((signal, listener) => {
+						interrupt = listener;
+						resolve();
+					});
+			});
+
+			const loadSpec = sandbox.stub(ApiSchemaBuilder.prototype, 'loadSpec').callsFake(function() {
+				assert.deepEqual(this.types, ['ipc']);
+				return spec;
+			});
+
+			const start = sandbox.stub(MockServer.prototype, 'start').callsFake(function() {
+				assert.equal(this.spec, spec);
+				assert.equal(this.port, 8080);
+				assert.equal(this.host, 'localhost');
+				this.log('GET /movies 200');
+				return 'http://localhost:8080';
+			});
+
+			const stop = sandbox.stub(MockServer.prototype, 'stop').resolves();
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build');
+
+			const exitCode = Cli.run(['mock', '--port', '8080', '--build', '-t', 'ipc']);
+
+			await serving;
+
+			sandbox.assert.calledOnce(loadSpec);
+			sandbox.assert.calledWithExactly(loadSpec, undefined, true);
+			sandbox.assert.calledOnce(start);
+			sandbox.assert.calledWithMatch(console.log, 'GET /movies 200');
+			sandbox.assert.calledWithMatch(console.log, 'Mock server listening on http://localhost:8080');
+			sandbox.assert.notCalled(stop);
+
+			interrupt();
+
+			assert.equal(await exitCode, 0);
+
+			sandbox.assert.calledOnce(stop);
+			sandbox.assert.notCalled(build);
+		});
+
+		it('should not log the requests of the mock server when the quiet flag is passed', async () => {
+
+			sandbox.stub(process, 'once')
+				.withArgs('SIGINT')
+				.callsFake((signal, listener) => listener());
+
+			sandbox.stub(ApiSchemaBuilder.prototype, 'loadSpec').resolves({});
+			sandbox.stub(MockServer.prototype, 'stop').resolves();
+
+			const start = sandbox.stub(MockServer.prototype, 'start').callsFake(function() {
+				this.log('GET /movies 200');
+			});
+
+			assert.equal(await Cli.run(['mock', '-q']), 0);
+
+			sandbox.assert.calledOnce(start);
+			sandbox.assert.notCalled(console.log);
+			sandbox.assert.calledWithExactly(ApiSchemaBuilder.prototype.loadSpec, undefined, false);
+		});
+
+		it('should return the error code when the schema of the mock server can not be loaded', async () => {
+
+			sandbox.stub(ApiSchemaBuilder.prototype, 'loadSpec').rejects(new ApiSchemaBuilder.SourceNotFoundError('Directory not found', 'schemas/src'));
+
+			const start = sandbox.stub(MockServer.prototype, 'start');
+
+			assert.equal(await Cli.run(['mock']), ApiSchemaBuilderError.codes.SOURCE_NOT_FOUND);
+
+			sandbox.assert.notCalled(start);
+		});
+
+		describe('test command', () => {
+
+			const spec = { openapi: '3.0.0', paths: {} };
+
+			const results = [
+				{
+					name: 'getMovie',
+					method: 'GET',
+					url: 'http://localhost:3000/movies/10',
+					status: 200,
+					errors: []
+				},
+				{
+					name: 'deleteMovie',
+					method: 'DELETE',
+					url: 'http://localhost:3000/movies/10',
+					status: 500,
+					errors: [{ path: '$.status', message: 'The status 500 is a server error' }]
+				}
+			];
+
+			let tmpDir;
+
+			beforeEach(() => {
+				tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-schema-builder-'));
+			});
+
+			afterEach(() => {
+				fs.rmSync(tmpDir, { recursive: true, force: true });
+			});
+
+			it('should test the built schema against the service, log the results and write the JUnit report', async () => {
+
+				const loadSpec = sandbox.stub(ApiSchemaBuilder.prototype, 'loadSpec').resolves(spec);
+
+				const run = sandbox.stub(ContractTester.prototype, 'run').callsFake(function() {
+					assert.equal(this.spec, spec);
+					assert.equal(this.baseUrl, 'http://localhost:3000');
+					assert.deepEqual(this.headers, { authorization: 'Bearer token' });
+					this.results = results.slice(0, 1);
+					return this.results;
+				});
+
+				assert.equal(await Cli.run([
+					'test',
+					'--base-url',
+					'http://localhost:3000/',
+					'--header',
+					'Authorization: Bearer token',
+					'--build',
+					'-o',
+					tmpDir
+				]), 0);
+
+				sandbox.assert.calledOnce(run);
+				sandbox.assert.calledWithExactly(loadSpec, undefined, true);
+				sandbox.assert.calledWithMatch(console.log, 'PASS getMovie');
+				const junitFile = path.join(tmpDir, 'contract-report.xml');
+
+				sandbox.assert.calledWithMatch(console.log, `JUnit report written in '${path.relative(process.cwd(), junitFile)}'`);
+
+				assert(fs.readFileSync(junitFile, 'utf8').includes('<testcase classname="api" name="getMovie"/>'));
+			});
+
+			it('should return the contract test failure exit code and log the failures when a response is not valid, even with the quiet flag', async () => {
+
+				sandbox.stub(ApiSchemaBuilder.prototype, 'loadSpec').resolves(spec);
+				sandbox.stub(ContractTester.prototype, 'run').callsFake(function() {
+					this.results = results;
+					return this.results;
+				});
+
+				const junitFile = path.join(tmpDir, 'reports', 'contract.xml');
+
+				assert.equal(await Cli.run(['test', '--base-url', 'http://localhost:3000', '--junit', junitFile, '-q']),
+					ApiSchemaBuilderError.codes.CONTRACT_TEST_FAILURE);
+
+				sandbox.assert.calledWithMatch(console.log, 'FAIL deleteMovie');
+				sandbox.assert.neverCalledWithMatch(console.log, 'JUnit report written');
+				sandbox.assert.calledWithExactly(ApiSchemaBuilder.prototype.loadSpec, undefined, false);
+
+				assert(fs.readFileSync(junitFile, 'utf8').includes('failures="1"'));
+			});
+
+			it('should return the write error code when the JUnit report can not be written', async () => {
+
+				// The reports directory can't be made because it is a file
+				const junitFile = path.join(tmpDir, 'reports', 'contract.xml');
+				fs.writeFileSync(path.join(tmpDir, 'reports'), '');
+
+				sandbox.stub(ApiSchemaBuilder.prototype, 'loadSpec').resolves(spec);
+				sandbox.stub(ContractTester.prototype, 'run').resolves([]);
+
+				assert.equal(await Cli.run(['test', '--base-url', 'http://localhost:3000', '--junit', junitFile]), ApiSchemaBuilderError.codes.WRITE_ERROR);
+
+				sandbox.assert.calledWithMatch(console.error, `Can't write the JUnit report file '${path.relative(process.cwd(), junitFile)}'`);
+			});
+
+			it('should return the invalid arguments exit code without the base URL or with a test option in another command', async () => {
+
+				const loadSpec = sandbox.stub(ApiSchemaBuilder.prototype, 'loadSpec');
+
+				assert.equal(await Cli.run(['test']), ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+				sandbox.assert.calledWithMatch(console.error, 'The test command needs the \'--base-url\' option');
+
+				assert.equal(await Cli.run(['mock', '--junit', 'contract.xml']), ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+				sandbox.assert.calledWithMatch(console.error, 'The option \'junit\' is only valid for the test command');
+
+				assert.equal(await Cli.run(['--build']), ApiSchemaBuilderError.codes.INVALID_ARGUMENTS);
+				sandbox.assert.calledWithMatch(console.error, 'The option \'build\' is only valid for the mock and test commands');
+
+				sandbox.assert.notCalled(loadSpec);
+			});
+		});
+
+		it('should keep the lint severities of the config file when the lint flag is passed', async () => {
+
+			sandbox.stub(Config, 'load').resolves({ lint: { 'operation-tags': 'off' } });
+
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build').callsFake(function() {
+				assert.deepEqual(this.lint, { 'operation-tags': 'off' });
+			});
+
+			assert.equal(await Cli.run(['--lint']), 0);
+
+			sandbox.assert.calledOnce(build);
+		});
+
+		it('should override the config file options with the arguments', async () => {
+
+			sandbox.stub(Config, 'load').resolves({
+				rootDir: '/service',
+				src: 'api/src',
+				out: 'api',
+				format: 'yaml'
+			});
+
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build').callsFake(function() {
+				assert.equal(this.srcDir, path.join('/service', 'api', 'src'));
+				assert.equal(this.outDir, path.resolve('build'));
+				assert.equal(this.format, 'json');
+				assert.equal(this.baseline, path.resolve('previous'));
+			});
+
+			assert.equal(await Cli.run(['--config', 'builder.json', '--out', 'build', '--format', 'json', '--baseline', 'previous']), 0);
+
+			sandbox.assert.calledOnce(build);
+			sandbox.assert.calledWithExactly(Config.load, process.cwd(), 'builder.json');
+		});
+
+		it('should return the invalid config exit code without the usage when the config file is invalid', async () => {
+
+			sandbox.stub(Config, 'load').rejects(new ApiSchemaBuilderError('Invalid config file', ApiSchemaBuilderError.codes.INVALID_CONFIG));
+
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build');
+
+			assert.equal(await Cli.run([]), ApiSchemaBuilderError.codes.INVALID_CONFIG);
+
+			sandbox.assert.calledWithExactly(console.error, 'Invalid config file');
+			sandbox.assert.notCalled(build);
+		});
+	});
+});
@@ -0,0 +1,286 @@
+'use strict';
+
+const assert = require('assert');
+
+const Collections = require('./../lib/collections');
+
+describe('Collections', () => {
+
+	const spec = {
+		openapi: '3.0.0',
+		info: { title: 'Movie API', version: '1.0.0', description: 'The movies' },
+		servers: [null, { url: 'https://{env}.movies.com/api/', variables: { env: { default: 'qa' }, version: {} } }],
+		tags: [{ name: 'actors' }, { name: 'movies', description: 'The movie operations' }],
+		security: [{ apiKey: [] }],
+		paths: {
+			'/movies/{id}': {
+				parameters: [{ $ref: '#/components/parameters/Id' }, { name: 'fields', in: 'query', schema: { type: 'string' } }],
+				get: {
+					operationId: 'getMovie',
+					summary: 'Get a movie',
+					description: 'Returns a movie',
+					tags: ['movies', 'catalog'],
+					parameters: [
+						{
+							name: 'fields',
+							in: 'query',
+							required: true,
+							schema: { type: 'array', items: { type: 'string' } },
+							example: ['id', 'title']
+						},
+						{ name: 'filter', in: 'query', content: { 'application/json': { example: { year: 1979 } } } },
+						{ name: 'X-Trace-Id', in: 'header', description: 'The trace', schema: { type: 'string', format: 'uuid' } },
+						{ name: 'session', in: 'cookie', examples: { a: { value: 'abc' } } },
+						{ name: 'other', in: 'body' }
+					],
+					responses: {}
+				},
+				put: {
+					operationId: 'updateMovie',
+					tags: ['movies'],
+					security: [{ unknown: [] }, { basic: [] }],
+					requestBody: { $ref: '#/components/requestBodies/Movie' },
+					responses: {}
+				}
+			},
+			'/directors': {
+				post: {
+					tags: ['directors'],
+					security: [{}],
+					requestBody: {
+						content: {
+							'application/x-www-form-urlencoded': { schema: { properties: { name: { type: 'string' }, ids: { items: { type: 'integer' } } } } }
+						}
+					},
+					responses: {}
+				},
+				put: {
+					summary: 'Upload',
+					tags: ['directors'],
+					requestBody: { content: { 'multipart/form-data': { example: 'invalid' } } },
+					responses: {}
+				},
+				patch: {
+					summary: 'Rename',
+					tags: ['directors'],
+					requestBody: { content: { 'text/plain': { schema: { type: 'string', example: 'Ridley' } } } },
+					responses: {}
+				}
+			},
+			'/health': {
+				get: { operationId: 'health', security: [{ token: [] }, { oauth: [] }], responses: {} },
+				head: { security: [{ session: [] }], responses: {} }
+			},
+			'/invalid': null
+		},
+		components: {
+			parameters: { Id: { name: 'id', in: 'path', schema: { type: 'integer', minimum: 1 } } },
+			requestBodies: {
+				Movie: {
+					content: {
+						'text/plain': { example: 'Alien' },
+						'application/json': {
+							schema: { $ref: '#/components/schemas/Movie' },
+							examples: { missing: { $ref: '#/components/examples/Missing' }, alien: { $ref: '#/components/examples/Alien' } }
+						}
+					}
+				}
+			},
+			examples: { Alien: { value: { title: 'Alien' } } },
+			schemas: { Movie: { type: 'object', properties: { id: { type: 'integer', readOnly: true }, title: { type: 'string' } } } },
+			securitySchemes: {
+				apiKey: { type: 'apiKey', in: 'header', name: 'X-Api-Key' },
+				session: { type: 'apiKey', in: 'cookie', name: 'sid' },
+				basic: { type: 'http', scheme: 'Basic' },
+				token: { type: 'http', scheme: 'bearer' },
+				oauth: { $ref: '#/components/securitySchemes/token' },
+				invalid: { description: 'no type' }
+			}
+		}
+	};
+
+	const postman = JSON.parse(new Collections(spec).render('postman'));
+	const insomnia = JSON.parse(new Collections(spec).render('insomnia'));
+
+	const getPostmanItem = name => postman.item
+		.reduce((items, item) => [...items, ...(item.item || [item])], [])
+		.find(item => item.name === name);
+
+	const getInsomniaResource = name => insomnia.resources.find(resource => resource.name === name);
+
+	describe('getFormats', () => {
+
+		it('should return the collection formats of a format option', () => {
+			assert.deepEqual(Collections.getFormats('both'), ['postman', 'insomnia']);
+			assert.deepEqual(Collections.getFormats('insomnia'), ['insomnia']);
+		});
+	});
+
+	describe('render', () => {
+
+		it('should render a Postman collection with a folder per first tag, in the order of the tags, and the untagged requests at the end', () => {
+
+			assert.deepEqual(postman.info, {
+				name: 'Movie API',
+				description: 'The movies',
+				schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json'
+			});
+
+			assert.deepEqual(postman.item.map(({ name }) => name), ['movies', 'directors', 'health', 'HEAD /health']);
+			assert.deepEqual(postman.item[0].item.map(({ name }) => name), ['Get a movie', 'updateMovie']);
+			assert.equal(postman.item[0].description, 'The movie operations');
+		});
+
+		it('should render the Postman requests with the examples or samples of their parameters', () => {
+
+			const { request } = getPostmanItem('Get a movie');
+
+			assert.equal(request.method, 'GET');
+			assert.equal(request.description, 'Returns a movie');
+			assert.equal(request.url.raw, '{{baseUrl}}/movies/:id?fields=id,title');
+			assert.deepEqual(request.url.path, ['movies', ':id']);
+			assert.deepEqual(request.url.variable, [{ key: 'id', value: '1' }]);
+			assert.deepEqual(request.url.query, [
+				{ key: 'fields', value: 'id,title' },
+				{ key: 'filter', value: '{"year":1979}', disabled: true }
+			]);
+			assert.deepEqual(request.header, [
+				{
+					key: 'X-Trace-Id',
+					value: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+					description: 'The trace',
+					disabled: true
+				},
+				{ key: 'Cookie', value: 'session=abc' }
+			]);
+			assert(!('auth' in request));
+		});
+
+		it('should render the Postman bodies with the first JSON example, omitting the read only properties of the samples, and the forms fields', () => {
+
+			assert.deepEqual(getPostmanItem('updateMovie').request.body, {
+				mode: 'raw',
+				raw: '{\n  "title": "Alien"\n}',
+				options: { raw: { language: 'json' } }
+			});
+
+			assert.deepEqual(getPostmanItem('POST /directors').request.body, {
+				mode: 'urlencoded',
+				urlencoded: [{ key: 'name', value: 'string' }, { key: 'ids', value: '0' }]
+			});
+
+			const { request } = getPostmanItem('Upload');
+
+			assert.deepEqual(request.body, { mode: 'formdata', formdata: [] });
+			assert.deepEqual(request.header, []);
+
+			assert.deepEqual(getPostmanItem('Rename').request.body, { mode: 'raw', raw: 'Ridley' });
+		});
+
+		it('should render the server and its variables and the credentials of the security schemes as Postman variables', () => {
+			assert.deepEqual(postman.variable.map(({ key, value }) => [key, value]), [
+				['baseUrl', 'https://{{env}}.movies.com/api'],
+				['env', 'qa'],
+				['version', ''],
+				['apiKey', ''],
+				['session', ''],
+				['basicUsername', ''],
+				['basicPassword', ''],
+				['token', ''],
+				['oauth', '']
+			]);
+		});
+
+		it('should render the security of the schema as the Postman collection auth and the one of the operations as their auth', () => {
+
+			const toAttributes = ({ type, [type]: attributes }) => [type, attributes.map(({ key, value }) => `${key}=${value}`)];
+
+			assert.deepEqual(toAttributes(postman.auth), ['apikey', ['key=X-Api-Key', 'value={{apiKey}}', 'in=header']]);
+			assert.deepEqual(toAttributes(getPostmanItem('updateMovie').request.auth), [
+				'basic',
+				['username={{basicUsername}}', 'password={{basicPassword}}']
+			]);
+			assert.deepEqual(toAttributes(getPostmanItem('health').request.auth), ['bearer', ['token={{token}}']]);
+			assert.deepEqual(toAttributes(getPostmanItem('HEAD /health').request.auth), ['apikey', ['key=Cookie', 'value=sid={{session}}', 'in=header']]);
+			assert.deepEqual(getPostmanItem('POST /directors').request.auth, { type: 'noauth' });
+		});
+
+		it('should render an Insomnia export with a workspace, its environment, a request group per tag and the requests', () => {
+
+			const { _type: type, __export_format: exportFormat, resources: [workspace, environment] } = insomnia;
+
+			assert.equal(type, 'export');
+			assert.equal(exportFormat, 4);
+
+			const { _id: workspaceId } = workspace;
+
+			assert.deepEqual(workspace, {
+				_id: workspaceId,
+				_type: 'workspace',
+				parentId: null,
+				name: 'Movie API',
+				description: 'The movies',
+				scope: 'collection'
+			});
+			assert.equal(environment.parentId, workspaceId);
+			assert.equal(environment.data.baseUrl, 'https://{{ _.env }}.movies.com/api');
+			assert.equal(environment.data.env, 'qa');
+
+			const { _id: folderId, ...folder } = getInsomniaResource('movies');
+			const request = getInsomniaResource('Get a movie');
+
+			assert.deepEqual(folder, {
+				_type: 'request_group',
+				parentId: workspaceId,
+				name: 'movies',
+				description: 'The movie operations'
+			});
+			assert.equal(request.parentId, folderId);
+			assert.equal(getInsomniaResource('health').parentId, workspaceId);
+
+			assert.equal(request.url, '{{ _.baseUrl }}/movies/:id');
+			assert.deepEqual(request.pathParameters, [{ name: 'id', value: '1' }]);
+			assert.deepEqual(request.parameters[0], { name: 'fields', value: 'id,title' });
+			assert.deepEqual(request.body, {});
+
+			assert.deepEqual(getInsomniaResource('updateMovie').body, { mimeType: 'application/json', text: '{\n  "title": "Alien"\n}' });
+			assert.deepEqual(getInsomniaResource('POST /directors').body.params, [{ name: 'name', value: 'string' }, { name: 'ids', value: '0' }]);
+		});
+
+		it('should render the Insomnia authentication of every request, with the security of the schema as default', () => {
+			assert.deepEqual(getInsomniaResource('Get a movie').authentication, {
+				type: 'apikey',
+				key: 'X-Api-Key',
+				value: '{{ _.apiKey }}',
+				addTo: 'header'
+			});
+			assert.deepEqual(getInsomniaResource('updateMovie').authentication, {
+				type: 'basic',
+				username: '{{ _.basicUsername }}',
+				password: '{{ _.basicPassword }}'
+			});
+			assert.deepEqual(getInsomniaResource('health').authentication, { type: 'bearer', token: '{{ _.token }}' });
+			assert.equal(getInsomniaResource('HEAD /health').authentication.addTo, 'cookie');
+			assert.deepEqual(getInsomniaResource('POST /directors').authentication, {});
+		});
+
+		it('should render the same Insomnia ids in every build', () => {
+			const getIds = ({ resources }) => resources.map(({ _id: id }) => id);
+			assert.deepEqual(getIds(JSON.parse(new Collections(spec).render('insomnia'))), getIds(insomnia));
+		});
+
+		it('should render the collections of the schemas without info, servers, paths nor components', () => {
+
+			const emptySpec = { openapi: '3.1.0', paths: { '/movies': { post: { requestBody: { content: {} }, responses: {} } } } };
+
+			const emptyPostman = JSON.parse(new Collections(emptySpec).render('postman'));
+			const emptyInsomnia = JSON.parse(new Collections({ openapi: '3.1.0' }).render('insomnia'));
+
+			assert.equal(emptyPostman.info.name, 'API');
+			assert(!('auth' in emptyPostman));
+			assert(!('body' in emptyPostman.item[0].request));
+			assert.deepEqual(emptyPostman.variable, [{ key: 'baseUrl', value: '', type: 'string' }]);
+			assert.deepEqual(emptyInsomnia.resources.map(({ _type: type }) => type), ['workspace', 'environment']);
+		});
+	});
+});
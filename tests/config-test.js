@@ -0,0 +1,218 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockFs = require('mock-fs');
+
+const ApiSchemaBuilderError = require('./../lib/errors/api-schema-builder-error');
+const Config = require('./../lib/config');
+
+describe('Config', () => {
+
+	const root = path.join(process.cwd(), 'service');
+
+	afterEach(() => {
+		MockFs.restore();
+	});
+
+	describe('load', () => {
+
+		it('should return an empty object when there is no config', async () => {
+
+			MockFs({ service: { 'package.json': '{ "name": "service" }' } });
+
+			assert.deepEqual(await Config.load(root), {});
+		});
+
+		it('should return an empty object when there is no config nor package.json', async () => {
+
+			MockFs({ service: {} });
+
+			assert.deepEqual(await Config.load(root), {});
+		});
+
+		it('should load the options of the JSON config file with the file directory as rootDir', async () => {
+
+			MockFs({ service: { '.api-schema-builder.json': '{ "src": "api/src", "types": ["public"] }' } });
+
+			assert.deepEqual(await Config.load(root), { src: 'api/src', types: ['public'], rootDir: root });
+		});
+
+		it('should load the options of the YAML config file', async () => {
+
+			MockFs({ service: { '.api-schema-builder.yml': 'format: yaml\nignore:\n  - "**/*.draft.yml"' } });
+
+			assert.deepEqual(await Config.load(root), { format: 'yaml', ignore: ['**/*.draft.yml'], rootDir: root });
+		});
+
+		it('should prefer the config files to the package.json key', async () => {
+
+			MockFs({
+				service: {
+					'.api-schema-builder.yaml': 'out: build',
+					'package.json': '{ "apiSchemaBuilder": { "out": "dist" } }'
+				}
+			});
+
+			assert.deepEqual(await Config.load(root), { out: 'build', rootDir: root });
+		});
+
+		it('should load the options of the package.json key', async () => {
+
+			MockFs({ service: { 'package.json': '{ "apiSchemaBuilder": { "strict": false, "mergeStrategy": "first-wins" } }' } });
+
+			assert.deepEqual(await Config.load(root), { strict: false, mergeStrategy: 'first-wins', rootDir: root });
+		});
+
+		it('should resolve the rootDir option from the config file directory', async () => {
+
+			MockFs({ service: { '.api-schema-builder.json': '{ "rootDir": ".." }' } });
+
+			assert.deepEqual(await Config.load(root), { rootDir: process.cwd() });
+		});
+
+		it('should load the given config file instead of searching one', async () => {
+
+			MockFs({
+				service: {
+					'.api-schema-builder.json': '{ "out": "build" }',
+					config: { 'builder.yml': 'out: dist' }
+				}
+			});
+
+			assert.deepEqual(await Config.load(root, 'config/builder.yml'), { out: 'dist', rootDir: path.join(root, 'config') });
+		});
+
+		it('should load a JS config file', async () => {
+
+			const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-schema-builder-'));
+			fs.writeFileSync(path.join(directory, '.api-schema-builder.js'), 'module.exports = { quiet: true };');
+
+			try {
+				assert.deepEqual(await Config.load(directory), { quiet: true, rootDir: directory });
+			} finally {
+				fs.unlinkSync(path.join(directory, '.api-schema-builder.js'));
+				fs.rmdirSync(directory);
+			}
+		});
+
+		it('should reject with an invalid config error when the given config file does not exist', async () => {
+
+			MockFs({ service: {} });
+
+			await assert.rejects(Config.load(root, 'builder.json'), { code: ApiSchemaBuilderError.codes.INVALID_CONFIG });
+		});
+
+		it('should reject with an invalid config error when the config file can not be read', async () => {
+
+			// A directory can't be read as a file
+			MockFs({ service: { '.api-schema-builder.json': {} } });
+
+			await assert.rejects(Config.load(root), { code: ApiSchemaBuilderError.codes.INVALID_CONFIG });
+		});
+
+		it('should reject with an invalid config error when the config file can not be parsed', async () => {
+
+			MockFs({ service: { '.api-schema-builder.json': '{ "src": ' } });
+
+			await assert.rejects(Config.load(root), {
+				code: ApiSchemaBuilderError.codes.INVALID_CONFIG,
+				message: /^Invalid config file '.+\.api-schema-builder\.json'/
+			});
+		});
+
+		it('should reject with an invalid config error when the config file has invalid options', async () => {
+
+			MockFs({ service: { 'package.json': '{ "apiSchemaBuilder": { "format": "xml" } }' } });
+
+			await assert.rejects(Config.load(root), {
+				code: ApiSchemaBuilderError.codes.INVALID_CONFIG,
+				message: `Invalid config file '${path.join(root, 'package.json')}'. Invalid option 'format', must be one of: json, yaml, both`
+			});
+		});
+	});
+
+	describe('validate', () => {
+
+		it('should not throw when the options are valid', () => {
+
+			assert.doesNotThrow(() => Config.validate({
+				rootDir: '.',
+				src: 'src',
+				out: 'build',
+				types: ['public'],
+				format: 'yaml',
+				strict: false,
+				mergeStrategy: 'first-wins',
+				ignore: ['drafts/**'],
+				quiet: true,
+				report: 'junit',
+				reportFile: 'reports/schemas.xml',
+				lint: { 'operation-tags': 'off', 'path-params': 'warn' },
+				diff: 'markdown',
+				baseline: 'schemas/previous',
+				failOnBreaking: true,
+				env: 'qa',
+				overlays: 'schemas/stages',
+				docs: true,
+				dts: true,
+				client: true,
+				collection: 'both',
+				filter: { include: { tags: ['movies'] }, exclude: { extensions: ['x-internal'], paths: ['/admin/**'], methods: ['delete'] } }
+			}));
+		});
+
+		it('should throw when the lint option has an unknown rule or an invalid severity', () => {
+
+			assert.doesNotThrow(() => Config.validate({ lint: true }));
+
+			assert.throws(() => Config.validate({ lint: { 'operation-tag': 'off' } }), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Invalid option \'lint\', must be a boolean or an object with the severity of the rules: off, warn, error'
+			});
+			assert.throws(() => Config.validate({ lint: { 'operation-tags': 'warning' } }), { code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS });
+		});
+
+		it('should throw when the collection option has an unknown format', () => {
+			assert.throws(() => Config.validate({ collection: 'openapi' }), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Invalid option \'collection\', must be one of: postman, insomnia, both'
+			});
+		});
+
+		it('should throw when the filter option has unknown criteria', () => {
+			assert.throws(() => Config.validate({ filter: { exclude: { tag: ['internal'] } } }), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Invalid option \'filter\', must be an object with the include and exclude lists of: tags, extensions, paths, methods'
+			});
+		});
+
+		it('should not throw when an option is undefined', () => {
+			assert.doesNotThrow(() => Config.validate({ src: undefined }));
+		});
+
+		it('should throw when the options are not an object', () => {
+
+			assert.throws(() => Config.validate(null), { code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS });
+			assert.throws(() => Config.validate(['src']), { code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS });
+		});
+
+		it('should throw when an option is unknown', () => {
+
+			assert.throws(() => Config.validate({ source: 'src' }), {
+				code: ApiSchemaBuilderError.codes.INVALID_ARGUMENTS,
+				message: 'Unknown option \'source\''
+			});
+		});
+
+		it('should throw with the given code when an option is invalid', () => {
+
+			assert.throws(() => Config.validate({ types: 'public' }, ApiSchemaBuilderError.codes.INVALID_CONFIG), {
+				code: ApiSchemaBuilderError.codes.INVALID_CONFIG,
+				message: 'Invalid option \'types\', must be a list of schema types'
+			});
+		});
+	});
+});
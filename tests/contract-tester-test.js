@@ -0,0 +1,338 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const ContractTester = require('./../lib/contract-tester');
+
+describe('ContractTester', () => {
+
+	const movie = { id: 10, title: 'Alien' };
+
+	const spec = {
+		openapi: '3.0.0',
+		info: { title: 'Movie <API>', version: '1.0.0' },
+		paths: {
+			'/movies/{id}': {
+				parameters: [{ $ref: '#/components/parameters/Id' }],
+				get: {
+					operationId: 'getMovie',
+					parameters: [
+						{ name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string' } }, example: ['id', 'title'] },
+						{ name: 'filter', in: 'query', content: { 'application/json': { example: { year: 1979 } } } },
+						{ name: 'page', in: 'query', schema: { type: 'object' }, example: { size: 10 } },
+						{ name: 'X-Trace-Id', in: 'header', required: true, schema: { type: 'string', format: 'uuid' } },
+						{ name: 'X-Optional', in: 'header', schema: { type: 'string' } },
+						{ name: 'session', in: 'cookie', examples: { a: { $ref: '#/components/examples/Session' } } }
+					],
+					responses: {
+						200: {
+							description: 'The movie',
+							headers: { 'X-Rate-Limit': { required: true, schema: { type: 'integer' } } },
+							content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } }
+						}
+					}
+				},
+				put: {
+					requestBody: {
+						content: {
+							'application/x-www-form-urlencoded': { example: { title: 'Alien', tags: ['space', 'horror'] } }
+						}
+					},
+					responses: { 204: { description: 'Updated' } }
+				},
+				delete: {
+					operationId: 'deleteMovie',
+					responses: { default: { description: 'The error', content: { 'application/json': { example: { message: 'Error' } } } } }
+				}
+			},
+			'/movies': {
+				get: {
+					responses: { 200: { description: 'Ok' } }
+				},
+				post: {
+					operationId: 'createMovie',
+					requestBody: {
+						required: true,
+						content: {
+							'text/plain': { example: 'Alien' },
+							'application/json': {
+								schema: { $ref: '#/components/schemas/Movie' },
+								examples: {
+									alien: { value: { title: 'Alien' } },
+									heat: { $ref: '#/components/examples/Heat' },
+									missing: { $ref: '#/components/examples/Missing' }
+								}
+							}
+						}
+					},
+					responses: { 201: { description: 'Created', content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } } } }
+				},
+				patch: {
+					operationId: 'patchMovies',
+					requestBody: { required: true, content: { 'text/plain': { schema: { type: 'string', example: 'Heat' } } } },
+					responses: { 200: { description: 'Ok', content: { 'text/plain': { example: 'Patched' } } } }
+				}
+			},
+			'/actors': {
+				get: {
+					operationId: 'listActors',
+					parameters: [{ name: 'name', in: 'query', examples: { empty: {} } }],
+					responses: { 200: { description: 'The actors', content: { 'application/json': { examples: { none: { value: [] } } } } } }
+				},
+				post: {
+					operationId: 'createActor',
+					requestBody: { content: { 'application/json': { examples: { empty: { summary: 'No value' } } } } },
+					responses: { 201: { $ref: '#/components/responses/Created' } }
+				}
+			}
+		},
+		components: {
+			parameters: {
+				Id: {
+					name: 'id',
+					in: 'path',
+					required: true,
+					schema: { type: 'integer', minimum: 1 },
+					example: 10
+				}
+			},
+			examples: {
+				Session: { value: 'a b' },
+				Heat: { value: { title: 'Heat' } }
+			},
+			responses: {
+				Created: { description: 'Created', content: { 'application/json': { example: {} } } }
+			},
+			schemas: {
+				Movie: {
+					type: 'object',
+					required: ['title'],
+					properties: { id: { type: 'integer', readOnly: true }, title: { type: 'string' } }
+				}
+			}
+		}
+	};
+
+	let server;
+	let requests;
+	let baseUrl;
+
+	/**
+	 * The responses of the stub server, by method and path
+	 */
+	const responses = {
+		'GET /api/movies/10': [200, { 'x-rate-limit': '100', 'content-type': 'application/json' }, JSON.stringify(movie)],
+		'PUT /api/movies/10': [204, {}, ''],
+		'DELETE /api/movies/10': [500, { 'content-type': 'application/json' }, JSON.stringify({ message: 'Error' })],
+		'POST /api/movies': [201, { 'content-type': 'application/json' }, JSON.stringify({ id: 11 })],
+		'PATCH /api/movies': [200, { 'content-type': 'text/plain' }, 'Patched'],
+		'GET /api/actors': [404, {}, '']
+	};
+
+	before(async () => {
+
+		server = http.createServer((request, response) => {
+
+			let body = '';
+
+			request.on('data', chunk => { body += chunk; });
+			request.on('end', () => {
+
+				requests.push({
+					method: request.method,
+					url: request.url,
+					headers: request.headers,
+					body
+				});
+
+				const [status, headers, responseBody] = responses[`${request.method} ${request.url.split('?')[0]}`] || [201, {}, ''];
+
+				response.writeHead(status, headers);
+				response.end(responseBody);
+			});
+		});
+
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+		baseUrl = `http://127.0.0.1:${server.address().port}/api/`;
+	});
+
+	after(() => new Promise(resolve => server.close(resolve)));
+
+	beforeEach(() => {
+		requests = [];
+	});
+
+	describe('getTestCases', () => {
+
+		it('should return a request for every operation with examples, and one for every named example of the request body', () => {
+
+			const testCases = new ContractTester(spec, { baseUrl }).getTestCases();
+
+			// The static paths are before the ones with parameters, like the router matches them
+			assert.deepEqual(testCases.map(({ name }) => name), [
+				'createMovie (alien)',
+				'createMovie (heat)',
+				'patchMovies',
+				'listActors',
+				'createActor',
+				'getMovie',
+				'PUT /movies/{id}',
+				'deleteMovie'
+			]);
+		});
+
+		it('should build the requests with the examples of the parameters and the samples of the required ones without examples', () => {
+
+			const { request } = new ContractTester(spec, { baseUrl, headers: { authorization: 'Bearer token' } })
+				.getTestCases()
+				.find(({ name }) => name === 'getMovie');
+
+			assert.deepEqual(request, {
+				method: 'GET',
+				url: `${baseUrl}movies/10?fields=id&fields=title&filter=%7B%22year%22%3A1979%7D&size=10`,
+				headers: {
+					authorization: 'Bearer token',
+					'X-Trace-Id': '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+					cookie: 'session=a%20b'
+				},
+				body: undefined
+			});
+		});
+
+		it('should build the bodies with their media type', () => {
+
+			const testCases = new ContractTester(spec, { baseUrl }).getTestCases();
+			const getRequest = name => testCases.find(testCase => testCase.name === name).request;
+
+			assert.deepEqual(getRequest('PUT /movies/{id}').headers, { 'content-type': 'application/x-www-form-urlencoded' });
+			assert.equal(getRequest('PUT /movies/{id}').body, 'title=Alien&tags=space%2Chorror');
+			assert.equal(getRequest('createMovie (heat)').body, '{"title":"Heat"}');
+			assert.equal(getRequest('patchMovies').body, 'Heat');
+			assert.equal(getRequest('createActor').body, undefined);
+			assert.equal(getRequest('listActors').url, `${baseUrl}actors`);
+		});
+	});
+
+	describe('run', () => {
+
+		it('should send the requests and validate the responses against the schema', async () => {
+
+			const tester = new ContractTester(spec, { baseUrl });
+
+			const results = await tester.run();
+
+			assert.deepEqual(requests.map(({ method, url }) => `${method} ${url}`), [
+				'POST /api/movies',
+				'POST /api/movies',
+				'PATCH /api/movies',
+				'GET /api/actors',
+				'POST /api/actors',
+				'GET /api/movies/10?fields=id&fields=title&filter=%7B%22year%22%3A1979%7D&size=10',
+				'PUT /api/movies/10',
+				'DELETE /api/movies/10'
+			]);
+
+			assert.equal(requests[0].body, '{"title":"Alien"}');
+			assert.equal(requests[0].headers['content-type'], 'application/json');
+			assert.equal(requests[5].headers['x-trace-id'], '3fa85f64-5717-4562-b3fc-2c963f66afa6');
+
+			assert.deepEqual(results.map(({ name, status, errors }) => [name, status, errors.map(({ path, keyword }) => `${path} ${keyword}`)]), [
+				['createMovie (alien)', 201, ['$.body.title required']],
+				['createMovie (heat)', 201, ['$.body.title required']],
+				['patchMovies', 200, []],
+				['listActors', 404, ['$.status status']],
+				['createActor', 201, []],
+				['getMovie', 200, []],
+				['PUT /movies/{id}', 204, []],
+				['deleteMovie', 500, ['$.status status']]
+			]);
+
+			assert.equal(results[7].errors[0].message, 'The status 500 is a server error');
+		});
+
+		it('should fail the requests that can not be sent', async () => {
+
+			const closedServer = http.createServer();
+
+			await new Promise(resolve => closedServer.listen(0, '127.0.0.1', resolve));
+
+			const { port } = closedServer.address();
+
+			await new Promise(resolve => closedServer.close(resolve));
+
+			const tester = new ContractTester({ ...spec, paths: { '/movies': spec.paths['/movies'] } }, { baseUrl: `http://127.0.0.1:${port}` });
+			const results = await tester.run();
+
+			assert.equal(results.length, 3);
+			results.forEach(({ status, errors: [error] }) => {
+				assert.equal(status, null);
+				assert.equal(error.keyword, 'request');
+				assert(error.message.startsWith('The request failed.'));
+			});
+		});
+
+		it('should fail the requests without a response before the timeout', async () => {
+
+			const slowServer = http.createServer(() => {});
+
+			await new Promise(resolve => slowServer.listen(0, '127.0.0.1', resolve));
+
+			try {
+				const [result] = await new ContractTester({ ...spec, paths: { '/actors': spec.paths['/actors'] } }, {
+					baseUrl: `http://127.0.0.1:${slowServer.address().port}`,
+					timeout: 50
+				}).run();
+
+				assert.equal(result.errors[0].message, 'The request failed. No response after 50 ms');
+			} finally {
+				await new Promise(resolve => slowServer.close(resolve));
+			}
+		});
+	});
+
+	describe('reports', () => {
+
+		it('should return the result of every request and the errors of the failed ones as text', async () => {
+
+			const tester = new ContractTester({ ...spec, paths: { '/movies': spec.paths['/movies'] } }, { baseUrl });
+
+			await tester.run();
+
+			assert.equal(tester.toText(), [
+				`FAIL createMovie (alien): POST ${baseUrl}movies 201`,
+				'  $.body.title must have required property \'title\'',
+				`FAIL createMovie (heat): POST ${baseUrl}movies 201`,
+				'  $.body.title must have required property \'title\'',
+				`PASS patchMovies: PATCH ${baseUrl}movies 200`,
+				'1 passed, 2 failed',
+				''
+			].join('\n'));
+		});
+
+		it('should return a JUnit XML with a test case per request', async () => {
+
+			const tester = new ContractTester(spec, { baseUrl });
+
+			await tester.run();
+
+			const junit = tester.toJUnit();
+
+			assert(junit.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="api-schema-builder" tests="8" failures="4" errors="0">'));
+			assert(junit.includes('<testsuite name="Movie &lt;API&gt;" tests="8" failures="4" errors="0">'));
+			assert(junit.includes('<testcase classname="Movie &lt;API&gt;" name="getMovie"/>'));
+			assert(junit.includes(`<failure type="contract" message="DELETE ${baseUrl}movies/10: The status 500 is a server error">$.status The status 500`));
+		});
+
+		it('should return an empty JUnit XML when no operation has examples', async () => {
+
+			const tester = new ContractTester({ paths: {} }, { baseUrl });
+
+			await tester.run();
+
+			assert(tester.toJUnit().includes('<testsuite name="api" tests="0" failures="0" errors="0">\n  </testsuite>'));
+			assert.equal(tester.toText(), '0 passed, 0 failed\n');
+		});
+	});
+});
@@ -0,0 +1,313 @@
+'use strict';
+
+const assert = require('assert');
+
+const Differ = require('./../lib/differ');
+
+describe('Differ', () => {
+
+	const info = { title: 'Movie Api', version: '1.0.0' };
+
+	const diff = (previousPaths, paths, previousComponents, components) => new Differ()
+		.diff({ openapi: '3.0.0', info, paths: previousPaths, components: previousComponents }, { openapi: '3.0.0', info, paths, components })
+		.map(({ breaking, operation, pointer, message }) => ({
+			breaking,
+			operation,
+			pointer,
+			message
+		}));
+
+	const responses = { 200: { description: 'Ok' } };
+
+	describe('diff', () => {
+
+		it('should return no changes when the schemas are equal', () => {
+
+			const paths = { '/movies': { get: { parameters: [{ name: 'page', in: 'query' }], responses } } };
+
+			assert.deepEqual(diff(paths, paths), []);
+			assert.deepEqual(new Differ().diff(null, 'invalid'), []);
+		});
+
+		it('should classify the removed paths and operations as breaking and the added ones as non-breaking', () => {
+
+			assert.deepEqual(diff({
+				'/movies': { get: { responses }, delete: { responses } },
+				'/actors': { get: { responses } }
+			}, {
+				'/movies': { get: { responses, deprecated: true }, post: { responses } },
+				'/directors': { get: { responses } }
+			}), [
+				{ breaking: true, operation: '/actors', pointer: '/paths/~1actors', message: 'The path was removed' },
+				{ breaking: false, operation: 'GET /movies', pointer: '/paths/~1movies/get', message: 'The operation was deprecated' },
+				{ breaking: false, operation: 'POST /movies', pointer: '/paths/~1movies/post', message: 'The operation was added' },
+				{ breaking: true, operation: 'DELETE /movies', pointer: '/paths/~1movies/delete', message: 'The operation was removed' },
+				{ breaking: false, operation: '/directors', pointer: '/paths/~1directors', message: 'The path was added' }
+			]);
+		});
+
+		it('should classify the new required parameters as breaking and the optional ones as non-breaking', () => {
+
+			assert.deepEqual(diff({
+				'/movies/{id}': {
+					parameters: [{ name: 'id', in: 'path', required: true }],
+					get: {
+						parameters: [
+							{ name: 'page', in: 'query' },
+							{ name: 'limit', in: 'query', required: true },
+							{ name: 'sort', in: 'query' }
+						],
+						responses
+					}
+				}
+			}, {
+				'/movies/{id}': {
+					parameters: [{ $ref: '#/components/parameters/Id' }],
+					get: {
+						parameters: [
+							{ name: 'page', in: 'query', required: true },
+							{ name: 'limit', in: 'query' },
+							{ name: 'fields', in: 'query' },
+							{ name: 'x-version', in: 'header', required: true }
+						],
+						responses
+					}
+				}
+			}, {}, {
+				parameters: { Id: { name: 'id', in: 'path', required: true } }
+			}), [
+				{
+					breaking: false,
+					operation: 'GET /movies/{id}',
+					pointer: '/paths/~1movies~1{id}/get/parameters',
+					message: 'The query parameter \'sort\' was removed'
+				},
+				{
+					breaking: true,
+					operation: 'GET /movies/{id}',
+					pointer: '/paths/~1movies~1{id}/get/parameters/0',
+					message: 'The query parameter \'page\' is required now'
+				},
+				{
+					breaking: false,
+					operation: 'GET /movies/{id}',
+					pointer: '/paths/~1movies~1{id}/get/parameters/1',
+					message: 'The query parameter \'limit\' isn\'t required anymore'
+				},
+				{
+					breaking: false,
+					operation: 'GET /movies/{id}',
+					pointer: '/paths/~1movies~1{id}/get/parameters/2',
+					message: 'The optional query parameter \'fields\' was added'
+				},
+				{
+					breaking: true,
+					operation: 'GET /movies/{id}',
+					pointer: '/paths/~1movies~1{id}/get/parameters/3',
+					message: 'The required header parameter \'x-version\' was added'
+				}
+			]);
+		});
+
+		it('should classify the changed types and the narrowed enums as breaking', () => {
+
+			const getParameters = (page, sort, status) => ({
+				'/movies': {
+					get: {
+						parameters: [
+							{ name: 'page', in: 'query', schema: page },
+							{ name: 'sort', in: 'query', schema: sort },
+							{ name: 'status', in: 'query', schema: status }
+						],
+						responses
+					}
+				}
+			});
+
+			assert.deepEqual(diff(
+				getParameters({ type: 'integer' }, { type: 'string', enum: ['title', 'year'] }, { type: 'string' }),
+				getParameters({ type: ['string', 'null'] }, { type: 'string', enum: ['title', 'rating'] }, { type: 'string', enum: ['active'] })
+			), [
+				{
+					breaking: true,
+					operation: 'GET /movies',
+					pointer: '/paths/~1movies/get/parameters/0/schema',
+					message: 'The type changed from \'integer\' to \'string\', \'null\''
+				},
+				{
+					breaking: true,
+					operation: 'GET /movies',
+					pointer: '/paths/~1movies/get/parameters/1/schema/enum',
+					message: 'The enum values \'year\' were removed'
+				},
+				{
+					breaking: false,
+					operation: 'GET /movies',
+					pointer: '/paths/~1movies/get/parameters/1/schema/enum',
+					message: 'The enum values \'rating\' were added'
+				},
+				{
+					breaking: true,
+					operation: 'GET /movies',
+					pointer: '/paths/~1movies/get/parameters/2/schema/enum',
+					message: 'The values were restricted to the enum \'active\''
+				}
+			]);
+
+			assert.deepEqual(diff(getParameters({}, { enum: [1, 2] }), getParameters({}, {})).map(({ breaking, message }) => ({ breaking, message })), [
+				{ breaking: false, message: 'The enum was removed, every value is allowed' }
+			]);
+		});
+
+		it('should classify the removed response codes and media types as breaking', () => {
+
+			assert.deepEqual(diff({
+				'/movies': {
+					get: {
+						responses: {
+							200: { description: 'Ok', content: { 'application/json': {}, 'application/xml': {} } },
+							404: { description: 'Not found' }
+						}
+					}
+				}
+			}, {
+				'/movies': {
+					get: {
+						responses: {
+							200: { $ref: '#/components/responses/Movies' },
+							'5XX': { description: 'Error' }
+						}
+					}
+				}
+			}, {}, {
+				responses: { Movies: { description: 'Ok', content: { 'application/json': {}, 'text/csv': {} } } }
+			}), [
+				{ breaking: true, operation: 'GET /movies', pointer: '/paths/~1movies/get/responses', message: 'The response \'404\' was removed' },
+				{
+					breaking: true,
+					operation: 'GET /movies',
+					pointer: '/components/responses/Movies/content',
+					message: 'The media type \'application/xml\' of the response was removed'
+				},
+				{
+					breaking: false,
+					operation: 'GET /movies',
+					pointer: '/components/responses/Movies/content/text~1csv',
+					message: 'The media type \'text/csv\' of the response was added'
+				},
+				{ breaking: false, operation: 'GET /movies', pointer: '/paths/~1movies/get/responses/5XX', message: 'The response \'5XX\' was added' }
+			]);
+		});
+
+		it('should classify the request body changes', () => {
+
+			const getPaths = (post, put, patch) => ({
+				'/movies': {
+					post: { requestBody: post, responses },
+					put: { requestBody: put, responses },
+					patch: { requestBody: patch, responses }
+				}
+			});
+
+			assert.deepEqual(diff(
+				getPaths(undefined, { content: {} }, { content: { 'application/json': {} } }),
+				getPaths({ required: true, content: {} }, undefined, { required: true, content: { 'application/json': {} } })
+			).map(({ breaking, operation, message }) => ({ breaking, operation, message })), [
+				{ breaking: true, operation: 'PUT /movies', message: 'The request body was removed' },
+				{ breaking: true, operation: 'POST /movies', message: 'The required request body was added' },
+				{ breaking: true, operation: 'PATCH /movies', message: 'The request body is required now' }
+			]);
+
+			assert.deepEqual(diff(getPaths(), getPaths({ content: {} })).map(({ breaking, message }) => ({ breaking, message })), [
+				{ breaking: false, message: 'The optional request body was added' }
+			]);
+		});
+
+		it('should classify the property changes as breaking depending on whether the schema is sent or received', () => {
+
+			const getPaths = schemaRef => ({
+				'/movies': {
+					post: {
+						requestBody: { content: { 'application/json': { schema: schemaRef } } },
+						responses: { 200: { description: 'Ok', content: { 'application/json': { schema: { items: schemaRef } } } } }
+					}
+				}
+			});
+
+			const changes = diff(getPaths({ $ref: '#/components/schemas/Movie' }), getPaths({ $ref: '#/components/schemas/Movie' }), {
+				schemas: {
+					Movie: {
+						required: ['title', 'year'],
+						properties: {
+							title: {},
+							year: {},
+							rating: {},
+							director: { $ref: '#/components/schemas/Movie' },
+							actors: { allOf: [{ properties: { name: {} } }] }
+						}
+					}
+				}
+			}, {
+				schemas: {
+					Movie: {
+						required: ['title', 'rating', 'genre'],
+						properties: {
+							title: {},
+							year: {},
+							rating: {},
+							genre: {},
+							director: { $ref: '#/components/schemas/Movie' },
+							actors: { allOf: [{ properties: {} }] }
+						}
+					}
+				}
+			});
+
+			assert.deepEqual(changes.map(({ breaking, pointer, message }) => ({ breaking, pointer, message })), [
+				{ breaking: true, pointer: '/components/schemas/Movie/properties/year', message: 'The property \'year\' isn\'t required anymore' },
+				{ breaking: true, pointer: '/components/schemas/Movie/properties/rating', message: 'The property \'rating\' is required now' },
+				{ breaking: true, pointer: '/components/schemas/Movie/properties/genre', message: 'The required property \'genre\' was added' },
+				{ breaking: true, pointer: '/components/schemas/Movie/properties/actors/allOf/0/properties', message: 'The property \'name\' was removed' }
+			]);
+		});
+	});
+
+	describe('format', () => {
+
+		const changes = [
+			{ breaking: true, operation: '/actors', pointer: '/paths/~1actors', message: 'The path was removed' },
+			{ breaking: false, operation: 'GET /movies', pointer: '/paths/~1movies/get', message: 'The operation was added' }
+		];
+
+		it('should format the changes as a markdown changelog', () => {
+
+			assert.equal(Differ.format(changes, 'markdown', 'public'), [
+				'# Changes of the schema "public"',
+				'',
+				'## Breaking changes',
+				'',
+				'- `/actors`: The path was removed (at `/paths/~1actors`)',
+				'',
+				'## Non-breaking changes',
+				'',
+				'- `GET /movies`: The operation was added (at `/paths/~1movies/get`)',
+				''
+			].join('\n'));
+
+			assert.equal(Differ.format([], 'markdown', 'public'), '# Changes of the schema "public"\n\nNo changes\n');
+		});
+
+		it('should format the changes as a JSON changelog', () => {
+
+			assert.deepEqual(JSON.parse(Differ.format(changes, 'json', 'public')), {
+				type: 'public',
+				breaking: [{ operation: '/actors', pointer: '/paths/~1actors', message: 'The path was removed' }],
+				nonBreaking: [{ operation: 'GET /movies', pointer: '/paths/~1movies/get', message: 'The operation was added' }]
+			});
+		});
+
+		it('should format a change with its operation and pointer', () => {
+			assert.equal(Differ.formatChange(changes[0]), '/actors: The path was removed (at /paths/~1actors)');
+		});
+	});
+});
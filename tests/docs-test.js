@@ -0,0 +1,183 @@
+'use strict';
+
+const assert = require('assert');
+
+const Docs = require('./../lib/docs');
+
+describe('Docs', () => {
+
+	const spec = {
+		openapi: '3.0.0',
+		info: { title: 'Movie <API>', version: '1.0.0', description: 'The movies' },
+		servers: [{ url: 'https://movies.com/api', description: 'Production' }, { url: '/api' }, 'invalid'],
+		tags: [{ name: 'actors' }, { name: 'movies', description: 'The movie operations' }],
+		paths: {
+			'/movies/{id}': {
+				parameters: [{ $ref: '#/components/parameters/Id' }],
+				get: {
+					operationId: 'getMovie',
+					summary: 'Get a movie',
+					tags: ['movies'],
+					parameters: [{ name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string', enum: ['id', 'title'] } }, example: ['id'] }],
+					responses: {
+						'x-cached': true,
+						200: {
+							description: 'The movie',
+							content: {
+								'application/json': {
+									schema: { $ref: '#/components/schemas/Movie' },
+									examples: {
+										alien: { summary: 'An old movie', value: { id: 10, title: 'Alien' } },
+										heat: { externalValue: 'https://movies.com/heat.json' },
+										script: { externalValue: ' Java\tScript:alert(1)' },
+										local: { externalValue: 'examples/local.json' },
+										broken: { externalValue: 'http://[movies' },
+										missing: { $ref: '#/components/examples/Missing' }
+									}
+								}
+							}
+						},
+						404: { $ref: '#/components/responses/NotFound' }
+					}
+				},
+				put: {
+					operationId: 'getMovie',
+					tags: ['movies'],
+					deprecated: true,
+					requestBody: { $ref: '#/components/requestBodies/Movie' },
+					responses: { 204: { description: 'Updated' } }
+				},
+				delete: {
+					operationId: 'getMovie',
+					tags: ['movies'],
+					responses: {}
+				}
+			},
+			'/health': {
+				get: { responses: { 200: { description: 'Ok', content: { 'text/plain': { example: 'ok' } } } } }
+			},
+			'/invalid': null
+		},
+		components: {
+			parameters: {
+				Id: {
+					name: 'id',
+					in: 'path',
+					required: true,
+					description: 'The movie id',
+					schema: { type: 'integer', minimum: 1 }
+				}
+			},
+			requestBodies: {
+				Movie: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } } }
+			},
+			responses: {
+				NotFound: { description: 'Not found', content: { 'application/json': { schema: { $ref: 'error.json' } } } }
+			},
+			schemas: {
+				Movie: {
+					type: 'object',
+					required: ['title'],
+					example: { title: 'Heat' },
+					properties: {
+						id: { type: 'integer', readOnly: true },
+						title: { type: 'string', maxLength: 100, description: 'The title' },
+						releasedAt: { type: 'string', format: 'date', nullable: true },
+						rating: { oneOf: [{ type: 'number', exclusiveMinimum: true, minimum: 0 }, false] },
+						sequel: { $ref: '#/components/schemas/Movie' },
+						genres: { additionalProperties: { type: 'string', writeOnly: true, deprecated: true } }
+					}
+				}
+			}
+		}
+	};
+
+	const html = new Docs(spec).render();
+
+	describe('render', () => {
+
+		it('should render a self-contained page with the escaped info of the schema', () => {
+			assert(html.startsWith('<!DOCTYPE html>'));
+			assert(html.includes('<title>Movie &lt;API&gt;</title>'));
+			assert(html.includes('<p class="description">The movies</p>'));
+			assert(html.includes('<li><code>https://movies.com/api</code> Production</li><li><code>/api</code></li>'));
+			assert(!html.includes('<link') && !html.includes('<script src'));
+		});
+
+		it('should render the tags in their declared order, the untagged operations in the default tag and skip the empty tags', () => {
+
+			const tagIds = [...html.matchAll(/<h2 id="tag-([^"]+)"/g)].map(([, tag]) => tag);
+
+			assert.deepEqual(tagIds, ['movies', 'default']);
+			assert(html.includes('<p class="description">The movie operations</p>'));
+		});
+
+		it('should render an anchor and a search text for every operation, with unique ids', () => {
+			assert(html.includes('<article id="getmovie" class="operation" data-search="get /movies/{id} getmovie get a movie movies">'));
+			assert(html.includes('<article id="getmovie-2"'));
+			assert(html.includes('<article id="getmovie-3"'));
+			assert(html.includes('<article id="get-health"'));
+			assert(html.includes('<a href="#getmovie-2"><span class="method put">put</span> /movies/{id}</a>'));
+			assert(html.includes('<input id="search" type="search"'));
+		});
+
+		it('should render the parameters, the request body and the responses with their examples', () => {
+			assert(html.includes('<td><code>id</code> <span class="badge">required</span></td>\n<td>path</td>'));
+			assert(html.includes('<span class="type">integer, minimum 1</span>'));
+			assert(html.includes('one of: <code>&quot;id&quot;</code>, <code>&quot;title&quot;</code>'));
+			assert(html.includes('<h4>Request body <span class="badge">required</span></h4>'));
+			assert(html.includes('<span class="badge">Deprecated</span>'));
+			assert(html.includes('<h5>404</h5>\n<p class="description">Not found</p>'));
+			assert(html.includes('<code>error.json</code>'));
+			assert(!html.includes('x-cached'));
+			assert(html.includes('<p>Example <code>alien</code> An old movie</p>'));
+			assert(html.includes('<a href="https://movies.com/heat.json">https://movies.com/heat.json</a>'));
+			assert(html.includes('<a href="examples/local.json">examples/local.json</a>'));
+			assert(html.includes('<p> Java\tScript:alert(1)</p>'));
+			assert(!html.includes('href=" Java'));
+			assert(html.includes('<p>http://[movies</p>'));
+			assert(!html.includes('<code>missing</code>'));
+			assert(html.includes('<p>Example</p>\n<pre>ok</pre>'));
+		});
+
+		it('should render the component schemas and link the references to them', () => {
+			assert(html.includes('<a href="#schema-movie">Movie</a>'));
+			assert(html.includes('<div id="schema-movie">'));
+			assert(html.includes('<code>title</code> <span class="badge">required</span> <span class="type">string, maxLength 100</span>'));
+			assert(html.includes('<span class="type">string | null (date)</span>'));
+			assert(html.includes('<span class="type">integer, read only</span>'));
+			assert(html.includes('<span class="type">number, minimum 0</span>'));
+			assert(html.includes('<span class="type">nothing</span>'));
+			assert(html.includes('<span class="type">string, write only, deprecated</span>'));
+			assert(html.includes('<code>sequel</code> <a href="#schema-movie">Movie</a>'));
+		});
+
+		it('should collapse the schemas deeper than the maximum depth', () => {
+
+			const nestedSchema = [1, 2, 3, 4, 5].reduce(schema => ({ type: 'array', items: schema }), { type: 'string', enum: ['deep'] });
+			const page = new Docs({ paths: {}, components: { schemas: { Nested: nestedSchema } } }).render();
+
+			assert(page.includes('<div id="schema-nested">'));
+			assert(!page.includes('deep'));
+		});
+
+		it('should render the schemas without info, paths nor components', () => {
+
+			const page = new Docs({ openapi: '3.1.0' }).render();
+
+			assert(page.includes('<title>API</title>'));
+			assert(!page.includes('<section'));
+		});
+
+		it('should skip the responses with circular or unresolved references', () => {
+
+			const page = new Docs({
+				paths: { '/movies': { get: { responses: { 200: { $ref: '#/components/responses/A' }, 404: { $ref: '#/components/responses/C' } } } } },
+				components: { responses: { A: { $ref: '#/components/responses/B' }, B: { $ref: '#/components/responses/A' } } }
+			}).render();
+
+			assert(page.includes('<article id="get-movies"'));
+			assert(!page.includes('<h4>Responses</h4>'));
+		});
+	});
+});
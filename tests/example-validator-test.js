@@ -0,0 +1,221 @@
+'use strict';
+
+const assert = require('assert');
+
+const ExampleValidator = require('./../lib/example-validator');
+
+describe('ExampleValidator', () => {
+
+	const spec = {
+		openapi: '3.0.0',
+		paths: {
+			'/movies/{id}': {
+				parameters: [
+					{ $ref: '#/components/parameters/Id' },
+					{ name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string' } }, example: 'id' }
+				],
+				get: {
+					parameters: [
+						{ name: 'filter', in: 'query', content: { 'application/json': { schema: { type: 'object' }, example: [] } } },
+						{ name: 'X-Trace-Id', in: 'header', schema: { type: 'string', format: 'uuid' }, examples: { invalid: { value: 'abc' } } }
+					],
+					responses: {
+						200: {
+							description: 'The movie',
+							headers: {
+								'x-rate-limit': { schema: { type: 'integer', minimum: 0 }, example: -1 },
+								'X-Ref': { $ref: '#/components/headers/Ref' }
+							},
+							content: {
+								'application/json': {
+									schema: { $ref: '#/components/schemas/Movie' },
+									examples: {
+										alien: { $ref: '#/components/examples/Alien' },
+										heat: { $ref: '#/components/examples/Heat' },
+										missing: { $ref: '#/components/examples/Missing' },
+										loop: { $ref: '#/components/examples/Loop' },
+										external: { externalValue: 'https://movies.com/alien.json' }
+									}
+								},
+								'application/xml': { schema: { type: 'object' }, example: '<movie/>' }
+							}
+						},
+						'x-extension': { content: { 'application/json': { schema: { type: 'string' }, example: 1 } } }
+					},
+					callbacks: {
+						rated: {
+							'{$request.body#/url}': {
+								post: {
+									requestBody: { content: { 'application/json': { schema: { type: 'string' }, example: 10 } } },
+									responses: {}
+								}
+							}
+						},
+						ref: { $ref: '#/components/callbacks/Ref' }
+					}
+				},
+				put: {
+					requestBody: {
+						content: {
+							'application/json': {
+								schema: { $ref: '#/components/schemas/Movie' },
+								examples: { alien: { $ref: '#/components/examples/Alien' }, heat: { $ref: '#/components/examples/Heat' } }
+							},
+							'application/x-www-form-urlencoded': { schema: { type: 'object', properties: { year: { type: 'integer' } } }, example: { year: '1979' } }
+						}
+					},
+					responses: { 204: { $ref: '#/components/responses/Empty' } }
+				}
+			},
+			'x-extension': { get: { parameters: [{ name: 'a', in: 'query', schema: { type: 'string' }, example: 1 }] } }
+		},
+		components: {
+			schemas: {
+				Movie: {
+					type: 'object',
+					required: ['id', 'title', 'password'],
+					properties: {
+						id: { type: 'integer', readOnly: true },
+						title: { type: 'string', example: 10 },
+						password: { type: 'string', writeOnly: true },
+						year: { type: 'integer', nullable: true, example: null },
+						actors: { type: 'array', items: { type: 'object', properties: { name: { type: 'string', example: 'Sigourney' } } } },
+						rating: { oneOf: [{ type: 'number', example: 'high' }, { type: 'string' }] }
+					},
+					example: { id: 1, title: 'Alien' }
+				},
+				Invalid: { type: 'string', pattern: '(', example: 'a' },
+				Unresolved: { $ref: '#/components/schemas/Missing', example: 'a' }
+			},
+			parameters: {
+				Id: {
+					name: 'id',
+					in: 'path',
+					required: true,
+					schema: { type: 'integer', minimum: 1 },
+					example: 0
+				}
+			},
+			headers: {
+				Ref: { schema: { type: 'string' }, example: false }
+			},
+			examples: {
+				Alien: { value: { title: 'Alien', password: 'secret' } },
+				Heat: { value: { id: 2, title: 'Heat' } },
+				Loop: { $ref: '#/components/examples/Loop' }
+			},
+			requestBodies: {
+				Rating: { content: { 'application/json': { schema: { type: 'integer', maximum: 5 }, example: 6 } } }
+			},
+			responses: {
+				Empty: { description: 'Empty', content: { 'application/json': { schema: { type: 'object', maxProperties: 0 }, example: { a: 1 } } } }
+			},
+			callbacks: {
+				Ref: { '{$request.body#/url}': { $ref: '#/components/pathItems/Ref' } }
+			}
+		}
+	};
+
+	const validate = schema => new ExampleValidator(schema).validate()
+		.map(({ pointer, keyword, message }) => ({ pointer, keyword, message }));
+
+	describe('validate', () => {
+
+		it('should validate the examples of the parameters, the request bodies and the responses of the paths and their callbacks', () => {
+
+			const errors = validate(spec);
+
+			assert.deepEqual(errors.filter(({ pointer }) => pointer.startsWith('/paths')), [
+				{ pointer: '/paths/~1movies~1{id}/parameters/1/example', keyword: 'type', message: 'The example must be array' },
+				{ pointer: '/paths/~1movies~1{id}/get/parameters/0/content/application~1json/example', keyword: 'type', message: 'The example must be object' },
+				{ pointer: '/paths/~1movies~1{id}/get/parameters/1/examples/invalid/value', keyword: 'format', message: 'The example must match format "uuid"' },
+				{
+					pointer: '/paths/~1movies~1{id}/get/responses/200/headers/x-rate-limit/example',
+					keyword: 'minimum',
+					message: 'The example must be >= 0'
+				},
+				{
+					pointer: '/paths/~1movies~1{id}/get/callbacks/rated/{$request.body#~1url}/post/requestBody/content/application~1json/example',
+					keyword: 'type',
+					message: 'The example must be string'
+				},
+				{
+					pointer: '/paths/~1movies~1{id}/put/requestBody/content/application~1x-www-form-urlencoded/example/year',
+					keyword: 'type',
+					message: 'The example must be integer'
+				}
+			]);
+		});
+
+		it('should validate the example objects where they are used, with the pointer where they are defined', () => {
+
+			const errors = validate(spec);
+
+			// The read only properties aren't required in the requests, like the write only ones in the responses
+			assert.deepEqual(errors.filter(({ pointer }) => pointer.startsWith('/components/examples')), [
+				{ pointer: '/components/examples/Alien/value', keyword: 'required', message: 'The example must have required property \'id\'' },
+				{ pointer: '/components/examples/Heat/value', keyword: 'required', message: 'The example must have required property \'password\'' }
+			]);
+		});
+
+		it('should validate the examples of the components and their subschemas, with the write only properties of the schemas not required', () => {
+
+			const errors = validate(spec);
+
+			assert.deepEqual(errors.filter(({ pointer }) => pointer.startsWith('/components') && !pointer.startsWith('/components/examples')), [
+				{ pointer: '/components/schemas/Movie/properties/title/example', keyword: 'type', message: 'The example must be string' },
+				{ pointer: '/components/schemas/Movie/properties/rating/oneOf/0/example', keyword: 'type', message: 'The example must be number' },
+				{ pointer: '/components/parameters/Id/example', keyword: 'minimum', message: 'The example must be >= 1' },
+				{ pointer: '/components/headers/Ref/example', keyword: 'type', message: 'The example must be string' },
+				{ pointer: '/components/requestBodies/Rating/content/application~1json/example', keyword: 'maximum', message: 'The example must be <= 5' },
+				{
+					pointer: '/components/responses/Empty/content/application~1json/example',
+					keyword: 'maxProperties',
+					message: 'The example must NOT have more than 0 properties'
+				}
+			]);
+		});
+
+		it('should validate the examples keyword of the schemas and the path items of the webhooks and the components of OpenAPI 3.1', () => {
+
+			const errors = new ExampleValidator({
+				openapi: '3.1.0',
+				webhooks: {
+					newMovie: {
+						post: {
+							requestBody: {
+								content: { 'application/json': { schema: { type: 'object', additionalProperties: false }, example: { titl: 'Alien' } } }
+							}
+						}
+					}
+				},
+				components: {
+					schemas: { Title: { type: ['string', 'null'], examples: ['Alien', null, 1] } },
+					pathItems: { Movie: { get: { parameters: [{ name: 'id', in: 'query', schema: { type: 'integer' }, example: 'a' }] } } },
+					callbacks: { Rated: { '{$request.body#/url}': { put: { requestBody: { $ref: '#/components/requestBodies/Missing' } } } } }
+				}
+			}).validate();
+
+			assert.deepEqual(errors.map(({ pointer, params, message }) => ({ pointer, params, message })), [
+				{
+					pointer: '/webhooks/newMovie/post/requestBody/content/application~1json/example',
+					params: { additionalProperty: 'titl' },
+					message: 'The example must NOT have additional properties'
+				},
+				{ pointer: '/components/schemas/Title/examples/2', params: { type: ['string', 'null'] }, message: 'The example must be string,null' },
+				{ pointer: '/components/pathItems/Movie/get/parameters/0/example', params: { type: 'integer' }, message: 'The example must be integer' }
+			]);
+		});
+
+		it('should not validate the examples of the schemas that can not be compiled', () => {
+			const pointers = validate(spec).map(({ pointer }) => pointer);
+
+			assert(!pointers.some(pointer => pointer.startsWith('/components/schemas/Invalid') || pointer.startsWith('/components/schemas/Unresolved')));
+		});
+
+		it('should return no errors for the schemas without examples', () => {
+			assert.deepEqual(validate({ openapi: '3.0.0', paths: { '/movies': { get: { parameters: [{ name: 'a', in: 'query' }], responses: {} } } } }), []);
+			assert.deepEqual(validate(null), []);
+		});
+	});
+});
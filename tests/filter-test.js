@@ -0,0 +1,158 @@
+'use strict';
+
+const assert = require('assert');
+
+const Filter = require('./../lib/filter');
+
+describe('Filter', () => {
+
+	const responses = { 200: { description: 'Ok', content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } } } };
+
+	const schema = {
+		openapi: '3.1.0',
+		info: { title: 'Movie API', version: '1.0.0' },
+		tags: [{ name: 'movies' }, { name: 'admin' }, { name: 'unused' }],
+		paths: {
+			'/movies': {
+				get: { tags: ['movies'], responses },
+				post: {
+					tags: ['movies'],
+					'x-internal': true,
+					requestBody: { $ref: '#/components/requestBodies/MovieBody' },
+					responses
+				}
+			},
+			'/admin/users/{id}': {
+				'x-internal': true,
+				get: {
+					tags: ['admin'],
+					security: [{ adminAuth: [] }],
+					responses: { 200: { description: 'Ok', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } } }
+				}
+			},
+			'/actors': { $ref: '#/components/pathItems/Actors' }
+		},
+		webhooks: {
+			newMovie: { post: { tags: ['admin'], requestBody: { $ref: '#/components/requestBodies/MovieBody' }, responses } }
+		},
+		components: {
+			schemas: {
+				Movie: { properties: { title: { type: 'string' } } },
+				User: { properties: { role: { $ref: '#/components/schemas/Role' } } },
+				Role: { oneOf: [{ $ref: '#/components/schemas/Admin' }], discriminator: { mapping: { admin: '#/components/schemas/Admin' } } },
+				Admin: { type: 'object' },
+				Library: { type: 'object' }
+			},
+			requestBodies: {
+				MovieBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } } }
+			},
+			pathItems: { Actors: { get: { responses } } },
+			securitySchemes: {
+				adminAuth: { type: 'http', scheme: 'basic' },
+				token: { type: 'http', scheme: 'bearer' }
+			}
+		}
+	};
+
+	describe('isValidConfig', () => {
+
+		it('should return true when the filter has include and exclude criteria', () => {
+			assert(Filter.isValidConfig({
+				include: { tags: ['movies'] },
+				exclude: { extensions: ['x-internal'], paths: ['/admin/**'], methods: ['delete'] }
+			}));
+			assert(Filter.isValidConfig({}));
+		});
+
+		it('should return false when the filter has unknown keys or invalid criteria', () => {
+			assert(!Filter.isValidConfig({ exclude: ['x-internal'] }));
+			assert(!Filter.isValidConfig({ exclude: { tag: ['admin'] } }));
+			assert(!Filter.isValidConfig({ exclude: { tags: 'admin' } }));
+			assert(!Filter.isValidConfig({ exclude: { tags: [''] } }));
+			assert(!Filter.isValidConfig({ remove: { tags: ['admin'] } }));
+			assert(!Filter.isValidConfig(['x-internal']));
+		});
+	});
+
+	describe('filter', () => {
+
+		it('should remove the excluded operations and the components and tags only used by them', () => {
+
+			const { schema: filteredSchema, operations, components } = new Filter({ exclude: { extensions: ['x-internal'] } }).filter(schema);
+
+			assert.deepEqual(operations, ['/paths/~1movies/post', '/paths/~1admin~1users~1{id}/get']);
+			assert.deepEqual(components, [
+				'/components/securitySchemes/adminAuth',
+				'/components/schemas/User',
+				'/components/schemas/Role',
+				'/components/schemas/Admin'
+			]);
+
+			assert.deepEqual(Object.keys(filteredSchema.paths), ['/movies', '/actors']);
+			assert.deepEqual(Object.keys(filteredSchema.paths['/movies']), ['get']);
+			assert.deepEqual(Object.keys(filteredSchema.components.schemas), ['Movie', 'Library']);
+			assert.deepEqual(Object.keys(filteredSchema.components.securitySchemes), ['token']);
+			assert.deepEqual(filteredSchema.components.requestBodies, schema.components.requestBodies);
+			assert.deepEqual(filteredSchema.tags, [{ name: 'movies' }, { name: 'admin' }, { name: 'unused' }]);
+		});
+
+		it('should keep only the included operations', () => {
+
+			const { schema: filteredSchema, operations, components } = new Filter({ include: { tags: ['movies'] } }).filter(schema);
+
+			assert.deepEqual(operations, ['/paths/~1admin~1users~1{id}/get', '/webhooks/newMovie/post']);
+			assert.deepEqual(filteredSchema.webhooks, {});
+			assert.deepEqual(Object.keys(filteredSchema.paths), ['/movies', '/actors']);
+			assert.deepEqual(Object.keys(filteredSchema.paths['/movies']), ['get', 'post']);
+			assert.deepEqual(components.length, 4);
+			assert.deepEqual(filteredSchema.tags, [{ name: 'movies' }, { name: 'unused' }]);
+		});
+
+		it('should filter the operations by path glob and method', () => {
+
+			const { schema: filteredSchema } = new Filter({ exclude: { paths: ['/admin/**'], methods: ['POST'] } }).filter(schema);
+
+			assert.deepEqual(Object.keys(filteredSchema.paths), ['/movies', '/actors']);
+			assert.deepEqual(Object.keys(filteredSchema.paths['/movies']), ['get']);
+			assert.deepEqual(filteredSchema.webhooks, {});
+			assert.deepEqual(Object.keys(filteredSchema.components), ['schemas', 'pathItems', 'securitySchemes']);
+			assert.deepEqual(filteredSchema.components.securitySchemes, { token: schema.components.securitySchemes.token });
+		});
+
+		it('should not change the original schema', () => {
+
+			new Filter({ exclude: { tags: ['movies', 'admin'] } }).filter(schema);
+
+			assert.deepEqual(Object.keys(schema.paths['/movies']), ['get', 'post']);
+			assert.deepEqual(Object.keys(schema.components.schemas), ['Movie', 'User', 'Role', 'Admin', 'Library']);
+			assert.equal(schema.tags.length, 3);
+		});
+
+		it('should return the schema as it is when no operation is removed', () => {
+
+			const { schema: filteredSchema, operations, components } = new Filter({ exclude: { tags: ['other'] } }).filter(schema);
+
+			assert.deepEqual(filteredSchema, schema);
+			assert.deepEqual(operations, []);
+			assert.deepEqual(components, []);
+		});
+
+		it('should ignore the invalid nodes and references', () => {
+
+			const { schema: filteredSchema, operations } = new Filter({ exclude: { methods: ['get'] } }).filter({
+				paths: {
+					'/movies': { get: { responses: { 200: { $ref: '#/components/responses/Missing' } } } },
+					'/actors': { get: { security: ['token'], responses: { 200: { $ref: '#/components/responses' } } } },
+					'/invalid': null
+				},
+				webhooks: 'invalid',
+				tags: ['movies']
+			});
+
+			assert.deepEqual(operations, ['/paths/~1movies/get', '/paths/~1actors/get']);
+			assert.deepEqual(filteredSchema, { paths: { '/invalid': null }, webhooks: 'invalid', tags: ['movies'] });
+
+			assert.deepEqual(new Filter().filter('invalid'), { schema: 'invalid', operations: [], components: [] });
+		});
+	});
+});
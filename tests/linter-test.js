@@ -0,0 +1,212 @@
+'use strict';
+
+const assert = require('assert');
+
+const Linter = require('./../lib/linter');
+
+describe('Linter', () => {
+
+	const info = { title: 'Movie Api', version: '1.0.0' };
+
+	const responses = { 200: { description: 'Ok' }, 404: { description: 'Not found' } };
+
+	const lint = (schema, rules) => new Linter(rules).lint({ openapi: '3.0.0', info, ...schema })
+		.map(({ rule, severity, pointer }) => ({ rule, severity, pointer }));
+
+	describe('isValidConfig', () => {
+
+		it('should return true when every rule exists and has a valid severity', () => {
+			assert(Linter.isValidConfig({ 'operation-tags': 'off', 'path-params': 'warn', 'tags-used': 'error' }));
+		});
+
+		it('should return false when a rule is unknown or has an invalid severity', () => {
+			assert(!Linter.isValidConfig({ 'operation-tag': 'off' }));
+			assert(!Linter.isValidConfig({ 'operation-tags': 'warning' }));
+			assert(!Linter.isValidConfig(['operation-tags']));
+		});
+	});
+
+	describe('lint', () => {
+
+		it('should return no problems when the schema follows every rule', () => {
+
+			assert.deepEqual(lint({
+				tags: [{ name: 'movies' }],
+				paths: {
+					'/movie-list/{id}': {
+						parameters: [{ $ref: '#/components/parameters/Id' }],
+						get: {
+							operationId: 'getMovie',
+							summary: 'Get a movie',
+							tags: ['movies'],
+							responses: { ...responses, 200: { $ref: '#/components/responses/Movie' } }
+						}
+					}
+				},
+				components: {
+					parameters: { Id: { name: 'id', in: 'path', required: true } },
+					responses: { Movie: { description: 'The movie', content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } } } },
+					schemas: { Movie: { type: 'object', properties: { movieId: { type: 'string', example: { movie_id: 1 } } } } },
+					securitySchemes: { ApiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' } }
+				},
+				security: [{ ApiKey: [] }]
+			}), []);
+		});
+
+		it('should return the problems of the operations with the default severities', () => {
+
+			assert.deepEqual(lint({
+				paths: {
+					'/movies': {
+						get: { operationId: 'listMovies', responses },
+						post: { operationId: 'listMovies', summary: 'Create a movie', tags: [], responses: { 201: { description: 'Created' } } }
+					}
+				},
+				webhooks: {
+					newMovie: { post: { summary: 'A new movie', tags: ['movies'], responses: { default: { description: 'Error' } } } }
+				}
+			}), [
+				{ rule: 'operation-summary', severity: 'warn', pointer: '/paths/~1movies/get' },
+				{ rule: 'operation-tags', severity: 'warn', pointer: '/paths/~1movies/get' },
+				{ rule: 'operation-id-unique', severity: 'error', pointer: '/paths/~1movies/post/operationId' },
+				{ rule: 'operation-tags', severity: 'warn', pointer: '/paths/~1movies/post' },
+				{ rule: 'error-responses', severity: 'warn', pointer: '/paths/~1movies/post' },
+				{ rule: 'operation-id', severity: 'warn', pointer: '/webhooks/newMovie/post' }
+			]);
+		});
+
+		it('should return the unused tags, the undeclared path parameters and the paths that are not kebab-case', () => {
+
+			const operation = {
+				operationId: 'getMovie',
+				summary: 'Get a movie',
+				tags: ['movies'],
+				responses
+			};
+
+			assert.deepEqual(lint({
+				tags: [{ name: 'movies' }, { name: 'actors' }],
+				paths: {
+					'/Movies/{id}/{actorId}': {
+						parameters: [{ name: 'id', in: 'path' }, { name: 'sort', in: 'path' }],
+						get: { ...operation, parameters: [{ name: 'limit', in: 'path' }, { name: 'page', in: 'query' }] }
+					},
+					'/catalog': { $ref: '#/components/pathItems/Missing' }
+				}
+			}), [
+				{ rule: 'tags-used', severity: 'warn', pointer: '/tags/1' },
+				{ rule: 'path-kebab-case', severity: 'warn', pointer: '/paths/~1Movies~1{id}~1{actorId}' },
+				{ rule: 'path-params', severity: 'error', pointer: '/paths/~1Movies~1{id}~1{actorId}/parameters/1' },
+				{ rule: 'path-params', severity: 'error', pointer: '/paths/~1Movies~1{id}~1{actorId}/get/parameters/0' },
+				{ rule: 'path-params', severity: 'error', pointer: '/paths/~1Movies~1{id}~1{actorId}/get' }
+			]);
+		});
+
+		it('should return the unused components and the properties that are not camelCase', () => {
+
+			assert.deepEqual(lint({
+				paths: {},
+				security: 'invalid',
+				components: {
+					schemas: {
+						Movie: { type: 'object', properties: { movie_id: { type: 'string' }, rating: {} } },
+						Actor: { type: 'object', properties: { movie: { $ref: '#/components/schemas/Movie' } } }
+					},
+					securitySchemes: { ApiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' } },
+					'x-internal': { Movie: {} }
+				}
+			}), [
+				{ rule: 'no-unused-components', severity: 'warn', pointer: '/components/schemas/Actor' },
+				{ rule: 'no-unused-components', severity: 'warn', pointer: '/components/securitySchemes/ApiKey' },
+				{ rule: 'property-camel-case', severity: 'warn', pointer: '/components/schemas/Movie/properties/movie_id' }
+			]);
+		});
+
+		it('should use the given severities and skip the rules that are off', () => {
+
+			const schema = {
+				tags: [{ name: 'movies' }],
+				paths: { '/movies': { get: { operationId: 'listMovies', summary: 'List the movies', responses } } }
+			};
+
+			assert.deepEqual(lint(schema, { 'operation-tags': 'error', 'tags-used': 'off' }), [
+				{ rule: 'operation-tags', severity: 'error', pointer: '/paths/~1movies/get' }
+			]);
+		});
+
+		it('should skip the problems ignored by a x-lint-ignore extension of their value or their parents', () => {
+
+			assert.deepEqual(lint({
+				paths: {
+					'/movies': {
+						'x-lint-ignore': ['operation-summary', 'operation-tags'],
+						get: { operationId: 'listMovies', responses },
+						post: { 'x-lint-ignore': true, responses: {} }
+					},
+					'/actors': { get: { 'x-lint-ignore': 'operation-tags', operationId: 'listActors', responses } }
+				}
+			}), [
+				{ rule: 'operation-summary', severity: 'warn', pointer: '/paths/~1actors/get' }
+			]);
+		});
+
+		it('should not throw when the schema parts are invalid', () => {
+
+			assert.deepEqual(new Linter().lint(null), []);
+			assert.deepEqual(lint({ tags: [null], paths: { '/movies': 'invalid', '/actors': { get: { parameters: {}, responses: [] } } } }), [
+				{ rule: 'operation-id', severity: 'warn', pointer: '/paths/~1actors/get' },
+				{ rule: 'operation-summary', severity: 'warn', pointer: '/paths/~1actors/get' },
+				{ rule: 'operation-tags', severity: 'warn', pointer: '/paths/~1actors/get' },
+				{ rule: 'error-responses', severity: 'warn', pointer: '/paths/~1actors/get' }
+			]);
+		});
+
+		it('should add the rule to the problem messages', () => {
+
+			const [problem] = new Linter({ 'operation-summary': 'off', 'operation-tags': 'off', 'error-responses': 'off' })
+				.lint({ paths: { '/movies': { get: {} } } });
+
+			assert.equal(problem.message, 'The operation has no \'operationId\' [operation-id]');
+		});
+	});
+
+	describe('getDisabledRules', () => {
+
+		it('should return the rules disabled by the comments of every line and of the whole file', () => {
+
+			const isDisabled = Linter.getDisabledRules([
+				'# lint-disable tags-used',
+				'paths:',
+				'  /movies:',
+				'    # lint-disable-next-line operation-summary, operation-tags',
+				'    get:',
+				'      operationId: listMovies # lint-disable-line',
+				'    post:'
+			].join('\n'));
+
+			assert(isDisabled('tags-used', 7));
+			assert(isDisabled('operation-summary', 5));
+			assert(isDisabled('operation-tags', 5));
+			assert(!isDisabled('operation-id', 5));
+			assert(!isDisabled('operation-summary', 7));
+			assert(isDisabled('operation-id-unique', 6));
+		});
+
+		it('should return no disabled rules when there are no comments', () => {
+			assert(!Linter.getDisabledRules('paths: {}')('operation-id', 1));
+		});
+	});
+
+	describe('removeIgnores', () => {
+
+		it('should return a copy of the schema without the x-lint-ignore extensions', () => {
+
+			const schema = {
+				paths: { '/movies': { 'x-lint-ignore': true, get: { tags: ['movies'], 'x-lint-ignore': ['operation-id'] } } }
+			};
+
+			assert.deepEqual(Linter.removeIgnores(schema), { paths: { '/movies': { get: { tags: ['movies'] } } } });
+			assert.equal(schema.paths['/movies']['x-lint-ignore'], true);
+		});
+	});
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+const assert = require('assert');
+
+const Merger = require('./../lib/merger');
+
+describe('Merger', () => {
+
+	const files = ['base.yml', 'catalog.yml', 'movies.yml'];
+
+	describe('merge', () => {
+
+		it('should merge the objects deeply without conflicts', () => {
+
+			const { schema, conflicts } = new Merger().merge([
+				{ openapi: '3.0.0', paths: { '/catalog': { get: { summary: 'List' } } } },
+				{ openapi: '3.0.0', paths: { '/catalog': { post: { summary: 'Create' } } } }
+			], files);
+
+			assert.deepEqual(schema, {
+				openapi: '3.0.0',
+				paths: {
+					'/catalog': {
+						get: { summary: 'List' },
+						post: { summary: 'Create' }
+					}
+				}
+			});
+			assert.deepEqual(conflicts, []);
+		});
+
+		it('should not modify the merged objects', () => {
+
+			const base = { info: { title: 'Movie Api' } };
+
+			new Merger().merge([base, { info: { version: '1.0.0' } }], files);
+
+			assert.deepEqual(base, { info: { title: 'Movie Api' } });
+		});
+
+		it('should return a conflict with both files when a key has different values', () => {
+
+			const { schema, conflicts } = new Merger().merge([
+				{ info: { title: 'Movie Api' } },
+				{ paths: {} },
+				{ info: { title: 'Catalog Api' } }
+			], files);
+
+			assert.deepEqual(schema, { info: { title: 'Catalog Api' }, paths: {} });
+			assert.deepEqual(conflicts, [{ pointer: '/info/title', files: ['base.yml', 'movies.yml'] }]);
+		});
+
+		it('should keep the first value with the first-wins strategy', () => {
+
+			const { schema, conflicts } = new Merger('first-wins').merge([
+				{ info: { title: 'Movie Api' } },
+				{ info: { title: 'Catalog Api' } }
+			], files);
+
+			assert.deepEqual(schema, { info: { title: 'Movie Api' } });
+			assert.equal(conflicts.length, 1);
+		});
+
+		it('should not merge the operations nor the components defined in many files', () => {
+
+			const { schema, conflicts } = new Merger().merge([
+				{
+					paths: { '/catalog': { get: { summary: 'List' } } },
+					components: { schemas: { Product: { type: 'object', required: ['id'] } } }
+				},
+				{
+					paths: { '/catalog': { get: { description: 'List the products' } } },
+					components: { schemas: { Product: { type: 'object' } } }
+				}
+			], files);
+
+			assert.deepEqual(schema, {
+				paths: { '/catalog': { get: { description: 'List the products' } } },
+				components: { schemas: { Product: { type: 'object' } } }
+			});
+
+			assert.deepEqual(conflicts, [
+				{ pointer: '/paths/~1catalog/get', files: ['base.yml', 'catalog.yml'] },
+				{ pointer: '/components/schemas/Product', files: ['base.yml', 'catalog.yml'] }
+			]);
+		});
+
+		it('should not return a conflict when the same operation or component is defined equally', () => {
+
+			const product = { components: { schemas: { Product: { type: 'object' } } } };
+
+			assert.deepEqual(new Merger().merge([product, product], files).conflicts, []);
+		});
+
+		it('should return a conflict when a value has a different type', () => {
+
+			const { conflicts } = new Merger().merge([
+				{ servers: [{ url: 'https://api.movies.com' }] },
+				{ servers: { url: 'https://api.movies.com' } }
+			], files);
+
+			assert.deepEqual(conflicts, [{ pointer: '/servers', files: ['base.yml', 'catalog.yml'] }]);
+		});
+
+		it('should ignore the empty keys', () => {
+
+			const { schema, conflicts } = new Merger().merge([{ components: null }, { components: { schemas: {} } }, { components: null }], files);
+
+			assert.deepEqual(schema, { components: { schemas: {} } });
+			assert.deepEqual(conflicts, []);
+		});
+
+		it('should concatenate the arrays without the repeated items', () => {
+
+			const { schema, conflicts } = new Merger().merge([
+				{
+					tags: [{ name: 'catalog' }],
+					servers: [{ url: 'https://api.movies.com' }],
+					security: [{ apiKey: [] }]
+				},
+				{
+					tags: [{ name: 'movies' }, { name: 'catalog' }],
+					servers: [{ url: 'https://api.movies.com' }, { url: 'https://staging.movies.com' }],
+					security: [{ apiKey: [] }, { oauth: ['read'] }]
+				}
+			], files);
+
+			assert.deepEqual(schema, {
+				tags: [{ name: 'catalog' }, { name: 'movies' }],
+				servers: [{ url: 'https://api.movies.com' }, { url: 'https://staging.movies.com' }],
+				security: [{ apiKey: [] }, { oauth: ['read'] }]
+			});
+			assert.deepEqual(conflicts, []);
+		});
+
+		it('should identify the parameters by name and location, or by reference', () => {
+
+			const { schema, conflicts } = new Merger().merge([
+				{ parameters: [{ name: 'id', in: 'path' }, { $ref: '#/components/parameters/Page' }] },
+				{ parameters: [{ name: 'id', in: 'query' }, { $ref: '#/components/parameters/Page' }] }
+			], files);
+
+			assert.deepEqual(schema, {
+				parameters: [{ name: 'id', in: 'path' }, { $ref: '#/components/parameters/Page' }, { name: 'id', in: 'query' }]
+			});
+			assert.deepEqual(conflicts, []);
+		});
+
+		it('should return a conflict when the same array item has different values', () => {
+
+			const { schema, conflicts } = new Merger().merge([
+				{ tags: [{ name: 'movies' }, { name: 'catalog', description: 'The catalog' }] },
+				{ paths: {} },
+				{ tags: [{ name: 'catalog', description: 'The products' }] }
+			], files);
+
+			assert.deepEqual(schema, {
+				tags: [{ name: 'movies' }, { name: 'catalog', description: 'The products' }],
+				paths: {}
+			});
+			assert.deepEqual(conflicts, [{ pointer: '/tags/1', files: ['base.yml', 'movies.yml'] }]);
+		});
+
+		it('should keep the first array item with the first-wins strategy', () => {
+
+			const { schema } = new Merger('first-wins').merge([
+				{ tags: [{ name: 'catalog', description: 'The catalog' }] },
+				{ tags: [{ name: 'catalog', description: 'The products' }] }
+			], files);
+
+			assert.deepEqual(schema, { tags: [{ name: 'catalog', description: 'The catalog' }] });
+		});
+	});
+});
@@ -0,0 +1,346 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const sinon = require('sinon');
+
+const MockServer = require('./../lib/mock-server');
+
+describe('MockServer', () => {
+
+	const movie = { id: 10, title: 'Alien' };
+
+	const spec = {
+		openapi: '3.0.0',
+		info: { title: 'Movie API', version: '1.0.0' },
+		servers: [{ url: '/api' }],
+		paths: {
+			'/movies/{id}': {
+				parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+				get: {
+					responses: {
+						200: {
+							description: 'The movie',
+							headers: {
+								'X-Rate-Limit': { schema: { type: 'integer', example: 100 } },
+								'X-Request-Id': { example: 'abc' },
+								'X-Expires': { schema: { enum: [null] } },
+								'Content-Type': { schema: { type: 'string' } },
+								'X-Missing': { $ref: '#/components/headers/Missing' }
+							},
+							content: {
+								'text/plain': { example: 'Alien' },
+								'application/json': {
+									examples: {
+										alien: { $ref: '#/components/examples/Alien' },
+										external: { externalValue: 'https://movies.com/heat.json' }
+									}
+								}
+							}
+						},
+						'4XX': { $ref: '#/components/responses/Error' },
+						default: { description: 'Unexpected error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+					}
+				},
+				put: {
+					requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['title'] } } } },
+					responses: {
+						201: { description: 'Updated', content: { 'application/json': { example: movie } } },
+						204: { description: 'Not changed' }
+					}
+				},
+				delete: {
+					responses: { 'x-deprecated': true, '2XX': { description: 'Deleted' } }
+				},
+				patch: {
+					responses: {}
+				}
+			},
+			'/movies': {
+				get: {
+					responses: {
+						default: { description: 'The movies', content: { 'application/json': { schema: { type: 'array', items: { type: 'string' } } } } }
+					}
+				},
+				post: {
+					responses: { 400: { description: 'Invalid' }, 500: { $ref: '#/components/responses/Missing' } }
+				},
+				head: {
+					responses: { 200: { description: 'Ok', content: { 'application/json': null } } }
+				}
+			}
+		},
+		components: {
+			examples: {
+				Alien: { value: movie }
+			},
+			responses: {
+				Error: { description: 'The error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+			},
+			schemas: {
+				Error: { type: 'object', properties: { message: { type: 'string', example: 'Not found' } } }
+			}
+		}
+	};
+
+	const corsHeaders = {
+		'access-control-allow-origin': '*',
+		'access-control-allow-headers': '*',
+		'access-control-expose-headers': '*'
+	};
+
+	let mockServer;
+
+	beforeEach(() => {
+		mockServer = new MockServer(spec);
+	});
+
+	describe('handle', () => {
+
+		it('should answer with the first example of the first success response, and the examples or samples of its headers', () => {
+			assert.deepEqual(mockServer.handle({ method: 'GET', url: '/api/movies/10?fields=title' }), {
+				status: 200,
+				headers: {
+					...corsHeaders,
+					'x-rate-limit': '100',
+					'x-request-id': 'abc',
+					'content-type': 'application/json'
+				},
+				body: JSON.stringify(movie)
+			});
+		});
+
+		it('should answer with the media type of the Accept header', () => {
+
+			const { headers, body } = mockServer.handle({ method: 'GET', url: '/movies/10', headers: { accept: 'text/html, text/plain;q=0.9' } });
+
+			assert.equal(headers['content-type'], 'text/plain');
+			assert.equal(body, 'Alien');
+		});
+
+		it('should answer with the response and the example of the Prefer header', () => {
+
+			const get = prefer => mockServer.handle({ method: 'GET', url: '/movies/10', headers: { prefer } });
+
+			assert.equal(get('example=external').body, 'null');
+			assert.equal(get('example="alien"').body, JSON.stringify(movie));
+
+			assert.deepEqual(get('code=404'), {
+				status: 404,
+				headers: { ...corsHeaders, 'content-type': 'application/json' },
+				body: JSON.stringify({ message: 'Not found' })
+			});
+
+			assert.equal(get('code=503, example=alien').status, 503);
+			assert.equal(get('code=200').status, 200);
+		});
+
+		it('should answer with a bad request when the code of the Prefer header is not a status code', () => {
+
+			const get = prefer => mockServer.handle({ method: 'GET', url: '/movies/10', headers: { prefer } });
+
+			assert.deepEqual(get('code=099'), {
+				status: 400,
+				headers: { ...corsHeaders, 'content-type': 'application/json' },
+				body: JSON.stringify({ message: 'The code \'099\' of the Prefer header is not a status code' })
+			});
+
+			assert.equal(get('code=600').status, 400);
+			assert.equal(get('code=4XX').status, 400);
+		});
+
+		it('should answer with the status of the response ranges and the default responses', () => {
+			assert.deepEqual(mockServer.handle({ method: 'DELETE', url: '/movies/10' }), { status: 200, headers: corsHeaders, body: undefined });
+			assert.deepEqual(mockServer.handle({ method: 'GET', url: '/movies' }).body, JSON.stringify(['string']));
+			assert.equal(mockServer.handle({ method: 'POST', url: '/movies' }).status, 400);
+			assert.equal(mockServer.handle({ method: 'HEAD', url: '/movies' }).body, 'null');
+		});
+
+		it('should answer with a server error when the operation has no responses or the response of the Prefer header', () => {
+
+			assert.deepEqual(mockServer.handle({ method: 'PATCH', url: '/movies/10' }), {
+				status: 500,
+				headers: { ...corsHeaders, 'content-type': 'application/json' },
+				body: JSON.stringify({ message: 'The operation \'PATCH /movies/{id}\' has no responses' })
+			});
+
+			assert.deepEqual(JSON.parse(mockServer.handle({ method: 'PATCH', url: '/movies/10', headers: { prefer: 'code=200' } }).body), {
+				message: 'The operation \'PATCH /movies/{id}\' has no response \'200\''
+			});
+
+			assert.deepEqual(mockServer.handle({ method: 'POST', url: '/movies', headers: { prefer: 'code=500' } }), {
+				status: 500,
+				headers: corsHeaders,
+				body: undefined
+			});
+		});
+
+		it('should answer the valid requests and reject the invalid ones', () => {
+
+			assert.deepEqual(mockServer.handle({
+				method: 'PUT',
+				url: '/movies/10',
+				headers: { 'content-type': 'application/json' },
+				body: JSON.stringify({ title: 'Alien' })
+			}).status, 201);
+
+			assert.deepEqual(mockServer.handle({ method: 'PUT', url: '/movies/ten', headers: { 'content-type': 'application/json' }, body: '{}' }), {
+				status: 400,
+				headers: { ...corsHeaders, 'content-type': 'application/json' },
+				body: JSON.stringify({
+					message: 'Invalid request',
+					errors: [
+						{ in: 'path', path: '$.path.id', keyword: 'type', message: 'must be integer' },
+						{ in: 'body', path: '$.body.title', keyword: 'required', message: 'must have required property \'title\'' }
+					]
+				})
+			});
+
+			assert.equal(mockServer.handle({ method: 'PUT', url: '/movies/10', headers: { 'content-type': 'text/plain' }, body: 'Alien' }).status, 415);
+		});
+
+		it('should answer with not found when no path matches the request', () => {
+			assert.deepEqual(mockServer.handle({ method: 'GET', url: '/actors?page=2' }), {
+				status: 404,
+				headers: { ...corsHeaders, 'content-type': 'application/json' },
+				body: JSON.stringify({ message: 'No path matches \'/actors\'' })
+			});
+		});
+
+		it('should answer with method not allowed when the path has no operation of the method', () => {
+			assert.deepEqual(mockServer.handle({ method: 'DELETE', url: '/movies' }), {
+				status: 405,
+				headers: { ...corsHeaders, allow: 'GET, POST, HEAD', 'content-type': 'application/json' },
+				body: JSON.stringify({ message: 'The method DELETE isn\'t allowed for path \'/movies\'' })
+			});
+		});
+
+		it('should answer the preflight requests of the browsers', () => {
+
+			assert.deepEqual(mockServer.handle({ method: 'OPTIONS', url: '/movies', headers: { 'access-control-request-method': 'DELETE' } }), {
+				status: 204,
+				headers: { ...corsHeaders, 'access-control-allow-methods': '*' },
+				body: undefined
+			});
+
+			assert.equal(mockServer.handle({ method: 'OPTIONS', url: '/movies' }).status, 405);
+		});
+	});
+
+	describe('start', () => {
+
+		afterEach(() => {
+			sinon.restore();
+			return mockServer.stop();
+		});
+
+		const request = (url, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+
+			const req = http.request(url, { method, headers }, res => {
+
+				let responseBody = '';
+
+				res.on('data', chunk => { responseBody += chunk; });
+				res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: responseBody }));
+			});
+
+			req.on('error', reject);
+			req.end(body);
+		});
+
+		it('should answer the requests of the HTTP server and log them', async () => {
+
+			const log = sinon.fake();
+
+			mockServer = new MockServer(spec, { port: 0, host: '127.0.0.1', log });
+
+			const url = await mockServer.start();
+
+			assert.match(url, /^http:\/\/127\.0\.0\.1:\d+$/);
+
+			const response = await request(`${url}/api/movies/10`);
+
+			assert.equal(response.status, 200);
+			assert.equal(response.headers['content-type'], 'application/json');
+			assert.equal(response.headers['x-rate-limit'], '100');
+			assert.deepEqual(JSON.parse(response.body), movie);
+
+			const { status } = await request(`${url}/movies/10`, { method: 'PUT', body: '{}' });
+
+			assert.equal(status, 415);
+
+			sinon.assert.calledWithExactly(log.firstCall, 'GET /api/movies/10 200');
+			sinon.assert.calledWithExactly(log.secondCall, 'PUT /movies/10 415');
+		});
+
+		it('should answer with a server error when a request can not be handled', async () => {
+
+			sinon.stub(MockServer.prototype, 'handle').throws(new Error('Unexpected error'));
+
+			mockServer = new MockServer(spec, { port: 0, host: '127.0.0.1' });
+
+			const url = await mockServer.start();
+
+			const { status, body } = await request(`${url}/movies`);
+
+			assert.equal(status, 500);
+			assert.deepEqual(JSON.parse(body), { message: 'The mock server failed. Unexpected error' });
+		});
+
+		it('should answer with a bad request when the code of the Prefer header is not a status code, without crashing', async () => {
+
+			mockServer = new MockServer(spec, { port: 0, host: '127.0.0.1' });
+
+			const url = await mockServer.start();
+
+			assert.equal((await request(`${url}/movies/10`, { headers: { prefer: 'code=099' } })).status, 400);
+			assert.equal((await request(`${url}/movies/10`)).status, 200);
+		});
+
+		it('should answer with a server error when the response can not be written', async () => {
+
+			sinon.stub(MockServer.prototype, 'handle').returns({ status: 99, headers: {}, body: undefined });
+
+			mockServer = new MockServer(spec, { port: 0, host: '127.0.0.1' });
+
+			const url = await mockServer.start();
+
+			const { status, body } = await request(`${url}/movies`);
+
+			assert.equal(status, 500);
+			assert.match(JSON.parse(body).message, /^The mock server failed\. /);
+		});
+
+		it('should close the connection when the response fails after the headers were sent', async () => {
+
+			sinon.stub(MockServer.prototype, 'handle').returns({ status: 200, headers: {}, body: undefined });
+			sinon.stub(http.ServerResponse.prototype, 'end').throws(new Error('Unexpected error'));
+
+			mockServer = new MockServer(spec, { port: 0, host: '127.0.0.1' });
+
+			const url = await mockServer.start();
+
+			await assert.rejects(() => request(`${url}/movies`), { code: 'ECONNRESET' });
+		});
+
+		it('should reject when the server can not listen', async () => {
+
+			mockServer = new MockServer(spec, { port: 0, host: '127.0.0.1' });
+
+			const url = await mockServer.start();
+
+			const otherMockServer = new MockServer(spec, { port: Number(url.split(':').pop()), host: '127.0.0.1' });
+
+			await assert.rejects(() => otherMockServer.start(), { code: 'EADDRINUSE' });
+		});
+	});
+
+	describe('stop', () => {
+
+		it('should do nothing when the server is not started', async () => {
+			await mockServer.stop();
+			assert.equal(mockServer.server, null);
+		});
+	});
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+/* eslint-disable no-template-curly-in-string */
+
+const assert = require('assert');
+
+const Overlay = require('./../lib/overlay');
+
+describe('Overlay', () => {
+
+	describe('interpolate', () => {
+
+		const variables = { API_URL: 'https://qa.movies.com', STAGE: 'qa' };
+
+		it('should replace the environment variables of every string value', () => {
+
+			assert.deepEqual(Overlay.interpolate({
+				servers: [{ url: '${API_URL}/v1', description: 'The ${STAGE} server' }],
+				'x-stage': '$STAGE',
+				'x-port': 8080
+			}, variables), {
+				servers: [{ url: 'https://qa.movies.com/v1', description: 'The qa server' }],
+				'x-stage': '$STAGE',
+				'x-port': 8080
+			});
+		});
+
+		it('should use the default value when the variable is not defined', () => {
+			assert.equal(Overlay.interpolate('${AUTH_URL:-https://auth.movies.com}/token', variables), 'https://auth.movies.com/token');
+			assert.equal(Overlay.interpolate('${STAGE:-prod}', variables), 'qa');
+		});
+
+		it('should throw when a variable is not defined and it has no default value', () => {
+			assert.throws(() => Overlay.interpolate({ url: '${AUTH_URL}' }, variables), {
+				message: 'The environment variable \'AUTH_URL\' isn\'t defined'
+			});
+		});
+
+		it('should use the process environment variables by default', () => {
+
+			process.env.API_SCHEMA_BUILDER_TEST = 'test';
+
+			assert.equal(Overlay.interpolate('${API_SCHEMA_BUILDER_TEST}'), 'test');
+
+			delete process.env.API_SCHEMA_BUILDER_TEST;
+		});
+	});
+
+	describe('getVariableNames', () => {
+
+		it('should return the names of the environment variables of a text, without repetitions', () => {
+			assert.deepEqual(Overlay.getVariableNames('url: ${STAGE}.${API_URL:-https://movies.com}\nstage: ${STAGE} $USER'), ['API_URL', 'STAGE']);
+			assert.deepEqual(Overlay.getVariableNames('overlay: 1.0.0'), []);
+		});
+	});
+
+	describe('validate', () => {
+
+		it('should not throw when the overlay is valid', () => {
+			Overlay.validate({
+				overlay: '1.0.0',
+				actions: [
+					{ target: '$.servers', update: [{ url: 'https://qa.movies.com' }] },
+					{ target: '$.paths[\'/beta\']', remove: true }
+				]
+			});
+		});
+
+		it('should throw when the overlay version is missing', () => {
+			assert.throws(() => Overlay.validate({ actions: [] }), { message: 'Missing the \'overlay\' version' });
+			assert.throws(() => Overlay.validate('overlay'), { message: 'Missing the \'overlay\' version' });
+		});
+
+		it('should throw when there are no actions', () => {
+			assert.throws(() => Overlay.validate({ overlay: '1.0.0', actions: [] }), { message: 'The \'actions\' must be a non empty list' });
+		});
+
+		it('should throw when an action is not valid', () => {
+
+			const validate = action => () => Overlay.validate({ overlay: '1.0.0', actions: [{ target: '$', remove: true }, action] });
+
+			assert.throws(validate({ target: 'servers', remove: true }), { message: 'The action 1 must have a JSONPath \'target\'' });
+			assert.throws(validate({ target: '$.servers' }), { message: 'The action 1 must have an \'update\' or \'remove: true\'' });
+			assert.throws(validate({ target: '$.info', update: 'Movie API' }), { message: 'The \'update\' of the action 1 must be an object or a list' });
+		});
+	});
+
+	describe('apply', () => {
+
+		const schema = {
+			openapi: '3.0.0',
+			info: { title: 'Movie API', version: '1.0.0', contact: { name: 'Movies' } },
+			servers: [{ url: 'https://movies.com' }],
+			paths: {
+				'/movies': { get: { summary: 'List', tags: ['movies'] } },
+				'/beta': { get: { summary: 'Beta', 'x-beta': true } },
+				'/trailers': { get: { summary: 'Trailers', 'x-beta': true } }
+			}
+		};
+
+		const apply = (...actions) => Overlay.apply(schema, { overlay: '1.0.0', actions });
+
+		it('should merge the update into the target objects and append it to the target lists', () => {
+
+			const { schema: overlaidSchema, unmatchedActions } = apply(
+				{ target: '$.info', update: { description: 'QA', contact: { email: 'qa@movies.com' } } },
+				{ target: '$.servers', update: { url: 'https://qa.movies.com' } },
+				{ target: '$.paths.*.get', update: { tags: ['qa'], security: [{ token: [] }] } }
+			);
+
+			assert.deepEqual(unmatchedActions, []);
+			assert.deepEqual(overlaidSchema.info, {
+				title: 'Movie API',
+				version: '1.0.0',
+				description: 'QA',
+				contact: { name: 'Movies', email: 'qa@movies.com' }
+			});
+			assert.deepEqual(overlaidSchema.servers, [{ url: 'https://movies.com' }, { url: 'https://qa.movies.com' }]);
+			assert.deepEqual(overlaidSchema.paths['/movies'].get, { summary: 'List', tags: ['movies', 'qa'], security: [{ token: [] }] });
+			assert.deepEqual(overlaidSchema.paths['/beta'].get.tags, ['qa']);
+		});
+
+		it('should replace the target values that can not be merged', () => {
+
+			const { schema: overlaidSchema } = apply(
+				{ target: '$.info.title', update: { 'x-i18n': 'title' } },
+				{ target: '$', update: { servers: [{ url: 'https://qa.movies.com' }], 'x-stage': 'qa' } }
+			);
+
+			assert.deepEqual(overlaidSchema.info.title, { 'x-i18n': 'title' });
+			assert.equal(overlaidSchema['x-stage'], 'qa');
+			assert.equal(overlaidSchema.servers.length, 2);
+		});
+
+		it('should remove the target nodes matched by a filter expression', () => {
+
+			const { schema: overlaidSchema } = apply(
+				{ target: '$.paths[?(@.get[\'x-beta\'])]', remove: true },
+				{ target: '$.paths[\'/movies\'].get.tags[0]', remove: true }
+			);
+
+			assert.deepEqual(overlaidSchema.paths, { '/movies': { get: { summary: 'List', tags: [] } } });
+		});
+
+		it('should return the actions whose target does not match any node', () => {
+
+			const { schema: overlaidSchema, unmatchedActions } = apply(
+				{ target: '$.paths[\'/actors\']', remove: true },
+				{ target: '$.info', update: { description: 'QA' } },
+				{ target: '$.components.securitySchemes', update: { token: { type: 'http', scheme: 'bearer' } } }
+			);
+
+			assert.deepEqual(unmatchedActions, [
+				{ index: 0, target: '$.paths[\'/actors\']' },
+				{ index: 2, target: '$.components.securitySchemes' }
+			]);
+			assert.equal(overlaidSchema.info.description, 'QA');
+		});
+
+		it('should throw when a target can not be evaluated', () => {
+			assert.throws(() => apply({ target: '$.paths[?(@.post.summary)]', remove: true }), {
+				message: 'The target of the action 0 can\'t be evaluated. Cannot read properties of undefined (reading \'summary\'): @.post.summary'
+			});
+		});
+
+		it('should not change the original schema', () => {
+
+			apply({ target: '$.servers', remove: true }, { target: '$.info', update: { title: 'QA' } });
+
+			assert.deepEqual(schema.servers, [{ url: 'https://movies.com' }]);
+			assert.equal(schema.info.title, 'Movie API');
+		});
+	});
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+
+const Report = require('./../lib/report');
+
+describe('Report', () => {
+
+	const file = path.join(process.cwd(), 'schemas', 'src', 'public', 'catalog.yml');
+
+	const requiredError = {
+		keyword: 'required',
+		message: 'should have required property \'responses\'',
+		pointer: '/paths/~1catalog/get',
+		file,
+		line: 12,
+		column: 7
+	};
+
+	const typeError = {
+		keyword: 'type',
+		message: 'should be <string> & "object"',
+		pointer: '/info/title'
+	};
+
+	const report = new Report();
+	report.add('public', [requiredError, typeError]);
+	report.add('internal', [], 'warning');
+
+	describe('formatError', () => {
+
+		it('should format the error with its relative file, line, column and pointer', () => {
+			assert.equal(Report.formatError(requiredError),
+				`${path.join('schemas', 'src', 'public', 'catalog.yml')}:12:7 — should have required property 'responses' (at /paths/~1catalog/get)`);
+		});
+
+		it('should format the error without position when it is unknown', () => {
+			assert.equal(Report.formatError({ ...requiredError, line: undefined }),
+				`${path.join('schemas', 'src', 'public', 'catalog.yml')} — should have required property 'responses' (at /paths/~1catalog/get)`);
+		});
+
+		it('should format the error without file when it is unknown', () => {
+			assert.equal(Report.formatError({ message: 'should be object', pointer: '' }), '<unknown> — should be object (at /)');
+		});
+	});
+
+	describe('getExtension', () => {
+
+		it('should return the file extension of every format', () => {
+			assert.deepEqual(Report.formats.map(format => Report.getExtension(format)), ['txt', 'json', 'xml']);
+		});
+	});
+
+	describe('escapeXml', () => {
+
+		it('should escape the special characters of XML', () => {
+			assert.equal(Report.escapeXml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+			assert.equal(Report.escapeXml(404), '404');
+		});
+	});
+
+	describe('format', () => {
+
+		it('should return one line per error with the text format', () => {
+			assert.equal(report.format('text'), [
+				`[public] error: ${Report.formatError(requiredError)}`,
+				`[public] error: ${Report.formatError(typeError)}`,
+				''
+			].join('\n'));
+		});
+
+		it('should return an empty text when there are no errors', () => {
+
+			const emptyReport = new Report();
+			emptyReport.add('public');
+
+			assert.equal(emptyReport.format('text'), '');
+		});
+
+		it('should return the errors by schema type with the json format', () => {
+			assert.deepEqual(JSON.parse(report.format('json')), {
+				public: {
+					severity: 'error',
+					errors: [{
+						file: path.join('schemas', 'src', 'public', 'catalog.yml'),
+						line: 12,
+						column: 7,
+						pointer: '/paths/~1catalog/get',
+						message: 'should have required property \'responses\''
+					}, {
+						pointer: '/info/title',
+						message: 'should be <string> & "object"'
+					}]
+				},
+				internal: {
+					severity: 'warning',
+					errors: []
+				}
+			});
+		});
+
+		it('should return a test suite per schema type and a failed test case per error with the junit format', () => {
+
+			const xml = report.format('junit');
+
+			assert(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="api-schema-builder" tests="3" failures="2" errors="0">'));
+			assert(xml.includes('<testsuite name="public" tests="2" failures="2" errors="0">'));
+			assert(xml.includes('<failure type="error" message="should be &lt;string&gt; &amp; &quot;object&quot;">'));
+			assert(xml.includes('<testsuite name="internal" tests="1" failures="0" errors="0">\n    <testcase classname="internal" name="internal"/>'));
+			assert(xml.endsWith('</testsuites>\n'));
+		});
+	});
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const assert = require('assert');
+
+const Router = require('./../lib/router');
+
+describe('Router', () => {
+
+	const responses = { 200: { description: 'Ok' } };
+
+	const spec = {
+		openapi: '3.0.0',
+		servers: [
+			{ url: 'https://api.movies.com/{version}/', variables: { version: { default: 'v1' } } },
+			{ url: 'http://[invalid' },
+			{ url: '/api' }
+		],
+		paths: {
+			'/movies/{id}': { get: { responses }, delete: { responses } },
+			'/movies/latest': { get: { responses } },
+			'/movies/{id}/actors/{actorId}': { get: { responses } },
+			'/': { get: { responses } },
+			'/invalid': null
+		}
+	};
+
+	const router = new Router(spec);
+
+	describe('match', () => {
+
+		it('should return the operation and the path parameters of a request', () => {
+			assert.deepEqual(router.match('GET', '/movies/star%20wars/actors/10?page=2'), {
+				path: '/movies/{id}/actors/{actorId}',
+				method: 'get',
+				pathItem: spec.paths['/movies/{id}/actors/{actorId}'],
+				operation: spec.paths['/movies/{id}/actors/{actorId}'].get,
+				pointer: '/paths/~1movies~1{id}~1actors~1{actorId}/get',
+				pathParams: { id: 'star wars', actorId: '10' }
+			});
+		});
+
+		it('should match the paths without parameters first', () => {
+			assert.equal(router.match('get', '/movies/latest').path, '/movies/latest');
+			assert.equal(router.match('delete', '/movies/10/').path, '/movies/{id}');
+		});
+
+		it('should match the paths after the base path of the servers', () => {
+			assert.deepEqual(router.match('GET', '/v1/movies/10').pathParams, { id: '10' });
+			assert.deepEqual(router.match('GET', 'http://localhost:4010/api/movies/10').pathParams, { id: '10' });
+			assert.equal(router.match('GET', '/v1').path, '/');
+		});
+
+		it('should keep the path parameters that can not be decoded', () => {
+			assert.deepEqual(router.match('GET', '/movies/100%').pathParams, { id: '100%' });
+		});
+
+		it('should return the allowed methods when the path has no operation of the method', () => {
+			assert.deepEqual(router.match('POST', '/movies/10'), {
+				path: '/movies/{id}',
+				pathItem: spec.paths['/movies/{id}'],
+				allowedMethods: ['GET', 'DELETE']
+			});
+		});
+
+		it('should return null when no path matches the request', () => {
+			assert.equal(router.match('GET', '/actors'), null);
+			assert.equal(new Router({}).match('GET', '/movies'), null);
+		});
+	});
+
+	describe('getOperations', () => {
+
+		it('should return the route of every operation, the paths without parameters first', () => {
+			assert.deepEqual(router.getOperations().map(({ method, path, pointer }) => `${method.toUpperCase()} ${path} ${pointer}`), [
+				'GET /movies/latest /paths/~1movies~1latest/get',
+				'GET / /paths/~1/get',
+				'GET /movies/{id} /paths/~1movies~1{id}/get',
+				'DELETE /movies/{id} /paths/~1movies~1{id}/delete',
+				'GET /movies/{id}/actors/{actorId} /paths/~1movies~1{id}~1actors~1{actorId}/get'
+			]);
+
+			assert.equal(router.getOperations()[0].operation, spec.paths['/movies/latest'].get);
+		});
+	});
+});
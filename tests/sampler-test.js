@@ -0,0 +1,116 @@
+'use strict';
+
+const assert = require('assert');
+
+const Sampler = require('./../lib/sampler');
+
+describe('Sampler', () => {
+
+	const spec = {
+		components: {
+			schemas: {
+				Movie: {
+					type: 'object',
+					properties: {
+						id: { type: 'integer', minimum: 1 },
+						title: { type: 'string', example: 'Alien' },
+						password: { type: 'string', writeOnly: true },
+						sequel: { $ref: '#/components/schemas/Movie' }
+					}
+				},
+				'Movie list': { type: 'array', items: { $ref: '#/components/schemas/Movie%20list' } }
+			}
+		}
+	};
+
+	const sampler = new Sampler(spec);
+
+	describe('sample', () => {
+
+		it('should return the example, default, constant or first enum value of the schema', () => {
+			assert.equal(sampler.sample({ type: 'string', example: 'Alien', default: 'Heat' }), 'Alien');
+			assert.equal(sampler.sample({ type: 'string', examples: ['Alien'], default: 'Heat' }), 'Alien');
+			assert.equal(sampler.sample({ type: 'string', examples: [], default: 'Heat' }), 'Heat');
+			assert.equal(sampler.sample({ const: 'drama' }), 'drama');
+			assert.equal(sampler.sample({ type: 'string', enum: ['drama', 'comedy'] }), 'drama');
+		});
+
+		it('should return a sample of the strings with their format and length', () => {
+			assert.equal(sampler.sample({ type: 'string' }), 'string');
+			assert.equal(sampler.sample({ type: 'string', format: 'date-time' }), '2024-01-01T00:00:00Z');
+			assert.equal(sampler.sample({ type: 'string', format: 'email', maxLength: 4 }), 'user');
+			assert.equal(sampler.sample({ type: 'string', minLength: 8 }), 'stringst');
+		});
+
+		it('should return a sample of the numbers between their limits', () => {
+			assert.equal(sampler.sample({ type: 'integer' }), 0);
+			assert.equal(sampler.sample({ type: 'integer', minimum: 5 }), 5);
+			assert.equal(sampler.sample({ type: 'integer', minimum: 5, exclusiveMinimum: true }), 6);
+			assert.equal(sampler.sample({ type: 'number', exclusiveMinimum: 5 }), 5.5);
+			assert.equal(sampler.sample({ type: 'number', maximum: -1, exclusiveMaximum: true }), -1.5);
+			assert.equal(sampler.sample({ type: 'number', maximum: 10 }), 0);
+			assert.equal(sampler.sample({ type: 'integer', exclusiveMaximum: -5 }), -6);
+		});
+
+		it('should return a sample of the booleans, the nulls and the unknown types', () => {
+			assert.equal(sampler.sample({ type: 'boolean' }), true);
+			assert.equal(sampler.sample({ type: ['null', 'boolean'] }), true);
+			assert.equal(sampler.sample({ type: ['null'] }), null);
+			assert.equal(sampler.sample({}), null);
+			assert.equal(sampler.sample(true), null);
+			assert.equal(sampler.sample(false), undefined);
+		});
+
+		it('should return a sample of the objects and arrays, following the references and omitting the write only properties', () => {
+			assert.deepEqual(sampler.sample({ $ref: '#/components/schemas/Movie' }), {
+				id: 1,
+				title: 'Alien',
+				sequel: { id: 1, title: 'Alien' }
+			});
+
+			assert.deepEqual(sampler.sample({ items: { type: 'integer' }, minItems: 2 }), [0, 0]);
+			assert.deepEqual(sampler.sample({ type: 'array' }), []);
+			assert.deepEqual(sampler.sample({ additionalProperties: { type: 'string' } }), {});
+		});
+
+		it('should omit the read only properties instead of the write only ones when the samples are requests', () => {
+
+			const schema = {
+				properties: {
+					id: { type: 'integer', readOnly: true },
+					password: { type: 'string', format: 'password', writeOnly: true }
+				}
+			};
+
+			assert.deepEqual(new Sampler(spec, { requests: true }).sample(schema), { password: 'password' });
+		});
+
+		it('should return an empty list when the items of a recursive array are omitted', () => {
+			assert.deepEqual(sampler.sample({ $ref: '#/components/schemas/Movie%20list' }), [[]]);
+		});
+
+		it('should return null when a reference can not be resolved', () => {
+			assert.equal(sampler.sample({ $ref: '#/components/schemas/Actor' }), null);
+			assert.equal(sampler.sample({ $ref: 'actor.json' }), null);
+		});
+
+		it('should merge the samples of the allOf schemas and use the first alternative of the oneOf and anyOf schemas', () => {
+
+			assert.deepEqual(sampler.sample({
+				allOf: [{ $ref: '#/components/schemas/Movie' }, { properties: { rating: { type: 'number' } } }, {}],
+				properties: { genre: { type: 'string' } }
+			}), {
+				id: 1,
+				title: 'Alien',
+				sequel: { id: 1, title: 'Alien' },
+				rating: 0,
+				genre: 'string'
+			});
+
+			assert.equal(sampler.sample({ allOf: [{ description: 'The rating' }, { type: 'integer', minimum: 3 }] }), 3);
+			assert.equal(sampler.sample({ allOf: [false] }), null);
+			assert.equal(sampler.sample({ oneOf: [{ type: 'boolean' }, { type: 'string' }] }), true);
+			assert.equal(sampler.sample({ anyOf: [{ type: 'string' }] }), 'string');
+		});
+	});
+});
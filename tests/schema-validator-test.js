@@ -0,0 +1,89 @@
+'use strict';
+
+const assert = require('assert');
+
+const SchemaValidator = require('./../lib/schema-validator');
+
+describe('SchemaValidator', () => {
+
+	const info = { title: 'Movie Api', version: '1.0.0' };
+
+	describe('getVersion', () => {
+
+		it('should return the OpenAPI version without the patch version', () => {
+			assert.equal(SchemaValidator.getVersion({ openapi: '3.0.3' }), '3.0');
+			assert.equal(SchemaValidator.getVersion({ openapi: '3.1.0' }), '3.1');
+		});
+
+		it('should return undefined when the version is missing or unknown', () => {
+			assert.equal(SchemaValidator.getVersion({ info }), undefined);
+			assert.equal(SchemaValidator.getVersion({ openapi: '3.1' }), undefined);
+			assert.equal(SchemaValidator.getVersion({ openapi: '4.0.0' }), undefined);
+			assert.equal(SchemaValidator.getVersion(null), undefined);
+		});
+	});
+
+	describe('validate', () => {
+
+		it('should return no errors when an OpenAPI 3.0 schema is valid', () => {
+			assert.deepEqual(SchemaValidator.validate({ openapi: '3.0.0', info, paths: {} }), []);
+		});
+
+		it('should return the errors of an OpenAPI 3.0 schema with their JSON pointer', () => {
+
+			const errors = SchemaValidator.validate({ openapi: '3.0.0', info, paths: { '/movies': { get: {} } } });
+
+			assert.deepEqual(errors.map(({ pointer, message }) => ({ pointer, message })), [
+				{ pointer: '/paths/~1movies/get', message: 'should have required property \'responses\'' }
+			]);
+		});
+
+		it('should reject the OpenAPI 3.1 constructs in an OpenAPI 3.0 schema', () => {
+
+			const errors = SchemaValidator.validate({ openapi: '3.0.0', info, paths: {}, webhooks: {} });
+
+			assert.deepEqual(errors.map(({ pointer, params }) => ({ pointer, params })), [
+				{ pointer: '', params: { additionalProperty: 'webhooks' } }
+			]);
+		});
+
+		it('should return no errors when an OpenAPI 3.1 schema with webhooks, type lists and $ref siblings is valid', () => {
+
+			assert.deepEqual(SchemaValidator.validate({
+				openapi: '3.1.0',
+				info,
+				webhooks: {
+					newMovie: {
+						post: {
+							requestBody: { $ref: '#/components/requestBodies/Movie', description: 'The new movie' },
+							responses: { 200: { description: 'Ok' } }
+						}
+					}
+				},
+				components: {
+					schemas: {
+						Movie: { type: 'object', properties: { title: { type: ['string', 'null'] } } }
+					},
+					requestBodies: {
+						Movie: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie', description: 'A movie' } } } }
+					}
+				}
+			}), []);
+		});
+
+		it('should return the errors of an OpenAPI 3.1 schema with their JSON pointer', () => {
+
+			const errors = SchemaValidator.validate({
+				openapi: '3.1.0',
+				info: { title: 'Movie Api' },
+				paths: { '/movies': { get: { responses: { 200: { summary: 'Ok' } } } } }
+			});
+
+			assert.deepEqual(errors.map(({ pointer, keyword }) => ({ pointer, keyword })), [
+				{ pointer: '/info', keyword: 'required' },
+				{ pointer: '/paths/~1movies/get/responses/200', keyword: 'required' },
+				{ pointer: '/paths/~1movies/get/responses/200', keyword: 'unevaluatedProperties' }
+			]);
+		});
+	});
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('assert');
+
+const Sorter = require('./../lib/sorter');
+
+describe('Sorter', () => {
+
+	describe('sort', () => {
+
+		it('should sort the root keys in canonical order and the unknown keys by name after them', () => {
+
+			const schema = Sorter.sort({
+				'x-logo': 'logo.png',
+				paths: {},
+				security: [],
+				components: {},
+				tags: [],
+				'x-audience': 'public',
+				servers: [],
+				info: {},
+				openapi: '3.0.0'
+			});
+
+			assert.deepEqual(Object.keys(schema), ['openapi', 'info', 'servers', 'tags', 'paths', 'components', 'security', 'x-audience', 'x-logo']);
+		});
+
+		it('should sort the paths by path and method', () => {
+
+			const { paths } = Sorter.sort({
+				paths: {
+					'/movies/{id}': { delete: {}, get: {} },
+					'/movies': {
+						post: {},
+						'x-internal': true,
+						get: {},
+						parameters: [],
+						summary: 'Movies'
+					},
+					'/catalog': { get: {} }
+				}
+			});
+
+			assert.deepEqual(Object.keys(paths), ['/catalog', '/movies', '/movies/{id}']);
+			assert.deepEqual(Object.keys(paths['/movies']), ['summary', 'parameters', 'get', 'post', 'x-internal']);
+			assert.deepEqual(Object.keys(paths['/movies/{id}']), ['get', 'delete']);
+		});
+
+		it('should sort the components by name keeping the order inside them', () => {
+
+			const { components } = Sorter.sort({
+				components: {
+					schemas: {
+						Movie: { type: 'object', properties: {} },
+						Actor: { type: 'object' }
+					},
+					parameters: {
+						Page: {}
+					}
+				}
+			});
+
+			assert.deepEqual(Object.keys(components), ['parameters', 'schemas']);
+			assert.deepEqual(Object.keys(components.schemas), ['Actor', 'Movie']);
+			assert.deepEqual(Object.keys(components.schemas.Movie), ['type', 'properties']);
+		});
+
+		it('should not modify the schema', () => {
+
+			const schema = { paths: { '/movies': {}, '/catalog': {} }, openapi: '3.0.0' };
+
+			Sorter.sort(schema);
+
+			assert.deepEqual(Object.keys(schema), ['paths', 'openapi']);
+			assert.deepEqual(Object.keys(schema.paths), ['/movies', '/catalog']);
+		});
+
+		it('should return the value when it is not an object', () => {
+			assert.equal(Sorter.sort(null), null);
+			assert.deepEqual(Sorter.sort({ paths: null, components: [] }), { paths: null, components: [] });
+		});
+	});
+});
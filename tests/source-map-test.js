@@ -0,0 +1,182 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const YAML = require('js-yaml');
+const MockFs = require('mock-fs');
+
+const SourceMap = require('./../lib/source-map');
+
+describe('SourceMap', () => {
+
+	const baseFile = path.join(process.cwd(), 'schemas', 'src', 'public', 'base.yml');
+	const listFile = path.join(process.cwd(), 'schemas', 'src', 'public', 'catalog', 'list.yml');
+	const movieFile = path.join(process.cwd(), 'shared', 'movie.json');
+
+	const base = [
+		'openapi: 3.0.0',
+		'info:',
+		'  title: Movie Api',
+		'  version: 1.0.0',
+		'paths: {}'
+	].join('\n');
+
+	const list = [
+		'# The catalog',
+		'paths:',
+		'  /catalog:',
+		'    get:',
+		'      tags: [catalog, movies]',
+		'      responses:',
+		'        \'200\':',
+		'          $ref: ../../../../shared/movie.json#/Ok'
+	].join('\n');
+
+	const movie = [
+		'{',
+		'  "Ok": {',
+		'    "description": "The movies",',
+		'    "content": {',
+		'      "application/json": {',
+		'        "schema": { "type": "array" }',
+		'      }',
+		'    }',
+		'  }',
+		'}'
+	].join('\n');
+
+	afterEach(() => {
+		MockFs.restore();
+	});
+
+	describe('toPointer', () => {
+
+		it('should convert an ajv data path into a JSON pointer', () => {
+			assert.equal(SourceMap.toPointer('.paths[\'/catalog\'].get.parameters[0].schema'), '/paths/~1catalog/get/parameters/0/schema');
+		});
+
+		it('should unescape the quotes and escape the pointer special characters', () => {
+			assert.equal(SourceMap.toPointer('.components.schemas[\'Movie\\\'s~\']'), '/components/schemas/Movie\'s~0');
+		});
+
+		it('should return an empty pointer for the root data path', () => {
+			assert.equal(SourceMap.toPointer(''), '');
+		});
+	});
+
+	describe('getPositions', () => {
+
+		it('should return the position of every key and item of a YAML content', () => {
+
+			const positions = SourceMap.getPositions(list);
+
+			assert.deepEqual(positions.get(''), { line: 2, column: 1 });
+			assert.deepEqual(positions.get('/paths'), { line: 2, column: 1 });
+			assert.deepEqual(positions.get('/paths/~1catalog/get'), { line: 4, column: 5 });
+			assert.deepEqual(positions.get('/paths/~1catalog/get/tags/1'), { line: 5, column: 23 });
+			assert.deepEqual(positions.get('/paths/~1catalog/get/responses/200/$ref'), { line: 8, column: 11 });
+		});
+
+		it('should return the position of the block sequence items', () => {
+
+			const positions = SourceMap.getPositions('tags:\n  - name: catalog\n  - movies\n');
+
+			assert.deepEqual(positions.get('/tags/0'), { line: 2, column: 5 });
+			assert.deepEqual(positions.get('/tags/0/name'), { line: 2, column: 5 });
+			assert.deepEqual(positions.get('/tags/1'), { line: 3, column: 5 });
+		});
+
+		it('should return the position of every key of a JSON content', () => {
+
+			const positions = SourceMap.getPositions(movie);
+
+			assert.deepEqual(positions.get('/Ok'), { line: 2, column: 3 });
+			assert.deepEqual(positions.get('/Ok/content/application~1json/schema/type'), { line: 6, column: 21 });
+		});
+
+		it('should return no positions when the content can not be parsed', () => {
+			assert.equal(SourceMap.getPositions('paths: [').size, 0);
+		});
+
+		it('should return no positions when the content is empty', () => {
+			assert.equal(SourceMap.getPositions('').size, 0);
+		});
+	});
+
+	describe('find', () => {
+
+		it('should return the file that defines the pointer', () => {
+
+			const sourceMap = new SourceMap([baseFile, listFile], [YAML.safeLoad(base), YAML.safeLoad(list)]);
+
+			assert.deepEqual(sourceMap.find('/info/title'), { file: baseFile, pointer: '/info/title' });
+			assert.deepEqual(sourceMap.find('/paths/~1catalog/get/summary'), { file: listFile, pointer: '/paths/~1catalog/get/summary' });
+		});
+
+		it('should return the winner of the merge when many files define the pointer', () => {
+
+			const contents = [{ info: { title: 'Movie Api' } }, { info: { title: 'Catalog Api' } }];
+
+			assert.equal(new SourceMap([baseFile, listFile], contents).find('/info/title').file, listFile);
+			assert.equal(new SourceMap([baseFile, listFile], contents, 'first-wins').find('/info/title').file, baseFile);
+		});
+
+		it('should return the referenced file and the pointer inside it when the pointer is in a reference', () => {
+
+			const sourceMap = new SourceMap([listFile], [YAML.safeLoad(list)]);
+			sourceMap.addReference('/paths/~1catalog/get/responses/200', movieFile, '/Ok');
+			sourceMap.addReference('/paths/~1catalog/get/responses/200/content/application~1json/schema', baseFile);
+
+			assert.deepEqual(sourceMap.find('/paths/~1catalog/get/responses/200/description'), { file: movieFile, pointer: '/Ok/description' });
+			assert.deepEqual(sourceMap.find('/paths/~1catalog/get/responses/200/content/application~1json/schema/type'), {
+				file: baseFile,
+				pointer: '/type'
+			});
+			assert.deepEqual(sourceMap.find('/paths/~1catalog/get/responses/2000'), { file: listFile, pointer: '/paths/~1catalog/get/responses/2000' });
+		});
+
+		it('should return undefined when there are no files', () => {
+			assert.equal(new SourceMap([], []).find('/info'), undefined);
+		});
+
+		it('should skip the empty files', () => {
+			assert.equal(new SourceMap([baseFile, listFile], [{ info: {} }, null]).find('/info').file, baseFile);
+		});
+	});
+
+	describe('locate', () => {
+
+		it('should return the file, line and column of the pointer', async () => {
+
+			MockFs({ [listFile]: list, [movieFile]: movie });
+
+			const sourceMap = new SourceMap([listFile], [YAML.safeLoad(list)]);
+			sourceMap.addReference('/paths/~1catalog/get/responses/200', movieFile, '/Ok');
+
+			assert.deepEqual(await sourceMap.locate('/paths/~1catalog/get/tags'), { file: listFile, line: 5, column: 7 });
+			assert.deepEqual(await sourceMap.locate('/paths/~1catalog/get/responses/200/description'), { file: movieFile, line: 3, column: 5 });
+		});
+
+		it('should return the position of the closest parent when the pointer is not defined', async () => {
+
+			MockFs({ [listFile]: list });
+
+			const sourceMap = new SourceMap([listFile], [YAML.safeLoad(list)]);
+
+			assert.deepEqual(await sourceMap.locate('/paths/~1catalog/get/parameters/0'), { file: listFile, line: 4, column: 5 });
+		});
+
+		it('should return only the file when it can not be read', async () => {
+
+			MockFs({});
+
+			const sourceMap = new SourceMap([listFile], [YAML.safeLoad(list)]);
+
+			assert.deepEqual(await sourceMap.locate('/paths'), { file: listFile });
+		});
+
+		it('should return an empty location when no file defines the pointer', async () => {
+			assert.deepEqual(await new SourceMap([], []).locate('/paths'), {});
+		});
+	});
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const assert = require('assert');
+
+const SpecUtils = require('./../lib/spec-utils');
+
+describe('SpecUtils', () => {
+
+	const spec = {
+		paths: {
+			'/movies/{id}': {
+				get: { parameters: [{ $ref: '#/components/parameters/Id' }] }
+			}
+		},
+		components: {
+			parameters: {
+				Id: { $ref: '#/components/parameters/MovieId' },
+				MovieId: { name: 'id', in: 'path' },
+				'Movie Year': { name: 'year', in: 'query' },
+				Loop: { $ref: '#/components/parameters/Loop' }
+			}
+		}
+	};
+
+	describe('operationMethods', () => {
+
+		it('should return the methods of the operations, a new list every time', () => {
+
+			assert.deepEqual(SpecUtils.operationMethods, ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']);
+
+			SpecUtils.operationMethods.pop();
+
+			assert.equal(SpecUtils.operationMethods.length, 8);
+		});
+	});
+
+	describe('toPointer', () => {
+
+		it('should build a JSON pointer escaping its keys', () => {
+			assert.equal(SpecUtils.toPointer('paths', '/movies/{id}', 'get', 0), '/paths/~1movies~1{id}/get/0');
+			assert.equal(SpecUtils.toPointer(), '');
+		});
+	});
+
+	describe('getKeys', () => {
+
+		it('should return the unescaped keys of a JSON pointer', () => {
+			assert.deepEqual(SpecUtils.getKeys('/paths/~1movies~1{id}/x-a~0b'), ['paths', '/movies/{id}', 'x-a~b']);
+			assert.deepEqual(SpecUtils.getKeys(''), []);
+		});
+	});
+
+	describe('toIdentifier', () => {
+
+		it('should return an identifier in pascal case, or in camel case when lowerFirst is true', () => {
+			assert.equal(SpecUtils.toIdentifier('movie list'), 'MovieList');
+			assert.equal(SpecUtils.toIdentifier('Get-movie_list', true), 'getMovie_list');
+		});
+
+		it('should prefix the identifiers that start with a digit and use a default one when there is no valid character', () => {
+			assert.equal(SpecUtils.toIdentifier('3d movie'), '_3dMovie');
+			assert.equal(SpecUtils.toIdentifier('{}'), 'Schema');
+			assert.equal(SpecUtils.toIdentifier('-', true), 'operation');
+		});
+	});
+
+	describe('findResponseCode', () => {
+
+		const responses = { 200: {}, '4XX': {}, default: {} };
+
+		it('should return the exact response code, or its range, or the default one', () => {
+			assert.equal(SpecUtils.findResponseCode(responses, '200'), '200');
+			assert.equal(SpecUtils.findResponseCode(responses, '404'), '4XX');
+			assert.equal(SpecUtils.findResponseCode(responses, '503'), 'default');
+		});
+
+		it('should return undefined when the operation has no response for the code', () => {
+			assert.equal(SpecUtils.findResponseCode({ 200: {} }, '404'), undefined);
+		});
+	});
+
+	describe('getValue', () => {
+
+		it('should return the value of a JSON pointer, including the items of the arrays', () => {
+			assert.deepEqual(SpecUtils.getValue(spec, '/paths/~1movies~1{id}/get/parameters/0'), { $ref: '#/components/parameters/Id' });
+			assert.equal(SpecUtils.getValue(spec, ''), spec);
+		});
+
+		it('should return undefined when the pointer does not exist', () => {
+			assert.equal(SpecUtils.getValue(spec, '/paths/~1actors/get'), undefined);
+			assert.equal(SpecUtils.getValue(spec, '/components/parameters/MovieId/name/length'), undefined);
+		});
+	});
+
+	describe('getRefValue', () => {
+
+		it('should return the value of an internal reference, decoding the URI fragment', () => {
+			assert.deepEqual(SpecUtils.getRefValue(spec, '#/components/parameters/MovieId'), { name: 'id', in: 'path' });
+			assert.deepEqual(SpecUtils.getRefValue(spec, '#/components/parameters/Movie%20Year'), { name: 'year', in: 'query' });
+		});
+
+		it('should return undefined for the external references and the invalid URI fragments', () => {
+			assert.equal(SpecUtils.getRefValue(spec, 'movie.yml#/Movie'), undefined);
+			assert.equal(SpecUtils.getRefValue(spec, '#/components/parameters/100%'), undefined);
+			assert.equal(SpecUtils.getRefValue(spec, null), undefined);
+		});
+	});
+
+	describe('resolveRef', () => {
+
+		it('should follow the internal references and return the pointer of the referenced value', () => {
+			assert.deepEqual(SpecUtils.resolveRef(spec, { $ref: '#/components/parameters/Id' }, '/paths/~1movies~1{id}/get/parameters/0'), {
+				value: { name: 'id', in: 'path' },
+				pointer: '/components/parameters/MovieId'
+			});
+		});
+
+		it('should return the value and its pointer when it is not an internal reference', () => {
+
+			const external = { $ref: 'movie.yml#/Movie' };
+
+			assert.deepEqual(SpecUtils.resolveRef(spec, external, '/a'), { value: external, pointer: '/a' });
+			assert.deepEqual(SpecUtils.resolveRef(spec, 'text'), { value: 'text', pointer: '' });
+		});
+
+		it('should return an undefined value when the reference is circular, missing or not a valid URI fragment', () => {
+			assert.deepEqual(SpecUtils.resolveRef(spec, { $ref: '#/components/parameters/Loop' }, '/a'), { value: undefined, pointer: '/a' });
+			assert.deepEqual(SpecUtils.resolveRef(spec, { $ref: '#/components/parameters/Missing' }), {
+				value: undefined,
+				pointer: '/components/parameters/Missing'
+			});
+			assert.deepEqual(SpecUtils.resolveRef(spec, { $ref: '#/components/parameters/100%' }), { value: undefined, pointer: '' });
+		});
+	});
+
+	describe('resolve', () => {
+
+		it('should return the referenced value', () => {
+			assert.deepEqual(SpecUtils.resolve(spec, { $ref: '#/components/parameters/Id' }), { name: 'id', in: 'path' });
+			assert.equal(SpecUtils.resolve(spec, { $ref: '#/components/parameters/Loop' }), undefined);
+		});
+	});
+});
@@ -0,0 +1,374 @@
+'use strict';
+
+const assert = require('assert');
+
+const SwaggerConverter = require('./../lib/swagger-converter');
+
+describe('SwaggerConverter', () => {
+
+	const info = { title: 'Movie Api', version: '1.0.0' };
+
+	const convert = schema => new SwaggerConverter().convert({ swagger: '2.0', info, ...schema });
+
+	describe('isSwagger', () => {
+
+		it('should return true only for the Swagger 2.0 schemas', () => {
+			assert.equal(SwaggerConverter.isSwagger({ swagger: '2.0' }), true);
+			assert.equal(SwaggerConverter.isSwagger({ swagger: 2.0 }), true);
+			assert.equal(SwaggerConverter.isSwagger({ openapi: '3.0.0' }), false);
+			assert.equal(SwaggerConverter.isSwagger(null), false);
+		});
+	});
+
+	describe('convert', () => {
+
+		it('should convert the root keys and the definitions', () => {
+
+			const { schema, issues } = convert({
+				host: 'api.movies.com',
+				basePath: '/v1',
+				schemes: ['https', 'http'],
+				tags: [{ name: 'movies' }],
+				'x-service': 'movies',
+				definitions: {
+					Movie: {
+						type: 'object',
+						discriminator: 'kind',
+						properties: {
+							title: { type: 'string', 'x-nullable': true },
+							poster: { type: 'file' },
+							actors: { type: 'array', items: { $ref: '#/definitions/Actor' } }
+						},
+						additionalProperties: { type: 'string' }
+					},
+					Film: { allOf: [{ $ref: '#/definitions/Movie' }, { $ref: './legacy.yml#/Film' }], additionalProperties: false }
+				}
+			});
+
+			assert.deepEqual(schema, {
+				openapi: '3.0.0',
+				info,
+				servers: [{ url: 'https://api.movies.com/v1' }, { url: 'http://api.movies.com/v1' }],
+				tags: [{ name: 'movies' }],
+				'x-service': 'movies',
+				components: {
+					schemas: {
+						Movie: {
+							type: 'object',
+							discriminator: { propertyName: 'kind' },
+							properties: {
+								title: { type: 'string', nullable: true },
+								poster: { type: 'string', format: 'binary' },
+								actors: { type: 'array', items: { $ref: '#/components/schemas/Actor' } }
+							},
+							additionalProperties: { type: 'string' }
+						},
+						Film: { allOf: [{ $ref: '#/components/schemas/Movie' }, { $ref: './legacy.yml#/Film' }], additionalProperties: false }
+					}
+				}
+			});
+
+			assert.deepEqual(issues, []);
+		});
+
+		it('should convert the base path into a relative server when there is no host', () => {
+			assert.deepEqual(convert({ basePath: '/v1' }).schema.servers, [{ url: '/v1' }]);
+			assert.deepEqual(convert({ host: 'api.movies.com' }).schema.servers, [{ url: 'https://api.movies.com' }]);
+		});
+
+		it('should report the unknown keys', () => {
+
+			const { schema, issues } = convert({ paths: { '/movies': { summary: 'Movies' } }, webhooks: {} });
+
+			assert.deepEqual(schema, { openapi: '3.0.0', info, paths: { '/movies': {} } });
+			assert.deepEqual(issues, [
+				{ pointer: '/paths/~1movies/summary', message: 'The \'summary\' key of the path item is unknown' },
+				{ pointer: '/webhooks', message: 'The \'webhooks\' key is unknown' }
+			]);
+		});
+
+		it('should move the schema keys of the parameters to their schema and convert their collection format', () => {
+
+			const { schema, issues } = convert({
+				parameters: {
+					Page: {
+						name: 'page', in: 'query', type: 'integer', minimum: 1, default: 1
+					},
+					MovieBody: { name: 'movie', in: 'body', schema: { $ref: '#/definitions/Movie' } },
+					Poster: { name: 'poster', in: 'formData', type: 'file' }
+				},
+				paths: {
+					'/movies': {
+						parameters: [{
+							name: 'X-Ids', in: 'header', type: 'array', items: { type: 'string' }, collectionFormat: 'csv'
+						}],
+						get: {
+							parameters: [
+								{ $ref: '#/parameters/Page' },
+								{
+									name: 'genres', in: 'query', type: 'array', items: { type: 'string', collectionFormat: 'pipes' }, collectionFormat: 'multi'
+								},
+								{
+									name: 'tags', in: 'query', type: 'array', collectionFormat: 'ssv', 'x-deprecated': true
+								},
+								{
+									name: 'ids', in: 'path', type: 'array', collectionFormat: 'tsv', required: true
+								}
+							],
+							responses: {}
+						}
+					}
+				}
+			});
+
+			assert.deepEqual(schema.components, {
+				parameters: { Page: { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } } },
+				requestBodies: { MovieBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } } } }
+			});
+
+			assert.deepEqual(schema.paths['/movies'], {
+				parameters: [{ name: 'X-Ids', in: 'header', schema: { type: 'array', items: { type: 'string' } } }],
+				get: {
+					parameters: [
+						{ $ref: '#/components/parameters/Page' },
+						{
+							name: 'genres', in: 'query', style: 'form', explode: true, schema: { type: 'array', items: { type: 'string' } }
+						},
+						{
+							name: 'tags', in: 'query', 'x-deprecated': true, style: 'spaceDelimited', explode: false, schema: { type: 'array' }
+						},
+						{ name: 'ids', in: 'path', required: true, schema: { type: 'array' } }
+					],
+					responses: {}
+				}
+			});
+
+			assert.deepEqual(issues, [
+				{ pointer: '/parameters/Poster', message: 'The formData parameters can\'t be components, they must be defined in the operations' },
+				{
+					pointer: '/paths/~1movies/get/parameters/1/items/collectionFormat',
+					message: 'The \'pipes\' collection format of the items can\'t be converted'
+				},
+				{ pointer: '/paths/~1movies/get/parameters/3/collectionFormat', message: 'The \'tsv\' collection format can\'t be converted in path' }
+			]);
+		});
+
+		it('should convert the body parameters into request bodies with the media types of the operation', () => {
+
+			const { schema, issues } = convert({
+				consumes: ['application/json'],
+				parameters: { MovieBody: { name: 'movie', in: 'body', schema: { type: 'object' } } },
+				paths: {
+					'/movies': {
+						post: {
+							consumes: ['application/json', 'application/xml'],
+							parameters: [{
+								name: 'movie', in: 'body', description: 'The movie', required: true, schema: { $ref: '#/definitions/Movie' }
+							}],
+							responses: {}
+						},
+						put: {
+							parameters: [{ $ref: '#/parameters/MovieBody' }],
+							responses: {}
+						}
+					}
+				}
+			});
+
+			const movieSchema = { $ref: '#/components/schemas/Movie' };
+
+			assert.deepEqual(schema.paths['/movies'], {
+				post: {
+					requestBody: {
+						description: 'The movie',
+						content: { 'application/json': { schema: movieSchema }, 'application/xml': { schema: movieSchema } },
+						required: true
+					},
+					responses: {}
+				},
+				put: {
+					requestBody: { $ref: '#/components/requestBodies/MovieBody' },
+					responses: {}
+				}
+			});
+
+			assert.deepEqual(issues, []);
+		});
+
+		it('should convert the form data parameters into a request body with an object schema', () => {
+
+			const { schema } = convert({
+				paths: {
+					'/movies': {
+						post: {
+							parameters: [
+								{
+									name: 'title', in: 'formData', type: 'string', description: 'The title', required: true
+								},
+								{ name: 'year', in: 'formData', type: 'integer' }
+							],
+							responses: {}
+						},
+						put: {
+							parameters: [{ name: 'poster', in: 'formData', type: 'file' }],
+							responses: {}
+						},
+						patch: {
+							consumes: ['application/json', 'multipart/form-data'],
+							parameters: [{ name: 'year', in: 'formData', type: 'integer' }],
+							responses: {}
+						}
+					}
+				}
+			});
+
+			const { post, put, patch } = schema.paths['/movies'];
+
+			assert.deepEqual(post.requestBody, {
+				content: {
+					'application/x-www-form-urlencoded': {
+						schema: {
+							type: 'object',
+							properties: { title: { type: 'string', description: 'The title' }, year: { type: 'integer' } },
+							required: ['title']
+						}
+					}
+				},
+				required: true
+			});
+
+			assert.deepEqual(Object.keys(put.requestBody.content), ['multipart/form-data']);
+			assert.deepEqual(put.requestBody.content['multipart/form-data'].schema.properties.poster, { type: 'string', format: 'binary' });
+			assert.deepEqual(Object.keys(patch.requestBody.content), ['multipart/form-data']);
+		});
+
+		it('should move the body parameters of the path items to their operations', () => {
+
+			const { schema } = convert({
+				paths: {
+					'/movies': {
+						'x-owner': 'movies',
+						parameters: [{ name: 'movie', in: 'body', schema: { type: 'object' } }],
+						post: { summary: 'Create a movie', responses: {} },
+						put: { parameters: [{ name: 'id', in: 'query', type: 'string' }], responses: {} }
+					}
+				}
+			});
+
+			const requestBody = { content: { 'application/json': { schema: { type: 'object' } } } };
+
+			assert.deepEqual(schema.paths['/movies'], {
+				'x-owner': 'movies',
+				post: { summary: 'Create a movie', responses: {}, requestBody },
+				put: { parameters: [{ name: 'id', in: 'query', schema: { type: 'string' } }], responses: {}, requestBody }
+			});
+		});
+
+		it('should report the body parameters that can\'t be converted', () => {
+
+			const { schema, issues } = convert({
+				parameters: { Poster: { name: 'poster', in: 'formData', type: 'file' } },
+				paths: {
+					'/movies': {
+						post: {
+							parameters: [{ name: 'movie', in: 'body', schema: {} }, { name: 'year', in: 'formData', type: 'integer' }],
+							responses: {}
+						},
+						put: {
+							parameters: [{ $ref: '#/parameters/Poster' }],
+							schemes: ['http'],
+							responses: {}
+						}
+					}
+				}
+			});
+
+			assert.deepEqual(schema.paths['/movies'], { post: { responses: {} }, put: { responses: {} } });
+
+			assert.deepEqual(issues, [
+				{ pointer: '/parameters/Poster', message: 'The formData parameters can\'t be components, they must be defined in the operations' },
+				{ pointer: '/paths/~1movies/post/parameters', message: 'The body parameter can\'t be mixed with other body or form data parameters' },
+				{ pointer: '/paths/~1movies/put/parameters', message: 'The references to form data parameters can\'t be converted' },
+				{
+					pointer: '/paths/~1movies/put/schemes',
+					message: 'The schemes of the operations can\'t be converted, the servers are defined for the whole schema'
+				}
+			]);
+		});
+
+		it('should move the schema, the headers and the examples of the responses to their content', () => {
+
+			const { schema, issues } = convert({
+				produces: ['application/json'],
+				responses: {
+					NotFound: { description: 'Not Found', 'x-cache': false }
+				},
+				paths: {
+					'/movies': {
+						get: {
+							produces: ['application/json', 'text/csv'],
+							responses: {
+								200: {
+									description: 'The movies',
+									schema: { type: 'array', items: { $ref: '#/definitions/Movie' } },
+									headers: { 'X-Total': { type: 'integer', description: 'The total' }, 'X-Page': { type: 'integer' } },
+									examples: { 'application/json': [{ title: 'Matrix' }], 'text/plain': 'Matrix' }
+								},
+								404: { $ref: '#/responses/NotFound' },
+								500: { description: 'Error', example: {} }
+							}
+						}
+					}
+				}
+			});
+
+			const moviesSchema = { type: 'array', items: { $ref: '#/components/schemas/Movie' } };
+
+			assert.deepEqual(schema.components.responses, { NotFound: { description: 'Not Found', 'x-cache': false } });
+
+			assert.deepEqual(schema.paths['/movies'].get.responses, {
+				200: {
+					description: 'The movies',
+					headers: { 'X-Total': { description: 'The total', schema: { type: 'integer' } }, 'X-Page': { schema: { type: 'integer' } } },
+					content: {
+						'application/json': { schema: moviesSchema, example: [{ title: 'Matrix' }] },
+						'text/csv': { schema: moviesSchema },
+						'text/plain': { example: 'Matrix' }
+					}
+				},
+				404: { $ref: '#/components/responses/NotFound' },
+				500: { description: 'Error' }
+			});
+
+			assert.deepEqual(issues, [{ pointer: '/paths/~1movies/get/responses/500/example', message: 'The \'example\' key of the response is unknown' }]);
+		});
+
+		it('should convert the security definitions into security schemes', () => {
+
+			const { schema, issues } = convert({
+				securityDefinitions: {
+					basic: { type: 'basic', description: 'The user and password' },
+					apiKey: { type: 'apiKey', name: 'x-api-key', in: 'header' },
+					implicit: { type: 'oauth2', flow: 'implicit', authorizationUrl: 'https://auth.movies.com', scopes: { read: 'Read' } },
+					application: { type: 'oauth2', flow: 'application', tokenUrl: 'https://auth.movies.com/token', description: 'The services' },
+					unknown: { type: 'oauth2', flow: 'device' }
+				},
+				security: [{ apiKey: [] }]
+			});
+
+			assert.deepEqual(schema.components.securitySchemes, {
+				basic: { type: 'http', scheme: 'basic', description: 'The user and password' },
+				apiKey: { type: 'apiKey', name: 'x-api-key', in: 'header' },
+				implicit: { type: 'oauth2', flows: { implicit: { authorizationUrl: 'https://auth.movies.com', scopes: { read: 'Read' } } } },
+				application: {
+					type: 'oauth2',
+					description: 'The services',
+					flows: { clientCredentials: { tokenUrl: 'https://auth.movies.com/token', scopes: {} } }
+				}
+			});
+
+			assert.deepEqual(schema.security, [{ apiKey: [] }]);
+			assert.deepEqual(issues, [{ pointer: '/securityDefinitions/unknown/flow', message: 'The \'device\' OAuth2 flow is unknown' }]);
+		});
+	});
+});
@@ -0,0 +1,294 @@
+'use strict';
+
+const assert = require('assert');
+
+const TypeDefinitions = require('./../lib/type-definitions');
+
+describe('TypeDefinitions', () => {
+
+	/**
+	 * Returns the declaration of a type, from its comment to the next empty line
+	 */
+	const getDeclaration = (dts, name) => dts
+		.trim()
+		.split('\n\n')
+		.find(declaration => new RegExp(`^export (interface|type) ${name}\\b`, 'm').test(declaration));
+
+	describe('render', () => {
+
+		it('should render an interface for every object component schema, with its optional and required properties', () => {
+
+			const dts = new TypeDefinitions({
+				info: { title: 'Movie API', version: '1.0.0' },
+				components: {
+					schemas: {
+						Movie: {
+							type: 'object',
+							description: 'A movie\nwith a */ comment',
+							required: ['id', 'title'],
+							properties: {
+								id: { type: 'integer' },
+								title: { type: 'string', description: 'The title', deprecated: true },
+								'release-date': { type: 'string', format: 'date' },
+								sequel: { $ref: '#/components/schemas/Movie' },
+								cast: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' } } } },
+								ratings: { additionalProperties: { type: 'number' } },
+								tags: { type: 'object', additionalProperties: true, properties: { main: { type: 'string' } } },
+								metadata: { type: 'object' },
+								nothing: { type: 'object', additionalProperties: false }
+							}
+						}
+					}
+				}
+			}).render();
+
+			assert(dts.startsWith('/**\n * The types of Movie API 1.0.0, generated from its schema by @janiscommerce/api-schema-builder.'));
+
+			assert.equal(getDeclaration(dts, 'Movie'), [
+				'/**',
+				' * A movie',
+				' * with a *\\/ comment',
+				' */',
+				'export interface Movie {',
+				'\tid: number;',
+				'\t/**',
+				'\t * The title',
+				'\t * @deprecated',
+				'\t */',
+				'\ttitle: string;',
+				'\t"release-date"?: string;',
+				'\tsequel?: Movie;',
+				'\tcast?: Array<{',
+				'\t\tname?: string;',
+				'\t}>;',
+				'\tratings?: {',
+				'\t\t[key: string]: number;',
+				'\t};',
+				'\ttags?: {',
+				'\t\tmain?: string;',
+				'\t\t[key: string]: unknown;',
+				'\t};',
+				'\tmetadata?: Record<string, unknown>;',
+				'\tnothing?: Record<string, never>;',
+				'}'
+			].join('\n'));
+		});
+
+		it('should render the enums as literal unions, oneOf and anyOf as unions, allOf as intersections and the nullable schemas', () => {
+
+			const dts = new TypeDefinitions({
+				openapi: '3.0.0',
+				components: {
+					schemas: {
+						Genre: { type: 'string', enum: ['drama', 'comedy', null], nullable: true },
+						Rating: { type: 'integer', nullable: true },
+						Kind: { const: 'movie' },
+						Person: { oneOf: [{ type: 'string' }, { $ref: '#/components/schemas/Actor' }] },
+						Actor: { anyOf: [{ type: ['string', 'null'] }, { type: 'boolean' }], nullable: true },
+						Star: {
+							allOf: [{ $ref: '#/components/schemas/Person' }, { description: 'A star' }],
+							properties: { awards: { type: 'integer' } }
+						},
+						Anything: {},
+						Nothing: false,
+						Unknown: { $ref: 'actor.json' },
+						Matrix: { type: 'array', items: { type: 'array' } },
+						'movie list': { items: { $ref: '#/components/schemas/movie%20list' } },
+						'2d': { type: 'file' },
+						'!': { enum: [{ id: 1 }] }
+					}
+				}
+			}).render();
+
+			assert(dts.includes('export type Genre = "drama" | "comedy" | null;'));
+			assert(dts.includes('export type Rating = number | null;'));
+			assert(dts.includes('export type Kind = "movie";'));
+			assert(dts.includes('export type Person = string | Actor;'));
+			assert(dts.includes('export type Actor = string | null | boolean;'));
+			assert(dts.includes('export type Star = {\n\tawards?: number;\n} & Person;'));
+			assert(dts.includes('export type Anything = unknown;'));
+			assert(dts.includes('export type Nothing = never;'));
+			assert(dts.includes('export type Unknown = unknown;'));
+			assert(dts.includes('export type Matrix = Array<Array<unknown>>;'));
+			assert(dts.includes('export type MovieList = Array<MovieList>;'));
+			assert(dts.includes('export type _2d = unknown;'));
+			assert(dts.includes('export type Schema = unknown;'));
+		});
+
+		it('should put the unions of an intersection between parentheses', () => {
+
+			const dts = new TypeDefinitions({
+				components: {
+					schemas: {
+						Id: { allOf: [{ enum: [1, 2] }, { type: 'integer', oneOf: [{ minimum: 0 }, { maximum: 10 }] }] }
+					}
+				}
+			}).render();
+
+			assert(dts.includes('export type Id = (1 | 2) & number;'));
+		});
+
+		it('should render unique identifiers for the schemas and the operations with the same name', () => {
+
+			const dts = new TypeDefinitions({
+				paths: {
+					'/movies': {
+						get: { operationId: 'list-movies', responses: {} },
+						post: { operationId: 'listMovies', responses: {} }
+					}
+				},
+				components: {
+					schemas: {
+						'movie-list': { type: 'string' },
+						MovieList: { type: 'string' },
+						ListMoviesRequest: { $ref: '#/components/schemas/MovieList' }
+					}
+				}
+			}).render();
+
+			assert(dts.includes('export type MovieList = string;'));
+			assert(dts.includes('export type MovieList2 = string;'));
+			assert(dts.includes('export type ListMoviesRequest = MovieList2;'));
+			assert(dts.includes('export interface ListMovies2Request {}'));
+			assert(dts.includes('export interface ListMovies3Request {}'));
+		});
+
+		it('should render the request and response types of every operation with an operationId', () => {
+
+			const dts = new TypeDefinitions({
+				paths: {
+					'/movies/{id}': {
+						parameters: [
+							{ $ref: '#/components/parameters/Id' },
+							{ name: 'fields', in: 'query', schema: { type: 'string' } }
+						],
+						get: {
+							operationId: 'getMovie',
+							summary: 'Get a movie',
+							parameters: [
+								{ name: 'fields', in: 'query', schema: { type: 'array', items: { enum: ['id', 'title'] } } },
+								{
+									name: 'X-Trace-Id',
+									in: 'header',
+									required: true,
+									description: 'The trace',
+									schema: { type: 'string' }
+								},
+								{ name: 'filter', in: 'query', content: { 'application/json': { schema: { type: 'object' } } } },
+								{ name: 'session', in: 'cookie' },
+								{ name: 'other', in: 'body' }
+							],
+							responses: {
+								'x-cached': true,
+								200: { description: 'The movie', content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } } },
+								'4XX': { $ref: '#/components/responses/Error' },
+								default: { $ref: '#/components/responses/Missing' }
+							}
+						},
+						put: {
+							operationId: 'updateMovie',
+							deprecated: true,
+							requestBody: { $ref: '#/components/requestBodies/Movie' },
+							responses: { 204: { description: 'Updated' }, '2XX': { description: 'Accepted', content: { 'text/plain': {} } } }
+						},
+						delete: {
+							operationId: 'deleteMovie',
+							requestBody: { content: { 'application/json': null } },
+							responses: { default: { description: 'The response' } }
+						},
+						patch: {
+							responses: { 200: { description: 'Patched' } }
+						}
+					},
+					'/health': null
+				},
+				components: {
+					parameters: {
+						Id: { name: 'id', in: 'path', schema: { type: 'integer' } }
+					},
+					requestBodies: {
+						Movie: {
+							required: true,
+							content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } }, 'text/plain': { schema: { type: 'string' } } }
+						}
+					},
+					responses: {
+						Error: {
+							description: 'The error',
+							content: { 'application/json': { schema: { type: 'object', properties: { message: { type: 'string' } } } } }
+						}
+					},
+					schemas: {
+						Movie: { type: 'object', properties: { title: { type: 'string' } } }
+					}
+				}
+			}).render();
+
+			assert.equal(getDeclaration(dts, 'GetMovieRequest'), [
+				'/** Get a movie: GET /movies/{id} */',
+				'export interface GetMovieRequest {',
+				'\tpath: {',
+				'\t\tid: number;',
+				'\t};',
+				'\tquery?: {',
+				'\t\tfields?: Array<"id" | "title">;',
+				'\t\tfilter?: Record<string, unknown>;',
+				'\t};',
+				'\theaders: {',
+				'\t\t/** The trace */',
+				'\t\t"X-Trace-Id": string;',
+				'\t};',
+				'\tcookies?: {',
+				'\t\tsession?: unknown;',
+				'\t};',
+				'}'
+			].join('\n'));
+
+			assert.equal(getDeclaration(dts, 'GetMovieResponses'), [
+				'export interface GetMovieResponses {',
+				'\t/** The movie */',
+				'\t200: Movie;',
+				'\t/** The error */',
+				'\t"4XX": {',
+				'\t\tmessage?: string;',
+				'\t};',
+				'}'
+			].join('\n'));
+
+			assert(dts.includes('export type GetMovieResponse = GetMovieResponses[200];'));
+
+			assert.equal(getDeclaration(dts, 'UpdateMovieRequest'), [
+				'/**',
+				' * PUT /movies/{id}',
+				' * @deprecated',
+				' */',
+				'export interface UpdateMovieRequest {',
+				'\tpath: {',
+				'\t\tid: number;',
+				'\t};',
+				'\tquery?: {',
+				'\t\tfields?: string;',
+				'\t};',
+				'\tbody: Movie | string;',
+				'}'
+			].join('\n'));
+
+			assert(dts.includes('\t204: undefined;\n\t/** Accepted */\n\t"2XX": unknown;'));
+			assert(dts.includes('export type UpdateMovieResponse = UpdateMovieResponses[204] | UpdateMovieResponses["2XX"];'));
+
+			assert(dts.includes('\tbody?: unknown;'));
+			assert(dts.includes('export type DeleteMovieResponse = DeleteMovieResponses["default"];'));
+
+			assert(!dts.includes('Patched'));
+		});
+
+		it('should render the schemas without info, paths nor components', () => {
+
+			const dts = new TypeDefinitions({ openapi: '3.1.0', paths: { '/movies': { get: { operationId: 'listMovies' } } } }).render();
+
+			assert(dts.includes(' * The types of the API, generated'));
+			assert(dts.includes('export interface ListMoviesResponses {}'));
+			assert(dts.includes('export type ListMoviesResponse = never;'));
+		});
+	});
+});
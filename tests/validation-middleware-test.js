@@ -0,0 +1,413 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+
+const sinon = require('sinon');
+
+const ValidationMiddleware = require('./../lib/validation-middleware');
+
+describe('ValidationMiddleware', () => {
+
+	const movie = { id: 10, title: 'Alien' };
+
+	const spec = {
+		openapi: '3.0.0',
+		info: { title: 'Movie API', version: '1.0.0' },
+		paths: {
+			'/movies/{id}': {
+				parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+				get: {
+					parameters: [
+						{ name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string', enum: ['id', 'title'] } } },
+						{ name: 'session', in: 'cookie', schema: { type: 'string', minLength: 3 } }
+					],
+					responses: {
+						200: {
+							description: 'The movie',
+							headers: { 'X-Rate-Limit': { schema: { type: 'integer' } } },
+							content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } }
+						}
+					}
+				},
+				put: {
+					requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Movie' } } } },
+					responses: { 204: { description: 'Updated' } }
+				}
+			}
+		},
+		components: {
+			schemas: {
+				Movie: {
+					type: 'object',
+					required: ['id', 'title'],
+					properties: { id: { type: 'integer', readOnly: true }, title: { type: 'string' } }
+				}
+			}
+		}
+	};
+
+	const jsonHeaders = { 'content-type': 'application/json' };
+
+	afterEach(() => {
+		sinon.restore();
+	});
+
+	describe('constructor', () => {
+
+		it('should compile the schemas of every operation', () => {
+			assert.equal(new ValidationMiddleware(spec).validator.validators.size, 7);
+		});
+
+		it('should throw when a schema can not be compiled', () => {
+			assert.throws(() => new ValidationMiddleware({
+				openapi: '3.0.0',
+				paths: { '/movies': { get: { responses: { 200: { content: { 'application/json': { schema: { type: 'movie' } } } } } } } }
+			}));
+		});
+	});
+
+	describe('validateRequest', () => {
+
+		const middleware = new ValidationMiddleware(spec);
+
+		it('should return the route of a valid request', () => {
+
+			const { route, error } = middleware.validateRequest({ method: 'GET', url: '/movies/10?fields=title' });
+
+			assert.equal(route.operation, spec.paths['/movies/{id}'].get);
+			assert.deepEqual(route.pathParams, { id: '10' });
+			assert.equal(error, null);
+		});
+
+		it('should return the error response of an invalid request', () => {
+			assert.deepEqual(middleware.validateRequest({ method: 'PUT', url: '/movies/ten', headers: jsonHeaders, body: '{}' }).error, {
+				status: 400,
+				headers: jsonHeaders,
+				body: {
+					message: 'Invalid request',
+					errors: [
+						{ in: 'path', path: '$.path.id', keyword: 'type', message: 'must be integer' },
+						{ in: 'body', path: '$.body.title', keyword: 'required', message: 'must have required property \'title\'' }
+					]
+				}
+			});
+
+			const { error } = middleware.validateRequest({ method: 'PUT', url: '/movies/10', headers: { 'content-type': 'text/plain' }, body: 'Alien' });
+
+			assert.equal(error.status, 415);
+		});
+
+		it('should return the error response of the unknown paths and methods', () => {
+
+			assert.deepEqual(middleware.validateRequest({ method: 'GET', url: '/actors?page=2' }), {
+				route: null,
+				error: { status: 404, headers: jsonHeaders, body: { message: 'No path matches \'/actors\'' } }
+			});
+
+			assert.deepEqual(middleware.validateRequest({ method: 'DELETE', url: '/movies/10' }).error, {
+				status: 405,
+				headers: { allow: 'GET, PUT', ...jsonHeaders },
+				body: { message: 'The method DELETE isn\'t allowed for path \'/movies/{id}\'' }
+			});
+		});
+	});
+
+	describe('validateResponse', () => {
+
+		it('should validate the responses with any case of header names and values', () => {
+
+			const middleware = new ValidationMiddleware(spec);
+			const { route } = middleware.validateRequest({ method: 'GET', url: '/movies/10' });
+
+			assert.deepEqual(middleware.validateResponse(route, {
+				status: 200,
+				headers: { 'Content-Type': ['application/json'], 'X-Rate-Limit': 100, 'X-Request-Id': null },
+				body: movie
+			}), []);
+
+			assert.deepEqual(middleware.validateResponse(route, { status: 200, headers: { 'Content-Type': 'application/json' }, body: '{"id":"10"}' }), [
+				{ in: 'body', path: '$.body.title', keyword: 'required', message: 'must have required property \'title\'' },
+				{ in: 'body', path: '$.body.id', keyword: 'type', message: 'must be integer' }
+			]);
+		});
+	});
+
+	describe('http', () => {
+
+		let server;
+
+		const request = (path, { method = 'GET', headers, body } = {}) => new Promise((resolve, reject) => {
+
+			const options = {
+				host: '127.0.0.1',
+				port: server.address().port,
+				path,
+				method,
+				headers
+			};
+
+			const req = http.request(options, res => {
+
+				let responseBody = '';
+
+				res.on('data', chunk => { responseBody += chunk; });
+				res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: responseBody }));
+			});
+
+			req.on('error', reject);
+			req.end(body);
+		});
+
+		const listen = listener => new Promise(resolve => {
+			server = http.createServer(listener);
+			server.listen(0, '127.0.0.1', resolve);
+		});
+
+		afterEach(() => new Promise(resolve => server.close(resolve)));
+
+		it('should call the handler with the body and the path params of the valid requests', async () => {
+
+			const onInvalidResponse = sinon.fake();
+
+			const handler = sinon.fake((req, res) => {
+				res.statusCode = 204;
+				res.end();
+			});
+
+			await listen(new ValidationMiddleware(spec, { onInvalidResponse }).http(handler));
+
+			const { status } = await request('/movies/10', { method: 'PUT', headers: jsonHeaders, body: '{"title":"Alien"}' });
+
+			assert.equal(status, 204);
+
+			sinon.assert.calledOnce(handler);
+
+			const [req] = handler.firstCall.args;
+
+			assert.equal(req.body, '{"title":"Alien"}');
+			assert.deepEqual(req.params, { id: '10' });
+
+			sinon.assert.notCalled(onInvalidResponse);
+		});
+
+		it('should answer the invalid requests with their errors without calling the handler', async () => {
+
+			const handler = sinon.fake();
+
+			await listen(new ValidationMiddleware(spec).http(handler));
+
+			const { status, headers, body } = await request('/movies/10?fields=cast', { headers: { cookie: 'session=a' } });
+
+			assert.equal(status, 400);
+			assert.equal(headers['content-type'], 'application/json');
+			assert.deepEqual(JSON.parse(body), {
+				message: 'Invalid request',
+				errors: [
+					{ in: 'query', path: '$.query.fields[0]', keyword: 'enum', message: 'must be equal to one of the allowed values' },
+					{ in: 'cookie', path: '$.cookie.session', keyword: 'minLength', message: 'must NOT have fewer than 3 characters' }
+				]
+			});
+
+			sinon.assert.notCalled(handler);
+		});
+
+		it('should report the invalid responses with the headers of writeHead and every written chunk', async () => {
+
+			let report;
+			const reported = new Promise(resolve => { report = resolve; });
+
+			const middleware = new ValidationMiddleware(spec, { onInvalidResponse: (errors, route) => report({ errors, route }) });
+
+			await listen(middleware.http((req, res) => {
+				res.setHeader('X-Rate-Limit', 'many');
+				res.writeHead(200, 'OK', jsonHeaders);
+				res.write('{"id":10,');
+				res.end(Buffer.from('"title":1}'), () => {});
+			}));
+
+			const { status, body } = await request('/movies/10');
+
+			assert.equal(status, 200);
+			assert.equal(body, '{"id":10,"title":1}');
+
+			const { errors, route } = await reported;
+
+			assert.deepEqual(errors, [
+				{ in: 'header', path: '$.headers[\'x-rate-limit\']', keyword: 'type', message: 'must be integer' },
+				{ in: 'body', path: '$.body.title', keyword: 'type', message: 'must be string' }
+			]);
+			assert.equal(route.path, '/movies/{id}');
+		});
+
+		it('should answer with a server error and log it when the handler rejects', async () => {
+
+			sinon.stub(console, 'log');
+
+			await listen(new ValidationMiddleware(spec).http(async () => {
+				throw new Error('Database down');
+			}));
+
+			const { status, body } = await request('/movies/10');
+
+			assert.equal(status, 500);
+			assert.deepEqual(JSON.parse(body), { message: 'Internal server error' });
+
+			sinon.assert.calledWithMatch(console.log, 'The handler of \'GET /movies/10\' failed. Database down');
+		});
+
+		it('should close the connection when the handler rejects after starting the response', async () => {
+
+			sinon.stub(console, 'log');
+
+			await listen(new ValidationMiddleware(spec, { responses: false }).http(async (req, res) => {
+				res.writeHead(200, jsonHeaders);
+				throw new Error('Database down');
+			}));
+
+			await assert.rejects(() => request('/movies/10'), { code: 'ECONNRESET' });
+		});
+
+		it('should not call the handler nor reject when the client aborts the request body', async () => {
+
+			const handler = sinon.fake();
+			const listener = new ValidationMiddleware(spec).http(handler);
+
+			let handle;
+			const handled = new Promise(resolve => { handle = resolve; });
+
+			// Wrapped, so the listener isn't awaited by the handled promise
+			await listen((req, res) => handle({ listening: listener(req, res) }));
+
+			const req = http.request({
+				host: '127.0.0.1',
+				port: server.address().port,
+				path: '/movies/10',
+				method: 'PUT',
+				headers: { ...jsonHeaders, 'content-length': 100 }
+			});
+
+			req.on('error', () => {});
+			req.write('{"title":');
+
+			// The listener is called with the headers, the body is aborted before it is sent
+			const { listening } = await handled;
+
+			req.destroy();
+
+			await listening;
+
+			sinon.assert.notCalled(handler);
+		});
+
+		it('should not validate the responses when the responses option is false', async () => {
+
+			const onInvalidResponse = sinon.fake();
+
+			await listen(new ValidationMiddleware(spec, { responses: false, onInvalidResponse }).http((req, res) => {
+				res.writeHead(500);
+				res.end();
+			}));
+
+			assert.equal((await request('/movies/10')).status, 500);
+
+			sinon.assert.notCalled(onInvalidResponse);
+		});
+	});
+
+	describe('lambda', () => {
+
+		it('should call the handler with the events of the REST APIs and log the invalid responses', async () => {
+
+			sinon.stub(console, 'log');
+
+			const response = { statusCode: 200, headers: jsonHeaders, body: JSON.stringify({ id: 10 }) };
+			const handler = sinon.fake.resolves(response);
+
+			const event = {
+				httpMethod: 'GET',
+				path: '/movies/10',
+				headers: { Cookie: 'session=abc' },
+				multiValueQueryStringParameters: { fields: ['id', 'title'] },
+				queryStringParameters: { fields: 'title' },
+				body: null
+			};
+
+			const context = { awsRequestId: '1' };
+
+			assert.equal(await new ValidationMiddleware(spec).lambda(handler)(event, context), response);
+
+			sinon.assert.calledOnce(handler);
+			sinon.assert.calledWithExactly(handler, event, context);
+			sinon.assert.calledOnce(console.log);
+			sinon.assert.calledWithMatch(console.log, 'Invalid response of \'GET /movies/{id}\': $.body.title must have required property \'title\'');
+		});
+
+		it('should validate the events of the HTTP APIs, with their cookies and base64 bodies', async () => {
+
+			const handler = sinon.fake.resolves({ statusCode: 204 });
+			const onInvalidResponse = sinon.fake();
+
+			const lambdaHandler = new ValidationMiddleware(spec, { onInvalidResponse }).lambda(handler);
+
+			const event = {
+				requestContext: { http: { method: 'PUT' } },
+				rawPath: '/movies/10',
+				rawQueryString: '',
+				cookies: ['session=a', 'theme=dark'],
+				headers: jsonHeaders,
+				isBase64Encoded: true,
+				body: Buffer.from('{"title":"Alien"}').toString('base64')
+			};
+
+			assert.deepEqual(await lambdaHandler(event), { statusCode: 204 });
+
+			assert.deepEqual(await lambdaHandler({ ...event, rawQueryString: 'fields=cast' }), { statusCode: 204 });
+
+			assert.deepEqual(await lambdaHandler({ ...event, body: Buffer.from('{}').toString('base64') }), {
+				statusCode: 400,
+				headers: jsonHeaders,
+				body: JSON.stringify({
+					message: 'Invalid request',
+					errors: [{ in: 'body', path: '$.body.title', keyword: 'required', message: 'must have required property \'title\'' }]
+				})
+			});
+
+			sinon.assert.calledTwice(handler);
+			sinon.assert.notCalled(onInvalidResponse);
+		});
+
+		it('should validate the responses without status code as the JSON body of a 200 response', async () => {
+
+			const onInvalidResponse = sinon.fake();
+			const middleware = new ValidationMiddleware(spec, { onInvalidResponse });
+
+			const event = { requestContext: { http: { method: 'GET' } }, rawPath: '/movies/10', queryStringParameters: { fields: 'title' } };
+
+			assert.deepEqual(await middleware.lambda(() => movie)(event), movie);
+			assert.equal(await middleware.lambda(() => 'Alien')(event), 'Alien');
+
+			sinon.assert.notCalled(onInvalidResponse);
+
+			await middleware.lambda(() => ({ title: 'Alien' }))(event);
+
+			sinon.assert.calledOnce(onInvalidResponse);
+			assert.deepEqual(onInvalidResponse.firstCall.args[0], [
+				{ in: 'body', path: '$.body.id', keyword: 'required', message: 'must have required property \'id\'' }
+			]);
+		});
+
+		it('should answer the events of the unknown paths without calling the handler', async () => {
+
+			const handler = sinon.fake();
+
+			assert.deepEqual(await new ValidationMiddleware(spec, { responses: false }).lambda(handler)({}), {
+				statusCode: 404,
+				headers: jsonHeaders,
+				body: JSON.stringify({ message: 'No path matches \'/\'' })
+			});
+
+			sinon.assert.notCalled(handler);
+		});
+	});
+});
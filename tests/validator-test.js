@@ -0,0 +1,349 @@
+'use strict';
+
+const assert = require('assert');
+
+const Router = require('./../lib/router');
+const Validator = require('./../lib/validator');
+
+describe('Validator', () => {
+
+	const responses = { 200: { description: 'Ok' } };
+
+	const getSpec = (openapi = '3.0.0') => ({
+		openapi,
+		info: { title: 'Movie API', version: '1.0.0' },
+		paths: {
+			'/movies/{id}': {
+				parameters: [
+					{ name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+					{ name: 'X-Version', in: 'header', schema: { type: 'string' } }
+				],
+				get: {
+					parameters: [
+						{ $ref: '#/components/parameters/Fields' },
+						{ name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, exclusiveMinimum: false } },
+						{ name: 'rating', in: 'query', schema: { type: 'number', nullable: true, maximum: 5, exclusiveMaximum: true } },
+						{ name: 'X-Version', in: 'header', required: true, schema: { type: 'string', enum: ['1', '2'] } },
+						{ name: 'session', in: 'cookie', required: true, schema: { type: 'string', minLength: 3 } },
+						{ name: 'filters', in: 'query', content: { 'application/json': { schema: { type: 'object' } } } },
+						{ $ref: '#/components/parameters/Missing' }
+					],
+					responses
+				},
+				put: {
+					requestBody: {
+						required: true,
+						content: {
+							'application/json': { schema: { $ref: '#/components/schemas/Movie' } },
+							'application/x-www-form-urlencoded': { schema: { $ref: '#/components/schemas/Movie' } },
+							'text/*': {}
+						}
+					},
+					responses
+				},
+				patch: {
+					requestBody: { $ref: '#/components/requestBodies/Patch' },
+					responses
+				}
+			}
+		},
+		components: {
+			parameters: {
+				Fields: { name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string', enum: ['title', 'year'] } } }
+			},
+			requestBodies: {
+				Patch: { content: { 'application/merge-patch+json': { schema: { $ref: '#/components/schemas/Movie' } } } }
+			},
+			schemas: {
+				Movie: {
+					type: 'object',
+					required: ['id', 'title'],
+					properties: {
+						id: { type: 'integer', readOnly: true },
+						title: { type: 'string' },
+						year: { type: 'integer', exclusiveMinimum: true, minimum: 1900 },
+						genre: { type: 'string', enum: ['drama', 'comedy'], nullable: true },
+						actors: { type: 'array', items: { $ref: '#/components/schemas/Actor' } },
+						'release date': { type: 'string', format: 'date' }
+					}
+				},
+				Actor: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+			}
+		}
+	});
+
+	const validate = (method, url, { headers, body } = {}, spec = getSpec()) => {
+		const route = new Router(spec).match(method, url);
+		return new Validator(spec).validateRequest(route, { url, headers, body });
+	};
+
+	const getPaths = errors => errors.map(({ path, keyword }) => `${path} ${keyword}`);
+
+	describe('validateRequest', () => {
+
+		const headers = { 'x-version': '1', cookie: 'theme=dark; session=abc=1' };
+
+		it('should return no errors when the parameters are valid', () => {
+			assert.deepEqual(validate('GET', '/movies/10?page=2&fields=title&rating=4.5&filters={}', { headers }), []);
+			assert.deepEqual(validate('GET', '/movies/10?fields=title&fields=year&rating=', { headers }), []);
+		});
+
+		it('should return the errors of the parameters with their JSON path', () => {
+
+			const errors = validate('GET', '/movies/0?page=first&fields=title&fields=cast&rating=5', { headers: { 'x-version': '3' } });
+
+			assert.deepEqual(getPaths(errors), [
+				'$.path.id minimum',
+				'$.query.fields[1] enum',
+				'$.query.page type',
+				'$.query.rating exclusiveMaximum',
+				'$.headers[\'x-version\'] enum',
+				'$.cookie.session required'
+			]);
+
+			assert.deepEqual(errors[0], { in: 'path', path: '$.path.id', keyword: 'minimum', message: 'must be >= 1' });
+		});
+
+		it('should return the errors of the request body with their JSON path', () => {
+
+			const errors = validate('PUT', '/movies/10', {
+				headers: { 'content-type': 'application/json; charset=utf-8' },
+				body: JSON.stringify({ year: 1900, genre: 'horror', actors: [{ name: 'Tom' }, {}], 'release date': 'today' })
+			});
+
+			assert.deepEqual(getPaths(errors), [
+				'$.body.title required',
+				'$.body.year exclusiveMinimum',
+				'$.body.genre enum',
+				'$.body.actors[1].name required',
+				'$.body[\'release date\'] format'
+			]);
+		});
+
+		it('should accept the null values of the nullable schemas', () => {
+
+			const body = JSON.stringify({ title: 'Alien', genre: null });
+
+			const spec = getSpec('3.1.0');
+			spec.components.schemas.Movie.properties.year = { type: 'integer', exclusiveMinimum: 1900 };
+
+			assert.deepEqual(validate('PUT', '/movies/10', { headers: { 'content-type': 'application/json' }, body }), []);
+			assert.deepEqual(getPaths(validate('PUT', '/movies/10', { headers: { 'content-type': 'application/json' }, body }, spec)), [
+				'$.body.genre type',
+				'$.body.genre enum'
+			]);
+		});
+
+		it('should validate the form bodies coercing their values', () => {
+
+			const formHeaders = { 'content-type': 'application/x-www-form-urlencoded' };
+
+			assert.deepEqual(validate('PUT', '/movies/10', { headers: formHeaders, body: 'title=Alien&year=1979' }), []);
+			assert.deepEqual(getPaths(validate('PUT', '/movies/10', { headers: formHeaders, body: 'title=Alien&year=old' })), ['$.body.year type']);
+		});
+
+		it('should not validate the bodies of the media types that are not JSON or forms', () => {
+			assert.deepEqual(validate('PUT', '/movies/10', { headers: { 'content-type': 'text/plain' }, body: 'Alien' }), []);
+		});
+
+		it('should validate the bodies of the JSON media types with a suffix', () => {
+
+			const patchHeaders = { 'content-type': 'application/merge-patch+json' };
+
+			assert.deepEqual(validate('PATCH', '/movies/10', { headers: patchHeaders, body: '{"title":"Alien"}' }), []);
+			assert.deepEqual(getPaths(validate('PATCH', '/movies/10', { headers: patchHeaders, body: '{"title":1}' })), ['$.body.title type']);
+		});
+
+		it('should return an error when a required body is missing or it is not valid JSON', () => {
+
+			assert.deepEqual(validate('PUT', '/movies/10', { headers: { 'content-type': 'application/json' } }), [
+				{ in: 'body', path: '$.body', keyword: 'required', message: 'The request body is required' }
+			]);
+
+			assert.deepEqual(getPaths(validate('PUT', '/movies/10', { headers: { 'content-type': 'application/json' }, body: '{"title":' })), [
+				'$.body parse'
+			]);
+
+			assert.deepEqual(validate('PATCH', '/movies/10', {}), []);
+		});
+
+		it('should return an error when the media type of the body is not declared', () => {
+			assert.deepEqual(validate('PUT', '/movies/10', { headers: { 'content-type': 'application/xml' }, body: '<movie/>' }), [{
+				in: 'header',
+				path: '$.headers[\'content-type\']',
+				keyword: 'mediaType',
+				message: 'The media type \'application/xml\' isn\'t supported, must be one of: application/json, application/x-www-form-urlencoded, text/*'
+			}]);
+		});
+	});
+
+	describe('validateResponse', () => {
+
+		const spec = {
+			openapi: '3.1.0',
+			paths: {
+				'/movies/{id}': {
+					get: {
+						responses: {
+							200: {
+								description: 'The movie',
+								headers: {
+									'X-Rate-Limit': { required: true, schema: { type: 'integer' } },
+									'Content-Type': { required: true, schema: { type: 'string' } },
+									'X-Missing': { $ref: '#/components/headers/Missing' }
+								},
+								content: {
+									'application/json': { schema: { $ref: '#/components/schemas/Movie' } },
+									'text/plain': { schema: { type: 'string' } }
+								}
+							},
+							'4XX': { $ref: '#/components/responses/Error' },
+							500: { $ref: '#/components/responses/Missing' },
+							'x-cache': true
+						}
+					},
+					delete: {
+						responses: { 204: { description: 'Deleted' } }
+					},
+					patch: {}
+				}
+			},
+			components: {
+				responses: {
+					Error: { description: 'The error', content: { 'application/problem+json': { schema: { type: 'object', required: ['message'] } } } }
+				},
+				schemas: {
+					Movie: {
+						type: 'object',
+						required: ['id', 'title', 'password'],
+						properties: {
+							id: { type: 'integer', readOnly: true },
+							title: { type: 'string' },
+							password: { type: 'string', writeOnly: true }
+						}
+					}
+				}
+			}
+		};
+
+		const validateResponse = (method, response) => new Validator(spec).validateResponse(new Router(spec).match(method, '/movies/10'), response);
+
+		const headers = { 'x-rate-limit': '100', 'content-type': 'application/json' };
+
+		it('should return no errors when the response is valid, without requiring the write only properties', () => {
+			assert.deepEqual(validateResponse('GET', { status: 200, headers, body: JSON.stringify({ id: 10, title: 'Alien' }) }), []);
+			assert.deepEqual(validateResponse('GET', { status: 200, headers, body: { id: 10, title: 'Alien' } }), []);
+			assert.deepEqual(validateResponse('GET', { status: 200, headers: { ...headers, 'content-type': 'text/plain' }, body: 'Alien' }), []);
+			assert.deepEqual(validateResponse('DELETE', { status: 204, body: 'Deleted' }), []);
+			assert.deepEqual(validateResponse('GET', { status: 500 }), []);
+		});
+
+		it('should return the errors of the headers and the body with their JSON path', () => {
+			assert.deepEqual(validateResponse('GET', {
+				status: 200,
+				headers: { 'x-rate-limit': 'many', 'content-type': 'application/json' },
+				body: JSON.stringify({ title: 1 })
+			}), [
+				{ in: 'header', path: '$.headers[\'x-rate-limit\']', keyword: 'type', message: 'must be integer' },
+				{ in: 'body', path: '$.body.id', keyword: 'required', message: 'must have required property \'id\'' },
+				{ in: 'body', path: '$.body.title', keyword: 'type', message: 'must be string' }
+			]);
+		});
+
+		it('should validate the responses of the status ranges', () => {
+
+			const errorHeaders = { 'content-type': 'application/problem+json' };
+
+			assert.deepEqual(validateResponse('GET', { status: 404, headers: errorHeaders, body: '{"message":"Not found"}' }), []);
+			assert.deepEqual(getPaths(validateResponse('GET', { status: 404, headers: errorHeaders, body: '{}' })), ['$.body.message required']);
+			assert.deepEqual(getPaths(validateResponse('GET', { status: 404, headers: errorHeaders, body: '{' })), ['$.body parse']);
+		});
+
+		it('should return an error when the status or the media type is not declared', () => {
+
+			assert.deepEqual(validateResponse('GET', { status: 302 }), [{
+				in: 'status',
+				path: '$.status',
+				keyword: 'status',
+				message: 'The status 302 isn\'t declared, must be one of: 200, 500, 4XX'
+			}]);
+
+			assert.deepEqual(validateResponse('PATCH', { status: 200 }), [{
+				in: 'status',
+				path: '$.status',
+				keyword: 'status',
+				message: 'The status 200 isn\'t declared, the operation has no responses'
+			}]);
+
+			assert.deepEqual(getPaths(validateResponse('GET', { status: 200, headers: { 'x-rate-limit': '1' }, body: 'Alien' })), [
+				'$.headers[\'content-type\'] mediaType'
+			]);
+		});
+	});
+
+	describe('validateValue', () => {
+
+		it('should validate a value against a schema of the document, without the read only properties required unless it is a response', () => {
+
+			const validator = new Validator(getSpec());
+			const schema = { $ref: '#/components/schemas/Movie' };
+
+			assert.deepEqual(validator.validateValue('/components/schemas/Movie', schema, { title: 'Alien' }), []);
+			assert.deepEqual(validator.validateValue('/components/schemas/Movie', schema, { title: 'Alien' }, true)
+				.map(({ keyword, params }) => [keyword, params]), [['required', { missingProperty: 'id' }]]);
+			assert.deepEqual([...validator.validators.keys()], ['/components/schemas/Movie', '/components/schemas/Movie:response']);
+		});
+	});
+
+	describe('compile', () => {
+
+		it('should compile the validators of every parameter, request body and response of an operation', () => {
+
+			const spec = getSpec();
+			spec.paths['/movies/{id}'].put.responses = {
+				200: {
+					description: 'The movie',
+					headers: { 'X-Rate-Limit': { schema: { type: 'integer' } } },
+					content: {
+						'application/json': { schema: { $ref: '#/components/schemas/Movie' } },
+						'application/xml': { schema: { $ref: '#/components/schemas/Movie' } }
+					}
+				},
+				204: { $ref: '#/components/responses/Missing' },
+				default: { description: 'Unexpected error' }
+			};
+
+			const validator = new Validator(spec);
+			const operations = new Router(spec).getOperations();
+
+			operations.forEach(route => validator.compile(route));
+
+			assert.deepEqual([...validator.validators.keys()], [
+				'/paths/~1movies~1{id}/get/parameters/path',
+				'/paths/~1movies~1{id}/get/parameters/query',
+				'/paths/~1movies~1{id}/get/parameters/header',
+				'/paths/~1movies~1{id}/get/parameters/cookie',
+				'/paths/~1movies~1{id}/put/parameters/path',
+				'/paths/~1movies~1{id}/put/parameters/header',
+				'/paths/~1movies~1{id}/put/requestBody/application/json',
+				'/paths/~1movies~1{id}/put/requestBody/application/x-www-form-urlencoded:form',
+				'/paths/~1movies~1{id}/put/responses/200/parameters/header',
+				'/paths/~1movies~1{id}/put/responses/200/application/json',
+				'/paths/~1movies~1{id}/patch/parameters/path',
+				'/paths/~1movies~1{id}/patch/parameters/header',
+				'/paths/~1movies~1{id}/patch/requestBody/application/merge-patch+json'
+			]);
+		});
+
+		it('should throw when a schema can not be compiled', () => {
+
+			const spec = getSpec();
+			spec.components.schemas.Actor = { type: 'object', required: 'name' };
+
+			const validator = new Validator(spec);
+			const operations = new Router(spec).getOperations();
+
+			assert.throws(() => operations.forEach(route => validator.compile(route)));
+		});
+	});
+});
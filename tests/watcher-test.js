@@ -0,0 +1,390 @@
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const sinon = require('sinon');
+const MockFs = require('mock-fs');
+
+const ApiSchemaBuilder = require('./../lib');
+const Watcher = require('./../lib/watcher');
+
+const sandbox = sinon.createSandbox();
+
+describe('Watcher', () => {
+
+	const srcDir = ApiSchemaBuilder.schemaSrcDir;
+	const sharedDir = path.join(process.cwd(), 'shared');
+
+	let fsWatchers;
+
+	const fakeWatch = (directory, listener) => {
+		const fsWatcher = new EventEmitter();
+		fsWatcher.on('change', listener);
+		fsWatcher.close = sandbox.stub();
+		fsWatchers[directory] = fsWatcher;
+		return fsWatcher;
+	};
+
+	beforeEach(() => {
+		fsWatchers = {};
+		sandbox.stub(fs, 'watch').callsFake(fakeWatch);
+
+		// Avoid showing messages in console during tests
+		sandbox.stub(console, 'log');
+		sandbox.stub(console, 'error');
+	});
+
+	afterEach(() => {
+		sandbox.restore();
+		MockFs.restore();
+	});
+
+	describe('start', () => {
+
+		it('should reject with a source not found error when the source directory does not exist', async () => {
+
+			MockFs({});
+
+			await assert.rejects(new Watcher().start(), ApiSchemaBuilder.SourceNotFoundError);
+		});
+
+		it('should watch every source directory and build every schema type after the debounce', async () => {
+
+			MockFs({
+				schemas: {
+					src: {
+						public: { catalog: { 'list.yml': '' }, 'base.yml': '' },
+						internal: { 'base.yml': '' },
+						'README.md': ''
+					}
+				}
+			});
+
+			const clock = sandbox.useFakeTimers();
+			const build = sandbox.stub(Watcher.prototype, '_build').resolves();
+
+			const watcher = new Watcher();
+
+			await watcher.start();
+
+			assert.deepEqual(Object.keys(fsWatchers).sort(), [
+				srcDir,
+				path.join(srcDir, 'internal'),
+				path.join(srcDir, 'public'),
+				path.join(srcDir, 'public', 'catalog')
+			]);
+
+			sandbox.assert.notCalled(build);
+
+			clock.tick(200);
+			await watcher.building;
+
+			sandbox.assert.calledTwice(build);
+			sandbox.assert.calledWithExactly(build, 'internal');
+			sandbox.assert.calledWithExactly(build, 'public');
+		});
+
+		it('should build only the selected schema types', async () => {
+
+			MockFs({
+				schemas: {
+					src: {
+						public: { 'base.yml': '' },
+						internal: { 'base.yml': '' }
+					}
+				}
+			});
+
+			const clock = sandbox.useFakeTimers();
+			const build = sandbox.stub(Watcher.prototype, '_build').resolves();
+
+			const watcher = new Watcher({ types: ['public'] });
+
+			await watcher.start();
+
+			clock.tick(200);
+			await watcher.building;
+
+			sandbox.assert.calledOnce(build);
+			sandbox.assert.calledWithExactly(build, 'public');
+		});
+	});
+
+	describe('close', () => {
+
+		it('should close every fs watcher and cancel the pending builds', async () => {
+
+			MockFs({ schemas: { src: { public: { 'base.yml': '' } } } });
+
+			const clock = sandbox.useFakeTimers();
+			const build = sandbox.stub(Watcher.prototype, '_build').resolves();
+
+			const watcher = new Watcher();
+
+			await watcher.start();
+
+			watcher.close();
+
+			clock.tick(200);
+			await watcher.building;
+
+			sandbox.assert.notCalled(build);
+			sandbox.assert.calledOnce(fsWatchers[srcDir].close);
+			sandbox.assert.calledOnce(fsWatchers[path.join(srcDir, 'public')].close);
+			assert.equal(watcher.watchers.size, 0);
+		});
+	});
+
+	describe('file changes', () => {
+
+		let watcher;
+		let clock;
+		let build;
+
+		beforeEach(async () => {
+
+			MockFs({
+				schemas: {
+					src: {
+						public: { 'base.yml': '', 'notes.txt': '', catalog: {} },
+						internal: { 'base.yml': '' }
+					}
+				},
+				shared: { 'movie.yml': '' }
+			});
+
+			clock = sandbox.useFakeTimers();
+			build = sandbox.stub(Watcher.prototype, '_build').resolves();
+
+			watcher = new Watcher();
+
+			await watcher.start();
+
+			clock.tick(200);
+			await watcher.building;
+
+			build.resetHistory();
+			sandbox.spy(watcher, '_onChange');
+		});
+
+		const change = async (directory, filename) => {
+
+			fsWatchers[directory].emit('change', 'change', filename);
+
+			// Wait for the stat of the changed path
+			if(watcher._onChange.called)
+				await watcher._onChange.lastCall.returnValue;
+		};
+
+		it('should build only the schema type of the changed file', async () => {
+
+			await change(path.join(srcDir, 'public'), 'base.yml');
+
+			clock.tick(200);
+			await watcher.building;
+
+			sandbox.assert.calledOnce(build);
+			sandbox.assert.calledWithExactly(build, 'public');
+		});
+
+		it('should build once for a burst of changes', async () => {
+
+			await change(path.join(srcDir, 'public'), 'base.yml');
+			clock.tick(100);
+			await change(path.join(srcDir, 'internal'), 'base.yml');
+			clock.tick(100);
+			await change(path.join(srcDir, 'public'), 'base.yml');
+
+			clock.tick(200);
+			await watcher.building;
+
+			sandbox.assert.calledTwice(build);
+			sandbox.assert.calledWithExactly(build, 'public');
+			sandbox.assert.calledWithExactly(build, 'internal');
+		});
+
+		it('should ignore the changes of files that are not YAML nor JSON', async () => {
+
+			await change(path.join(srcDir, 'public'), 'notes.txt');
+
+			clock.tick(200);
+			await watcher.building;
+
+			sandbox.assert.notCalled(build);
+		});
+
+		it('should ignore the changes of files in the source root directory', async () => {
+
+			await change(srcDir, 'base.yml');
+
+			clock.tick(200);
+			await watcher.building;
+
+			sandbox.assert.notCalled(build);
+		});
+
+		it('should watch and build a new schema type directory', async () => {
+
+			fs.mkdirSync(path.join(srcDir, 'private'));
+
+			await change(srcDir, 'private');
+
+			clock.tick(200);
+			await watcher.building;
+
+			assert(fsWatchers[path.join(srcDir, 'private')]);
+			sandbox.assert.calledOnce(build);
+			sandbox.assert.calledWithExactly(build, 'private');
+		});
+
+		it('should build the schema types that reference the changed file', async () => {
+
+			await watcher._setDependencies('internal', [path.join(srcDir, 'internal', 'base.yml'), path.join(sharedDir, 'movie.yml')]);
+
+			assert(fsWatchers[sharedDir]);
+
+			await change(sharedDir, 'movie.yml');
+
+			clock.tick(200);
+			await watcher.building;
+
+			sandbox.assert.calledOnce(build);
+			sandbox.assert.calledWithExactly(build, 'internal');
+		});
+
+		it('should stop watching a directory when its fs watcher fails', () => {
+
+			const catalogDir = path.join(srcDir, 'public', 'catalog');
+
+			fsWatchers[catalogDir].emit('error', new Error('EPERM'));
+
+			sandbox.assert.calledOnce(fsWatchers[catalogDir].close);
+			assert(!watcher.watchers.has(catalogDir));
+		});
+
+		it('should log the errors of the changes instead of rejecting', async () => {
+
+			sandbox.stub(watcher, '_watchTree').rejects(new Error('ENOENT: no such file or directory'));
+
+			await change(path.join(srcDir, 'public'), 'catalog');
+
+			sandbox.assert.calledWithMatch(console.error, 'ENOENT: no such file or directory');
+		});
+
+		it('should keep building the next changes when a build fails', async () => {
+
+			build.onFirstCall().rejects(new Error('Unexpected error'));
+
+			await change(path.join(srcDir, 'public'), 'base.yml');
+
+			clock.tick(200);
+			await watcher.building;
+
+			await change(path.join(srcDir, 'internal'), 'base.yml');
+
+			clock.tick(200);
+			await watcher.building;
+
+			sandbox.assert.calledWithMatch(console.error, 'Unexpected error');
+			sandbox.assert.calledTwice(build);
+			sandbox.assert.calledWithExactly(build.secondCall, 'internal');
+		});
+
+		it('should ignore the events without a file name', async () => {
+
+			await change(path.join(srcDir, 'public'));
+
+			clock.tick(200);
+			await watcher.building;
+
+			sandbox.assert.notCalled(build);
+		});
+	});
+
+	describe('build', () => {
+
+		afterEach(() => {
+			sandbox.restore();
+		});
+
+		it('should build the schema type and save its dependencies', async () => {
+
+			const files = [path.join(srcDir, 'public', 'base.yml'), path.join(sharedDir, 'movie.yml')];
+
+			const build = sandbox.stub(ApiSchemaBuilder.prototype, 'build').callsFake(async function() {
+				assert.deepEqual(this.types, ['public']);
+				assert.equal(this.format, 'yaml');
+				return [{ type: 'public', files }];
+			});
+
+			MockFs({ shared: { 'movie.yml': '' } });
+
+			const watcher = new Watcher({ format: 'yaml' });
+
+			await watcher._build('public');
+
+			sandbox.assert.calledOnce(build);
+			assert.deepEqual([...watcher.dependencies.get('public')], files);
+			assert(fsWatchers[sharedDir]);
+			assert(!fsWatchers[path.join(srcDir, 'public')]);
+		});
+
+		it('should log the errors instead of rejecting', async () => {
+
+			sandbox.stub(ApiSchemaBuilder.prototype, 'build').rejects(new ApiSchemaBuilder.ValidationError('Found errors', srcDir, 'public'));
+
+			const watcher = new Watcher();
+
+			await assert.doesNotReject(watcher._build('public'));
+
+			sandbox.assert.calledWithMatch(console.error, 'Found errors');
+			assert(!watcher.dependencies.has('public'));
+		});
+
+		it('should add the file that can not be parsed to the dependencies', async () => {
+
+			const invalidFile = path.join(sharedDir, 'invalid.yml');
+
+			sandbox.stub(ApiSchemaBuilder.prototype, 'build').rejects(new ApiSchemaBuilder.ParseError('Invalid file', invalidFile));
+
+			MockFs({ shared: { 'invalid.yml': '' } });
+
+			const watcher = new Watcher();
+			await watcher._setDependencies('public', [path.join(srcDir, 'public', 'base.yml')]);
+
+			await watcher._build('public');
+
+			assert.deepEqual([...watcher.dependencies.get('public')], [path.join(srcDir, 'public', 'base.yml'), invalidFile]);
+			assert(fsWatchers[sharedDir]);
+		});
+
+		it('should not watch the directories of the references that do not exist', async () => {
+
+			const missingFile = path.join(process.cwd(), 'nope', 'movie.yml');
+
+			MockFs({ schemas: { src: { public: { 'base.yml': 'paths: { $ref: "../../../nope/movie.yml" }' } } } });
+
+			sandbox.stub(ApiSchemaBuilder.prototype, 'build').rejects(new ApiSchemaBuilder.ParseError('Can\'t resolve the references', missingFile));
+
+			const watcher = new Watcher();
+
+			await assert.doesNotReject(watcher._build('public'));
+
+			assert.deepEqual([...watcher.dependencies.get('public')], [missingFile]);
+			assert(!watcher.watchers.has(path.dirname(missingFile)));
+			sandbox.assert.calledWithMatch(console.error, 'Can\'t resolve the references');
+		});
+
+		it('should skip the directories that can not be watched', () => {
+
+			fs.watch.throws(new Error('ENOENT'));
+
+			const watcher = new Watcher();
+
+			assert.doesNotThrow(() => watcher._watch(sharedDir));
+			assert(!watcher.watchers.has(sharedDir));
+		});
+	});
+});